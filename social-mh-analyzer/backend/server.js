@@ -12,6 +12,14 @@ import socialRoutes from './src/routes/social.js';
 import metricsRoutes from './src/routes/metrics.js';
 import analysisRoutes from './src/routes/analysis.js';
 import calendarRoutes from './src/routes/calendar.js';
+import { riskLexiconRoutes } from './src/routes/riskLexicon.js';
+import { alertRoutes } from './src/routes/alerts.js';
+import { guardianRoutes } from './src/routes/guardians.js';
+import { notificationRoutes } from './src/routes/notifications.js';
+import { resumePendingAnalyses } from './src/utils/analysisQueue.js';
+import { startNotificationWorker } from './src/utils/notificationDispatcher.js';
+import { failInterruptedImports, startImportSweeper } from './src/utils/importJobs.js';
+import { seedRiskLexicon, loadRiskLexicon } from './src/utils/riskLexiconStore.js';
 
 // Load environment variables
 dotenv.config();
@@ -53,6 +61,10 @@ app.use('/api/social', socialRoutes);
 app.use('/api/metrics', metricsRoutes);
 app.use('/api/analysis', analysisRoutes);
 app.use('/api/calendar', calendarRoutes);
+app.use('/api/risk-lexicon', riskLexiconRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/guardians', guardianRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -78,6 +90,40 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, async () => {
   await connectDB();
   console.log(`Server running on port ${PORT}`);
+
+  // Copy the bundled risk lexicon into an empty database, then use the stored one
+  const seeded = await seedRiskLexicon();
+  if (seeded > 0) {
+    console.log(`Seeded risk lexicon with ${seeded} entries`);
+  }
+  await loadRiskLexicon({ force: true });
+
+  // Pick up analyses that were queued before the last restart, and those a stopped
+  // server process was running
+  const resumed = await resumePendingAnalyses();
+  if (resumed > 0) {
+    console.log(`Re-queued ${resumed} pending analyses`);
+  }
+
+  // Uploads are not kept, so imports cut off by a stopped server cannot be resumed;
+  // imports other server processes are still running are left alone
+  const interrupted = await failInterruptedImports();
+  if (interrupted > 0) {
+    console.log(`Marked ${interrupted} interrupted imports as failed`);
+  }
+
+  // Previews keep their upload until confirmed; drop the ones nobody confirmed in time,
+  // and keep checking for previews and imports left behind
+  const expired = await startImportSweeper();
+  if (expired > 0) {
+    console.log(`Dropped ${expired} expired import previews`);
+  }
+
+  // Send messages held for quiet hours and digests
+  const requeued = await startNotificationWorker();
+  if (requeued > 0) {
+    console.log(`Re-queued ${requeued} notifications interrupted while sending`);
+  }
 });
 
 export default app;
@@ -0,0 +1,51 @@
+// Emoji sentiment table (-1 to 1), approximated from the Emoji Sentiment Ranking
+// (Kralj Novak et al., 2015) and rounded to two decimals. Keys are stored without
+// variation selectors (U+FE0F) and skin-tone modifiers.
+
+export const EMOJI_SENTIMENT = {
+  // Faces - positive
+  '😂': 0.22, '🤣': 0.25, '😀': 0.55, '😃': 0.56, '😄': 0.60, '😁': 0.45,
+  '😆': 0.40, '😅': 0.18, '😊': 0.66, '🙂': 0.45, '😉': 0.46, '😇': 0.50,
+  '🥰': 0.75, '😍': 0.68, '🤩': 0.65, '😘': 0.70, '😗': 0.46, '😚': 0.45,
+  '😙': 0.45, '😋': 0.59, '😛': 0.45, '😜': 0.40, '🤪': 0.35, '😝': 0.38,
+  '🤗': 0.55, '😎': 0.49, '🥳': 0.70, '😌': 0.46, '🤤': 0.20, '😏': 0.33,
+  '🙃': 0.10,
+
+  // Faces - neutral / ambiguous
+  '🤔': 0.05, '😐': -0.05, '😑': -0.10, '😶': -0.05, '🙄': -0.25, '😬': -0.10,
+  '🤐': -0.05, '🤨': -0.10, '😳': 0.05, '🥴': -0.10, '😴': 0.00, '🤯': -0.15,
+  '😮': 0.05, '😯': 0.00, '😲': 0.10, '🥺': -0.15,
+
+  // Faces - negative
+  '😒': -0.30, '😞': -0.45, '😔': -0.40, '😟': -0.40, '😕': -0.30, '🙁': -0.35,
+  '☹': -0.40, '😣': -0.35, '😖': -0.40, '😫': -0.35, '😩': -0.30, '😢': -0.35,
+  '😭': -0.25, '😤': -0.20, '😠': -0.45, '😡': -0.50, '🤬': -0.60, '😱': -0.15,
+  '😨': -0.30, '😰': -0.35, '😥': -0.30, '😓': -0.25, '🤢': -0.50, '🤮': -0.55,
+  '😷': -0.20, '🤒': -0.30, '🤕': -0.30, '😵': -0.25, '💀': -0.05, '☠': -0.35,
+  '😪': -0.20, '🥵': -0.10, '🥶': -0.10, '😿': -0.35, '🥀': -0.35,
+
+  // Hearts and love
+  '❤': 0.75, '🧡': 0.70, '💛': 0.70, '💚': 0.68, '💙': 0.70, '💜': 0.70,
+  '🖤': 0.30, '🤍': 0.60, '💕': 0.65, '💞': 0.65, '💓': 0.65, '💗': 0.65,
+  '💖': 0.68, '💘': 0.60, '💝': 0.65, '💟': 0.60, '❣': 0.60, '💔': -0.40,
+  '😻': 0.65, '💋': 0.50,
+
+  // Gestures
+  '👍': 0.52, '👎': -0.40, '👏': 0.52, '🙌': 0.55, '🙏': 0.42, '💪': 0.50,
+  '👌': 0.45, '✌': 0.46, '🤞': 0.35, '🤝': 0.45, '👋': 0.30, '🖕': -0.60,
+  '✊': 0.30, '👊': 0.25,
+
+  // Celebration and objects
+  '🎉': 0.70, '🎊': 0.65, '🎂': 0.65, '🎁': 0.60, '🏆': 0.60, '🥇': 0.60,
+  '✨': 0.45, '🌟': 0.50, '⭐': 0.50, '🔥': 0.35, '💯': 0.40, '🌈': 0.45,
+  '☀': 0.50, '🌞': 0.55, '🌸': 0.50, '🌹': 0.50, '🌺': 0.50, '🌻': 0.50,
+  '🌄': 0.45, '🌅': 0.45, '🏖': 0.55, '🌊': 0.35, '🍕': 0.35, '🍰': 0.45,
+  '☕': 0.25, '🍷': 0.30, '🍻': 0.45, '🎶': 0.45, '🎵': 0.45, '📚': 0.20,
+  '💤': 0.00, '💸': -0.10, '💊': -0.15, '🩸': -0.40, '🔪': -0.50, '💣': -0.30,
+  '⚠': -0.25, '🚫': -0.30, '❌': -0.25, '✅': 0.40, '☑': 0.35,
+
+  // Weather
+  '🌧': -0.20, '⛈': -0.25, '☔': -0.10,
+};
+
+export default EMOJI_SENTIMENT;
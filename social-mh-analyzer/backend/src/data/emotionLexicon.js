@@ -0,0 +1,83 @@
+// Compact word-emotion lexicon using the eight NRC (Plutchik) emotion categories.
+// Hand-curated for social media posts; a word may belong to several emotions.
+// Words are stored in tokenized form (lowercase, no apostrophes).
+
+export const EMOTIONS = [
+  'anger', 'anticipation', 'disgust', 'fear',
+  'joy', 'sadness', 'surprise', 'trust',
+];
+
+const LEXICON_BY_EMOTION = {
+  anger: [
+    'angry', 'anger', 'mad', 'furious', 'rage', 'raging', 'hate', 'hated', 'hating',
+    'annoyed', 'annoying', 'irritated', 'irritating', 'frustrated', 'frustrating',
+    'pissed', 'outraged', 'outrage', 'livid', 'resent', 'resentment', 'hostile',
+    'fight', 'fighting', 'yell', 'yelling', 'scream', 'screaming', 'unfair',
+    'betrayed', 'betrayal', 'bitter', 'disrespect', 'disrespected', 'argue', 'argument',
+    'stupid', 'idiot', 'jerk', 'toxic', 'fed', 'sick', 'offended', 'insulted',
+  ],
+  anticipation: [
+    'excited', 'exciting', 'cant wait', 'soon', 'upcoming', 'tomorrow', 'plan',
+    'plans', 'planning', 'hope', 'hoping', 'hopeful', 'expect', 'expecting',
+    'waiting', 'ready', 'prepare', 'preparing', 'countdown', 'future', 'goal',
+    'goals', 'looking forward', 'eager', 'teaser', 'comingsoon', 'stay tuned',
+    'anticipate', 'next', 'finally', 'launch', 'start', 'starting', 'journey',
+  ],
+  disgust: [
+    'disgusting', 'disgusted', 'gross', 'nasty', 'yuck', 'ew', 'eww', 'vile',
+    'revolting', 'sickening', 'repulsive', 'awful', 'filthy', 'creepy', 'cringe',
+    'cringey', 'shameful', 'pathetic', 'horrible', 'rotten', 'hate myself',
+    'ugly', 'trash', 'worst',
+  ],
+  fear: [
+    'afraid', 'scared', 'fear', 'fearful', 'terrified', 'terrifying', 'anxious',
+    'anxiety', 'nervous', 'worried', 'worry', 'worrying', 'panic', 'panicking',
+    'frightened', 'dread', 'dreading', 'uneasy', 'overwhelmed', 'stressed',
+    'stress', 'stressful', 'threat', 'danger', 'dangerous', 'unsafe', 'insecure',
+    'paranoid', 'nightmare', 'helpless', 'alone', 'lost', 'deadline', 'exam',
+    'exams', 'pressure', 'losing', 'die', 'dying', 'death',
+  ],
+  joy: [
+    'happy', 'happiness', 'joy', 'joyful', 'glad', 'great', 'amazing', 'awesome',
+    'wonderful', 'fantastic', 'love', 'loved', 'loving', 'lovely', 'fun',
+    'laugh', 'laughing', 'laughter', 'smile', 'smiling', 'excited', 'blessed',
+    'grateful', 'gratitude', 'thankful', 'proud', 'celebrate', 'celebrating',
+    'beautiful', 'best', 'yay', 'delighted', 'cheerful', 'enjoy', 'enjoyed',
+    'enjoying', 'good', 'nice', 'beach', 'vacation', 'summer', 'success',
+    'achievement', 'accomplished', 'win', 'won', 'winning', 'peaceful', 'relaxed',
+    'energized', 'yum', 'delicious', 'friends', 'memories', 'perfect',
+  ],
+  sadness: [
+    'sad', 'sadness', 'unhappy', 'depressed', 'depression', 'down', 'cry',
+    'crying', 'cried', 'tears', 'lonely', 'loneliness', 'alone', 'hurt', 'hurting',
+    'heartbroken', 'broken', 'miss', 'missing', 'lost', 'grief', 'grieving',
+    'miserable', 'hopeless', 'empty', 'numb', 'tired', 'exhausted', 'sorry',
+    'regret', 'disappointed', 'disappointing', 'failure', 'failed', 'worthless',
+    'useless', 'struggling', 'toughday', 'notokay', 'gone', 'goodbye', 'pain',
+    'suffer', 'suffering', 'rejected', 'abandoned',
+  ],
+  surprise: [
+    'surprise', 'surprised', 'surprising', 'wow', 'omg', 'unexpected',
+    'unexpectedly', 'shocked', 'shocking', 'shock', 'unbelievable', 'cant believe',
+    'sudden', 'suddenly', 'whoa', 'astonished', 'amazed', 'stunned', 'speechless',
+    'wtf', 'plot twist', 'never expected',
+  ],
+  trust: [
+    'trust', 'trusted', 'believe', 'faith', 'loyal', 'honest', 'support',
+    'supportive', 'supported', 'friend', 'friends', 'family', 'together', 'team',
+    'reliable', 'safe', 'secure', 'confident', 'confidence', 'count on', 'care',
+    'caring', 'grateful', 'thankful', 'love', 'community', 'mentor', 'advice',
+    'help', 'helped', 'helpful', 'partner', 'bestie',
+  ],
+};
+
+// word/phrase -> [emotions]
+export const EMOTION_LEXICON = Object.entries(LEXICON_BY_EMOTION).reduce((lexicon, [emotion, words]) => {
+  for (const word of words) {
+    if (!lexicon[word]) lexicon[word] = [];
+    lexicon[word].push(emotion);
+  }
+  return lexicon;
+}, {});
+
+export default EMOTION_LEXICON;
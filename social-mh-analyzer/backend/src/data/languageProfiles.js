@@ -0,0 +1,79 @@
+// Per-language word lists for language detection and the risk classifier.
+// Words are in tokenized form with Latin diacritics removed ("não" -> "nao", see
+// textUtils.foldDiacritics). Hindi lists include Devanagari and romanized (Hinglish) forms.
+// English negation and contrast words live in textUtils (NEGATION_WORDS, CONTRAST_WORDS).
+
+export const SUPPORTED_LANGUAGES = ['en', 'es', 'pt', 'hi'];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Detected language when no supported language could be recognised
+export const UNDETERMINED_LANGUAGE = 'und';
+
+export const LANGUAGE_PROFILES = {
+  en: {
+    name: 'English',
+    stopwords: [
+      'the', 'a', 'an', 'and', 'is', 'are', 'was', 'were', 'i', 'im', 'you', 'it', 'its', 'to', 'of',
+      'in', 'on', 'for', 'with', 'my', 'me', 'this', 'that', 'so', 'but', 'not', 'just', 'at', 'be',
+      'have', 'am', 'do', 'dont', 'what', 'today', 'feel', 'feeling', 'day', 'all', 'your', 'we',
+    ],
+    firstPerson: ['i', 'im', 'ive', 'id', 'ill', 'me', 'my', 'mine', 'myself'],
+    // Sentences starting like this have a dropped "I" ("feeling hopeless", "been cutting")
+    droppedSubjectStarts: ['feeling', 'feel', 'been', 'thinking', 'gonna', 'wanna', 'want', 'cant'],
+    // Words after a negation that make it a hedge ("not sure I want to live")
+    hedges: ['sure', 'know', 'think', 'care', 'even'],
+  },
+
+  es: {
+    name: 'Spanish',
+    stopwords: [
+      'el', 'la', 'los', 'las', 'un', 'una', 'y', 'es', 'son', 'estoy', 'esta', 'de', 'del', 'que',
+      'en', 'por', 'para', 'con', 'mi', 'yo', 'muy', 'pero', 'lo', 'se', 'hoy', 'tu', 'su', 'al',
+      'como', 'todo', 'nada', 'quiero', 'siento', 'hay', 'porque', 'tengo', 'ya', 'eso',
+    ],
+    // Letters only Spanish uses among the supported languages
+    characters: ['ñ', '¿', '¡'],
+    negations: ['no', 'nunca', 'jamas', 'ni', 'tampoco'],
+    contrastWords: ['pero', 'aunque', 'sino'],
+    // Spanish drops the subject, so first-person verb forms count as well
+    firstPerson: ['yo', 'me', 'mi', 'mis', 'conmigo', 'quiero', 'estoy', 'siento', 'soy', 'voy', 'puedo', 'tengo'],
+    hedges: ['se', 'creo'],
+  },
+
+  pt: {
+    name: 'Portuguese',
+    stopwords: [
+      'o', 'os', 'as', 'um', 'uma', 'e', 'sou', 'estou', 'de', 'do', 'da', 'dos', 'das', 'que', 'em',
+      'no', 'na', 'por', 'para', 'com', 'meu', 'minha', 'eu', 'muito', 'mas', 'nao', 'hoje', 'voce',
+      'seu', 'sua', 'ao', 'como', 'tudo', 'nada', 'quero', 'sinto', 'isso', 'tenho', 'ja', 'mais',
+    ],
+    characters: ['ã', 'õ', 'ç', 'ê', 'â'],
+    negations: ['nao', 'nunca', 'jamais', 'nem'],
+    contrastWords: ['mas', 'porem', 'embora', 'contudo'],
+    firstPerson: ['eu', 'me', 'meu', 'minha', 'meus', 'minhas', 'mim', 'comigo', 'quero', 'estou', 'sinto', 'sou', 'vou', 'posso', 'tenho'],
+    hedges: ['sei', 'acho'],
+  },
+
+  hi: {
+    name: 'Hindi',
+    script: 'Devanagari',
+    // Romanized Hindi (Hinglish) function words
+    stopwords: [
+      'hai', 'hain', 'nahi', 'nahin', 'kya', 'mein', 'mujhe', 'bahut', 'yaar', 'kyun', 'aur', 'bhi',
+      'tha', 'thi', 'hoon', 'hu', 'ko', 'se', 'ka', 'ki', 'ke', 'yeh', 'woh', 'kuch', 'sab', 'abhi',
+      'mera', 'meri', 'raha', 'rahi', 'gaya', 'gayi', 'kar', 'kaise',
+    ],
+    negations: ['नहीं', 'नही', 'मत', 'न', 'nahi', 'nahin', 'nai', 'mat', 'na'],
+    // Hindi negation usually follows what it negates ("उदास नहीं हूँ", "udaas nahi hoon")
+    negationFollows: true,
+    contrastWords: ['लेकिन', 'पर', 'मगर', 'lekin', 'par', 'magar'],
+    firstPerson: [
+      'मैं', 'मुझे', 'मेरा', 'मेरी', 'मेरे', 'मुझ', 'हूँ', 'हूं',
+      'main', 'mai', 'mujhe', 'mera', 'meri', 'mere', 'hoon', 'hun',
+    ],
+    hedges: [],
+  },
+};
+
+export default LANGUAGE_PROFILES;
@@ -0,0 +1,121 @@
+// Labelled posts for evaluating the risk classifier offline
+// (run `npm run eval:risk`, see src/scripts/evaluate_risk.js).
+// Labels are the risk level a reviewer would assign to the post on its own:
+// high = suicidal intent or self-harm, medium = hopelessness or passive ideation,
+// low = distress without ideation, none = no risk (including idioms and negations).
+// Posts are classified in the language detected for them, as on ingestion.
+
+export const RISK_CORPUS = [
+  // High
+  { text: 'I want to die', label: 'high' },
+  { text: "I'm going to kill myself tonight", label: 'high' },
+  { text: 'been thinking about suicide a lot lately', label: 'high' },
+  { text: "I've been cutting again and I can't stop", label: 'high' },
+  { text: "I just want to end my life, I'm so tired", label: 'high' },
+  { text: "honestly I don't want to live anymore", label: 'high' },
+  { text: 'feeling suicidal again tonight', label: 'high' },
+  { text: 'gonna k1ll myself lol nobody would notice', label: 'high' },
+  { text: 'i want to unalive myself', label: 'high' },
+  { text: 'kms fr this time', label: 'high' },
+  { text: "thinking about sewerslide again, I'm done", label: 'high' },
+  { text: 'I relapsed on self-harm last night', label: 'high' },
+  { text: "I'm ready to end it all", label: 'high' },
+  { text: "Everyone would be better off if I was dead. I'm better off dead", label: 'high' },
+  { text: "I'm not sure I want to be here. I want to die", label: 'high' },
+  { text: 'su1c1dal thoughts every night', label: 'high' },
+  { text: "I keep thinking I'll just self delete", label: 'high' },
+
+  // Medium
+  { text: 'I feel completely hopeless', label: 'medium' },
+  { text: "I can't go on like this", label: 'medium' },
+  { text: "I'm so tired of life", label: 'medium' },
+  { text: 'I see no reason to live', label: 'medium' },
+  { text: 'I just want to give up on everything', label: 'medium' },
+  { text: 'my family would be better off without me', label: 'medium' },
+  { text: 'some nights I hope I never wake up', label: 'medium' },
+  { text: 'I wish I could just sleep forever', label: 'medium' },
+  { text: "I'm hopeless and so alone", label: 'medium' },
+  { text: 'everything feels hopeless lately', label: 'medium' },
+  { text: 'kys loser nobody likes you', label: 'medium' },
+  { text: 'people in the comments telling me to kill yourself', label: 'medium' },
+  { text: 'feeling h0peless again', label: 'medium' },
+
+  // Low
+  { text: "I'm so depressed today", label: 'low' },
+  { text: 'feeling anxious about tomorrow', label: 'low' },
+  { text: "I'm completely overwhelmed with work", label: 'low' },
+  { text: "I'm lonely tonight", label: 'low' },
+  { text: 'nobody cares about me', label: 'low' },
+  { text: 'I feel worthless', label: 'low' },
+  { text: 'I hate myself sometimes', label: 'low' },
+  { text: 'I am such a failure', label: 'low' },
+  { text: "I'm really disappointed in myself", label: 'low' },
+  { text: 'feeling useless and lonely', label: 'low' },
+  { text: 'so anxious I can barely breathe', label: 'low' },
+  { text: "I'm always alone on weekends", label: 'low' },
+  { text: 'feeling depressed but trying', label: 'low' },
+  { text: 'i h@te myself', label: 'low' },
+
+  // None: negations
+  { text: "I'm not depressed anymore", label: 'none' },
+  { text: "I don't want to die, I want to live my best life", label: 'none' },
+  { text: 'I never feel hopeless when I am with my friends', label: 'none' },
+  { text: "Not lonely at all, I'm surrounded by family", label: 'none' },
+  { text: "I'm no longer anxious about exams", label: 'none' },
+  { text: "I don't hate myself anymore", label: 'none' },
+
+  // None: idioms
+  { text: 'this movie made me want to die laughing', label: 'none' },
+  { text: 'I was dying laughing at that video', label: 'none' },
+  { text: 'that cake is to die for', label: 'none' },
+  { text: 'You are killing it today!', label: 'none' },
+  { text: 'bored to death in this meeting', label: 'none' },
+  { text: 'cutting edge research in AI', label: 'none' },
+  { text: 'got a new cutting board for the kitchen', label: 'none' },
+  { text: 'cutting carbs for the summer', label: 'none' },
+  { text: 'I need some alone time this weekend', label: 'none' },
+  { text: 'overwhelmed with joy at the wedding', label: 'none' },
+  { text: 'trying to give up sugar this month', label: 'none' },
+  { text: 'watched suicide squad with friends', label: 'none' },
+  { text: 'I killed it at the presentation', label: 'none' },
+  { text: 'scared to death of spiders lol', label: 'none' },
+
+  // None: other
+  { text: 'Great day at the beach with friends!', label: 'none' },
+  { text: 'ran 5 kms this morning', label: 'none' },
+  { text: 'Finished my exams, so proud of myself', label: 'none' },
+  { text: 'Just adopted a puppy and I am so happy', label: 'none' },
+  { text: 'new recipe turned out amazing', label: 'none' },
+  { text: 'walking the dog in the sun', label: 'none' },
+  { text: 'Shared a post for suicide prevention month', label: 'none' },
+  { text: 'Never give up on your dreams', label: 'none' },
+  { text: 'Home alone tonight, pizza and movies', label: 'none' },
+  { text: 'Reading a novel about a detective', label: 'none' },
+
+  // Spanish
+  { text: 'Ya no quiero vivir, estoy cansada de todo', label: 'high' },
+  { text: 'Hoy pensé en quitarme la vida', label: 'high' },
+  { text: 'No puedo más con esta situación', label: 'medium' },
+  { text: 'Me siento sola y muy deprimida', label: 'low' },
+  { text: 'No estoy deprimido, solo cansado', label: 'none' },
+  { text: 'Me muero de risa con este video', label: 'none' },
+  { text: '¡Qué día tan bonito en la playa con mis amigos!', label: 'none' },
+
+  // Portuguese
+  { text: 'Eu quero morrer, não aguento mais', label: 'high' },
+  { text: 'Estou sem esperança nenhuma', label: 'medium' },
+  { text: 'Me sinto sozinha e ansiosa hoje', label: 'low' },
+  { text: 'Não estou ansiosa com a prova', label: 'none' },
+  { text: 'Morri de rir com esse vídeo', label: 'none' },
+  { text: 'Hoje foi um dia ótimo com a minha família', label: 'none' },
+
+  // Hindi
+  { text: 'मैं जीना नहीं चाहता', label: 'high' },
+  { text: 'yaar main marna chahta hoon', label: 'high' },
+  { text: 'कोई उम्मीद नहीं बची है', label: 'medium' },
+  { text: 'aaj bahut udaas hoon yaar', label: 'low' },
+  { text: 'मैं उदास नहीं हूँ', label: 'none' },
+  { text: 'आज का दिन बहुत अच्छा था', label: 'none' },
+];
+
+export default RISK_CORPUS;
@@ -0,0 +1,197 @@
+// Bundled risk lexicon. Seeds the RiskTerm collection on first start and is used until
+// the stored lexicon is loaded (see utils/riskLexiconStore.js). Terms are in tokenized
+// form (lowercase, no apostrophes, hyphens split: "can't go on" -> "cant go on",
+// "self-harm" -> "self harm", Latin diacritics removed: "suicídio" -> "suicidio").
+// `category` matches the PostMetric.riskFlags enum. `variant` marks euphemisms and
+// abbreviations so the risk breakdown can say why an unusual word was flagged;
+// `firstPerson` marks terms that refer to the writer on their own ("kms", "quiero morir").
+// Entries without `language` are English.
+
+export const RISK_SEVERITIES = ['high', 'medium', 'low'];
+
+export const RISK_LEXICON = [
+  // High: suicidal ideation and self-harm
+  { term: 'suicide', severity: 'high', category: 'self-harm' },
+  { term: 'suicidal', severity: 'high', category: 'self-harm' },
+  { term: 'kill myself', severity: 'high', category: 'self-harm' },
+  { term: 'end my life', severity: 'high', category: 'self-harm' },
+  { term: 'want to die', severity: 'high', category: 'self-harm' },
+  { term: 'dont want to live', severity: 'high', category: 'self-harm' },
+  { term: 'self harm', severity: 'high', category: 'self-harm' },
+  { term: 'cutting', severity: 'high', category: 'self-harm' },
+  { term: 'end it all', severity: 'high', category: 'self-harm' },
+  { term: 'better off dead', severity: 'high', category: 'self-harm' },
+  { term: 'unalive', severity: 'high', category: 'self-harm', variant: 'euphemism' },
+  { term: 'unalive myself', severity: 'high', category: 'self-harm', variant: 'euphemism' },
+  { term: 'unaliving', severity: 'high', category: 'self-harm', variant: 'euphemism' },
+  { term: 'sewerslide', severity: 'high', category: 'self-harm', variant: 'euphemism' },
+  { term: 'self delete', severity: 'high', category: 'self-harm', variant: 'euphemism' },
+  { term: 'kms', severity: 'high', category: 'self-harm', variant: 'abbreviation', firstPerson: true },
+
+  // Medium: hopelessness
+  { term: 'hopeless', severity: 'medium', category: 'other' },
+  { term: 'cant go on', severity: 'medium', category: 'other' },
+  { term: 'tired of life', severity: 'medium', category: 'other' },
+  { term: 'no reason to live', severity: 'medium', category: 'self-harm' },
+  { term: 'give up', severity: 'medium', category: 'other' },
+  { term: 'better off without me', severity: 'medium', category: 'self-harm' },
+  { term: 'not wake up', severity: 'medium', category: 'self-harm', variant: 'euphemism' },
+  { term: 'dont wake up', severity: 'medium', category: 'self-harm', variant: 'euphemism' },
+  { term: 'never wake up', severity: 'medium', category: 'self-harm', variant: 'euphemism' },
+  { term: 'sleep forever', severity: 'medium', category: 'self-harm', variant: 'euphemism' },
+  { term: 'kill yourself', severity: 'medium', category: 'bullying' },
+  { term: 'kys', severity: 'medium', category: 'bullying', variant: 'abbreviation' },
+
+  // Low: distress and negative self-talk
+  { term: 'depressed', severity: 'low', category: 'other' },
+  { term: 'anxious', severity: 'low', category: 'other' },
+  { term: 'overwhelmed', severity: 'low', category: 'other' },
+  { term: 'lonely', severity: 'low', category: 'other' },
+  { term: 'alone', severity: 'low', category: 'other' },
+  { term: 'nobody cares', severity: 'low', category: 'other' },
+  { term: 'no one cares', severity: 'low', category: 'other' },
+  { term: 'worthless', severity: 'low', category: 'other' },
+  { term: 'useless', severity: 'low', category: 'other' },
+  { term: 'failure', severity: 'low', category: 'other' },
+  { term: 'hate myself', severity: 'low', category: 'other' },
+  { term: 'disappointed in myself', severity: 'low', category: 'other' },
+
+  // Spanish
+  ...[
+    { term: 'suicidio', severity: 'high', category: 'self-harm' },
+    { term: 'suicida', severity: 'high', category: 'self-harm' },
+    { term: 'suicidarme', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'matarme', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'quiero morir', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'quiero morirme', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'quitarme la vida', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'acabar con mi vida', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'no quiero vivir', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'cortarme', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'autolesion', severity: 'high', category: 'self-harm' },
+    { term: 'hacerme dano', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'mejor muerto', severity: 'high', category: 'self-harm' },
+    { term: 'mejor muerta', severity: 'high', category: 'self-harm' },
+    { term: 'sin esperanza', severity: 'medium', category: 'other' },
+    { term: 'desesperanza', severity: 'medium', category: 'other' },
+    { term: 'no puedo mas', severity: 'medium', category: 'other', firstPerson: true },
+    { term: 'no aguanto mas', severity: 'medium', category: 'other', firstPerson: true },
+    { term: 'cansado de vivir', severity: 'medium', category: 'other' },
+    { term: 'cansada de vivir', severity: 'medium', category: 'other' },
+    { term: 'mejor sin mi', severity: 'medium', category: 'self-harm' },
+    { term: 'matate', severity: 'medium', category: 'bullying' },
+    { term: 'suicidate', severity: 'medium', category: 'bullying' },
+    { term: 'deprimido', severity: 'low', category: 'other' },
+    { term: 'deprimida', severity: 'low', category: 'other' },
+    { term: 'ansioso', severity: 'low', category: 'other' },
+    { term: 'ansiosa', severity: 'low', category: 'other' },
+    { term: 'abrumado', severity: 'low', category: 'other' },
+    { term: 'abrumada', severity: 'low', category: 'other' },
+    { term: 'me siento solo', severity: 'low', category: 'other', firstPerson: true },
+    { term: 'me siento sola', severity: 'low', category: 'other', firstPerson: true },
+    { term: 'inutil', severity: 'low', category: 'other' },
+    { term: 'fracaso', severity: 'low', category: 'other' },
+    { term: 'me odio', severity: 'low', category: 'other', firstPerson: true },
+    { term: 'nadie me quiere', severity: 'low', category: 'other', firstPerson: true },
+  ].map(entry => ({ ...entry, language: 'es' })),
+
+  // Portuguese
+  ...[
+    { term: 'suicidio', severity: 'high', category: 'self-harm' },
+    { term: 'suicida', severity: 'high', category: 'self-harm' },
+    { term: 'me matar', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'quero morrer', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'tirar minha vida', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'acabar com minha vida', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'nao quero viver', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'me cortar', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'automutilacao', severity: 'high', category: 'self-harm' },
+    { term: 'autolesao', severity: 'high', category: 'self-harm' },
+    { term: 'melhor morto', severity: 'high', category: 'self-harm' },
+    { term: 'melhor morta', severity: 'high', category: 'self-harm' },
+    { term: 'sem esperanca', severity: 'medium', category: 'other' },
+    { term: 'desesperanca', severity: 'medium', category: 'other' },
+    { term: 'nao aguento mais', severity: 'medium', category: 'other', firstPerson: true },
+    { term: 'nao consigo mais', severity: 'medium', category: 'other', firstPerson: true },
+    { term: 'cansado de viver', severity: 'medium', category: 'other' },
+    { term: 'cansada de viver', severity: 'medium', category: 'other' },
+    { term: 'melhor sem mim', severity: 'medium', category: 'self-harm' },
+    { term: 'se mata', severity: 'medium', category: 'bullying' },
+    { term: 'deprimido', severity: 'low', category: 'other' },
+    { term: 'deprimida', severity: 'low', category: 'other' },
+    { term: 'ansioso', severity: 'low', category: 'other' },
+    { term: 'ansiosa', severity: 'low', category: 'other' },
+    { term: 'sobrecarregado', severity: 'low', category: 'other' },
+    { term: 'sobrecarregada', severity: 'low', category: 'other' },
+    { term: 'sozinho', severity: 'low', category: 'other' },
+    { term: 'sozinha', severity: 'low', category: 'other' },
+    { term: 'inutil', severity: 'low', category: 'other' },
+    { term: 'fracasso', severity: 'low', category: 'other' },
+    { term: 'me odeio', severity: 'low', category: 'other', firstPerson: true },
+    { term: 'ninguem se importa', severity: 'low', category: 'other' },
+  ].map(entry => ({ ...entry, language: 'pt' })),
+
+  // Hindi (Devanagari and romanized)
+  ...[
+    { term: 'आत्महत्या', severity: 'high', category: 'self-harm' },
+    { term: 'खुदकुशी', severity: 'high', category: 'self-harm' },
+    { term: 'मरना चाहता', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'मरना चाहती', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'खुद को मार', severity: 'high', category: 'self-harm' },
+    { term: 'जीना नहीं चाहता', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'जीना नहीं चाहती', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'aatmahatya', severity: 'high', category: 'self-harm' },
+    { term: 'atmahatya', severity: 'high', category: 'self-harm' },
+    { term: 'khudkushi', severity: 'high', category: 'self-harm' },
+    { term: 'marna chahta', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'marna chahti', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'khud ko maar', severity: 'high', category: 'self-harm' },
+    { term: 'jeena nahi chahta', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'jeena nahi chahti', severity: 'high', category: 'self-harm', firstPerson: true },
+    { term: 'कोई उम्मीद नहीं', severity: 'medium', category: 'other' },
+    { term: 'जीने का कोई मतलब नहीं', severity: 'medium', category: 'self-harm' },
+    { term: 'koi umeed nahi', severity: 'medium', category: 'other' },
+    { term: 'jeene ka koi matlab nahi', severity: 'medium', category: 'self-harm' },
+    { term: 'मर जा', severity: 'medium', category: 'bullying' },
+    { term: 'mar ja', severity: 'medium', category: 'bullying' },
+    { term: 'उदास', severity: 'low', category: 'other' },
+    { term: 'अकेला', severity: 'low', category: 'other' },
+    { term: 'अकेली', severity: 'low', category: 'other' },
+    { term: 'तनाव', severity: 'low', category: 'other' },
+    { term: 'बेकार हूँ', severity: 'low', category: 'other', firstPerson: true },
+    { term: 'udaas', severity: 'low', category: 'other' },
+    { term: 'udas', severity: 'low', category: 'other' },
+    { term: 'akela', severity: 'low', category: 'other' },
+    { term: 'akeli', severity: 'low', category: 'other' },
+    { term: 'tanaav', severity: 'low', category: 'other' },
+  ].map(entry => ({ ...entry, language: 'hi' })),
+];
+
+// Everyday phrases that contain risk terms but carry no risk ("die laughing"), by language.
+// Risk terms overlapping one of these are ignored.
+export const RISK_IDIOMS = {
+  en: [
+    'die laughing', 'dying laughing', 'died laughing', 'dying of laughter', 'died of laughter',
+    'to die for', 'bored to death', 'scared to death', 'sick to death',
+    'kill it', 'killing it', 'killed it', 'kill time', 'killing time',
+    'cutting edge', 'cutting board', 'cutting class', 'cutting corners', 'cutting it close',
+    'cutting back', 'cutting down', 'cutting carbs', 'cutting sugar', 'cutting hair', 'cutting my hair',
+    'give up sugar', 'give up smoking', 'give up coffee', 'give up social media',
+    'alone time', 'home alone',
+    'overwhelmed with joy', 'overwhelmed with love', 'overwhelmed with gratitude',
+    'suicide squad', 'suicide prevention', 'suicide awareness',
+  ],
+  es: [
+    'morir de risa', 'morirme de risa', 'muero de risa', 'muerto de risa', 'muerta de risa',
+    'muero de ganas', 'morir de ganas', 'cortarme el pelo', 'prevencion del suicidio',
+  ],
+  pt: [
+    'morrer de rir', 'morrendo de rir', 'morri de rir', 'morrer de saudade', 'morrendo de saudade',
+    'me cortar o cabelo', 'se mata de trabalhar', 'prevencao do suicidio',
+  ],
+  hi: [
+    'हंसते हंसते मर', 'hanste hanste mar',
+  ],
+};
+
+export default RISK_LEXICON;
@@ -0,0 +1,54 @@
+// Sentiment word scores for languages other than English, on the AFINN scale (-5 to 5)
+// the sentiment library uses for English. Spanish and Portuguese words are stored
+// without diacritics ("depresión" -> "depresion"); the analyzer folds the text the same way.
+// Hindi includes Devanagari and romanized (Hinglish) spellings.
+
+export const SENTIMENT_LEXICONS = {
+  es: {
+    feliz: 3, alegre: 3, contento: 2, contenta: 2, genial: 3, increible: 3, excelente: 3,
+    bueno: 2, buena: 2, bien: 2, maravilloso: 4, maravillosa: 4, amor: 3, amo: 3, encanta: 3,
+    gracias: 2, agradecido: 2, agradecida: 2, orgulloso: 2, orgullosa: 2, divertido: 2,
+    divertida: 2, hermoso: 3, hermosa: 3, mejor: 2, exito: 3, tranquilo: 1, tranquila: 1,
+    emocionado: 3, emocionada: 3, risa: 2, sonrisa: 2, paz: 2, esperanza: 2,
+    triste: -2, tristeza: -2, mal: -2, malo: -2, mala: -2, terrible: -3, horrible: -3,
+    odio: -3, odiar: -3, enojado: -2, enojada: -2, enfadado: -2, enfadada: -2, furioso: -3,
+    miedo: -2, asustado: -2, asustada: -2, deprimido: -3, deprimida: -3, depresion: -3,
+    ansiedad: -2, ansioso: -2, ansiosa: -2, estres: -2, estresado: -2, estresada: -2,
+    cansado: -1, cansada: -1, dolor: -2, llorar: -2, llorando: -2, lloro: -2, fracaso: -3,
+    inutil: -3, peor: -3, muerte: -2, morir: -3, culpa: -2, verguenza: -2, aburrido: -1,
+    aburrida: -1, perdido: -1, perdida: -1, desesperado: -3, desesperada: -3, solitario: -2,
+    solitaria: -2,
+  },
+
+  pt: {
+    feliz: 3, alegre: 3, contente: 2, otimo: 3, otima: 3, incrivel: 3, excelente: 3, bom: 2,
+    boa: 2, bem: 2, maravilhoso: 4, maravilhosa: 4, amor: 3, amo: 3, adoro: 3, obrigado: 2,
+    obrigada: 2, grato: 2, grata: 2, orgulhoso: 2, orgulhosa: 2, divertido: 2, divertida: 2,
+    lindo: 3, linda: 3, melhor: 2, sucesso: 3, tranquilo: 1, tranquila: 1, animado: 2,
+    animada: 2, sorriso: 2, paz: 2, esperanca: 2,
+    triste: -2, tristeza: -2, mal: -2, ruim: -2, pessimo: -3, pessima: -3, terrivel: -3,
+    horrivel: -3, odio: -3, odeio: -3, raiva: -3, medo: -2, assustado: -2, assustada: -2,
+    deprimido: -3, deprimida: -3, depressao: -3, ansiedade: -2, ansioso: -2, ansiosa: -2,
+    estresse: -2, estressado: -2, estressada: -2, cansado: -1, cansada: -1, dor: -2,
+    chorar: -2, chorando: -2, choro: -2, fracasso: -3, inutil: -3, pior: -3, morte: -2,
+    morrer: -3, culpa: -2, vergonha: -2, entediado: -1, entediada: -1, perdido: -1,
+    perdida: -1, desesperado: -3, desesperada: -3, sozinho: -2, sozinha: -2, solidao: -2,
+  },
+
+  hi: {
+    'खुश': 3, 'प्यार': 3, 'अच्छा': 2, 'अच्छी': 2, 'बढ़िया': 3, 'शानदार': 3, 'मजा': 2,
+    'शुक्रिया': 2, 'धन्यवाद': 2, 'आनंद': 3, 'सुंदर': 3, 'गर्व': 2, 'उम्मीद': 2, 'सफल': 3,
+    'शांति': 2,
+    'उदास': -2, 'दुखी': -3, 'दुख': -2, 'बुरा': -2, 'बुरी': -2, 'गुस्सा': -3, 'नफरत': -3,
+    'डर': -2, 'तनाव': -2, 'चिंता': -2, 'अकेला': -2, 'अकेली': -2, 'परेशान': -2, 'थका': -1,
+    'थकी': -1, 'रोना': -2, 'दर्द': -2, 'बेकार': -2, 'असफल': -3, 'मौत': -2, 'मरना': -3,
+    'शर्म': -2,
+    khush: 3, pyaar: 3, pyar: 3, accha: 2, acha: 2, achha: 2, badhiya: 3, badiya: 3,
+    shandaar: 3, mazaa: 2, maza: 2, shukriya: 2, dhanyavaad: 2, sundar: 3,
+    udaas: -2, udas: -2, dukhi: -3, dukh: -2, bura: -2, buri: -2, gussa: -3, nafrat: -3,
+    tanaav: -2, tanav: -2, chinta: -2, akela: -2, akeli: -2, pareshan: -2, thaka: -1,
+    dard: -2, bekaar: -2, bekar: -2, maut: -2,
+  },
+};
+
+export default SENTIMENT_LEXICONS;
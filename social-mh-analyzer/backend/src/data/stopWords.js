@@ -0,0 +1,29 @@
+// English stop words ignored by keyword extraction (tokenized form: no apostrophes)
+
+export const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and',
+  'any', 'are', 'arent', 'as', 'at', 'be', 'because', 'been', 'before', 'being',
+  'below', 'between', 'both', 'but', 'by', 'can', 'cant', 'could', 'couldnt',
+  'did', 'didnt', 'do', 'does', 'doesnt', 'doing', 'dont', 'down', 'during',
+  'each', 'few', 'for', 'from', 'further', 'get', 'gets', 'got', 'had', 'hadnt',
+  'has', 'hasnt', 'have', 'havent', 'having', 'he', 'hed', 'hell', 'her', 'here',
+  'heres', 'hers', 'herself', 'hes', 'him', 'himself', 'his', 'how', 'hows', 'i',
+  'id', 'if', 'ill', 'im', 'in', 'into', 'is', 'isnt', 'it', 'its', 'itself',
+  'ive', 'just', 'lets', 'like', 'me', 'more', 'most', 'my', 'myself', 'no',
+  'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'one', 'only', 'or', 'other',
+  'ought', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 'really', 'same',
+  'she', 'shed', 'shell', 'shes', 'should', 'shouldnt', 'so', 'some', 'such',
+  'than', 'that', 'thats', 'the', 'their', 'theirs', 'them', 'themselves',
+  'then', 'there', 'theres', 'these', 'they', 'theyd', 'theyll', 'theyre',
+  'theyve', 'this', 'those', 'through', 'to', 'too', 'today', 'under', 'until',
+  'up', 'us', 'very', 'was', 'wasnt', 'we', 'wed', 'well', 'were', 'werent',
+  'weve', 'what', 'whats', 'when', 'whens', 'where', 'wheres', 'which', 'while',
+  'who', 'whom', 'whos', 'why', 'whys', 'will', 'with', 'wont', 'would',
+  'wouldnt', 'you', 'youd', 'youll', 'your', 'youre', 'yours', 'yourself',
+  'yourselves', 'youve', 'also', 'still', 'even', 'much', 'many', 'going',
+  'gonna', 'wanna', 'make', 'made', 'see', 'know', 'think', 'day', 'time',
+  'new', 'way', 'thing', 'things', 'something', 'anything', 'everything',
+  'every', 'another', 'lol', 'amp', 'rt', 'via',
+]);
+
+export default STOP_WORDS;
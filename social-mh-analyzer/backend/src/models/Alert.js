@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// One message sent (or not) for an alert
+const recipientSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'guardian'],
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'inApp'],
+    default: 'email'
+  },
+  address: String,  // Email address, phone number, or user ID (in-app)
+  // deferred: held for quiet hours or a digest; suppressed: turned off in the
+  // recipient's notification preferences
+  status: {
+    type: String,
+    enum: ['sent', 'deferred', 'failed', 'skipped', 'suppressed'],
+    required: true
+  },
+  messageId: String,
+  error: String,  // Why sending failed or was skipped
+  sendAfter: Date,  // When a deferred message is due
+  sentAt: Date
+}, { _id: false });
+
+// Alert history: one document per escalation rule that fired, including alerts
+// suppressed by a cooldown or by the recipients' preferences, so the same post or analysis never alerts twice
+const alertSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  rule: {
+    type: String,
+    required: true  // ESCALATION_RULES id, see utils/alerting.js
+  },
+  source: {
+    type: String,
+    enum: ['analysis', 'post'],
+    required: true
+  },
+  // Analysis ID, or the PostMetric IDs of the posts that triggered the alert
+  sourceIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    required: true
+  },
+  // Posts the alert was about (for analyses: the risk examples)
+  postIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PostMetric'
+  }],
+  riskLevel: String,
+  riskScore: Number,  // 0-100
+  message: String,    // What the user was told
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'partial', 'failed', 'suppressed'],
+    required: true  // pending while the messages are being sent; failed if sending stopped on an error
+  },
+  suppressedReason: {
+    type: String,
+    enum: ['cooldown', 'duplicate', 'preferences']
+  },
+  recipients: [recipientSchema]
+}, {
+  timestamps: true
+});
+
+// Deduplication: a post or analysis belongs to at most one alert
+alertSchema.index({ source: 1, sourceIds: 1 }, { unique: true });
+alertSchema.index({ postIds: 1 });
+// Cooldown lookups and history
+alertSchema.index({ userId: 1, rule: 1, createdAt: -1 });
+
+const Alert = mongoose.model('Alert', alertSchema);
+
+export default Alert;
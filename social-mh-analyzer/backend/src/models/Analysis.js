@@ -69,7 +69,36 @@ const analysisSchema = new mongoose.Schema({
       anxiety: { type: Number, default: 0 },       // 0-100
       depression: { type: Number, default: 0 },    // 0-100
       loneliness: { type: Number, default: 0 },    // 0-100
-      negativeSelfTalk: { type: Number, default: 0 } // 0-100
+      negativeSelfTalk: { type: Number, default: 0 }, // 0-100
+      
+      // Counts from keyword-based risk detection
+      total: { type: Number, default: 0 },
+      highRisk: { type: Number, default: 0 },
+      mediumRisk: { type: Number, default: 0 },
+      lowRisk: { type: Number, default: 0 },
+      riskLevel: String,
+      riskScore: Number,  // 0-100
+      
+      // Most concerning posts with the breakdown of their risk score
+      examples: [{
+        id: mongoose.Schema.Types.ObjectId,  // PostMetric
+        text: String,
+        timestamp: Date,
+        matches: [String],
+        severity: String,
+        score: Number,    // 0-100, see utils/riskClassifier.js
+        breakdown: [{
+          term: String,
+          severity: String,
+          category: String,
+          negated: Boolean,
+          firstPerson: Boolean,
+          obfuscated: Boolean,
+          basePoints: Number,
+          points: Number,
+          reason: String
+        }]
+      }]
     },
     
     // Sleep patterns (if available from timestamps)
@@ -85,15 +114,26 @@ const analysisSchema = new mongoose.Schema({
       mostActiveDay: String,       // "Monday"
       mostActiveHour: Number,      // 0-23
       peakEngagementTime: String,  // "19:00-21:00"
-      dailyAveragePosts: Number    // Average posts per day
+      dailyAveragePosts: Number,   // Average posts per day
+      lateNight: {                 // Posts between 00:00 and 05:00 local time
+        posts: Number,
+        nights: Number,
+        longestStreak: Number,     // Consecutive nights with late-night posts
+        flagged: Boolean           // Streak long enough to count towards stress
+      }
     },
     
     // Content analysis
     content: {
       topics: [{
         name: String,
-        score: Number,  // 0-100
-        keywords: [String]
+        score: Number,  // 0-100 (share of posts about the topic)
+        keywords: [String],
+        postCount: Number,
+        sentiment: Number,              // -1 to 1
+        negativeShare: Number,          // 0-100% of the topic's posts that are negative
+        stressScore: Number,            // 0-100, content-based
+        negativeSentimentRatio: Number  // negativeShare relative to all other posts
       }],
       emotions: [{
         name: String,   // e.g., "joy", "sadness", "anger"
@@ -107,7 +147,18 @@ const analysisSchema = new mongoose.Schema({
         emoji: String,
         count: Number,
         sentiment: Number  // -1 to 1
-      }]
+      }],
+      // Share of posts analysed with lexicons of their own language
+      languages: {
+        postsWithText: Number,
+        supportedPosts: Number,
+        coverage: Number,  // 0-100%
+        byLanguage: [{
+          language: String,  // ISO 639-1 code, 'und' when undetermined
+          count: Number,
+          share: Number      // 0-100%
+        }]
+      }
     },
     
     // Platform-specific metrics
@@ -132,7 +183,14 @@ const analysisSchema = new mongoose.Schema({
         stressScore: Number
       }],
       weekly: [{
-        week: Number,
+        week: Number,   // ISO week number
+        year: Number,   // ISO week-numbering year
+        postCount: Number,
+        sentiment: Number,
+        stressScore: Number
+      }],
+      monthly: [{      // Only for windows longer than a month (60d/90d)
+        month: Number,  // 1-12
         year: Number,
         postCount: Number,
         sentiment: Number,
@@ -174,6 +232,16 @@ const analysisSchema = new mongoose.Schema({
     }]
   },
   
+  // Period the notable changes were computed against
+  baseline: {
+    analysisId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Analysis'
+    },
+    startDate: Date,
+    endDate: Date
+  },
+  
   // Raw data references
   postMetrics: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -191,10 +259,26 @@ const analysisSchema = new mongoose.Schema({
     stack: String,
     timestamp: Date
   },
+  provider: String,     // Optional platform filter the analysis was run with
+  startedAt: Date,      // When the worker picked up the job
+  heartbeatAt: Date,    // Last time the process running the job marked it alive
+  completedAt: Date,    // When the job reached completed/partial/failed
+  cancelledAt: Date,
   version: {
-    type: String,
+    type: String,   // Scoring algorithm version the metrics were computed with (see utils/scoring.js)
     default: '1.0.0'
   },
+  // User scoring profile the metrics were computed with (see utils/scoringProfiles.js)
+  scoringProfile: {
+    profileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScoringProfile'
+    },
+    revision: Number,
+    baselineSource: String,
+    parameters: mongoose.Schema.Types.Mixed  // Effective caps and weights
+  },
+  riskLexiconVersion: Number,  // Risk lexicon version risk factors were detected with (see utils/riskLexiconStore.js)
   
   // User feedback
   feedback: {
@@ -216,6 +300,7 @@ const analysisSchema = new mongoose.Schema({
 analysisSchema.index({ userId: 1, date: -1 });
 analysisSchema.index({ userId: 1, 'metrics.mentalHealth.stressScore': -1 });
 analysisSchema.index({ userId: 1, 'metrics.mentalHealth.interestScore': -1 });
+analysisSchema.index({ status: 1, createdAt: 1 });
 
 // Virtual for analysis period in days
 analysisSchema.virtual('periodInDays').get(function() {
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Link between a minor and a guardian account. The minor invites a guardian by
+// email; the link becomes active when the guardian accepts with their own account.
+const guardianLinkSchema = new mongoose.Schema({
+  minorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Minor ID is required'],
+    index: true
+  },
+  guardianId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true  // Set when the invite is accepted
+  },
+  email: {
+    type: String,
+    required: [true, 'Guardian email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'revoked'],
+    default: 'pending'
+  },
+  // What the guardian can see: aggregate scores of completed analyses and the alert
+  // history. Raw posts, mood notes and alert messages are never shared.
+  scopes: {
+    type: [{ type: String, enum: ['scores', 'alerts'] }],
+    default: () => ['scores', 'alerts']
+  },
+  tokenHash: {
+    type: String,
+    select: false  // SHA-256 of the invite token, removed once accepted
+  },
+  expiresAt: Date,  // Pending invites only
+  acceptedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+guardianLinkSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+guardianLinkSchema.index({ minorId: 1, email: 1, status: 1 });
+
+const GuardianLink = mongoose.model('GuardianLink', guardianLinkSchema);
+
+export default GuardianLink;
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// A row that could not be imported
+const rowErrorSchema = new mongoose.Schema({
+  line: Number,   // Line in a CSV (the header is line 1); position of the post in a platform export
+  error: String,
+  code: String,   // e.g. 'validation', or a database error code
+  data: mongoose.Schema.Types.Mixed  // The row as read, for the rejected rows CSV
+}, { _id: false });
+
+// One metrics file upload and how far its import got (see utils/importJobs.js)
+const importJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  fileName: String,
+  format: {
+    type: String,
+    default: 'csv'  // or the platform export, see utils/platformExports.js
+  },
+  // Admin bulk import: rows are stored for the users in their userEmail column
+  bulk: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['preview', 'pending', 'processing', 'completed', 'partial', 'failed'],
+    default: 'pending'  // preview: waiting for the column mapping; partial: finished, but some rows were rejected
+  },
+  columns: [String],  // Header of the file (platform exports: the columns they are read into)
+  // CSV imports confirmed after a preview: { field: column } and how to read the file
+  mapping: mongoose.Schema.Types.Mixed,
+  options: {
+    dateFormat: String,
+    timezone: String,
+    delimiter: String
+  },
+  filePath: String,  // Upload kept until a preview is confirmed
+  expiresAt: Date,   // When an unconfirmed preview is dropped
+  heartbeatAt: Date, // Last time the process running the import marked it alive
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  counts: {
+    inserted: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 }
+  },
+  // The first IMPORT_CONFIG.maxRowErrors rejected rows
+  rowErrors: [rowErrorSchema],
+  rowErrorsTruncated: {
+    type: Boolean,
+    default: false
+  },
+  error: String,  // Why the whole import failed
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+importJobSchema.index({ userId: 1, createdAt: -1 });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+export default ImportJob;
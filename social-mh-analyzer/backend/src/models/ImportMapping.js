@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// A CSV column mapping a user saved to reuse for files with the same layout
+// (see utils/columnMapping.js)
+const importMappingSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please give the mapping a name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  mapping: {
+    type: mongoose.Schema.Types.Mixed,  // { field: column }, e.g. { likes: 'Like Count' }
+    required: true
+  },
+  columns: [String],  // Header of the file the mapping was made for
+  options: {
+    dateFormat: String,
+    timezone: String,
+    delimiter: String
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+importMappingSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+const ImportMapping = mongoose.model('ImportMapping', importMappingSchema);
+
+export default ImportMapping;
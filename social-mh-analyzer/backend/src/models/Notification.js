@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// In-app inbox message (see utils/inbox.js)
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  category: {
+    type: String,
+    required: true  // NotificationPreference category
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+  link: String,  // App path to open, e.g. /analysis/<id>
+  data: mongoose.Schema.Types.Mixed,  // e.g. { analysisId } or { alertId, rule }
+  readAt: {
+    type: Date,
+    default: null  // null while unread
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
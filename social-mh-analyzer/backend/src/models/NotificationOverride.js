@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Log of safety-critical messages sent against the recipient's notification preferences
+const notificationOverrideSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  category: String,
+  channel: String,
+  to: String,
+  // Preferences that were ignored
+  overridden: [{
+    type: String,
+    enum: ['category', 'channel', 'quietHours', 'digest']
+  }],
+  reason: String,
+  context: mongoose.Schema.Types.Mixed  // e.g. { alertId, rule }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const NotificationOverride = mongoose.model('NotificationOverride', notificationOverrideSchema);
+
+export default NotificationOverride;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// How and when a user wants to be notified. Users without a document get the defaults.
+// Account messages (welcome, password reset, invites) are not covered: they are always sent.
+const notificationPreferenceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    unique: true
+  },
+  // Alert categories the user receives
+  categories: {
+    mood: { type: Boolean, default: true },      // Concerning mood entries in the calendar
+    risk: { type: Boolean, default: true },      // Risk escalations from posts and analyses
+    analysis: { type: Boolean, default: true },  // Finished analyses
+    guardian: { type: Boolean, default: true }   // Alerts about a ward (guardians)
+  },
+  channels: {
+    email: { type: Boolean, default: true },
+    sms: { type: Boolean, default: true },
+    inApp: { type: Boolean, default: true }
+  },
+  // Messages due during quiet hours are held until they end (user's time zone)
+  quietHours: {
+    enabled: { type: Boolean, default: false },
+    start: { type: String, default: '22:00', match: [TIME_OF_DAY, 'Quiet hours must be HH:MM'] },
+    end: { type: String, default: '07:00', match: [TIME_OF_DAY, 'Quiet hours must be HH:MM'] }
+  },
+  // digest: messages are collected and sent once a day at digestTime
+  delivery: {
+    type: String,
+    enum: ['immediate', 'digest'],
+    default: 'immediate'
+  },
+  digestTime: {
+    type: String,
+    default: '08:00',
+    match: [TIME_OF_DAY, 'Digest time must be HH:MM']
+  }
+}, {
+  timestamps: true
+});
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+export default NotificationPreference;
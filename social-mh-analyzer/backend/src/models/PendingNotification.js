@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Outbox of messages held back by quiet hours or collected for a digest,
+// sent by the notification worker (see utils/notificationDispatcher.js)
+const pendingNotificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  subject: String,
+  text: String,
+  html: String,
+  digest: {
+    type: Boolean,
+    default: false  // Sent together with the user's other digest messages
+  },
+  sendAfter: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'suppressed'],
+    default: 'pending'
+  },
+  claimedAt: Date,  // When a worker started sending it (status 'sending')
+  messageId: String,
+  error: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+pendingNotificationSchema.index({ status: 1, sendAfter: 1 });
+pendingNotificationSchema.index({ userId: 1, status: 1 });
+
+const PendingNotification = mongoose.model('PendingNotification', pendingNotificationSchema);
+
+export default PendingNotification;
@@ -63,7 +63,7 @@ const postMetricSchema = new mongoose.Schema({
       default: 0
     },
     
-    // Sentiment analysis
+    // Sentiment analysis, computed server-side from the text (see analysisEngine.analyzeStoredSentiment)
     sentiment: {
       score: {
         type: Number,
@@ -83,9 +83,22 @@ const postMetricSchema = new mongoose.Schema({
       negative: [{
         word: String,
         score: Number
+      }],
+      emojis: [{
+        emoji: String,
+        sentiment: Number  // -1 to 1, from the emoji sentiment table
       }]
     },
     
+    // Sentiment sent by the client with the post, as received (not used for scoring)
+    clientSentiment: mongoose.Schema.Types.Mixed,
+    
+    // Emotion classification (NRC-style categories)
+    emotions: [{
+      name: String,   // e.g., "joy", "sadness", "anger"
+      score: Number   // 0-100 share of the post's emotion words
+    }],
+    
     // Platform-specific metrics
     platformSpecific: {
       type: Map,
@@ -98,6 +111,13 @@ const postMetricSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Detected language of the text (see utils/languageDetector.js): 'en', 'es', 'pt', 'hi' or 'und'
+  language: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  languageConfidence: Number,  // 0-1
   mediaUrls: [{
     type: String,
     trim: true
@@ -117,6 +137,17 @@ const postMetricSchema = new mongoose.Schema({
     type: String,
     enum: ['self-harm', 'violence', 'hate-speech', 'bullying', 'explicit', 'other']
   }],
+  // Risk classifier result the flags were set from (see analysisEngine.classifyPostRisk)
+  risk: {
+    score: Number,    // 0-100
+    level: {
+      type: String,
+      enum: ['none', 'low', 'medium', 'high']
+    },
+    matches: [String],
+    lexiconVersion: Number,  // null when scored with the bundled lexicon
+    scoredAt: Date
+  },
   
   // Metadata
   url: {
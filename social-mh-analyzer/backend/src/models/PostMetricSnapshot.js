@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Engagement of a post as imported at one point in time. A snapshot is stored when a
+// post is first imported and each time a later import changes its engagement, so the
+// growth of likes, comments etc. is kept while PostMetric holds the latest values.
+const postMetricSnapshotSchema = new mongoose.Schema({
+  postMetricId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PostMetric',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  },
+  metrics: {
+    likes: Number,
+    comments: Number,
+    shares: Number,
+    saves: Number,
+    views: Number,
+    watchTimeSeconds: Number
+  },
+  source: String  // PostMetric source of the import
+}, {
+  versionKey: false
+});
+
+postMetricSnapshotSchema.index({ postMetricId: 1, capturedAt: 1 });
+
+const PostMetricSnapshot = mongoose.model('PostMetricSnapshot', postMetricSnapshotSchema);
+
+export default PostMetricSnapshot;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// One entry per change to the risk lexicon; the highest version is the current lexicon
+const riskLexiconRevisionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    enum: ['seed', 'create', 'update', 'delete'],
+    required: true
+  },
+  termId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RiskTerm'
+  },
+  term: String,     // Normalized term, kept after the entry is deleted
+  language: String,
+  before: mongoose.Schema.Types.Mixed,  // Entry before the change (update/delete)
+  after: mongoose.Schema.Types.Mixed,   // Entry after the change (create/update)
+  termCount: Number,                    // Entries inserted by a seed
+  languages: [String],                  // Languages added by a seed
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const RiskLexiconRevision = mongoose.model('RiskLexiconRevision', riskLexiconRevisionSchema);
+
+export default RiskLexiconRevision;
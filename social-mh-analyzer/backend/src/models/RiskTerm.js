@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import { RISK_SEVERITIES } from '../data/riskLexicon.js';
+import { normalizeRiskTerm, DEFAULT_RISK_LANGUAGE } from '../utils/riskClassifier.js';
+
+// Entry of the risk lexicon (see utils/riskLexiconStore.js). Terms are scored by the
+// risk classifier; idioms suppress terms they overlap with ("die laughing").
+const riskTermSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: [true, 'Term is required'],
+    trim: true,
+    maxlength: [100, 'Term cannot be more than 100 characters']
+  },
+  kind: {
+    type: String,
+    enum: ['term', 'idiom'],
+    default: 'term'
+  },
+  severity: {
+    type: String,
+    enum: RISK_SEVERITIES,
+    required: [function() { return this.kind === 'term'; }, 'Severity is required']
+  },
+  // Matches the PostMetric.riskFlags enum
+  category: {
+    type: String,
+    enum: ['self-harm', 'violence', 'hate-speech', 'bullying', 'explicit', 'other'],
+    required: [function() { return this.kind === 'term'; }, 'Category is required']
+  },
+  language: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: DEFAULT_RISK_LANGUAGE,
+    match: [/^[a-z]{2}$/, 'Language must be an ISO 639-1 code']
+  },
+  variant: {
+    type: String,
+    enum: ['euphemism', 'abbreviation']
+  },
+  firstPerson: {
+    type: Boolean,   // The term refers to the writer on its own ("kms")
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  version: Number,  // Lexicon version in which the entry was last changed
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+riskTermSchema.index({ term: 1, language: 1, kind: 1 }, { unique: true });
+
+// Store terms in the tokenized form the classifier matches against
+riskTermSchema.pre('validate', function(next) {
+  if (this.isModified('term')) {
+    this.term = normalizeRiskTerm(this.term);
+    if (!this.term) {
+      this.invalidate('term', 'Term must contain at least one letter or digit');
+    }
+  }
+  next();
+});
+
+const RiskTerm = mongoose.model('RiskTerm', riskTermSchema);
+
+export default RiskTerm;
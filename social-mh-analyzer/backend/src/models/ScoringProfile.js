@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// Unset values fall back to the defaults of the scoring algorithm (see utils/scoring.js)
+const weight = { type: Number, min: [0, 'Weights cannot be negative'], max: [1, 'Weights cannot be more than 1'] };
+const baseline = { type: Number, min: [0.01, 'Baselines must be greater than 0'] };
+
+const scoringProfileSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    unique: true
+  },
+
+  // Custom weights per score component
+  weights: {
+    interest: {
+      likes: weight,
+      comments: weight,
+      shares: weight,
+      saves: weight,
+      watchTime: weight
+    },
+    stress: {
+      negativeSentiment: weight,
+      negativeShare: weight,
+      postFrequency: weight,
+      lateNightStreak: weight
+    }
+  },
+
+  // Per-post engagement that counts as full interest (the normalisation caps)
+  baselines: {
+    likes: baseline,
+    comments: baseline,
+    shares: baseline,
+    saves: baseline,
+    watchTime: baseline   // Seconds
+  },
+  baselineSource: {
+    type: String,
+    enum: ['history', 'followers', 'default', 'custom'],
+    default: 'default'
+  },
+  baselineSampleSize: Number,  // Posts (history) or followers the baselines were derived from
+  baselinesDerivedAt: Date,
+
+  // Incremented on every change so analyses can tell which settings they were scored with
+  revision: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true
+});
+
+const ScoringProfile = mongoose.model('ScoringProfile', scoringProfileSchema);
+
+export default ScoringProfile;
@@ -30,6 +30,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  timezone: {
+    type: String,
+    trim: true,
+    default: 'UTC'  // IANA time zone used for activity and sleep patterns
+  },
   parentPhone: {
     type: String,
     trim: true,
@@ -44,6 +49,12 @@ const userSchema = new mongoose.Schema({
       message: 'Parent/guardian phone number is required for users under 18'
     }
   },
+  parentEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid parent/guardian email']
+  },
   isUnder18: {
     type: Boolean,
     default: function() {
@@ -0,0 +1,226 @@
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import User from '../../models/User.js';
+import GuardianLink from '../../models/GuardianLink.js';
+import Analysis from '../../models/Analysis.js';
+import Alert from '../../models/Alert.js';
+import { hashInviteToken } from '../../utils/guardianAccess.js';
+import { guardianRoutes } from '../guardians.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const app = express();
+app.use(express.json());
+app.use('/api/guardians', guardianRoutes);
+
+// Date of birth for someone turning `years` old `days` days from now
+const bornYearsAgo = (years, days = 0) => {
+  const dob = new Date();
+  dob.setFullYear(dob.getFullYear() - years);
+  return new Date(dob.getTime() + days * DAY_MS);
+};
+
+const account = (fields) => new User(fields);
+
+let users;
+let links;
+
+// Users and guardian links are kept in memory; queries match on the fields the routes filter by
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => {
+  if (value && typeof value === 'object' && '$gt' in value) return doc[key] > value.$gt;
+  return String(doc[key]) === String(value);
+});
+
+const query = (result) => Object.assign(Promise.resolve(result), { lean: async () => result });
+
+const login = (user) => `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}`;
+
+let minor;
+let guardian;
+
+beforeAll(() => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+});
+
+beforeEach(() => {
+  minor = account({ name: 'Alex', email: 'alex@example.test', dob: bornYearsAgo(15) });
+  guardian = account({ name: 'Robin', email: 'robin@example.test', dob: bornYearsAgo(45) });
+  users = new Map([minor, guardian].map(user => [String(user._id), user]));
+  links = [];
+
+  jest.spyOn(User, 'findById').mockImplementation(id => ({ select: async () => users.get(String(id)) || null }));
+  jest.spyOn(GuardianLink, 'findOne').mockImplementation(filter => query(links.find(link => matches(link, filter)) || null));
+  jest.spyOn(GuardianLink, 'findOneAndUpdate').mockImplementation((filter, { $unset, ...update }) => {
+    const link = links.find(candidate => matches(candidate, filter));
+    if (link) {
+      Object.assign(link, update);
+      Object.keys($unset || {}).forEach(key => delete link[key]);
+    }
+    return { populate: async () => link || null };
+  });
+
+  const emptyFind = { sort: () => emptyFind, limit: () => emptyFind, select: () => emptyFind, lean: async () => [] };
+  jest.spyOn(Analysis, 'find').mockReturnValue(emptyFind);
+  jest.spyOn(Alert, 'find').mockReturnValue(emptyFind);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const invite = (fields = {}) => {
+  const link = {
+    _id: new mongoose.Types.ObjectId(),
+    minorId: minor._id,
+    email: guardian.email,
+    status: 'pending',
+    scopes: ['scores', 'alerts'],
+    tokenHash: hashInviteToken('invite-token'),
+    expiresAt: new Date(Date.now() + DAY_MS),
+    ...fields,
+  };
+  links.push(link);
+  return link;
+};
+
+const accept = (user, token = 'invite-token') => request(app)
+  .post('/api/guardians/accept')
+  .set('Authorization', login(user))
+  .send({ token });
+
+describe('POST /api/guardians/accept', () => {
+  test('links the guardian who was invited', async () => {
+    const link = invite();
+
+    const res = await accept(guardian);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: String(link._id), status: 'active', guardian: String(guardian._id) });
+    expect(link).not.toHaveProperty('tokenHash');
+    expect(link).not.toHaveProperty('expiresAt');
+  });
+
+  test('accepts an invite only once', async () => {
+    invite();
+
+    expect((await accept(guardian)).status).toBe(200);
+
+    const again = await accept(guardian);
+    expect(again.status).toBe(400);
+    expect(again.body.message).toBe('Invalid or expired invite');
+  });
+
+  test('does not activate an invite accepted at the same time by another request', async () => {
+    const link = invite();
+    // The link is accepted between this request's lookup and its update
+    GuardianLink.findOne.mockImplementationOnce(() => {
+      const found = { ...link };
+      link.status = 'active';
+      return query(found);
+    });
+
+    const res = await accept(guardian);
+
+    expect(res.status).toBe(400);
+    expect(GuardianLink.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: link._id, status: 'pending' },
+      expect.anything(),
+      expect.anything()
+    );
+  });
+
+  test('rejects an expired invite', async () => {
+    invite({ expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await accept(guardian);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid or expired invite');
+    expect(GuardianLink.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('rejects a revoked invite and an unknown token', async () => {
+    invite({ status: 'revoked' });
+
+    expect((await accept(guardian)).status).toBe(400);
+    expect((await accept(guardian, 'another-token')).status).toBe(400);
+  });
+
+  test('rejects an account the invite was not sent to', async () => {
+    invite();
+    const other = account({ name: 'Kim', email: 'kim@example.test', dob: bornYearsAgo(40) });
+    users.set(String(other._id), other);
+
+    const res = await accept(other);
+
+    expect(res.status).toBe(403);
+    expect(links[0].status).toBe('pending');
+  });
+
+  test('rejects guardians under 18', async () => {
+    const sibling = account({ name: 'Jo', email: guardian.email, dob: bornYearsAgo(17) });
+    users.set(String(sibling._id), sibling);
+    invite();
+
+    const res = await accept(sibling);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Guardians must be 18 or older');
+  });
+});
+
+describe('GET /api/guardians/wards/:minorId', () => {
+  const viewWard = () => request(app)
+    .get(`/api/guardians/wards/${minor._id}`)
+    .set('Authorization', login(guardian));
+
+  beforeEach(() => {
+    invite({ guardianId: guardian._id, status: 'active', scopes: ['scores'], tokenHash: undefined, expiresAt: undefined });
+  });
+
+  test('shows an active guardian the view of their scopes', async () => {
+    const res = await viewWard();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ minor: { id: String(minor._id), name: 'Alex' }, scopes: ['scores'], scores: [] });
+    expect(res.body).not.toHaveProperty('alerts');
+  });
+
+  test('ends access once the ward turns 18', async () => {
+    minor.dob = bornYearsAgo(18);
+
+    const res = await viewWard();
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('This account is no longer shared with you');
+    expect(Analysis.find).not.toHaveBeenCalled();
+  });
+
+  test('keeps access the day before the ward turns 18', async () => {
+    minor.dob = bornYearsAgo(18, 1);
+
+    expect((await viewWard()).status).toBe(200);
+  });
+
+  test.each(['suspended', 'deleted'])('ends access when the ward\'s account is %s', async (accountStatus) => {
+    minor.accountStatus = accountStatus;
+
+    expect((await viewWard()).status).toBe(403);
+  });
+
+  test('ends access when the ward\'s account is gone', async () => {
+    users.delete(String(minor._id));
+
+    expect((await viewWard()).status).toBe(403);
+  });
+
+  test('is not found for anyone but an active guardian', async () => {
+    links[0].status = 'revoked';
+
+    expect((await viewWard()).status).toBe(404);
+  });
+});
@@ -0,0 +1,64 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { protect } from './auth.js';
+import Alert from '../models/Alert.js';
+
+const router = express.Router();
+
+const ALERT_STATUSES = Alert.schema.path('status').enumValues;
+const ALERT_SOURCES = Alert.schema.path('source').enumValues;
+
+// @desc    Alert history of the logged-in user, newest first
+// @route   GET /api/alerts
+// @access  Private
+router.get(
+  '/',
+  protect,
+  [
+    query('status').optional().isIn(ALERT_STATUSES).withMessage(`Status must be one of ${ALERT_STATUSES.join(', ')}`),
+    query('source').optional().isIn(ALERT_SOURCES).withMessage(`Source must be one of ${ALERT_SOURCES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, source, page = 1, limit = 20 } = req.query;
+
+    try {
+      const filter = { userId: req.user._id };
+      if (status) filter.status = status;
+      if (source) filter.source = source;
+
+      const [alerts, total] = await Promise.all([
+        Alert.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Alert.countDocuments(filter),
+      ]);
+
+      res.json({
+        alerts,
+        pagination: {
+          total,
+          page,
+          pages: Math.ceil(total / limit),
+          limit,
+        },
+      });
+    } catch (error) {
+      console.error('Error fetching alerts:', error);
+      res.status(500).json({
+        message: 'Error fetching alerts',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+export { router as alertRoutes };
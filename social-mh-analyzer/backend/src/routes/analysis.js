@@ -1,18 +1,25 @@
 import express from 'express';
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import { protect } from './auth.js';
 import Analysis from '../models/Analysis.js';
 import PostMetric from '../models/PostMetric.js';
-import { 
-  analyzeMetrics,
-  formatAnalysisReport,
-  calculateStressScore, 
-  calculateInterestScore 
-} from '../utils/analysisUtils.js';
+import { formatAnalysisReport } from '../utils/analysisUtils.js';
+import { enqueueAnalysis, cancelAnalysis, getQueuePosition } from '../utils/analysisQueue.js';
+import { diffMetrics } from '../utils/analysisComparison.js';
+import { CURRENT_SCORING_VERSION, isComparableVersion } from '../utils/scoring.js';
+import {
+  BASELINE_SOURCES,
+  PROFILE_FIELDS,
+  getScoringProfile,
+  updateScoringProfile,
+  resetScoringProfile,
+  describeScoringProfile,
+  isSameScoring,
+} from '../utils/scoringProfiles.js';
 
 const router = express.Router();
 
-// @desc    Run analysis on user's social media metrics
+// @desc    Queue an analysis of user's social media metrics
 // @route   POST /api/analysis/run
 // @access  Private
 router.post(
@@ -74,51 +81,46 @@ router.post(
         query.provider = provider;
       }
 
-      // Get metrics for the specified time range
-      const metrics = await PostMetric.find(query).sort({ timestamp: 1 });
+      // Cheap existence check so clients still get a 404 for empty ranges
+      const hasMetrics = await PostMetric.exists(query);
 
-      if (metrics.length === 0) {
+      if (!hasMetrics) {
         return res.status(404).json({
           message: 'No metrics found for the specified time range',
         });
       }
 
-      // Perform analysis
-      const analysisResults = await analyzeMetrics(metrics, {
-        timeRange,
-        startDate: dateFilter.$gte,
-        endDate: dateFilter.$lte || new Date(),
-      });
-
-      // Save analysis results
+      // Create the analysis in pending status; the worker fills in the results
       const analysis = new Analysis({
         userId,
         timeRange,
         startDate: dateFilter.$gte,
         endDate: dateFilter.$lte || new Date(),
-        metrics: analysisResults,
-        postMetrics: metrics.map(m => m._id),
+        provider,
+        status: 'pending',
+        version: CURRENT_SCORING_VERSION,
       });
 
       await analysis.save();
 
-      // Return results
-      res.status(201).json({
-        message: 'Analysis completed successfully',
+      const queuePosition = enqueueAnalysis(analysis._id);
+
+      res.status(202).json({
+        message: 'Analysis queued',
         analysis: {
           id: analysis._id,
-          date: analysis.date,
+          status: analysis.status,
           timeRange: analysis.timeRange,
           startDate: analysis.startDate,
           endDate: analysis.endDate,
-          metrics: analysis.metrics,
-          summary: analysis.summary,
+          queuePosition,
         },
+        statusUrl: `/api/analysis/${analysis._id}/status`,
       });
     } catch (error) {
-      console.error('Error running analysis:', error);
+      console.error('Error queuing analysis:', error);
       res.status(500).json({
-        message: 'Error running analysis',
+        message: 'Error queuing analysis',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined,
       });
     }
@@ -148,6 +150,204 @@ router.get(
   }
 );
 
+// @desc    Compare two stored analyses (changes of b relative to a)
+// @route   GET /api/analysis/compare?a=&b=
+// @access  Private
+router.get(
+  '/compare',
+  protect,
+  [
+    query('a')
+      .isMongoId()
+      .withMessage('Invalid analysis ID for a'),
+    query('b')
+      .isMongoId()
+      .withMessage('Invalid analysis ID for b'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { a, b } = req.query;
+
+    try {
+      const analyses = await Analysis.find({
+        _id: { $in: [a, b] },
+        userId: req.user._id,
+      }).select('-postMetrics -__v');
+
+      const analysisA = analyses.find(analysis => analysis._id.equals(a));
+      const analysisB = analyses.find(analysis => analysis._id.equals(b));
+
+      if (!analysisA || !analysisB) {
+        return res.status(404).json({ message: 'Analysis not found' });
+      }
+
+      const unfinished = [analysisA, analysisB].find(
+        analysis => !['completed', 'partial'].includes(analysis.status)
+      );
+      if (unfinished) {
+        return res.status(409).json({
+          message: `Analysis ${unfinished._id} has not completed (status: ${unfinished.status})`,
+        });
+      }
+
+      // Scores computed with different formulas are not comparable
+      if (!isComparableVersion(analysisA.version, analysisB.version)) {
+        return res.status(409).json({
+          message: 'Analyses were scored with different algorithm versions and cannot be compared',
+          versions: { a: analysisA.version, b: analysisB.version },
+        });
+      }
+
+      if (!isSameScoring(analysisA, analysisB)) {
+        return res.status(409).json({
+          message: 'Analyses were scored with different scoring profile settings and cannot be compared',
+          scoringProfiles: {
+            a: analysisA.scoringProfile?.revision ?? null,
+            b: analysisB.scoringProfile?.revision ?? null,
+          },
+        });
+      }
+
+      const describe = analysis => ({
+        id: analysis._id,
+        date: analysis.date,
+        timeRange: analysis.timeRange,
+        startDate: analysis.startDate,
+        endDate: analysis.endDate,
+        provider: analysis.provider,
+        version: analysis.version,
+      });
+
+      res.json({
+        a: describe(analysisA),
+        b: describe(analysisB),
+        changes: diffMetrics(analysisA.metrics, analysisB.metrics),
+      });
+    } catch (error) {
+      console.error('Error comparing analyses:', error);
+      res.status(500).json({
+        message: 'Error comparing analyses',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Get the user's scoring profile (created with auto-derived baselines on first use)
+// @route   GET /api/analysis/scoring-profile
+// @access  Private
+router.get(
+  '/scoring-profile',
+  protect,
+  async (req, res) => {
+    try {
+      const profile = await getScoringProfile(req.user._id);
+      res.json(describeScoringProfile(profile, CURRENT_SCORING_VERSION));
+    } catch (error) {
+      console.error('Error fetching scoring profile:', error);
+      res.status(500).json({
+        message: 'Error fetching scoring profile',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Update custom weights and/or baselines (null restores a default)
+// @route   PUT /api/analysis/scoring-profile
+// @access  Private
+router.put(
+  '/scoring-profile',
+  protect,
+  [
+    body('weights.interest')
+      .optional()
+      .custom(value => hasOnlyKeys(value, PROFILE_FIELDS.interestWeights))
+      .withMessage(`Interest weights can only set ${PROFILE_FIELDS.interestWeights.join(', ')}`),
+    body('weights.stress')
+      .optional()
+      .custom(value => hasOnlyKeys(value, PROFILE_FIELDS.stressWeights))
+      .withMessage(`Stress weights can only set ${PROFILE_FIELDS.stressWeights.join(', ')}`),
+    body(['weights.interest.*', 'weights.stress.*'])
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('Weights must be numbers between 0 and 1'),
+    body('baselines')
+      .optional()
+      .custom(value => hasOnlyKeys(value, PROFILE_FIELDS.baselines))
+      .withMessage(`Baselines can only set ${PROFILE_FIELDS.baselines.join(', ')}`),
+    body('baselines.*')
+      .optional({ nullable: true })
+      .isFloat({ gt: 0 })
+      .withMessage('Baselines must be numbers greater than 0'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { weights, baselines } = req.body;
+
+    try {
+      const profile = await updateScoringProfile(req.user._id, { weights, baselines });
+      res.json(describeScoringProfile(profile, CURRENT_SCORING_VERSION));
+    } catch (error) {
+      console.error('Error updating scoring profile:', error);
+      res.status(500).json({
+        message: 'Error updating scoring profile',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Drop custom weights and re-derive baselines
+// @route   POST /api/analysis/scoring-profile/reset
+// @access  Private
+router.post(
+  '/scoring-profile/reset',
+  protect,
+  [
+    body('source')
+      .optional()
+      .isIn(BASELINE_SOURCES)
+      .withMessage(`Source must be one of ${BASELINE_SOURCES.join(', ')}`),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { source = 'auto' } = req.body;
+
+    try {
+      const profile = await resetScoringProfile(req.user._id, source);
+
+      if (!profile) {
+        return res.status(422).json({
+          message: source === 'history'
+            ? 'Not enough posts to derive baselines from your history'
+            : 'No follower counts available from your connected accounts',
+        });
+      }
+
+      res.json(describeScoringProfile(profile, CURRENT_SCORING_VERSION));
+    } catch (error) {
+      console.error('Error resetting scoring profile:', error);
+      res.status(500).json({
+        message: 'Error resetting scoring profile',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
 // @desc    Get a specific analysis by ID
 // @route   GET /api/analysis/:id
 // @access  Private
@@ -186,6 +386,102 @@ router.get(
   }
 );
 
+// @desc    Get the processing status of an analysis
+// @route   GET /api/analysis/:id/status
+// @access  Private
+router.get(
+  '/:id/status',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid analysis ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const analysis = await Analysis.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+      }).select('status error createdAt startedAt completedAt cancelledAt');
+
+      if (!analysis) {
+        return res.status(404).json({ message: 'Analysis not found' });
+      }
+
+      res.json({
+        id: analysis._id,
+        status: analysis.status,
+        queuePosition: analysis.status === 'pending' ? getQueuePosition(analysis._id) : null,
+        error: analysis.error?.message || null,
+        createdAt: analysis.createdAt,
+        startedAt: analysis.startedAt,
+        completedAt: analysis.completedAt,
+        cancelledAt: analysis.cancelledAt,
+      });
+    } catch (error) {
+      console.error('Error fetching analysis status:', error);
+      res.status(500).json({
+        message: 'Error fetching analysis status',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Cancel a pending or processing analysis
+// @route   POST /api/analysis/:id/cancel
+// @access  Private
+router.post(
+  '/:id/cancel',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid analysis ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const analysis = await cancelAnalysis(req.params.id, req.user._id);
+
+      if (!analysis) {
+        const exists = await Analysis.exists({
+          _id: req.params.id,
+          userId: req.user._id,
+        });
+
+        if (!exists) {
+          return res.status(404).json({ message: 'Analysis not found' });
+        }
+
+        return res.status(409).json({ message: 'Analysis has already finished' });
+      }
+
+      res.json({
+        message: 'Analysis cancelled',
+        id: analysis._id,
+        status: analysis.status,
+        cancelledAt: analysis.cancelledAt,
+      });
+    } catch (error) {
+      console.error('Error cancelling analysis:', error);
+      res.status(500).json({
+        message: 'Error cancelling analysis',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
 // @desc    Get analysis report (formatted for display)
 // @route   GET /api/analysis/:id/report
 // @access  Private
@@ -265,47 +561,12 @@ router.delete(
   }
 );
 
-// Helper function to calculate interest score
-function calculateInterestScore(metrics) {
-  // Simple weighted average of engagement metrics
-  const { likes = 0, comments = 0, shares = 0, saves = 0, watchTime = 0 } = metrics;
-  
-  // Normalize values (adjust weights as needed)
-  const normalizedLikes = Math.min(likes / 100, 1);
-  const normalizedComments = Math.min(comments / 10, 1);
-  const normalizedShares = Math.min(shares / 20, 1);
-  const normalizedSaves = Math.min(saves / 10, 1);
-  const normalizedWatchTime = Math.min(watchTime / 60, 1); // Assuming 60 seconds is a good watch time
-  
-  // Weighted average (adjust weights based on importance)
-  const score = (
-    (normalizedLikes * 0.4) +
-    (normalizedComments * 0.3) +
-    (normalizedShares * 0.2) +
-    (normalizedSaves * 0.05) +
-    (normalizedWatchTime * 0.05)
-  ) * 100; // Convert to 0-100 scale
-  
-  return Math.min(Math.max(score, 0), 100); // Ensure score is between 0 and 100
-}
-
-// Helper function to calculate stress score
-function calculateStressScore(metrics) {
-  const { sentiment = 0, negativePercentage = 0, postFrequency = 0 } = metrics;
-  
-  // Normalize values (adjust weights as needed)
-  const normalizedSentiment = (1 - (sentiment + 1) / 2) * 100; // Convert -1 to 1 range to 0-100
-  const normalizedNegative = negativePercentage; // Already 0-100
-  const normalizedFrequency = Math.min(postFrequency / 5, 1) * 100; // Cap at 5 posts per day
-  
-  // Weighted average (adjust weights based on importance)
-  const score = (
-    (normalizedSentiment * 0.3) +
-    (normalizedNegative * 0.5) +
-    (normalizedFrequency * 0.2)
-  );
-  
-  return Math.min(Math.max(score, 0), 100); // Ensure score is between 0 and 100
+// Plain object whose keys are all in the allowed list
+function hasOnlyKeys(value, allowed) {
+  return value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    Object.keys(value).every(key => allowed.includes(key));
 }
 
 export { router as analysisRoutes };
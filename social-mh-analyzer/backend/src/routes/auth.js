@@ -2,7 +2,11 @@ import express from 'express';
 import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
-import { sendEmail } from '../utils/mailer.js';
+import GuardianLink from '../models/GuardianLink.js';
+import PendingNotification from '../models/PendingNotification.js';
+import Notification from '../models/Notification.js';
+import { dispatchNotification } from '../utils/notificationDispatcher.js';
+import { isValidTimeZone } from '../utils/temporalPatterns.js';
 
 const router = express.Router();
 
@@ -24,6 +28,8 @@ router.post(
     body('password', 'Please enter a password with 8 or more characters').isLength({ min: 8 }),
     body('dob', 'Date of birth is required').isISO8601(),
     body('consent', 'You must agree to the terms and privacy policy').equals('true'),
+    body('timezone', 'Timezone must be a valid IANA time zone').optional().custom(isValidTimeZone),
+    body('parentEmail', 'Please include a valid parent/guardian email').optional({ checkFalsy: true }).isEmail(),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -31,7 +37,7 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password, dob, phone, parentPhone } = req.body;
+    const { name, email, password, dob, phone, parentPhone, parentEmail, timezone } = req.body;
 
     try {
       // Check if user already exists
@@ -66,7 +72,9 @@ router.post(
         password,
         dob: birthDate,
         phone,
+        timezone,
         parentPhone: isUnder18 ? parentPhone : undefined,
+        parentEmail: isUnder18 && parentEmail ? parentEmail : undefined,
         isUnder18,
         consent: true,
       });
@@ -78,7 +86,10 @@ router.post(
 
       // Send welcome email
       try {
-        await sendEmail({
+        await dispatchNotification({
+          user,
+          category: 'account',
+          channel: 'email',
           to: user.email,
           subject: 'Welcome to Social MH Analyzer',
           text: `Hi ${user.name},\n\nThank you for registering with Social MH Analyzer. We're excited to help you track and understand your social media habits and mental well-being.\n\nBest regards,\nThe Social MH Analyzer Team`,
@@ -232,6 +243,7 @@ router.delete('/delete', async (req, res) => {
     user.email = `deleted-${Date.now()}-${user.email}`; // Anonymize email
     user.phone = '';
     user.parentPhone = '';
+    user.parentEmail = undefined;
     user.name = 'Deleted User';
     user.dob = new Date('2000-01-01');
     
@@ -240,6 +252,16 @@ router.delete('/delete', async (req, res) => {
     
     await user.save();
 
+    // End guardian access in both directions
+    await GuardianLink.updateMany(
+      { $or: [{ minorId: user._id }, { guardianId: user._id }], status: { $in: ['pending', 'active'] } },
+      { status: 'revoked', revokedAt: new Date(), revokedBy: user._id, $unset: { tokenHash: 1 } }
+    );
+
+    // Drop messages held for quiet hours or a digest, and the in-app inbox
+    await PendingNotification.updateMany({ userId: user._id, status: 'pending' }, { status: 'suppressed' });
+    await Notification.deleteMany({ userId: user._id });
+
     res.json({ msg: 'Account deleted successfully' });
   } catch (err) {
     console.error(err.message);
@@ -283,7 +305,10 @@ router.post(
       const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}&id=${user._id}`;
 
       try {
-        await sendEmail({
+        await dispatchNotification({
+          user,
+          category: 'account',
+          channel: 'email',
           to: user.email,
           subject: 'Password Reset Request',
           text: `You are receiving this email because you (or someone else) has requested a password reset.\n\n` +
@@ -352,7 +377,10 @@ router.put(
 
       // Send confirmation email
       try {
-        await sendEmail({
+        await dispatchNotification({
+          user,
+          category: 'account',
+          channel: 'email',
           to: user.email,
           subject: 'Password Updated Successfully',
           text: `Your password has been successfully updated.\n\n` +
@@ -409,4 +437,12 @@ const protect = async (req, res, next) => {
   }
 };
 
-export { router as authRoutes, protect };
+// Middleware to restrict routes to admins (use after protect)
+const admin = (req, res, next) => {
+  if (req.user && req.user.role === 'admin') {
+    return next();
+  }
+  res.status(403).json({ msg: 'Not authorized as an admin' });
+};
+
+export { router as authRoutes, protect, admin };
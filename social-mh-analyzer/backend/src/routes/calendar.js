@@ -3,7 +3,9 @@ import { body, param, validationResult } from 'express-validator';
 import { protect } from './auth.js';
 import CalendarEvent from '../models/CalendarEvent.js';
 import Analysis from '../models/Analysis.js';
-import { sendEmail } from '../utils/mailer.js';
+import { dispatchNotification } from '../utils/notificationDispatcher.js';
+import { getGuardianContacts } from '../utils/guardianAccess.js';
+import { getWeekNumber, getWeekYear } from '../utils/dateUtils.js';
 
 const router = express.Router();
 
@@ -481,7 +483,7 @@ router.get(
         
         moodEntries.forEach(entry => {
           const date = new Date(entry.start);
-          const year = date.getFullYear();
+          const year = getWeekYear(date);
           const weekNum = getWeekNumber(date);
           const weekKey = `${year}-W${weekNum.toString().padStart(2, '0')}`;
           
@@ -649,8 +651,11 @@ async function checkMoodAlerts(event, user) {
 
     // If this is the first concerning mood in a while, send a notification
     if (recentConcerningMoods === 0) {
-      // Send email to user
-      await sendEmail({
+      // Send email to user, as their notification preferences allow
+      await dispatchNotification({
+        user,
+        category: 'mood',
+        channel: 'email',
         to: user.email,
         subject: 'We noticed you\'re not feeling your best',
         text: `Hi ${user.name},\n\nWe noticed you logged a mood of "${event.mood.category}". We're here to help.\n\n` +
@@ -682,10 +687,38 @@ async function checkMoodAlerts(event, user) {
         `,
       });
 
-      // If user is under 18 and has a parent email, notify parent
-      if (user.isUnder18 && user.parentEmail) {
-        await sendEmail({
-          to: user.parentEmail,
+      // And in their in-app inbox
+      await dispatchNotification({
+        user,
+        category: 'mood',
+        channel: 'inApp',
+        subject: 'We noticed you\'re not feeling your best',
+        text: `You logged a mood of "${event.mood.category}". If you're feeling down, consider reaching out ` +
+          `to someone you trust or a mental health professional.`,
+        link: '/resources',
+        data: { eventId: event._id },
+      });
+
+      // If user is under 18, notify their guardians, each as their own preferences allow
+      const guardians = await getGuardianContacts(user);
+      for (const guardian of guardians.filter(contact => contact.user)) {
+        await dispatchNotification({
+          user: guardian.user,
+          category: 'guardian',
+          channel: 'inApp',
+          subject: `Concern about ${user.name}'s well-being`,
+          text: `${user.name} has logged some concerning mood entries. We encourage you to check in with them ` +
+            `to see how they're doing.`,
+          link: `/guardians/wards/${user._id}`,
+          data: { minorId: user._id },
+        });
+      }
+      for (const guardian of guardians.filter(contact => contact.email)) {
+        await dispatchNotification({
+          user: guardian.user,
+          category: 'guardian',
+          channel: 'email',
+          to: guardian.email,
           subject: `Concern about ${user.name}'s well-being`,
           text: `Dear Parent/Guardian,\n\n` +
             `We wanted to let you know that ${user.name} has logged some concerning mood entries in the Social MH Analyzer app.\n\n` +
@@ -723,15 +756,6 @@ async function checkMoodAlerts(event, user) {
   }
 }
 
-// Helper function to get ISO week number
-function getWeekNumber(date) {
-  const d = new Date(date);
-  d.setHours(0, 0, 0, 0);
-  d.setDate(d.getDate() + 3 - (d.getDay() + 6) % 7);
-  const week1 = new Date(d.getFullYear(), 0, 4);
-  return 1 + Math.round(((d - week1) / 86400000 - 3 + (week1.getDay() + 6) % 7) / 7);
-}
-
 export { router as calendarRoutes };
 
 // Note: In a production environment, you might want to:
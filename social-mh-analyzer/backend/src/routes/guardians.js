@@ -0,0 +1,347 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { protect } from './auth.js';
+import GuardianLink from '../models/GuardianLink.js';
+import User from '../models/User.js';
+import { composeGuardianInvite } from '../utils/mailer.js';
+import { dispatchNotification } from '../utils/notificationDispatcher.js';
+import {
+  GUARDIAN_CONFIG,
+  GUARDIAN_SCOPES,
+  createInviteToken,
+  hashInviteToken,
+  buildGuardianView,
+} from '../utils/guardianAccess.js';
+
+const router = express.Router();
+
+const scopeItemValidator = body('scopes.*')
+  .isIn(GUARDIAN_SCOPES)
+  .withMessage(`Scopes must be among ${GUARDIAN_SCOPES.join(', ')}`);
+
+// Public fields of a link; populated users are reduced to name and email
+const describeLink = link => ({
+  id: link._id,
+  email: link.email,
+  status: link.status,
+  scopes: link.scopes,
+  minor: link.minorId?.name ? { id: link.minorId._id, name: link.minorId.name } : link.minorId,
+  guardian: link.guardianId?.name
+    ? { id: link.guardianId._id, name: link.guardianId.name, email: link.guardianId.email }
+    : link.guardianId,
+  expiresAt: link.expiresAt,
+  acceptedAt: link.acceptedAt,
+  createdAt: link.createdAt,
+});
+
+// @desc    Invite a parent/guardian to link their account (users under 18)
+// @route   POST /api/guardians/invite
+// @access  Private
+router.post(
+  '/invite',
+  protect,
+  [
+    body('email', 'Please include a valid email').isEmail(),
+    body('scopes').optional().isArray().withMessage('Scopes must be an array'),
+    scopeItemValidator,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.user.isUnder18) {
+      return res.status(403).json({ message: 'Only users under 18 can invite a guardian' });
+    }
+
+    const email = req.body.email.toLowerCase().trim();
+    const scopes = req.body.scopes ? [...new Set(req.body.scopes)] : undefined;
+
+    if (email === req.user.email) {
+      return res.status(400).json({ message: 'You cannot invite yourself as a guardian' });
+    }
+
+    try {
+      const existing = await GuardianLink.exists({
+        minorId: req.user._id,
+        email,
+        status: { $in: ['pending', 'active'] },
+      });
+      if (existing) {
+        return res.status(409).json({ message: 'This guardian has already been invited' });
+      }
+
+      const { token, tokenHash } = createInviteToken();
+      const link = await GuardianLink.create({
+        minorId: req.user._id,
+        email,
+        scopes,
+        tokenHash,
+        expiresAt: new Date(Date.now() + GUARDIAN_CONFIG.inviteTtl),
+      });
+
+      const sent = await dispatchNotification({
+        category: 'account',
+        channel: 'email',
+        to: email,
+        ...composeGuardianInvite(req.user.name, token, link.expiresAt),
+      });
+      if (sent.status !== 'sent') {
+        await GuardianLink.deleteOne({ _id: link._id });
+        return res.status(502).json({ message: 'Could not send the invite email, please try again' });
+      }
+
+      res.status(201).json(describeLink(link));
+    } catch (error) {
+      console.error('Error inviting guardian:', error);
+      res.status(500).json({
+        message: 'Error inviting guardian',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Accept a guardian invite with the account it was sent to
+// @route   POST /api/guardians/accept
+// @access  Private
+router.post(
+  '/accept',
+  protect,
+  [body('token', 'Invite token is required').isString().notEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const invite = await GuardianLink.findOne({
+        tokenHash: hashInviteToken(req.body.token),
+        status: 'pending',
+        expiresAt: { $gt: new Date() },
+      });
+
+      if (!invite) {
+        return res.status(400).json({ message: 'Invalid or expired invite' });
+      }
+
+      if (invite.email !== req.user.email) {
+        return res.status(403).json({ message: 'This invite was sent to a different email address' });
+      }
+
+      if (invite.minorId.equals(req.user._id)) {
+        return res.status(400).json({ message: 'You cannot be your own guardian' });
+      }
+
+      if (req.user.isUnder18) {
+        return res.status(403).json({ message: 'Guardians must be 18 or older' });
+      }
+
+      // Conditional update so a revoked or already accepted invite is never activated
+      const link = await GuardianLink.findOneAndUpdate(
+        { _id: invite._id, status: 'pending' },
+        {
+          guardianId: req.user._id,
+          status: 'active',
+          acceptedAt: new Date(),
+          $unset: { tokenHash: 1, expiresAt: 1 },
+        },
+        { new: true }
+      ).populate('minorId', 'name');
+
+      if (!link) {
+        return res.status(400).json({ message: 'Invalid or expired invite' });
+      }
+
+      res.json(describeLink(link));
+    } catch (error) {
+      console.error('Error accepting guardian invite:', error);
+      res.status(500).json({
+        message: 'Error accepting guardian invite',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    The user's guardians and invites (as a minor) and wards (as a guardian)
+// @route   GET /api/guardians
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const [guardians, wards] = await Promise.all([
+      GuardianLink.find({ minorId: req.user._id, status: { $in: ['pending', 'active'] } })
+        .sort({ createdAt: -1 })
+        .populate('guardianId', 'name email')
+        .lean(),
+      GuardianLink.find({ guardianId: req.user._id, status: 'active' })
+        .sort({ acceptedAt: -1 })
+        .populate('minorId', 'name')
+        .lean(),
+    ]);
+
+    res.json({
+      guardians: guardians.map(describeLink),
+      wards: wards.map(describeLink),
+    });
+  } catch (error) {
+    console.error('Error fetching guardians:', error);
+    res.status(500).json({
+      message: 'Error fetching guardians',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// @desc    Exactly what each active guardian can see, as they see it
+// @route   GET /api/guardians/shared
+// @access  Private
+router.get('/shared', protect, async (req, res) => {
+  try {
+    const links = await GuardianLink.find({ minorId: req.user._id, status: 'active' })
+      .sort({ acceptedAt: -1 })
+      .populate('guardianId', 'name email')
+      .lean();
+
+    const shares = await Promise.all(links.map(async link => ({
+      ...describeLink(link),
+      view: await buildGuardianView(req.user, link.scopes),
+    })));
+
+    res.json({ shares });
+  } catch (error) {
+    console.error('Error fetching shared data:', error);
+    res.status(500).json({
+      message: 'Error fetching shared data',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// @desc    Read-only view of a ward's scores and alerts
+// @route   GET /api/guardians/wards/:minorId
+// @access  Private (active guardian of the minor)
+router.get(
+  '/wards/:minorId',
+  protect,
+  [param('minorId').isMongoId().withMessage('Invalid user ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const link = await GuardianLink.findOne({
+        minorId: req.params.minorId,
+        guardianId: req.user._id,
+        status: 'active',
+      }).lean();
+
+      if (!link) {
+        return res.status(404).json({ message: 'Ward not found' });
+      }
+
+      const minor = await User.findById(link.minorId).select('name dob accountStatus');
+
+      // Access ends when the minor turns 18 or leaves
+      if (!minor || minor.accountStatus !== 'active' || minor.age >= 18) {
+        return res.status(403).json({ message: 'This account is no longer shared with you' });
+      }
+
+      res.json(await buildGuardianView(minor, link.scopes));
+    } catch (error) {
+      console.error('Error fetching ward view:', error);
+      res.status(500).json({
+        message: 'Error fetching ward view',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Change what a guardian can see
+// @route   PUT /api/guardians/:id
+// @access  Private (the minor)
+router.put(
+  '/:id',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid guardian link ID'),
+    body('scopes').isArray().withMessage('Scopes must be an array'),
+    scopeItemValidator,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const link = await GuardianLink.findOneAndUpdate(
+        { _id: req.params.id, minorId: req.user._id, status: { $in: ['pending', 'active'] } },
+        { scopes: [...new Set(req.body.scopes)] },
+        { new: true, runValidators: true }
+      ).populate('guardianId', 'name email');
+
+      if (!link) {
+        return res.status(404).json({ message: 'Guardian not found' });
+      }
+
+      res.json(describeLink(link));
+    } catch (error) {
+      console.error('Error updating guardian scopes:', error);
+      res.status(500).json({
+        message: 'Error updating guardian scopes',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    End a guardian link or withdraw an invite (minor or guardian)
+// @route   DELETE /api/guardians/:id
+// @access  Private
+router.delete(
+  '/:id',
+  protect,
+  [param('id').isMongoId().withMessage('Invalid guardian link ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const link = await GuardianLink.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          status: { $in: ['pending', 'active'] },
+          $or: [{ minorId: req.user._id }, { guardianId: req.user._id }],
+        },
+        {
+          status: 'revoked',
+          revokedAt: new Date(),
+          revokedBy: req.user._id,
+          $unset: { tokenHash: 1 },
+        }
+      );
+
+      if (!link) {
+        return res.status(404).json({ message: 'Guardian link not found' });
+      }
+
+      res.json({ message: 'Guardian access removed' });
+    } catch (error) {
+      console.error('Error removing guardian link:', error);
+      res.status(500).json({
+        message: 'Error removing guardian link',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+export { router as guardianRoutes };
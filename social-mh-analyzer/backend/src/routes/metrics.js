@@ -1,14 +1,39 @@
 import express from 'express';
 import multer from 'multer';
-import csvParser from 'csv-parser';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { protect } from './auth.js';
+import { protect, admin } from './auth.js';
 import PostMetric from '../models/PostMetric.js';
+import PostMetricSnapshot from '../models/PostMetricSnapshot.js';
+import ImportJob from '../models/ImportJob.js';
+import ImportMapping from '../models/ImportMapping.js';
 import SocialConnection from '../models/SocialConnection.js';
 import { body, param, validationResult } from 'express-validator';
+import { classifyEmotions } from '../utils/emotionClassifier.js';
+import { analyzeStoredSentiment, parseClientSentiment, classifyPostRisk } from '../utils/analysisEngine.js';
+import { loadRiskLexicon } from '../utils/riskLexiconStore.js';
+import { detectLanguage } from '../utils/languageDetector.js';
+import { evaluatePostAlerts } from '../utils/alerting.js';
+import { upsertPostMetrics, getPostMetricHistory } from '../utils/postMetricStore.js';
+import {
+  startImport,
+  startImportPreview,
+  confirmImport,
+  previewCsv,
+  expireImportPreviews,
+  buildRejectedRowsCsv,
+} from '../utils/importJobs.js';
+import {
+  MAPPING_CONFIG,
+  IMPORT_FIELDS,
+  NAMED_DATE_FORMATS,
+  suggestColumnMapping,
+  validateColumnMapping,
+  validateImportOptions,
+} from '../utils/columnMapping.js';
+import { detectImportFormat } from '../utils/platformExports.js';
 
 const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
@@ -31,11 +56,15 @@ const storage = multer.diskStorage({
   },
 });
 
+const CSV_SIZE_LIMIT = 10 * 1024 * 1024; // 10MB limit
+
+const isCsvFile = (file) => file.mimetype === 'text/csv' || path.extname(file.originalname).toLowerCase() === '.csv';
+
 const upload = multer({
   storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  limits: { fileSize: CSV_SIZE_LIMIT },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    if (isCsvFile(file)) {
       cb(null, true);
     } else {
       cb(new Error('Only CSV files are allowed'), false);
@@ -43,134 +72,563 @@ const upload = multer({
   },
 });
 
-// Helper function to process CSV file
-const processCSV = (filePath, userId) => {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    const errors = [];
-    let rowCount = 0;
-    const batchSize = 100;
-    let batch = [];
-    
-    const processBatch = async (batchData) => {
-      try {
-        // In a real app, you would validate and transform the data here
-        const processedBatch = batchData.map(item => {
-          // Basic validation and transformation
-          const metric = {
-            userId,
-            provider: item.provider || 'manual',
-            providerPostId: item.providerPostId || `manual_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            timestamp: new Date(item.timestamp) || new Date(),
-            metrics: {
-              likes: parseInt(item.likes) || 0,
-              comments: parseInt(item.comments) || 0,
-              shares: parseInt(item.shares) || 0,
-              saves: parseInt(item.saves) || 0,
-              watchTimeSeconds: parseInt(item.watchTimeSeconds) || 0,
-              sentiment: item.sentiment ? JSON.parse(item.sentiment) : { score: 0, comparative: 0, tokens: [], positive: [], negative: [] },
-            },
-            text: item.text || '',
-            mediaUrls: item.mediaUrls ? item.mediaUrls.split(';').filter(url => url.trim() !== '') : [],
-            mediaType: item.mediaType || 'other',
-            source: 'csv_import',
-            sourceId: `batch_${Date.now()}`,
-          };
-          
-          return metric;
-        });
-        
-        // Insert batch into database
-        await PostMetric.insertMany(processedBatch, { ordered: false });
-        return processedBatch.length;
-      } catch (error) {
-        console.error('Error processing batch:', error);
-        return 0;
-      }
-    };
-    
-    fs.createReadStream(filePath)
-      .pipe(csvParser())
-      .on('data', async (data) => {
-        try {
-          rowCount++;
-          batch.push(data);
-          
-          // Process in batches
-          if (batch.length >= batchSize) {
-            const currentBatch = [...batch];
-            batch = [];
-            const processedCount = await processBatch(currentBatch);
-            results.push(...currentBatch);
-          }
-        } catch (error) {
-          errors.push({
-            row: rowCount,
-            error: error.message,
-            data,
-          });
-        }
-      })
-      .on('end', async () => {
-        try {
-          // Process remaining items in the last batch
-          if (batch.length > 0) {
-            const processedCount = await processBatch(batch);
-            results.push(...batch);
-          }
-          
-          // Clean up the file
-          fs.unlink(filePath, (err) => {
-            if (err) console.error('Error deleting temp file:', err);
-          });
-          
-          resolve({
-            total: rowCount,
-            success: results.length,
-            errors: errors.length,
-            errorDetails: errors,
-          });
-        } catch (error) {
-          reject(error);
-        }
-      })
-      .on('error', (error) => {
-        reject(error);
-      });
+// CSVs, platform data-download archives (zip) and single files out of them
+const EXPORT_EXTENSIONS = ['.csv', '.zip', '.json', '.js'];
+
+// Only POST /upload takes archives. They are kept on disk and only their small activity
+// files are read (see platformExports.EXPORT_CONFIG.maxEntrySize). CSVs sent there are
+// still held to CSV_SIZE_LIMIT once stored, since multer has a single limit per instance.
+const exportUpload = multer({
+  storage,
+  limits: { fileSize: 500 * 1024 * 1024 }, // 500MB limit, archives can include media
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || EXPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files and platform export archives (zip, json, js) are allowed'), false);
+    }
+  },
+});
+
+// Alert on high-risk posts after they are stored, without holding up the response;
+// alerting problems never fail an upload
+const alertOnPosts = (userId, posts) => {
+  evaluatePostAlerts(userId, posts).catch(error => {
+    console.error('Error sending post alerts:', error);
   });
 };
 
-// @desc    Upload CSV file with social media metrics
+// Shape of an import in API responses
+const describeImport = (job) => ({
+  id: job._id,
+  fileName: job.fileName,
+  format: job.format,
+  bulk: job.bulk,
+  status: job.status,
+  columns: job.columns,
+  mapping: job.mapping,
+  options: job.options,
+  expiresAt: job.expiresAt,  // Previews only
+  processedRows: job.processedRows,
+  counts: job.counts,
+  rejectedRows: (job.rowErrors || []).map(({ line, error, code }) => ({ line, error, code })),
+  rejectedRowsTruncated: job.rowErrorsTruncated,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+});
+
+// Shape of a saved column mapping in API responses
+const describeMapping = (mapping) => ({
+  id: mapping._id,
+  name: mapping.name,
+  mapping: mapping.mapping,
+  columns: mapping.columns,
+  options: mapping.options,
+  lastUsedAt: mapping.lastUsedAt,
+  createdAt: mapping.createdAt,
+  updatedAt: mapping.updatedAt,
+});
+
+// Form fields cannot easily hold a tab, so 'tab' is accepted for it
+const toDelimiter = (value) => (value === 'tab' ? '\t' : value);
+
+const removeUpload = (file) => {
+  if (file && fs.existsSync(file.path)) {
+    fs.unlink(file.path, (err) => {
+      if (err) console.error('Error deleting temp file:', err);
+    });
+  }
+};
+
+// @desc    Upload a CSV file with social media metrics, or a platform data-download archive
+//          (Instagram, X/Twitter, TikTok, YouTube Takeout); the format is detected and
+//          the file is imported in the background
 // @route   POST /api/metrics/upload
 // @access  Private
 router.post(
   '/upload',
   protect,
+  exportUpload.single('file'),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'No file uploaded' });
+      }
+
+      if (isCsvFile(req.file) && req.file.size > CSV_SIZE_LIMIT) {
+        removeUpload(req.file);
+        return res.status(413).json({ message: 'CSV files can be at most 10MB' });
+      }
+
+      const format = await detectImportFormat(req.file.path, req.file.originalname);
+      if (!format) {
+        removeUpload(req.file);
+        return res.status(400).json({
+          message: 'Unrecognized file: upload a CSV or an Instagram, X/Twitter, TikTok or YouTube (Takeout) data export',
+        });
+      }
+
+      const job = await startImport({
+        userId: req.user._id,
+        filePath: req.file.path,
+        fileName: req.file.originalname,
+        format,
+      });
+
+      res.status(202).json({
+        message: 'Import started',
+        import: describeImport(job),
+        statusUrl: `/api/metrics/imports/${job._id}`,
+      });
+    } catch (error) {
+      console.error('Error processing upload:', error);
+      removeUpload(req.file);
+
+      res.status(500).json({
+        message: 'Error processing uploaded file',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Bulk import a CSV with posts of several users: each row is stored for the user
+//          in its userEmail column, and rows with unknown emails are rejected. The
+//          delimiter is guessed from the header unless given.
+// @route   POST /api/metrics/imports/bulk
+// @access  Private/Admin
+router.post(
+  '/imports/bulk',
+  protect,
+  admin,
   upload.single('file'),
+  [
+    body('delimiter').optional().customSanitizer(toDelimiter).isIn(MAPPING_CONFIG.delimiters)
+      .withMessage('Delimiter must be one of , ; tab |'),
+  ],
   async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUpload(req.file);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     try {
       if (!req.file) {
         return res.status(400).json({ message: 'No file uploaded' });
       }
 
-      const result = await processCSV(req.file.path, req.user._id);
-      
+      const format = await detectImportFormat(req.file.path, req.file.originalname);
+      if (format !== 'csv') {
+        removeUpload(req.file);
+        return res.status(400).json({ message: 'Bulk imports take a CSV file' });
+      }
+
+      const { delimiter, columns } = await previewCsv(req.file.path, { delimiter: req.body.delimiter, rows: 0 });
+      if (!columns.includes('userEmail')) {
+        removeUpload(req.file);
+        return res.status(400).json({
+          message: 'Bulk imports need a userEmail column; use the column mapping preview for other layouts',
+          columns,
+        });
+      }
+
+      const job = await startImport({
+        userId: req.user._id,
+        filePath: req.file.path,
+        fileName: req.file.originalname,
+        bulk: true,
+        delimiter,
+      });
+
+      res.status(202).json({
+        message: 'Import started',
+        import: describeImport(job),
+        statusUrl: `/api/metrics/imports/${job._id}`,
+      });
+    } catch (error) {
+      console.error('Error processing bulk upload:', error);
+      removeUpload(req.file);
+      res.status(500).json({
+        message: 'Error processing uploaded file',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Progress and result of an upload, with the rejected rows and their line numbers
+// @route   GET /api/metrics/imports/:id
+// @access  Private
+router.get(
+  '/imports/:id',
+  protect,
+  [param('id').isMongoId().withMessage('Invalid import ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const job = await ImportJob.findOne({ _id: req.params.id, userId: req.user._id }).lean();
+      if (!job) {
+        return res.status(404).json({ message: 'Import not found' });
+      }
+
       res.json({
-        message: 'File processed successfully',
-        ...result,
+        ...describeImport(job),
+        rejectedRowsUrl: job.rowErrors.length > 0 ? `/api/metrics/imports/${job._id}/rejected.csv` : null,
       });
     } catch (error) {
-      console.error('Error processing CSV:', error);
-      
-      // Clean up the file if it exists
-      if (req.file && fs.existsSync(req.file.path)) {
-        fs.unlink(req.file.path, (err) => {
-          if (err) console.error('Error deleting temp file:', err);
+      console.error('Error fetching import:', error);
+      res.status(500).json({
+        message: 'Error fetching import',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Download the rejected rows of an upload as CSV, with their line and error
+// @route   GET /api/metrics/imports/:id/rejected.csv
+// @access  Private
+router.get(
+  '/imports/:id/rejected.csv',
+  protect,
+  [param('id').isMongoId().withMessage('Invalid import ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const job = await ImportJob.findOne({ _id: req.params.id, userId: req.user._id })
+        .select('fileName columns rowErrors')
+        .lean();
+      if (!job) {
+        return res.status(404).json({ message: 'Import not found' });
+      }
+
+      const baseName = (job.fileName || 'import').replace(/\.csv$/i, '').replace(/[^\w.-]+/g, '_');
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.attachment(`${baseName}-rejected.csv`);
+      res.send(buildRejectedRowsCsv(job));
+    } catch (error) {
+      console.error('Error exporting rejected rows:', error);
+      res.status(500).json({
+        message: 'Error exporting rejected rows',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    First step of a CSV import with a column mapping: upload the file and get its
+//          columns, the first rows and a suggested mapping (a saved mapping that fits the
+//          file, or one guessed from the column names) with the date format and delimiter
+// @route   POST /api/metrics/imports/preview
+// @access  Private
+router.post(
+  '/imports/preview',
+  protect,
+  upload.single('file'),
+  [
+    body('rows').optional().isInt({ min: 1, max: MAPPING_CONFIG.maxPreviewRows })
+      .withMessage(`Rows must be between 1 and ${MAPPING_CONFIG.maxPreviewRows}`).toInt(),
+    body('delimiter').optional().customSanitizer(toDelimiter).isIn(MAPPING_CONFIG.delimiters)
+      .withMessage('Delimiter must be one of , ; tab |'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUpload(req.file);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'No file uploaded' });
+      }
+
+      const format = await detectImportFormat(req.file.path, req.file.originalname);
+      if (format !== 'csv') {
+        removeUpload(req.file);
+        return res.status(400).json({
+          message: format
+            ? `This is a ${format} data export; upload it to /api/metrics/upload, it needs no column mapping`
+            : 'Only CSV files can be previewed',
         });
       }
-      
+
+      const { job, delimiter, columns, rows } = await startImportPreview({
+        userId: req.user._id,
+        filePath: req.file.path,
+        fileName: req.file.originalname,
+        delimiter: req.body.delimiter,
+        rows: req.body.rows,
+      });
+      const suggestion = await suggestColumnMapping(req.user._id, columns, rows);
+
+      res.status(201).json({
+        message: 'Preview ready',
+        import: describeImport(job),
+        delimiter,
+        columns,
+        rows,
+        mapping: suggestion.mapping,
+        options: {
+          dateFormat: suggestion.options.dateFormat,
+          timezone: suggestion.options.timezone || req.user.timezone || 'UTC',
+          delimiter,
+        },
+        dateFormatAmbiguous: suggestion.dateFormatAmbiguous,
+        savedMapping: suggestion.savedMapping,
+        fields: Object.keys(IMPORT_FIELDS),
+        dateFormats: NAMED_DATE_FORMATS,
+        confirmUrl: `/api/metrics/imports/${job._id}/confirm`,
+      });
+    } catch (error) {
+      console.error('Error previewing upload:', error);
+      removeUpload(req.file);
+      res.status(500).json({
+        message: 'Error previewing uploaded file',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Second step of a mapped CSV import: confirm the column mapping (or a saved
+//          mappingId) and the date format, time zone and delimiter, optionally saving the
+//          mapping for later files; the file is then imported in the background.
+//          Admins can set bulk to store each row for the user in its userEmail column.
+// @route   POST /api/metrics/imports/:id/confirm
+// @access  Private
+router.post(
+  '/imports/:id/confirm',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid import ID'),
+    body('mapping').optional().isObject().withMessage('Mapping must be an object of field: column'),
+    body('mappingId').optional().isMongoId().withMessage('Invalid mapping ID'),
+    body('options').optional().isObject().withMessage('Options must be an object'),
+    body('options.delimiter').optional().customSanitizer(toDelimiter),
+    body('saveMappingAs').optional().isString().trim()
+      .isLength({ min: 1, max: 100 }).withMessage('Mapping name must be 1 to 100 characters'),
+    body('bulk').optional().isBoolean().withMessage('Bulk must be true or false').toBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const bulk = req.body.bulk === true;
+    if (bulk && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only admins can run bulk imports' });
+    }
+
+    try {
+      const job = await ImportJob.findOne({ _id: req.params.id, userId: req.user._id })
+        .select('status columns options filePath expiresAt error')
+        .lean();
+      if (!job) {
+        return res.status(404).json({ message: 'Import not found' });
+      }
+      if (job.status !== 'preview') {
+        return res.status(409).json({ message: job.error || 'Import has already been confirmed', status: job.status });
+      }
+      if (job.expiresAt <= new Date()) {
+        await expireImportPreviews();
+        return res.status(410).json({ message: 'Preview expired; please upload the file again' });
+      }
+
+      let saved = null;
+      if (req.body.mappingId) {
+        saved = await ImportMapping.findOne({ _id: req.body.mappingId, userId: req.user._id }).lean();
+        if (!saved) {
+          return res.status(404).json({ message: 'Saved mapping not found' });
+        }
+      }
+
+      const mapping = req.body.mapping || saved?.mapping;
+      if (!mapping) {
+        return res.status(400).json({ message: 'Provide a column mapping or a saved mappingId' });
+      }
+
+      const requested = req.body.options || {};
+      const options = {
+        dateFormat: requested.dateFormat ?? saved?.options?.dateFormat ?? MAPPING_CONFIG.defaultDateFormat,
+        timezone: requested.timezone ?? saved?.options?.timezone ?? req.user.timezone ?? 'UTC',
+        delimiter: requested.delimiter ?? saved?.options?.delimiter ?? job.options?.delimiter ?? ',',
+      };
+      const optionProblems = validateImportOptions(options);
+      if (optionProblems.length > 0) {
+        return res.status(400).json({ message: 'Invalid import options', problems: optionProblems });
+      }
+
+      // The columns change with the delimiter
+      const columns = options.delimiter === job.options?.delimiter
+        ? job.columns
+        : (await previewCsv(job.filePath, { delimiter: options.delimiter, rows: 0 })).columns;
+
+      const mappingProblems = validateColumnMapping(mapping, columns);
+      if (bulk && !mapping.userEmail) {
+        mappingProblems.push('Bulk imports need a column mapped to userEmail');
+      }
+      if (mappingProblems.length > 0) {
+        return res.status(400).json({ message: 'Invalid column mapping', problems: mappingProblems, columns });
+      }
+      const confirmedMapping = Object.fromEntries(Object.entries(mapping).filter(([, column]) => column));
+
+      let savedMapping = saved;
+      if (req.body.saveMappingAs) {
+        savedMapping = await ImportMapping.findOneAndUpdate(
+          { userId: req.user._id, name: req.body.saveMappingAs },
+          { mapping: confirmedMapping, columns, options, lastUsedAt: new Date() },
+          { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+        ).lean();
+      } else if (saved) {
+        await ImportMapping.updateOne({ _id: saved._id }, { lastUsedAt: new Date() });
+      }
+
+      const started = await confirmImport({
+        jobId: job._id,
+        userId: req.user._id,
+        mapping: confirmedMapping,
+        options,
+        columns,
+        bulk,
+      });
+      if (!started) {
+        return res.status(409).json({ message: 'Import has already been confirmed or has expired' });
+      }
+
+      res.status(202).json({
+        message: 'Import started',
+        import: describeImport(started),
+        statusUrl: `/api/metrics/imports/${started._id}`,
+        savedMapping: savedMapping ? { id: savedMapping._id, name: savedMapping.name } : null,
+      });
+    } catch (error) {
+      console.error('Error confirming import:', error);
+      res.status(500).json({
+        message: 'Error confirming import',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Column mappings the user saved for CSV imports, most recently used first
+// @route   GET /api/metrics/import-mappings
+// @access  Private
+router.get('/import-mappings', protect, async (req, res) => {
+  try {
+    const mappings = await ImportMapping.find({ userId: req.user._id })
+      .sort({ lastUsedAt: -1, updatedAt: -1 })
+      .lean();
+
+    res.json({ mappings: mappings.map(describeMapping) });
+  } catch (error) {
+    console.error('Error fetching import mappings:', error);
+    res.status(500).json({
+      message: 'Error fetching import mappings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// @desc    Rename or change a saved column mapping
+// @route   PUT /api/metrics/import-mappings/:id
+// @access  Private
+router.put(
+  '/import-mappings/:id',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid mapping ID'),
+    body('name').optional().isString().trim()
+      .isLength({ min: 1, max: 100 }).withMessage('Mapping name must be 1 to 100 characters'),
+    body('mapping').optional().isObject().withMessage('Mapping must be an object of field: column'),
+    body('options').optional().isObject().withMessage('Options must be an object'),
+    body('options.delimiter').optional().customSanitizer(toDelimiter),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const mapping = await ImportMapping.findOne({ _id: req.params.id, userId: req.user._id });
+      if (!mapping) {
+        return res.status(404).json({ message: 'Saved mapping not found' });
+      }
+
+      if (req.body.mapping) {
+        const problems = validateColumnMapping(req.body.mapping, null);
+        if (problems.length > 0) {
+          return res.status(400).json({ message: 'Invalid column mapping', problems });
+        }
+        mapping.mapping = Object.fromEntries(Object.entries(req.body.mapping).filter(([, column]) => column));
+      }
+
+      if (req.body.options) {
+        const { dateFormat, timezone, delimiter } = req.body.options;
+        const problems = validateImportOptions({ dateFormat, timezone, delimiter });
+        if (problems.length > 0) {
+          return res.status(400).json({ message: 'Invalid import options', problems });
+        }
+        for (const [option, value] of Object.entries({ dateFormat, timezone, delimiter })) {
+          if (value !== undefined) mapping.set(`options.${option}`, value);
+        }
+      }
+
+      if (req.body.name !== undefined) mapping.name = req.body.name;
+      await mapping.save();
+
+      res.json({ mapping: describeMapping(mapping) });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'You already have a mapping with this name' });
+      }
+      console.error('Error updating import mapping:', error);
       res.status(500).json({
-        message: 'Error processing CSV file',
+        message: 'Error updating import mapping',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Delete a saved column mapping
+// @route   DELETE /api/metrics/import-mappings/:id
+// @access  Private
+router.delete(
+  '/import-mappings/:id',
+  protect,
+  [param('id').isMongoId().withMessage('Invalid mapping ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await ImportMapping.deleteOne({ _id: req.params.id, userId: req.user._id });
+      if (result.deletedCount === 0) {
+        return res.status(404).json({ message: 'Saved mapping not found' });
+      }
+
+      res.json({ message: 'Mapping deleted' });
+    } catch (error) {
+      console.error('Error deleting import mapping:', error);
+      res.status(500).json({
+        message: 'Error deleting import mapping',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined,
       });
     }
@@ -200,11 +658,16 @@ router.post(
     const results = {
       total: metrics.length,
       success: 0,
+      inserted: 0,
+      updated: 0,
+      unchanged: 0,
       errors: 0,
       errorDetails: [],
     };
 
     try {
+      await loadRiskLexicon();
+
       // Process metrics in batches
       const batchSize = 50;
       for (let i = 0; i < metrics.length; i += batchSize) {
@@ -212,23 +675,30 @@ router.post(
         
         const processedBatch = batch.map(item => {
           try {
+            const { language, confidence } = detectLanguage(item.text);
+
             // Validate and transform the data
             return {
               userId,
               provider: item.provider,
               providerPostId: item.providerPostId,
-              timestamp: item.timestamp ? new Date(item.timestamp) : new Date(),
+              timestamp: item.timestamp ? new Date(item.timestamp) : undefined,  // Import time for new posts
               metrics: {
                 likes: parseInt(item.likes) || 0,
                 comments: parseInt(item.comments) || 0,
                 shares: parseInt(item.shares) || 0,
                 saves: parseInt(item.saves) || 0,
                 watchTimeSeconds: parseInt(item.watchTimeSeconds) || 0,
-                sentiment: item.sentiment || { score: 0, comparative: 0 },
+                sentiment: analyzeStoredSentiment(item.text, language),
+                clientSentiment: parseClientSentiment(item.sentiment),
+                emotions: classifyEmotions(item.text).emotions,
               },
               text: item.text || '',
+              language,
+              languageConfidence: confidence,
               mediaUrls: Array.isArray(item.mediaUrls) ? item.mediaUrls : [],
               mediaType: item.mediaType || 'other',
+              ...classifyPostRisk(item.text, language),
               source: 'api',
               sourceId: item.sourceId || `api_${Date.now()}_${i}`,
               sourceMetadata: item.sourceMetadata || {},
@@ -242,37 +712,24 @@ router.post(
             });
             return null;
           }
-        }).filter(item => item !== null);
+        });
 
-        // Insert valid items
-        if (processedBatch.length > 0) {
-          try {
-            await PostMetric.insertMany(processedBatch, { ordered: false });
-            results.success += processedBatch.length;
-          } catch (error) {
-            // Handle duplicate key errors and other bulk write errors
-            if (error.code === 11000) {
-              // Handle duplicate key errors
-              const duplicateCount = error.result.result.nInserted || 0;
-              const duplicateErrors = error.result.result.writeErrors?.length || 0;
-              results.success += duplicateCount;
-              results.errors += duplicateErrors;
-              
-              // Add error details for duplicates
-              if (error.result.result.writeErrors) {
-                error.result.result.writeErrors.forEach(writeError => {
-                  results.errorDetails.push({
-                    index: i + writeError.index,
-                    error: writeError.errmsg,
-                    code: writeError.code,
-                  });
-                });
-              }
-            } else {
-              // For other errors, fail the entire batch
-              throw error;
-            }
-          }
+        // Insert new posts and refresh the metrics of posts ingested before
+        const valid = processedBatch
+          .map((item, batchIndex) => ({ item, index: i + batchIndex }))
+          .filter(({ item }) => item !== null);
+        if (valid.length > 0) {
+          const stored = await upsertPostMetrics(valid.map(({ item }) => item));
+          alertOnPosts(userId, [...stored.insertedDocs, ...stored.updatedDocs]);
+
+          results.inserted += stored.inserted;
+          results.updated += stored.updated;
+          results.unchanged += stored.unchanged;
+          results.success += stored.inserted + stored.updated + stored.unchanged;
+          results.errors += stored.errors.length;
+          stored.errors.forEach(({ index, error, code }) => {
+            results.errorDetails.push({ index: valid[index].index, error, code });
+          });
         }
       }
 
@@ -425,6 +882,48 @@ router.get(
   }
 );
 
+// @desc    Engagement history of a post: a snapshot per import that changed it, oldest first
+// @route   GET /api/metrics/:id/history
+// @access  Private
+router.get(
+  '/:id/history',
+  protect,
+  [param('id').isMongoId().withMessage('Invalid post ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const post = await PostMetric.findOne({ _id: req.params.id, userId: req.user._id })
+        .select('provider providerPostId timestamp metrics.likes metrics.comments metrics.shares metrics.saves metrics.views metrics.watchTimeSeconds lastUpdated')
+        .lean();
+      if (!post) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+
+      const history = await getPostMetricHistory(post._id);
+
+      res.json({
+        id: post._id,
+        provider: post.provider,
+        providerPostId: post.providerPostId,
+        timestamp: post.timestamp,
+        current: post.metrics,
+        lastUpdated: post.lastUpdated,
+        history,
+      });
+    } catch (error) {
+      console.error('Error fetching post history:', error);
+      res.status(500).json({
+        message: 'Error fetching post history',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
 // @desc    Delete metrics by ID or filter
 // @route   DELETE /api/metrics
 // @access  Private
@@ -472,8 +971,10 @@ router.delete(
         }
       }
 
-      // Delete matching records
-      const result = await PostMetric.deleteMany(query);
+      // Delete matching records and their engagement history
+      const postIds = await PostMetric.distinct('_id', query);
+      const result = await PostMetric.deleteMany({ _id: { $in: postIds } });
+      await PostMetricSnapshot.deleteMany({ postMetricId: { $in: postIds } });
       
       res.json({
         message: 'Metrics deleted successfully',
@@ -0,0 +1,241 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { protect } from './auth.js';
+import Notification from '../models/Notification.js';
+import NotificationPreference from '../models/NotificationPreference.js';
+import { getNotificationPreferences } from '../utils/notificationDispatcher.js';
+import { INBOX_CONFIG, markInboxRead, subscribeToInbox, describeNotification } from '../utils/inbox.js';
+
+const router = express.Router();
+
+const CATEGORIES = Object.keys(NotificationPreference.schema.obj.categories);
+const CHANNELS = Object.keys(NotificationPreference.schema.obj.channels);
+const DELIVERY_MODES = NotificationPreference.schema.path('delivery').enumValues;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Only these fields can be changed through the API
+const EDITABLE_FIELDS = [
+  ...CATEGORIES.map(category => `categories.${category}`),
+  ...CHANNELS.map(channel => `channels.${channel}`),
+  'quietHours.enabled',
+  'quietHours.start',
+  'quietHours.end',
+  'delivery',
+  'digestTime',
+];
+
+function describePreferences({ categories, channels, quietHours, delivery, digestTime }) {
+  return { categories, channels, quietHours, delivery, digestTime };
+}
+
+// @desc    In-app notifications of the logged-in user, newest first
+// @route   GET /api/notifications
+// @access  Private
+router.get(
+  '/',
+  protect,
+  [
+    query('unread').optional().isBoolean().withMessage('unread must be true or false').toBoolean(),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    try {
+      const filter = { userId: req.user._id };
+      if (unread === true) filter.readAt = null;
+      if (unread === false) filter.readAt = { $ne: null };
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Notification.countDocuments(filter),
+        Notification.countDocuments({ userId: req.user._id, readAt: null }),
+      ]);
+
+      res.json({
+        notifications: notifications.map(describeNotification),
+        unreadCount,
+        pagination: {
+          total,
+          page,
+          pages: Math.ceil(total / limit),
+          limit,
+        },
+      });
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      res.status(500).json({
+        message: 'Error fetching notifications',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Live in-app notifications as Server-Sent Events: 'ready' with the unread count,
+//          then 'notification' for each new one and 'read' when some are marked read.
+//          Authenticates with the Authorization header like every other route, so browsers
+//          need a fetch-based EventSource client.
+// @route   GET /api/notifications/stream
+// @access  Private
+router.get('/stream', protect, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ userId: req.user._id, readAt: null });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',  // Stop nginx from buffering the stream
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('ready', { unreadCount });
+
+    const unsubscribe = subscribeToInbox(req.user._id, send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), INBOX_CONFIG.heartbeatInterval);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('Error opening notification stream:', error);
+    res.status(500).json({
+      message: 'Error opening notification stream',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// @desc    Mark all in-app notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', protect, async (req, res) => {
+  try {
+    const updated = await markInboxRead(req.user._id);
+    res.json({ updated });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({
+      message: 'Error marking notifications as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// @desc    Notification preferences of the logged-in user (defaults if never saved)
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get('/preferences', protect, async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences(req.user._id);
+    res.json(describePreferences(preferences));
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({
+      message: 'Error fetching notification preferences',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// @desc    Update notification preferences; fields left out keep their value.
+//          Safety-critical alerts are still sent, and each time they override a preference it is logged.
+// @route   PUT /api/notifications/preferences
+// @access  Private
+router.put(
+  '/preferences',
+  protect,
+  [
+    ...CATEGORIES.map(category =>
+      body(`categories.${category}`).optional().isBoolean().withMessage(`categories.${category} must be true or false`).toBoolean()
+    ),
+    ...CHANNELS.map(channel =>
+      body(`channels.${channel}`).optional().isBoolean().withMessage(`channels.${channel} must be true or false`).toBoolean()
+    ),
+    body('quietHours.enabled').optional().isBoolean().withMessage('quietHours.enabled must be true or false').toBoolean(),
+    body('quietHours.start').optional().matches(TIME_OF_DAY).withMessage('quietHours.start must be HH:MM'),
+    body('quietHours.end').optional().matches(TIME_OF_DAY).withMessage('quietHours.end must be HH:MM'),
+    body('delivery').optional().isIn(DELIVERY_MODES).withMessage(`Delivery must be one of ${DELIVERY_MODES.join(', ')}`),
+    body('digestTime').optional().matches(TIME_OF_DAY).withMessage('Digest time must be HH:MM'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const update = {};
+    for (const field of EDITABLE_FIELDS) {
+      const value = field.split('.').reduce((object, key) => object?.[key], req.body);
+      if (value !== undefined) update[field] = value;
+    }
+
+    try {
+      const preferences = await NotificationPreference.findOneAndUpdate(
+        { userId: req.user._id },
+        { $set: update },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      ).lean();
+
+      res.json(describePreferences(preferences));
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      res.status(500).json({
+        message: 'Error updating notification preferences',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Mark an in-app notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put(
+  '/:id/read',
+  protect,
+  [param('id').isMongoId().withMessage('Invalid notification ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const notification = await Notification.findOne({ _id: req.params.id, userId: req.user._id });
+      if (!notification) {
+        return res.status(404).json({ message: 'Notification not found' });
+      }
+
+      if (!notification.readAt) {
+        await markInboxRead(req.user._id, [notification._id]);
+        notification.readAt = new Date();
+      }
+
+      res.json(describeNotification(notification));
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      res.status(500).json({
+        message: 'Error marking notification as read',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+export { router as notificationRoutes };
@@ -0,0 +1,316 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { protect, admin } from './auth.js';
+import RiskTerm from '../models/RiskTerm.js';
+import RiskLexiconRevision from '../models/RiskLexiconRevision.js';
+import { RISK_SEVERITIES } from '../data/riskLexicon.js';
+import {
+  getLexiconVersion,
+  createRiskTerm,
+  updateRiskTerm,
+  deleteRiskTerm,
+  dryRunRiskLexicon,
+} from '../utils/riskLexiconStore.js';
+
+const router = express.Router();
+
+const RISK_CATEGORIES = RiskTerm.schema.path('category').enumValues;
+const TERM_KINDS = RiskTerm.schema.path('kind').enumValues;
+const TERM_VARIANTS = RiskTerm.schema.path('variant').enumValues;
+const DRY_RUN_ACTIONS = ['create', 'update', 'delete'];
+
+// Validators for the optional fields of a lexicon entry, under `prefix` ('' or 'changes.*.')
+const entryValidators = prefix => [
+  body(`${prefix}term`)
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Term must be between 1 and 100 characters'),
+  body(`${prefix}kind`)
+    .optional()
+    .isIn(TERM_KINDS)
+    .withMessage(`Kind must be one of ${TERM_KINDS.join(', ')}`),
+  body(`${prefix}severity`)
+    .optional()
+    .isIn(RISK_SEVERITIES)
+    .withMessage(`Severity must be one of ${RISK_SEVERITIES.join(', ')}`),
+  body(`${prefix}category`)
+    .optional()
+    .isIn(RISK_CATEGORIES)
+    .withMessage(`Category must be one of ${RISK_CATEGORIES.join(', ')}`),
+  body(`${prefix}language`)
+    .optional()
+    .matches(/^[a-z]{2}$/i)
+    .withMessage('Language must be an ISO 639-1 code'),
+  body(`${prefix}variant`)
+    .optional()
+    .isIn(TERM_VARIANTS)
+    .withMessage(`Variant must be one of ${TERM_VARIANTS.join(', ')}`),
+  body([`${prefix}firstPerson`, `${prefix}isActive`])
+    .optional()
+    .isBoolean()
+    .withMessage('firstPerson and isActive must be booleans')
+    .toBoolean(),
+];
+
+// @desc    List lexicon entries
+// @route   GET /api/risk-lexicon
+// @access  Private/Admin
+router.get(
+  '/',
+  protect,
+  admin,
+  [
+    query('language').optional().matches(/^[a-z]{2}$/i).withMessage('Language must be an ISO 639-1 code'),
+    query('kind').optional().isIn(TERM_KINDS).withMessage(`Kind must be one of ${TERM_KINDS.join(', ')}`),
+    query('severity').optional().isIn(RISK_SEVERITIES).withMessage(`Severity must be one of ${RISK_SEVERITIES.join(', ')}`),
+    query('category').optional().isIn(RISK_CATEGORIES).withMessage(`Category must be one of ${RISK_CATEGORIES.join(', ')}`),
+    query('active').optional().isBoolean().withMessage('Active must be true or false').toBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { language, kind, severity, category, active } = req.query;
+
+    try {
+      const filter = {};
+      if (language) filter.language = language.toLowerCase();
+      if (kind) filter.kind = kind;
+      if (severity) filter.severity = severity;
+      if (category) filter.category = category;
+      if (active !== undefined) filter.isActive = active;
+
+      const [terms, version] = await Promise.all([
+        RiskTerm.find(filter).sort({ language: 1, kind: 1, severity: 1, term: 1 }).lean(),
+        getLexiconVersion(),
+      ]);
+
+      res.json({ version, count: terms.length, terms });
+    } catch (error) {
+      console.error('Error fetching risk lexicon:', error);
+      res.status(500).json({
+        message: 'Error fetching risk lexicon',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Change history of the lexicon, newest first
+// @route   GET /api/risk-lexicon/versions
+// @access  Private/Admin
+router.get(
+  '/versions',
+  protect,
+  admin,
+  [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+
+    try {
+      const [revisions, total, version] = await Promise.all([
+        RiskLexiconRevision.find()
+          .sort({ version: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('changedBy', 'name email')
+          .lean(),
+        RiskLexiconRevision.countDocuments(),
+        getLexiconVersion(),
+      ]);
+
+      res.json({
+        version,
+        revisions,
+        pagination: {
+          total,
+          page,
+          pages: Math.ceil(total / limit),
+          limit,
+        },
+      });
+    } catch (error) {
+      console.error('Error fetching risk lexicon history:', error);
+      res.status(500).json({
+        message: 'Error fetching risk lexicon history',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Preview how lexicon changes would re-classify a user's existing posts
+// @route   POST /api/risk-lexicon/dry-run
+// @access  Private/Admin
+router.post(
+  '/dry-run',
+  protect,
+  admin,
+  [
+    body('userId').isMongoId().withMessage('Valid user ID is required'),
+    body('changes')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('Changes must be a list of 1 to 100 lexicon changes'),
+    body('changes.*.action')
+      .isIn(DRY_RUN_ACTIONS)
+      .withMessage(`Action must be one of ${DRY_RUN_ACTIONS.join(', ')}`),
+    body('changes.*')
+      .custom(change => {
+        if (change.action === 'create') {
+          if (!change.term) throw new Error('New entries need a term');
+          if (change.kind !== 'idiom' && (!change.severity || !change.category)) {
+            throw new Error('New terms need a severity and a category');
+          }
+        } else if (!/^[0-9a-fA-F]{24}$/.test(String(change.id))) {
+          throw new Error(`${change.action} changes need the ID of an existing entry`);
+        }
+        return true;
+      }),
+    ...entryValidators('changes.*.'),
+    body('limit').optional().isInt({ min: 1, max: 5000 }).toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId, changes, limit } = req.body;
+
+    try {
+      const result = await dryRunRiskLexicon(userId, changes, { limit });
+
+      if (!result) {
+        return res.status(404).json({ message: 'One or more lexicon entries in the changes were not found' });
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error running risk lexicon dry run:', error);
+      res.status(500).json({
+        message: 'Error running risk lexicon dry run',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @desc    Add a lexicon entry
+// @route   POST /api/risk-lexicon
+// @access  Private/Admin
+router.post(
+  '/',
+  protect,
+  admin,
+  [
+    body('term').notEmpty().withMessage('Term is required'),
+    body(['severity', 'category'])
+      .if(body('kind').not().equals('idiom'))
+      .notEmpty()
+      .withMessage('Severity and category are required for terms'),
+    ...entryValidators(''),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { entry, version } = await createRiskTerm(req.body, req.user._id);
+      res.status(201).json({ version, term: entry });
+    } catch (error) {
+      handleWriteError(res, error, 'Error adding risk term');
+    }
+  }
+);
+
+// @desc    Change a lexicon entry
+// @route   PUT /api/risk-lexicon/:id
+// @access  Private/Admin
+router.put(
+  '/:id',
+  protect,
+  admin,
+  [
+    param('id').isMongoId().withMessage('Invalid risk term ID'),
+    ...entryValidators(''),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await updateRiskTerm(req.params.id, req.body, req.user._id);
+
+      if (!result) {
+        return res.status(404).json({ message: 'Risk term not found' });
+      }
+
+      res.json({ version: result.version, term: result.entry });
+    } catch (error) {
+      handleWriteError(res, error, 'Error updating risk term');
+    }
+  }
+);
+
+// @desc    Remove a lexicon entry
+// @route   DELETE /api/risk-lexicon/:id
+// @access  Private/Admin
+router.delete(
+  '/:id',
+  protect,
+  admin,
+  [param('id').isMongoId().withMessage('Invalid risk term ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await deleteRiskTerm(req.params.id, req.user._id);
+
+      if (!result) {
+        return res.status(404).json({ message: 'Risk term not found' });
+      }
+
+      res.json({ version: result.version, message: 'Risk term removed' });
+    } catch (error) {
+      handleWriteError(res, error, 'Error removing risk term');
+    }
+  }
+);
+
+function handleWriteError(res, error, message) {
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'This term already exists for the language' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      errors: Object.values(error.errors).map(({ path, message: msg }) => ({ path, msg })),
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+}
+
+export { router as riskLexiconRoutes };
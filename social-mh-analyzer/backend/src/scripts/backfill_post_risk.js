@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import PostMetric from '../models/PostMetric.js';
+import { classifyPostRisk, analyzeStoredSentiment } from '../utils/analysisEngine.js';
+import { detectLanguage } from '../utils/languageDetector.js';
+import { seedRiskLexicon, loadRiskLexicon } from '../utils/riskLexiconStore.js';
+
+// Re-score the risk flags and sentiment (metrics.sentiment) of existing posts with the
+// current risk lexicon and sentiment analyzer, detecting the language of posts stored
+// before language detection. Posts already scored with the current lexicon version are
+// skipped unless --all is given.
+// Usage: npm run backfill:risk -- [--user=<userId>] [--all] [--dry-run]
+
+// Load environment variables
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+function parseArgs(argv) {
+  const options = { userId: null, all: false, dryRun: false };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--user=')) options.userId = arg.slice('--user='.length);
+    else if (arg === '--all') options.all = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  if (options.userId && !mongoose.isValidObjectId(options.userId)) {
+    throw new Error(`Invalid user ID: ${options.userId}`);
+  }
+
+  return options;
+}
+
+async function backfill({ userId, all, dryRun }) {
+  await seedRiskLexicon();
+  const { version } = await loadRiskLexicon({ force: true });
+
+  const query = {};
+  if (userId) query.userId = userId;
+  if (!all) query['risk.lexiconVersion'] = { $ne: version };
+
+  const counts = { scanned: 0, updated: 0, sentimentChanged: 0, flagged: 0, sensitive: 0 };
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length > 0 && !dryRun) {
+      await PostMetric.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  const cursor = PostMetric.find(query).select('text language riskFlags hasSensitiveContent metrics.sentiment').lean().cursor();
+
+  for await (const post of cursor) {
+    counts.scanned++;
+
+    const update = {};
+    if (!post.language) {
+      const { language, confidence } = detectLanguage(post.text);
+      Object.assign(update, { language, languageConfidence: confidence });
+    }
+
+    const language = post.language || update.language;
+    const result = classifyPostRisk(post.text, language);
+
+    const sentiment = analyzeStoredSentiment(post.text, language);
+    update['metrics.sentiment'] = sentiment;
+    if (sentiment.score !== post.metrics?.sentiment?.score) counts.sentimentChanged++;
+
+    if (result.riskFlags.length > 0) counts.flagged++;
+    if (result.hasSensitiveContent) counts.sensitive++;
+    if (
+      result.hasSensitiveContent !== Boolean(post.hasSensitiveContent) ||
+      result.riskFlags.join() !== (post.riskFlags || []).join()
+    ) {
+      counts.updated++;
+    }
+
+    operations.push({ updateOne: { filter: { _id: post._id }, update: { $set: { ...update, ...result } } } });
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+      console.log(`  ${counts.scanned} posts scored...`);
+    }
+  }
+  await flush();
+
+  return { version, ...counts };
+}
+
+async function run() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/social_mh_analyzer');
+    console.log('Connected to MongoDB');
+
+    const { version, scanned, updated, sentimentChanged, flagged, sensitive } = await backfill(options);
+
+    console.log(`\nRisk lexicon version: ${version ?? 'bundled'}`);
+    console.log(`Posts scored: ${scanned}${options.dryRun ? ' (dry run, nothing saved)' : ''}`);
+    console.log(`Flags changed: ${updated}`);
+    console.log(`Sentiment changed: ${sentimentChanged}`);
+    console.log(`Flagged posts: ${flagged} (${sensitive} sensitive)`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling post scores:', error);
+    process.exit(1);
+  }
+}
+
+run();
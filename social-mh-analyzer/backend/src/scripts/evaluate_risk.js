@@ -0,0 +1,60 @@
+import { RISK_CORPUS } from '../data/riskCorpus.js';
+import { RISK_SEVERITIES } from '../data/riskLexicon.js';
+import { scoreRisk } from '../utils/riskClassifier.js';
+import { detectLanguage, getAnalysisLanguage } from '../utils/languageDetector.js';
+
+// Evaluate the risk classifier against the labelled corpus.
+// Prints precision and recall per severity tier and for "any risk" vs. none,
+// followed by every misclassified post. Usage: npm run eval:risk
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+function format(value) {
+  return value === null ? '  n/a' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+function evaluate(results, isExpected, isPredicted) {
+  const truePositives = results.filter(r => isExpected(r) && isPredicted(r)).length;
+  const predicted = results.filter(isPredicted).length;
+  const expected = results.filter(isExpected).length;
+
+  const precision = ratio(truePositives, predicted);
+  const recall = ratio(truePositives, expected);
+  const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : null;
+
+  return { support: expected, precision, recall, f1 };
+}
+
+function printRow(name, { support, precision, recall, f1 }) {
+  console.log(
+    `${name.padEnd(10)} ${String(support).padStart(7)}  ${format(precision)}  ${format(recall)}  ${format(f1)}`
+  );
+}
+
+const results = RISK_CORPUS.map(({ text, label }) => {
+  const language = getAnalysisLanguage(detectLanguage(text).language);
+  const { riskLevel, score, breakdown } = scoreRisk(text, { language });
+  return { text, label, language, predicted: riskLevel, score, breakdown };
+});
+
+console.log(`Risk classifier evaluation (${results.length} labelled posts)\n`);
+console.log('tier       support  precision   recall       f1');
+
+for (const tier of RISK_SEVERITIES) {
+  printRow(tier, evaluate(results, r => r.label === tier, r => r.predicted === tier));
+}
+printRow('any risk', evaluate(results, r => r.label !== 'none', r => r.predicted !== 'none'));
+
+const accuracy = results.filter(r => r.label === r.predicted).length / results.length;
+console.log(`\nExact tier accuracy: ${(accuracy * 100).toFixed(1)}%`);
+
+const errors = results.filter(r => r.label !== r.predicted);
+if (errors.length > 0) {
+  console.log(`\nMisclassified (${errors.length}):`);
+  for (const { text, label, language, predicted, score, breakdown } of errors) {
+    console.log(`  [${language}, expected ${label}, got ${predicted} (${score})] ${text}`);
+    breakdown.forEach(entry => console.log(`      ${entry.reason}`));
+  }
+}
@@ -5,6 +5,7 @@ import crypto from 'crypto';
 import User from '../models/User.js';
 import SocialConnection from '../models/SocialConnection.js';
 import PostMetric from '../models/PostMetric.js';
+import PostMetricSnapshot from '../models/PostMetricSnapshot.js';
 import Analysis from '../models/Analysis.js';
 import CalendarEvent from '../models/CalendarEvent.js';
 
@@ -363,6 +364,7 @@ async function seedDatabase() {
       User.deleteMany({}),
       SocialConnection.deleteMany({}),
       PostMetric.deleteMany({}),
+      PostMetricSnapshot.deleteMany({}),
       Analysis.deleteMany({}),
       CalendarEvent.deleteMany({}),
     ]);
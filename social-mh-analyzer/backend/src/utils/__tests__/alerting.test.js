@@ -0,0 +1,229 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Alert from '../../models/Alert.js';
+import User from '../../models/User.js';
+import Notification from '../../models/Notification.js';
+import NotificationPreference from '../../models/NotificationPreference.js';
+import { setTransport } from '../notificationTransports.js';
+import { evaluatePostAlerts, evaluateAnalysisAlerts } from '../alerting.js';
+
+const HOUR = 60 * 60 * 1000;
+const SENDING_TIMEOUT = 15 * 60 * 1000;
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Sam',
+  email: 'sam@example.test',
+  timezone: 'UTC',
+  isUnder18: false,
+};
+
+const post = (level, score) => ({ _id: new mongoose.Types.ObjectId(), risk: { level, score } });
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+let email;
+
+beforeEach(() => {
+  email = { name: 'stub', send: jest.fn(async () => ({ success: true, messageId: 'm1' })) };
+  setTransport('email', email);
+
+  jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: async () => user }) });
+  jest.spyOn(NotificationPreference, 'findOne').mockReturnValue({ lean: async () => null });
+  jest.spyOn(Notification, 'create').mockImplementation(async fields => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+  jest.spyOn(Alert, 'distinct').mockResolvedValue([]);
+  jest.spyOn(Alert, 'exists').mockResolvedValue(null);
+  jest.spyOn(Alert, 'create').mockImplementation(async fields => ({
+    _id: new mongoose.Types.ObjectId(),
+    ...fields,
+    save: jest.fn(),
+  }));
+});
+
+afterEach(() => {
+  setTransport('email', null);
+  jest.restoreAllMocks();
+});
+
+describe('evaluatePostAlerts', () => {
+  test('sends one alert for the high-risk posts and ignores the others', async () => {
+    const posts = [post('high', 70), post('medium', 40), post('high', 90), post(undefined)];
+
+    const alerts = await evaluatePostAlerts(user._id, posts);
+
+    expect(alerts).toHaveLength(1);
+    expect(Alert.create).toHaveBeenCalledTimes(1);
+    expect(Alert.create).toHaveBeenCalledWith(expect.objectContaining({
+      rule: 'post-high-risk',
+      source: 'post',
+      sourceIds: [posts[0]._id, posts[2]._id],
+      postIds: [posts[0]._id, posts[2]._id],
+      riskLevel: 'high',
+      riskScore: 90,
+      status: 'pending',
+    }));
+
+    // Sam has no phone and no guardians: email and in-app go out, SMS is skipped
+    expect(alerts[0].status).toBe('sent');
+    expect(alerts[0].recipients.map(({ channel, status }) => [channel, status])).toEqual([
+      ['email', 'sent'],
+      ['sms', 'skipped'],
+      ['inApp', 'sent'],
+    ]);
+    expect(email.send).toHaveBeenCalledWith(expect.objectContaining({ to: 'sam@example.test' }));
+    expect(alerts[0].save).toHaveBeenCalled();
+  });
+
+  test('leaves out posts that already belong to an alert', async () => {
+    const posts = [post('high', 80), post('high', 60)];
+    Alert.distinct.mockResolvedValue([String(posts[0]._id)]);
+
+    await evaluatePostAlerts(user._id, posts);
+
+    expect(Alert.create).toHaveBeenCalledWith(expect.objectContaining({ postIds: [posts[1]._id], riskScore: 60 }));
+  });
+
+  test('records nothing when every post was already alerted on', async () => {
+    const posts = [post('high', 80)];
+    Alert.distinct.mockResolvedValue([String(posts[0]._id)]);
+
+    expect(await evaluatePostAlerts(user._id, posts)).toEqual([]);
+    expect(Alert.create).not.toHaveBeenCalled();
+  });
+
+  test('alerts on the remaining posts when another process alerted on some of them first', async () => {
+    const posts = [post('high', 80), post('high', 60)];
+    // The other alert is recorded between the check and this alert
+    Alert.distinct
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([String(posts[0]._id)]);
+    Alert.create.mockRejectedValueOnce(duplicateKeyError());
+
+    const alerts = await evaluatePostAlerts(user._id, posts);
+
+    expect(Alert.create).toHaveBeenCalledTimes(2);
+    expect(Alert.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      sourceIds: [posts[1]._id],
+      postIds: [posts[1]._id],
+      riskScore: 60,
+    }));
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].postIds).toEqual([posts[1]._id]);
+  });
+
+  test('stops when another process alerted on all of the posts first', async () => {
+    const posts = [post('high', 80), post('high', 60)];
+    Alert.distinct
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce(posts.map(({ _id }) => String(_id)));
+    Alert.create.mockRejectedValueOnce(duplicateKeyError());
+
+    expect(await evaluatePostAlerts(user._id, posts)).toEqual([]);
+    expect(Alert.create).toHaveBeenCalledTimes(1);
+    expect(email.send).not.toHaveBeenCalled();
+  });
+
+  test('stops when the user no longer exists', async () => {
+    User.findById.mockReturnValue({ select: () => ({ lean: async () => null }) });
+
+    expect(await evaluatePostAlerts(user._id, [post('high', 80)])).toEqual([]);
+    expect(Alert.distinct).toHaveBeenCalledTimes(2);
+    expect(Alert.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('evaluateAnalysisAlerts', () => {
+  const analysis = (riskLevel, examples = []) => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    metrics: { riskFactors: { riskLevel, riskScore: 55, examples } },
+  });
+
+  test.each([
+    ['high', 'analysis-high-risk'],
+    ['medium-high', 'analysis-elevated-risk'],
+    ['medium', 'analysis-medium-risk'],
+  ])('a %s risk level fires the %s rule', async (riskLevel, rule) => {
+    const alert = await evaluateAnalysisAlerts(analysis(riskLevel));
+
+    expect(alert).toMatchObject({ rule, source: 'analysis', riskLevel, riskScore: 55 });
+  });
+
+  test('does not alert below medium risk', async () => {
+    expect(await evaluateAnalysisAlerts(analysis('low-medium'))).toBeNull();
+    expect(await evaluateAnalysisAlerts(analysis('none'))).toBeNull();
+    expect(Alert.create).not.toHaveBeenCalled();
+  });
+
+  test('contacts only the channels of the rule', async () => {
+    const alert = await evaluateAnalysisAlerts(analysis('medium'));
+
+    expect(alert.recipients.map(({ role, channel }) => `${role}:${channel}`)).toEqual(['user:email', 'user:inApp']);
+  });
+
+  test('records an analysis whose examples were all alerted on as a duplicate', async () => {
+    const examples = [{ id: new mongoose.Types.ObjectId() }, { id: new mongoose.Types.ObjectId() }];
+    Alert.distinct.mockResolvedValue(examples.map(({ id }) => String(id)));
+
+    const alert = await evaluateAnalysisAlerts(analysis('high', examples));
+
+    expect(alert).toMatchObject({ status: 'suppressed', suppressedReason: 'duplicate', postIds: examples.map(({ id }) => id) });
+    expect(email.send).not.toHaveBeenCalled();
+  });
+
+  test('alerts when only some examples were alerted on', async () => {
+    const examples = [{ id: new mongoose.Types.ObjectId() }, { id: new mongoose.Types.ObjectId() }];
+    Alert.distinct.mockResolvedValue([String(examples[0].id)]);
+
+    expect(await evaluateAnalysisAlerts(analysis('high', examples))).toMatchObject({ status: 'sent' });
+  });
+
+  test('returns null when the analysis was already alerted on', async () => {
+    Alert.create.mockRejectedValueOnce(duplicateKeyError());
+
+    expect(await evaluateAnalysisAlerts(analysis('high'))).toBeNull();
+  });
+});
+
+describe('cooldown', () => {
+  const now = new Date('2025-06-10T12:00:00Z').getTime();
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  test('suppresses an alert while the user had a recent one', async () => {
+    Alert.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    const [alert] = await evaluatePostAlerts(user._id, [post('high', 80)]);
+
+    expect(alert).toMatchObject({ status: 'suppressed', suppressedReason: 'cooldown' });
+    expect(email.send).not.toHaveBeenCalled();
+    expect(alert.save).not.toHaveBeenCalled();
+  });
+
+  test('counts alerts of the rule and of more severe rules', async () => {
+    await evaluateAnalysisAlerts({ _id: new mongoose.Types.ObjectId(), userId: user._id, metrics: { riskFactors: { riskLevel: 'medium-high' } } });
+
+    const [query] = Alert.exists.mock.calls[0];
+    expect(query.userId).toBe(user._id);
+    expect(query.rule.$in).toEqual(['post-high-risk', 'analysis-high-risk', 'analysis-elevated-risk']);
+  });
+
+  test('counts delivered alerts over the whole cooldown and pending ones only while they may still be sending', async () => {
+    await evaluatePostAlerts(user._id, [post('high', 80)]);
+
+    const [{ $or: [delivered, pending] }] = Alert.exists.mock.calls[0];
+    expect(delivered).toEqual({ status: { $in: ['sent', 'partial'] }, createdAt: { $gte: new Date(now - 6 * HOUR) } });
+    expect(pending).toEqual({ status: 'pending', createdAt: { $gte: new Date(now - SENDING_TIMEOUT) } });
+  });
+
+  test('does not check the cooldown of duplicates', async () => {
+    const examples = [{ id: new mongoose.Types.ObjectId() }];
+    Alert.distinct.mockResolvedValue([String(examples[0].id)]);
+
+    await evaluateAnalysisAlerts({ _id: new mongoose.Types.ObjectId(), userId: user._id, metrics: { riskFactors: { riskLevel: 'high', examples } } });
+
+    expect(Alert.exists).not.toHaveBeenCalled();
+  });
+});
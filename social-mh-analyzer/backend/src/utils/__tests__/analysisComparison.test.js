@@ -0,0 +1,75 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Analysis from '../../models/Analysis.js';
+import PostMetric from '../../models/PostMetric.js';
+import { analyzeMetrics } from '../analysisUtils.js';
+import { comparePreviousPeriod } from '../analysisComparison.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const userId = new mongoose.Types.ObjectId();
+
+// One post a day for a week at 08:00 UTC, which is just after midnight in Los Angeles
+const dailyPosts = (start) => Array.from({ length: 7 }, (_, day) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId,
+  provider: 'instagram',
+  timestamp: new Date(start.getTime() + day * DAY_MS + 8 * 60 * 60 * 1000),
+  text: 'Another day',
+  metrics: { likes: 10, comments: 2, shares: 0 },
+}));
+
+const analysis = {
+  _id: new mongoose.Types.ObjectId(),
+  userId,
+  timeRange: '7d',
+  startDate: new Date('2025-06-08T00:00:00Z'),
+  endDate: new Date('2025-06-15T00:00:00Z'),
+};
+
+let previousPosts;
+
+beforeEach(() => {
+  previousPosts = dailyPosts(new Date('2025-06-01T00:00:00Z'));
+
+  // No stored analysis to compare against, so the previous week is analyzed
+  jest.spyOn(Analysis, 'find').mockReturnValue({
+    sort: () => ({ limit: () => ({ lean: async () => [] }) }),
+  });
+  jest.spyOn(PostMetric, 'find').mockReturnValue({ sort: async () => previousPosts });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const analyzeWeek = async (timeZone) => {
+  const { summary, _cached, _processingTime, ...metrics } = await analyzeMetrics(dailyPosts(analysis.startDate), {
+    timeRange: analysis.timeRange,
+    startDate: analysis.startDate,
+    endDate: analysis.endDate,
+    timeZone,
+  });
+  return metrics;
+};
+
+describe('comparePreviousPeriod', () => {
+  test('analyzes the previous window in the user\'s time zone', async () => {
+    const metrics = await analyzeWeek('America/Los_Angeles');
+
+    // Every post is a late-night post in Los Angeles, which raises the stress score
+    expect(metrics.activity.lateNight.longestStreak).toBe(7);
+
+    const { baseline, notableChanges } = await comparePreviousPeriod(analysis, metrics, { timeZone: 'America/Los_Angeles' });
+
+    expect(baseline).toEqual({ startDate: new Date('2025-06-01T00:00:00Z'), endDate: analysis.startDate });
+    expect(notableChanges).toEqual([]);
+  });
+
+  test('reads the previous window in UTC when no time zone is given', async () => {
+    const metrics = await analyzeWeek('UTC');
+    const { notableChanges } = await comparePreviousPeriod(analysis, metrics);
+
+    expect(metrics.activity.lateNight.longestStreak).toBe(0);
+    expect(notableChanges).toEqual([]);
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  guessDateFormat,
+  guessDelimiter,
+  guessColumnMapping,
+  isValidDateFormat,
+  parseImportDate,
+} from '../columnMapping.js';
+
+const iso = (value, options) => {
+  const date = parseImportDate(value, options);
+  return isNaN(date) ? null : date.toISOString();
+};
+
+describe('guessDateFormat', () => {
+  test('flags day/month orders it cannot tell apart', () => {
+    expect(guessDateFormat(['03/04/2025', '05/06/2025'])).toEqual({ dateFormat: 'MM/DD/YYYY', ambiguous: true });
+  });
+
+  test('reads the order from a day above 12', () => {
+    expect(guessDateFormat(['03/04/2025', '13/04/2025'])).toEqual({ dateFormat: 'DD/MM/YYYY', ambiguous: false });
+    expect(guessDateFormat(['04/13/2025 09:05', '04/03/2025 10:00'])).toEqual({ dateFormat: 'MM/DD/YYYY HH:mm', ambiguous: false });
+  });
+
+  test('is not ambiguous when both orders read the same dates', () => {
+    expect(guessDateFormat(['01/01/2025', '12/12/2025'])).toEqual({ dateFormat: 'MM/DD/YYYY', ambiguous: false });
+  });
+
+  test('picks the format that reads most values when some are malformed', () => {
+    expect(guessDateFormat(['03/04/2025 14:30', '13/04/2025 09:05', '31/02/2025 10:00', 'n/a']))
+      .toEqual({ dateFormat: 'DD/MM/YYYY HH:mm', ambiguous: false });
+  });
+
+  test('recognises ISO dates and Unix timestamps', () => {
+    expect(guessDateFormat(['2025-01-01T00:00:00Z', '2025-01-02 10:00']).dateFormat).toBe('auto');
+    expect(guessDateFormat(['1735689600', '1735776000']).dateFormat).toBe('unix');
+    expect(guessDateFormat(['1735689600000']).dateFormat).toBe('unix_ms');
+  });
+
+  test('reads 12-hour times and two-digit years', () => {
+    expect(guessDateFormat(['4/25/25 2:30 PM']).dateFormat).toBe('MM/DD/YY hh:mm A');
+  });
+
+  test('falls back to auto for empty or unreadable columns', () => {
+    expect(guessDateFormat([])).toEqual({ dateFormat: 'auto', ambiguous: false });
+    expect(guessDateFormat(['', null, undefined])).toEqual({ dateFormat: 'auto', ambiguous: false });
+    expect(guessDateFormat(['yesterday', 'last week'])).toEqual({ dateFormat: 'auto', ambiguous: false });
+  });
+});
+
+describe('isValidDateFormat', () => {
+  test.each([
+    ['auto', true],
+    ['unix_ms', true],
+    ['DD/MM/YYYY HH:mm', true],
+    ['MM/DD/YY hh:mm A', true],
+    ['MM/YYYY', false],               // no day
+    ['DD/MM/YYYY hh:mm', false],      // 12-hour clock without AM/PM
+    ['DD/MM/YYYY HH:mm A', false],    // AM/PM with a 24-hour clock
+    ['DD/DD/MM/YYYY', false],         // repeated token
+    ['', false],
+    [undefined, false],
+  ])('%p is %p', (dateFormat, valid) => {
+    expect(isValidDateFormat(dateFormat)).toBe(valid);
+  });
+});
+
+describe('parseImportDate', () => {
+  test('reads patterns as UTC without a time zone', () => {
+    expect(iso('03/04/2025 14:30', { dateFormat: 'DD/MM/YYYY HH:mm' })).toBe('2025-04-03T14:30:00.000Z');
+    expect(iso('03/04/2025 14:30', { dateFormat: 'MM/DD/YYYY HH:mm' })).toBe('2025-03-04T14:30:00.000Z');
+  });
+
+  test('reads wall-clock times in the time zone, with its summer and winter offsets', () => {
+    expect(iso('2025-01-15 14:30', { timezone: 'America/New_York' })).toBe('2025-01-15T19:30:00.000Z');
+    expect(iso('2025-07-01 14:30', { timezone: 'America/New_York' })).toBe('2025-07-01T18:30:00.000Z');
+    expect(iso('01/07/2025 14:30', { dateFormat: 'DD/MM/YYYY HH:mm', timezone: 'Europe/Madrid' }))
+      .toBe('2025-07-01T12:30:00.000Z');
+    expect(iso('2025-07-01', { timezone: 'Asia/Kolkata' })).toBe('2025-06-30T18:30:00.000Z');
+  });
+
+  test('keeps an explicit UTC offset over the time zone', () => {
+    expect(iso('2025-07-01T14:30:00+02:00', { timezone: 'America/New_York' })).toBe('2025-07-01T12:30:00.000Z');
+    expect(iso('2025-07-01T14:30:00Z', { timezone: 'Europe/Madrid' })).toBe('2025-07-01T14:30:00.000Z');
+  });
+
+  describe('on DST change days', () => {
+    test('reads times on both sides of the change with their own offset', () => {
+      // Europe/Madrid moved from +01:00 to +02:00 at 02:00 local on 2025-03-30
+      expect(iso('2025-03-30 01:30', { timezone: 'Europe/Madrid' })).toBe('2025-03-30T00:30:00.000Z');
+      expect(iso('2025-03-30 03:30', { timezone: 'Europe/Madrid' })).toBe('2025-03-30T01:30:00.000Z');
+      // America/New_York moved from -04:00 to -05:00 at 02:00 local on 2025-11-02
+      expect(iso('2025-11-02 00:30', { timezone: 'America/New_York' })).toBe('2025-11-02T04:30:00.000Z');
+      expect(iso('2025-11-02 03:30', { timezone: 'America/New_York' })).toBe('2025-11-02T08:30:00.000Z');
+    });
+
+    test('reads a skipped time with the offset from before the change', () => {
+      // 02:30 does not exist in Madrid on 2025-03-30
+      expect(iso('2025-03-30 02:30', { timezone: 'Europe/Madrid' })).toBe('2025-03-30T01:30:00.000Z');
+    });
+
+    test('reads a repeated time once, as a valid moment', () => {
+      // 01:30 happens twice in New York on 2025-11-02 (05:30Z and 06:30Z)
+      expect(['2025-11-02T05:30:00.000Z', '2025-11-02T06:30:00.000Z'])
+        .toContain(iso('11/02/2025 01:30', { dateFormat: 'MM/DD/YYYY HH:mm', timezone: 'America/New_York' }));
+    });
+  });
+
+  test('reads 12-hour clocks and two-digit years', () => {
+    expect(iso('1/2/2025 12:05 AM', { dateFormat: 'MM/DD/YYYY hh:mm A' })).toBe('2025-01-02T00:05:00.000Z');
+    expect(iso('1/2/2025 12:05 pm', { dateFormat: 'MM/DD/YYYY hh:mm A' })).toBe('2025-01-02T12:05:00.000Z');
+    expect(iso('01/02/69', { dateFormat: 'DD/MM/YY' })).toBe('2069-02-01T00:00:00.000Z');
+    expect(iso('01/02/70', { dateFormat: 'DD/MM/YY' })).toBe('1970-02-01T00:00:00.000Z');
+  });
+
+  test('reads Unix timestamps', () => {
+    expect(iso('1735689600', { dateFormat: 'unix' })).toBe('2025-01-01T00:00:00.000Z');
+    expect(iso('1735689600000', { dateFormat: 'unix_ms' })).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  test.each([
+    ['31/02/2025', 'DD/MM/YYYY'],           // no such day
+    ['29/02/2025', 'DD/MM/YYYY'],           // not a leap year
+    ['13/01/2025', 'MM/DD/YYYY'],           // no such month
+    ['01/01/2025 24:00', 'DD/MM/YYYY HH:mm'],
+    ['01/01/2025 10:60', 'DD/MM/YYYY HH:mm'],
+    ['01/01/2025 13:00 PM', 'DD/MM/YYYY hh:mm A'],
+    ['2025-01-01', 'DD/MM/YYYY'],           // other layout
+    ['01/01/2025 extra', 'DD/MM/YYYY'],
+    ['', 'DD/MM/YYYY'],
+    ['soon', 'unix'],
+    ['soon', 'auto'],
+  ])('rejects %p as %p', (value, dateFormat) => {
+    expect(iso(value, { dateFormat, timezone: 'UTC' })).toBeNull();
+  });
+
+  test('accepts leap days', () => {
+    expect(iso('29/02/2024', { dateFormat: 'DD/MM/YYYY' })).toBe('2024-02-29T00:00:00.000Z');
+  });
+});
+
+describe('guessDelimiter and guessColumnMapping', () => {
+  test('guesses the delimiter from the header', () => {
+    expect(guessDelimiter('Post ID;Platform;Posted At, UTC')).toBe(';');
+    expect(guessDelimiter('id\tdate\tlikes')).toBe('\t');
+    expect(guessDelimiter('single')).toBe(',');
+  });
+
+  test('maps exact names first, then synonyms, one field per column', () => {
+    expect(guessColumnMapping(['Post ID', 'Platform', 'Posted At', 'Like Count', 'Caption', 'id', 'Email'])).toEqual({
+      userEmail: 'Email',
+      provider: 'Platform',
+      providerPostId: 'Post ID',
+      timestamp: 'Posted At',
+      likes: 'Like Count',
+      text: 'Caption',
+    });
+  });
+});
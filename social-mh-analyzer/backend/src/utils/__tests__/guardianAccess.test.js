@@ -0,0 +1,131 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Analysis from '../../models/Analysis.js';
+import Alert from '../../models/Alert.js';
+import { GUARDIAN_NOTIFICATIONS, buildGuardianView, createInviteToken, hashInviteToken } from '../guardianAccess.js';
+
+const minor = { _id: new mongoose.Types.ObjectId(), name: 'Alex', email: 'alex@example.test', parentEmail: 'parent@example.test' };
+
+const analysis = {
+  _id: new mongoose.Types.ObjectId(),
+  date: new Date('2025-06-15T00:00:00Z'),
+  timeRange: '7d',
+  startDate: new Date('2025-06-08T00:00:00Z'),
+  endDate: new Date('2025-06-15T00:00:00Z'),
+  metrics: {
+    mentalHealth: { stressScore: 62, interestScore: 40 },
+    sentiment: { overallScore: -0.2, negative: 35 },
+    riskFactors: { riskLevel: 'medium', riskScore: 41, examples: [{ text: 'A post' }] },
+  },
+};
+
+const alert = {
+  _id: new mongoose.Types.ObjectId(),
+  source: 'post',
+  rule: 'post-high-risk',
+  riskLevel: 'high',
+  status: 'sent',
+  createdAt: new Date('2025-06-14T20:00:00Z'),
+};
+
+// Query chain of a find that returns `docs`, recording what it selected
+const findChain = (docs) => {
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    select: jest.fn(() => chain),
+    lean: async () => docs,
+  };
+  return chain;
+};
+
+let analysisQuery;
+let alertQuery;
+
+beforeEach(() => {
+  analysisQuery = findChain([analysis]);
+  alertQuery = findChain([alert]);
+  jest.spyOn(Analysis, 'find').mockReturnValue(analysisQuery);
+  jest.spyOn(Alert, 'find').mockReturnValue(alertQuery);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildGuardianView', () => {
+  test('shares aggregate scores and alert history with both scopes', async () => {
+    const view = await buildGuardianView(minor, ['scores', 'alerts']);
+
+    expect(view).toEqual({
+      minor: { id: minor._id, name: 'Alex' },
+      scopes: ['scores', 'alerts'],
+      notifications: GUARDIAN_NOTIFICATIONS,
+      scores: [{
+        id: analysis._id,
+        date: analysis.date,
+        timeRange: '7d',
+        startDate: analysis.startDate,
+        endDate: analysis.endDate,
+        mentalHealth: { stressScore: 62, interestScore: 40 },
+        sentimentScore: -0.2,
+        riskLevel: 'medium',
+        riskScore: 41,
+      }],
+      alerts: [{ id: alert._id, source: 'post', rule: 'post-high-risk', riskLevel: 'high', status: 'sent', createdAt: alert.createdAt }],
+      generatedAt: expect.any(Date),
+    });
+  });
+
+  test('reads only completed analyses and never their posts', async () => {
+    await buildGuardianView(minor, ['scores']);
+
+    expect(Analysis.find).toHaveBeenCalledWith({ userId: minor._id, status: { $in: ['completed', 'partial'] } });
+    const [fields] = analysisQuery.select.mock.calls[0];
+    expect(fields).not.toMatch(/examples|text|summary/);
+  });
+
+  test('reads only alerts that went out, without their message', async () => {
+    await buildGuardianView(minor, ['alerts']);
+
+    expect(Alert.find).toHaveBeenCalledWith({ userId: minor._id, status: { $nin: ['pending', 'suppressed'] } });
+    expect(alertQuery.select).toHaveBeenCalledWith('source rule riskLevel status createdAt');
+  });
+
+  test('leaves out scores without the scores scope', async () => {
+    const view = await buildGuardianView(minor, ['alerts']);
+
+    expect(view).not.toHaveProperty('scores');
+    expect(view.alerts).toHaveLength(1);
+    expect(Analysis.find).not.toHaveBeenCalled();
+  });
+
+  test('leaves out alerts without the alerts scope', async () => {
+    const view = await buildGuardianView(minor, ['scores']);
+
+    expect(view).not.toHaveProperty('alerts');
+    expect(view.scores).toHaveLength(1);
+    expect(Alert.find).not.toHaveBeenCalled();
+  });
+
+  test('shares nothing but the name without scopes', async () => {
+    const view = await buildGuardianView(minor, []);
+
+    expect(Object.keys(view)).toEqual(['minor', 'scopes', 'notifications', 'generatedAt']);
+    expect(view.minor).toEqual({ id: minor._id, name: 'Alex' });
+    expect(Analysis.find).not.toHaveBeenCalled();
+    expect(Alert.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('invite tokens', () => {
+  test('stores only the hash of a random token', () => {
+    const first = createInviteToken();
+    const second = createInviteToken();
+
+    expect(first.token).toMatch(/^[0-9a-f]{64}$/);
+    expect(first.tokenHash).toBe(hashInviteToken(first.token));
+    expect(first.tokenHash).not.toBe(first.token);
+    expect(second.token).not.toBe(first.token);
+  });
+});
@@ -0,0 +1,195 @@
+import { jest, describe, test, expect, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../../models/User.js';
+import NotificationPreference from '../../models/NotificationPreference.js';
+import PendingNotification from '../../models/PendingNotification.js';
+import { setTransport } from '../notificationTransports.js';
+import {
+  isQuietTime,
+  nextLocalTime,
+  nextDeliveryTime,
+  flushPendingNotifications,
+} from '../notificationDispatcher.js';
+
+const overnight = { enabled: true, start: '22:00', end: '07:00' };
+const daytime = { enabled: true, start: '09:00', end: '17:30' };
+
+const at = (value) => new Date(value);
+
+describe('isQuietTime', () => {
+  test.each([
+    ['2025-06-10T21:59:00Z', false],
+    ['2025-06-10T22:00:00Z', true],
+    ['2025-06-10T23:59:00Z', true],
+    ['2025-06-11T00:00:00Z', true],
+    ['2025-06-11T06:59:00Z', true],
+    ['2025-06-11T07:00:00Z', false],
+    ['2025-06-11T12:00:00Z', false],
+  ])('quiet hours across midnight at %s: %p', (date, quiet) => {
+    expect(isQuietTime(overnight, 'UTC', at(date))).toBe(quiet);
+  });
+
+  test.each([
+    ['2025-06-10T08:59:00Z', false],
+    ['2025-06-10T09:00:00Z', true],
+    ['2025-06-10T17:29:00Z', true],
+    ['2025-06-10T17:30:00Z', false],
+    ['2025-06-10T23:00:00Z', false],
+  ])('quiet hours within a day at %s: %p', (date, quiet) => {
+    expect(isQuietTime(daytime, 'UTC', at(date))).toBe(quiet);
+  });
+
+  test('reads the hours in the user\'s time zone', () => {
+    // 03:00 UTC is 23:00 the day before in New York (EDT) and 12:00 in Tokyo
+    expect(isQuietTime(overnight, 'America/New_York', at('2025-06-11T03:00:00Z'))).toBe(true);
+    expect(isQuietTime(overnight, 'Asia/Tokyo', at('2025-06-11T03:00:00Z'))).toBe(false);
+  });
+
+  test('follows the local clock on DST change days', () => {
+    // New York changed from EST to EDT at 07:00 UTC on 2025-03-09: 06:30 is 01:30 EST, 11:30 is 07:30 EDT
+    expect(isQuietTime(overnight, 'America/New_York', at('2025-03-09T06:30:00Z'))).toBe(true);
+    expect(isQuietTime(overnight, 'America/New_York', at('2025-03-09T11:30:00Z'))).toBe(false);
+    // and back to EST at 06:00 UTC on 2025-11-02: 11:30 is 06:30 EST, still quiet
+    expect(isQuietTime(overnight, 'America/New_York', at('2025-11-02T11:30:00Z'))).toBe(true);
+  });
+
+  test('is never quiet when disabled or unset', () => {
+    expect(isQuietTime({ ...overnight, enabled: false }, 'UTC', at('2025-06-11T00:00:00Z'))).toBe(false);
+    expect(isQuietTime(undefined, 'UTC', at('2025-06-11T00:00:00Z'))).toBe(false);
+  });
+});
+
+describe('nextLocalTime', () => {
+  test('is later the same day when the time is still ahead', () => {
+    expect(nextLocalTime('18:00', 'UTC', at('2025-06-10T09:15:30Z'))).toEqual(at('2025-06-10T18:00:00Z'));
+  });
+
+  test('is the next day when the time has passed', () => {
+    expect(nextLocalTime('07:00', 'UTC', at('2025-06-10T22:00:00Z'))).toEqual(at('2025-06-11T07:00:00Z'));
+    expect(nextLocalTime('08:00', 'UTC', at('2025-06-10T08:01:00Z'))).toEqual(at('2025-06-11T08:00:00Z'));
+  });
+
+  test('is the current minute when the clock shows the time', () => {
+    expect(nextLocalTime('08:00', 'UTC', at('2025-06-10T08:00:45Z'))).toEqual(at('2025-06-10T08:00:00Z'));
+  });
+
+  test('uses the user\'s time zone', () => {
+    expect(nextLocalTime('07:00', 'Europe/Madrid', at('2025-06-10T21:00:00Z'))).toEqual(at('2025-06-11T05:00:00Z'));
+    expect(nextLocalTime('08:00', 'Asia/Kolkata', at('2025-06-10T00:00:00Z'))).toEqual(at('2025-06-10T02:30:00Z'));
+  });
+
+  describe('across DST changes', () => {
+    test('keeps the local time when the clocks go forward', () => {
+      // 22:00 EST on 2025-03-08; 07:00 the next morning is EDT
+      expect(nextLocalTime('07:00', 'America/New_York', at('2025-03-09T03:00:00Z'))).toEqual(at('2025-03-09T11:00:00Z'));
+      // 23:00 CET on 2025-03-29; 08:00 the next morning is CEST
+      expect(nextLocalTime('08:00', 'Europe/Madrid', at('2025-03-29T22:00:00Z'))).toEqual(at('2025-03-30T06:00:00Z'));
+    });
+
+    test('keeps the local time when the clocks go back', () => {
+      // 22:00 EDT on 2025-11-01; 07:00 the next morning is EST
+      expect(nextLocalTime('07:00', 'America/New_York', at('2025-11-02T02:00:00Z'))).toEqual(at('2025-11-02T12:00:00Z'));
+      // 23:00 CEST on 2025-10-25; 08:00 the next morning is CET
+      expect(nextLocalTime('08:00', 'Europe/Madrid', at('2025-10-25T21:00:00Z'))).toEqual(at('2025-10-26T07:00:00Z'));
+    });
+
+    test('moves a time the change skips past the jump', () => {
+      // 02:30 does not exist in New York on 2025-03-09; the clock reads 03:30 EDT at 07:30 UTC
+      expect(nextLocalTime('02:30', 'America/New_York', at('2025-03-09T03:00:00Z'))).toEqual(at('2025-03-09T07:30:00Z'));
+    });
+
+    test('uses a time the change repeats once', () => {
+      // 01:30 happens at 05:30 and 06:30 UTC in New York on 2025-11-02
+      const next = nextLocalTime('01:30', 'America/New_York', at('2025-11-02T02:00:00Z'));
+      expect([at('2025-11-02T05:30:00Z'), at('2025-11-02T06:30:00Z')]).toContainEqual(next);
+    });
+
+    test('is unaffected by a change after the time', () => {
+      // 00:30 EDT on 2025-11-02 comes before the change at 02:00
+      expect(nextLocalTime('00:30', 'America/New_York', at('2025-11-01T23:00:00Z'))).toEqual(at('2025-11-02T04:30:00Z'));
+    });
+  });
+});
+
+describe('nextDeliveryTime', () => {
+  const digest = (digestTime, quietHours = overnight) => ({ delivery: 'digest', digestTime, quietHours });
+
+  test('is the next digest time', () => {
+    expect(nextDeliveryTime(digest('08:00'), 'UTC', at('2025-06-10T12:00:00Z'))).toEqual(at('2025-06-11T08:00:00Z'));
+  });
+
+  test('moves a digest time in quiet hours to their end', () => {
+    expect(nextDeliveryTime(digest('06:00'), 'UTC', at('2025-06-10T12:00:00Z'))).toEqual(at('2025-06-11T07:00:00Z'));
+    expect(nextDeliveryTime(digest('23:00'), 'UTC', at('2025-06-10T12:00:00Z'))).toEqual(at('2025-06-11T07:00:00Z'));
+    expect(nextDeliveryTime(digest('06:00', { ...overnight, enabled: false }), 'UTC', at('2025-06-10T12:00:00Z')))
+      .toEqual(at('2025-06-11T06:00:00Z'));
+  });
+
+  test('moves a digest time in quiet hours to their end across a DST change', () => {
+    // 22:00 EST on 2025-03-08; the 06:00 digest the next morning is EDT and still quiet until 07:00 EDT
+    expect(nextDeliveryTime(digest('06:00'), 'America/New_York', at('2025-03-09T03:00:00Z'))).toEqual(at('2025-03-09T11:00:00Z'));
+  });
+
+  test('is the end of quiet hours, or right away, for immediate delivery', () => {
+    const immediate = { delivery: 'immediate', digestTime: '06:00', quietHours: overnight };
+
+    expect(nextDeliveryTime(immediate, 'UTC', at('2025-06-10T23:30:00Z'))).toEqual(at('2025-06-11T07:00:00Z'));
+    expect(nextDeliveryTime(immediate, 'UTC', at('2025-06-10T12:00:00Z'))).toEqual(at('2025-06-10T12:00:00Z'));
+  });
+});
+
+describe('flushPendingNotifications', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const pending = {
+    _id: new mongoose.Types.ObjectId(),
+    userId,
+    category: 'analysis',
+    channel: 'email',
+    to: 'sam@example.test',
+    subject: 'Analysis ready',
+    text: 'Your analysis is ready',
+    digest: true,
+    sendAfter: at('2025-06-11T06:00:00Z'),
+  };
+
+  let email;
+
+  const stubOutbox = (preferences) => {
+    email = { name: 'stub', send: jest.fn(async () => ({ success: true, messageId: 'm1' })) };
+    setTransport('email', email);
+
+    jest.spyOn(PendingNotification, 'find').mockReturnValue({ sort: () => ({ limit: () => ({ lean: async () => [pending] }) }) });
+    jest.spyOn(PendingNotification, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(PendingNotification, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(NotificationPreference, 'findOne').mockReturnValue({ lean: async () => ({ userId, ...preferences }) });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: async () => ({ timezone: 'Europe/Madrid' }) }) });
+  };
+
+  afterEach(() => {
+    setTransport('email', null);
+    jest.restoreAllMocks();
+  });
+
+  test('holds messages due in quiet hours until they end', async () => {
+    // Quiet hours were set after the digest was scheduled; 06:00 UTC is 08:00 in Madrid
+    stubOutbox({ delivery: 'digest', digestTime: '06:00', quietHours: { enabled: true, start: '22:00', end: '09:00' } });
+
+    const counts = await flushPendingNotifications(at('2025-06-11T06:00:00Z'));
+
+    expect(counts).toEqual({ sent: 0, failed: 0, suppressed: 0, deferred: 1 });
+    expect(email.send).not.toHaveBeenCalled();
+    expect(PendingNotification.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [pending._id] } },
+      { status: 'pending', sendAfter: at('2025-06-11T07:00:00Z'), $unset: { claimedAt: 1 } }
+    );
+  });
+
+  test('sends messages due outside quiet hours', async () => {
+    stubOutbox({ delivery: 'digest', digestTime: '06:00', quietHours: overnight });
+
+    const counts = await flushPendingNotifications(at('2025-06-11T06:00:00Z'));
+
+    expect(counts).toEqual({ sent: 1, failed: 0, suppressed: 0, deferred: 0 });
+    expect(email.send).toHaveBeenCalledWith(expect.objectContaining({ to: 'sam@example.test', subject: 'Analysis ready' }));
+  });
+});
@@ -0,0 +1,133 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { createTwilioTransport, getTransport, setTransport, sendNotification } from '../notificationTransports.js';
+
+const SMS_ENV = ['NODE_ENV', 'SMS_TRANSPORT', 'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_PHONE_NUMBER'];
+
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(SMS_ENV.map(name => [name, process.env[name]]));
+  SMS_ENV.forEach(name => delete process.env[name]);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  setTransport('sms', null);
+  jest.restoreAllMocks();
+});
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+const twilio = () => createTwilioTransport({
+  accountSid: 'AC123',
+  authToken: 'secret',
+  from: '+15550100000',
+  apiUrl: 'https://sms.example.test/2010-04-01',
+});
+
+describe('createTwilioTransport', () => {
+  test('posts the message to the account\'s Messages resource', async () => {
+    const fetch = jest.spyOn(globalThis, 'fetch').mockResolvedValue(jsonResponse(201, { sid: 'SM1' }));
+
+    const result = await twilio().send({ to: '+15550109999', text: 'Checking in' });
+
+    expect(result).toEqual({ success: true, messageId: 'SM1' });
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('https://sms.example.test/2010-04-01/Accounts/AC123/Messages.json');
+    expect(request.method).toBe('POST');
+    expect(request.headers.Authorization).toBe(`Basic ${Buffer.from('AC123:secret').toString('base64')}`);
+    expect(Object.fromEntries(request.body)).toEqual({ To: '+15550109999', From: '+15550100000', Body: 'Checking in' });
+    expect(request.signal).toBeInstanceOf(AbortSignal);
+  });
+
+  test('fails with the API\'s message when it rejects the request', async () => {
+    jest.spyOn(globalThis, 'fetch').mockResolvedValue(jsonResponse(400, { message: 'The \'To\' number is not valid' }));
+
+    expect(await twilio().send({ to: '+15550109999', text: 'Hi' }))
+      .toEqual({ success: false, error: 'The \'To\' number is not valid' });
+  });
+
+  test('fails with the status when the error has no body', async () => {
+    jest.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('Bad gateway', { status: 502 }));
+
+    expect(await twilio().send({ to: '+15550109999', text: 'Hi' }))
+      .toEqual({ success: false, error: 'SMS API responded with 502' });
+  });
+
+  test('fails when the request times out or cannot be made', async () => {
+    jest.spyOn(globalThis, 'fetch')
+      .mockRejectedValueOnce(new DOMException('The operation was aborted due to timeout', 'TimeoutError'))
+      .mockRejectedValueOnce(new TypeError('fetch failed'));
+
+    expect(await twilio().send({ to: '+15550109999', text: 'Hi' }))
+      .toEqual({ success: false, error: 'The operation was aborted due to timeout' });
+    expect(await twilio().send({ to: '+15550109999', text: 'Hi' }))
+      .toEqual({ success: false, error: 'fetch failed' });
+  });
+});
+
+describe('SMS transport selection', () => {
+  test('uses Twilio when it is fully configured', () => {
+    Object.assign(process.env, { TWILIO_ACCOUNT_SID: 'AC123', TWILIO_AUTH_TOKEN: 'secret', TWILIO_PHONE_NUMBER: '+15550100000' });
+    expect(getTransport('sms').name).toBe('twilio');
+  });
+
+  test('uses the transport named in SMS_TRANSPORT', () => {
+    process.env.SMS_TRANSPORT = 'file';
+    expect(getTransport('sms').name).toBe('file');
+
+    setTransport('sms', null);
+    process.env.SMS_TRANSPORT = 'console';
+    expect(getTransport('sms').name).toBe('console');
+  });
+
+  test('fails SMS outside development when Twilio is not configured', async () => {
+    process.env.NODE_ENV = 'production';
+
+    const result = await sendNotification({ channel: 'sms', to: '+15550109999', text: 'Checking in' });
+
+    expect(result).toEqual({ success: false, error: expect.stringContaining('SMS are not configured'), transport: 'unconfigured' });
+  });
+
+  test('fails SMS outside development when Twilio is only partly configured', async () => {
+    Object.assign(process.env, { NODE_ENV: 'production', TWILIO_ACCOUNT_SID: 'AC123' });
+    const fetch = jest.spyOn(globalThis, 'fetch');
+
+    const result = await sendNotification({ channel: 'sms', to: '+15550109999', text: 'Checking in' });
+
+    expect(result).toMatchObject({ success: false, error: expect.stringContaining('not fully configured') });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('logs SMS in development when Twilio is not configured', async () => {
+    process.env.NODE_ENV = 'development';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(await sendNotification({ channel: 'sms', to: '+15550109999', text: 'Checking in' }))
+      .toMatchObject({ success: true, transport: 'console' });
+  });
+
+  test('keeps a transport set with setTransport until it is cleared', () => {
+    const stub = { name: 'stub', send: async () => ({ success: true }) };
+    setTransport('sms', stub);
+    expect(getTransport('sms')).toBe(stub);
+
+    setTransport('sms', null);
+    process.env.NODE_ENV = 'production';
+    expect(getTransport('sms').name).toBe('unconfigured');
+  });
+
+  test('rejects unknown channels', async () => {
+    expect(() => setTransport('pager', null)).toThrow('Unknown notification channel: pager');
+    expect(await sendNotification({ channel: 'pager', to: 'x', text: 'Hi' }))
+      .toEqual({ success: false, error: 'Unknown notification channel: pager' });
+  });
+});
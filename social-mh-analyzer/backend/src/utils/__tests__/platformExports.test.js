@@ -0,0 +1,270 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { EXPORT_COLUMNS, detectImportFormat, readPlatformExport } from '../platformExports.js';
+
+let tmpDir;
+
+beforeAll(async () => {
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'platform-exports-'));
+});
+
+afterAll(async () => {
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+const writeFixture = async (fileName, content) => {
+  const filePath = path.join(tmpDir, fileName);
+  await fs.promises.writeFile(filePath, content);
+  return filePath;
+};
+
+// A zip archive of stored (uncompressed) entries, { name: content }
+const writeZip = (fileName, entries) => {
+  const local = [];
+  const central = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(entries)) {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(content);
+    const crc = zlib.crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    local.push(header, nameBuffer, data);
+
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(0x02014b50, 0);
+    record.writeUInt16LE(20, 4);
+    record.writeUInt16LE(20, 6);
+    record.writeUInt32LE(crc, 16);
+    record.writeUInt32LE(data.length, 20);
+    record.writeUInt32LE(data.length, 24);
+    record.writeUInt16LE(nameBuffer.length, 28);
+    record.writeUInt32LE(offset, 42);
+    central.push(record, nameBuffer);
+
+    offset += header.length + nameBuffer.length + data.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length / 2, 8);
+  end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return writeFixture(fileName, Buffer.concat([...local, directory, end]));
+};
+
+const readRows = async (format, filePath) => {
+  const rows = [];
+  for await (const { line, row } of readPlatformExport(format, filePath)) rows.push({ line, ...row });
+  return rows;
+};
+
+const TWEETS = `window.YTD.tweets.part0 = ${JSON.stringify([
+  {
+    tweet: {
+      id_str: '1790000000000000001',
+      full_text: 'Finally finished my thesis',
+      created_at: 'Mon May 13 18:04:05 +0000 2024',
+      favorite_count: '42',
+      retweet_count: '3',
+      extended_entities: { media: [{ type: 'photo', media_url_https: 'https://pbs.twimg.com/media/a.jpg' }] },
+    },
+  },
+  { tweet: { id_str: '1790000000000000002', full_text: 'RT @friend: worth reading', created_at: 'Tue May 14 09:00:00 +0000 2024' } },
+  { tweet: { id_str: '1790000000000000003', full_text: 'Quiet evening', created_at: 'Wed May 15 21:30:00 +0000 2024' } },
+])}`;
+
+const INSTAGRAM_POSTS = JSON.stringify([
+  {
+    media: [{ uri: 'media/posts/202405/12345_678.jpg', creation_timestamp: 1715600000, title: 'Un cafÃ© au soleil' }],
+  },
+  {
+    title: 'Weekend away',
+    creation_timestamp: 1715700000,
+    media: [
+      { uri: 'media/posts/202405/22222_1.jpg', creation_timestamp: 1715700000 },
+      { uri: 'media/posts/202405/22222_2.mp4', creation_timestamp: 1715700000 },
+    ],
+  },
+]);
+
+const TIKTOK_USER_DATA = JSON.stringify({
+  Video: {
+    Videos: {
+      VideoList: [
+        { Date: '2024-05-13 18:04:05', Link: 'https://www.tiktokv.com/share/video/7368000000000000001/', Likes: '120', Title: 'Morning run' },
+      ],
+    },
+  },
+});
+
+// Takeout writes a byte order mark
+const YOUTUBE_VIDEOS = '\uFEFFVideo ID,Video Title (Original),Video Description (Original),Video Publish Timestamp\n' +
+  'dQw4w9WgXcQ,Study with me,"Three hours, no music",2024-05-13T18:04:05+00:00\n';
+
+describe('detectImportFormat', () => {
+  test('recognises single files taken out of each platform archive', async () => {
+    expect(await detectImportFormat(await writeFixture('tweets.js', TWEETS))).toBe('twitter');
+    expect(await detectImportFormat(await writeFixture('posts_1.json', INSTAGRAM_POSTS))).toBe('instagram');
+    expect(await detectImportFormat(await writeFixture('user_data.json', TIKTOK_USER_DATA))).toBe('tiktok');
+    expect(await detectImportFormat(await writeFixture('videos.csv', YOUTUBE_VIDEOS))).toBe('youtube');
+  });
+
+  test('recognises CSVs in the upload layout', async () => {
+    const filePath = await writeFixture('metrics.csv', 'provider,providerPostId,timestamp,likes\ninstagram,p1,2024-05-13,4\n');
+    expect(await detectImportFormat(filePath)).toBe('csv');
+  });
+
+  test('goes by the uploaded file name rather than the stored one', async () => {
+    const filePath = await writeFixture('upload-1234', 'providerPostId\np1\n');
+    expect(await detectImportFormat(filePath)).toBeNull();
+    expect(await detectImportFormat(filePath, 'metrics.csv')).toBe('csv');
+  });
+
+  test('returns null for files it does not recognise', async () => {
+    expect(await detectImportFormat(await writeFixture('notes.txt', 'just some notes'))).toBeNull();
+    expect(await detectImportFormat(await writeFixture('other.json', '{"followers": []}'))).toBeNull();
+  });
+
+  test('recognises archives by the files in them', async () => {
+    const cases = {
+      instagram: { 'your_instagram_activity/content/posts_1.json': INSTAGRAM_POSTS },
+      twitter: { 'data/tweets.js': TWEETS },
+      tiktok: { 'TikTok/user_data_tiktok.json': TIKTOK_USER_DATA },
+      youtube: { 'Takeout/YouTube and YouTube Music/video metadata/videos.csv': YOUTUBE_VIDEOS },
+    };
+
+    for (const [format, entries] of Object.entries(cases)) {
+      const filePath = await writeZip(`${format}.zip`, { 'README.txt': 'archive', ...entries });
+      expect(await detectImportFormat(filePath)).toBe(format);
+    }
+
+    expect(await detectImportFormat(await writeZip('photos.zip', { 'photos/a.jpg': 'jpeg' }))).toBeNull();
+  });
+});
+
+describe('readPlatformExport', () => {
+  test('reads X/Twitter posts and skips retweets', async () => {
+    const rows = await readRows('twitter', await writeFixture('tweets.js', TWEETS));
+
+    expect(rows).toEqual([
+      expect.objectContaining({
+        line: 1,
+        provider: 'twitter',
+        providerPostId: '1790000000000000001',
+        timestamp: '2024-05-13T18:04:05.000Z',
+        likes: '42',
+        shares: '3',
+        text: 'Finally finished my thesis',
+        mediaType: 'image',
+        mediaUrls: 'https://pbs.twimg.com/media/a.jpg',
+        url: 'https://x.com/i/web/status/1790000000000000001',
+      }),
+      expect.objectContaining({ line: 2, providerPostId: '1790000000000000003', mediaType: 'text', likes: '' }),
+    ]);
+  });
+
+  test('reads Instagram posts, carousels and Meta-encoded text', async () => {
+    const rows = await readRows('instagram', await writeFixture('posts_1.json', INSTAGRAM_POSTS));
+
+    expect(rows).toEqual([
+      expect.objectContaining({
+        provider: 'instagram',
+        providerPostId: 'ig_12345_678',
+        timestamp: '2024-05-13T11:33:20.000Z',
+        text: 'Un café au soleil',
+        mediaType: 'image',
+      }),
+      expect.objectContaining({
+        providerPostId: 'ig_22222_1',
+        timestamp: '2024-05-14T15:20:00.000Z',
+        text: 'Weekend away',
+        mediaType: 'carousel',
+      }),
+    ]);
+  });
+
+  test('reads Instagram reels and stories with their kind', async () => {
+    const reels = JSON.stringify({ ig_reels_media: [{ media: [{ uri: 'media/reels/9_1.mp4', creation_timestamp: 1715600000 }] }] });
+    const stories = JSON.stringify({ ig_stories: [{ uri: 'media/stories/8_1.jpg', creation_timestamp: 1715600000, title: '' }] });
+
+    expect((await readRows('instagram', await writeFixture('reels.json', reels)))[0].mediaType).toBe('reel');
+    expect((await readRows('instagram', await writeFixture('stories.json', stories)))[0].mediaType).toBe('story');
+  });
+
+  test('reads TikTok videos with UTC dates, in old and new layouts', async () => {
+    const expected = {
+      provider: 'tiktok',
+      providerPostId: '7368000000000000001',
+      timestamp: '2024-05-13T18:04:05Z',
+      likes: '120',
+      text: 'Morning run',
+      mediaType: 'video',
+      url: 'https://www.tiktokv.com/share/video/7368000000000000001/',
+    };
+    const newLayout = JSON.stringify({ Post: { Posts: { VideoList: JSON.parse(TIKTOK_USER_DATA).Video.Videos.VideoList } } });
+
+    expect(await readRows('tiktok', await writeFixture('user_data.json', TIKTOK_USER_DATA)))
+      .toEqual([expect.objectContaining(expected)]);
+    expect(await readRows('tiktok', await writeFixture('user_data_tiktok.json', newLayout)))
+      .toEqual([expect.objectContaining(expected)]);
+  });
+
+  test('reads YouTube videos from Takeout', async () => {
+    const rows = await readRows('youtube', await writeFixture('videos.csv', YOUTUBE_VIDEOS));
+
+    expect(rows).toEqual([expect.objectContaining({
+      provider: 'youtube',
+      providerPostId: 'dQw4w9WgXcQ',
+      timestamp: '2024-05-13T18:04:05+00:00',
+      text: 'Study with me\n\nThree hours, no music',
+      mediaType: 'video',
+      url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+    })]);
+  });
+
+  test('returns every upload column as a string', async () => {
+    const [{ line, ...row }] = await readRows('tiktok', await writeFixture('user_data.json', TIKTOK_USER_DATA));
+
+    expect(Object.keys(row)).toEqual(EXPORT_COLUMNS);
+    expect(Object.values(row).every(value => typeof value === 'string')).toBe(true);
+  });
+
+  test('reads only the matching files of an archive and numbers rows across them', async () => {
+    const secondPart = TWEETS.replace('tweets.part0', 'tweets.part1').replace(/1790000000000000/g, '1800000000000000');
+    const filePath = await writeZip('twitter-archive.zip', {
+      'data/tweets.js': TWEETS,
+      'data/tweets-part1.js': secondPart,
+      'data/like.js': 'window.YTD.like.part0 = [{ "like": {} }]',
+      'data/tweets_media/1.jpg': 'jpeg',
+    });
+
+    const rows = await readRows('twitter', filePath);
+    expect(rows.map(row => [row.line, row.providerPostId])).toEqual([
+      [1, '1790000000000000001'],
+      [2, '1790000000000000003'],
+      [3, '1800000000000000001'],
+      [4, '1800000000000000003'],
+    ]);
+  });
+
+  test('rejects unknown formats and files that are not valid JSON', async () => {
+    const filePath = await writeFixture('broken.json', '{"Video": ');
+
+    await expect(readRows('myspace', filePath)).rejects.toThrow('Unknown export format: myspace');
+    await expect(readRows('tiktok', filePath)).rejects.toThrow('broken.json is not valid JSON');
+  });
+});
@@ -0,0 +1,178 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import PostMetric from '../../models/PostMetric.js';
+import PostMetricSnapshot from '../../models/PostMetricSnapshot.js';
+import { upsertPostMetrics } from '../postMetricStore.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+// In-memory stand-ins for the two collections upsertPostMetrics reads and writes
+let storedPosts;
+let storedSnapshots;
+
+const copyPost = (post) => ({ ...post, metrics: { ...post.metrics } });
+
+const matchesKey = (post, { userId: groupUserId, provider, providerPostId }) =>
+  String(post.userId) === String(groupUserId) &&
+  post.provider === provider &&
+  providerPostId.$in.includes(post.providerPostId);
+
+beforeEach(() => {
+  storedPosts = [];
+  storedSnapshots = [];
+
+  jest.spyOn(PostMetric, 'find').mockImplementation(({ $or }) => ({
+    select: () => ({
+      lean: async () => storedPosts.filter(post => $or.some(group => matchesKey(post, group))).map(copyPost),
+    }),
+  }));
+  jest.spyOn(PostMetric, 'insertMany').mockImplementation(async (docs) => {
+    const inserted = docs.map(doc => ({ ...copyPost(doc), _id: new mongoose.Types.ObjectId() }));
+    storedPosts.push(...inserted.map(copyPost));
+    return inserted;
+  });
+  jest.spyOn(PostMetric, 'bulkWrite').mockImplementation(async (operations) => {
+    for (const { updateOne: { filter, update } } of operations) {
+      const post = storedPosts.find(stored => String(stored._id) === String(filter._id));
+      for (const [field, value] of Object.entries(update.$set)) {
+        if (field.startsWith('metrics.')) post.metrics[field.slice('metrics.'.length)] = value;
+        else post[field] = value;
+      }
+    }
+    return {};
+  });
+  jest.spyOn(PostMetricSnapshot, 'distinct').mockImplementation(async (field, { postMetricId }) =>
+    [...new Set(storedSnapshots
+      .filter(snapshot => postMetricId.$in.some(id => String(id) === String(snapshot.postMetricId)))
+      .map(snapshot => String(snapshot.postMetricId)))]
+  );
+  jest.spyOn(PostMetricSnapshot, 'insertMany').mockImplementation(async (docs) => {
+    storedSnapshots.push(...docs);
+    return docs;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const importedPost = (overrides = {}) => ({
+  userId,
+  provider: 'instagram',
+  providerPostId: 'post_1',
+  timestamp: new Date('2025-08-01T10:30:00Z'),
+  text: 'Having a great day at the beach',
+  mediaType: 'image',
+  source: 'import',
+  metrics: { likes: 10, comments: 2 },
+  ...overrides,
+});
+
+describe('upsertPostMetrics', () => {
+  test('inserts new posts and stores a snapshot of each', async () => {
+    const result = await upsertPostMetrics([
+      importedPost(),
+      importedPost({ providerPostId: 'post_2', metrics: { likes: 3 } }),
+    ]);
+
+    expect(result).toMatchObject({ inserted: 2, updated: 0, unchanged: 0, errors: [] });
+    expect(result.insertedDocs).toHaveLength(2);
+    expect(storedPosts).toHaveLength(2);
+    expect(storedSnapshots.map(snapshot => snapshot.metrics.likes)).toEqual([10, 3]);
+    expect(storedSnapshots[0].postMetricId).toEqual(storedPosts[0]._id);
+  });
+
+  test('leaves an identical re-import alone', async () => {
+    await upsertPostMetrics([importedPost()]);
+    const result = await upsertPostMetrics([importedPost()]);
+
+    expect(result).toMatchObject({ inserted: 0, updated: 0, unchanged: 1, errors: [] });
+    expect(result.updatedDocs).toEqual([]);
+    expect(PostMetric.bulkWrite).not.toHaveBeenCalled();
+    expect(storedPosts).toHaveLength(1);
+    expect(storedSnapshots).toHaveLength(1);
+  });
+
+  test('updates the engagement of a re-imported post and snapshots it', async () => {
+    await upsertPostMetrics([importedPost()]);
+    const result = await upsertPostMetrics([importedPost({ metrics: { likes: 25 } })]);
+
+    expect(result).toMatchObject({ inserted: 0, updated: 1, unchanged: 0 });
+    expect(result.updatedDocs[0]._id).toEqual(storedPosts[0]._id);
+
+    // Counters the import does not have keep their stored value
+    expect(storedPosts[0].metrics).toMatchObject({ likes: 25, comments: 2 });
+    expect(storedSnapshots.map(snapshot => snapshot.metrics)).toEqual([
+      expect.objectContaining({ likes: 10, comments: 2 }),
+      expect.objectContaining({ likes: 25, comments: 2 }),
+    ]);
+  });
+
+  test('updates changed text without a new engagement snapshot', async () => {
+    await upsertPostMetrics([importedPost()]);
+    const result = await upsertPostMetrics([importedPost({ text: 'Edited caption' })]);
+
+    expect(result).toMatchObject({ updated: 1, unchanged: 0 });
+    expect(storedPosts[0].text).toBe('Edited caption');
+    expect(storedSnapshots).toHaveLength(1);
+  });
+
+  test('keeps the stored timestamp when a re-import has none', async () => {
+    await upsertPostMetrics([importedPost()]);
+    await upsertPostMetrics([importedPost({ timestamp: undefined, metrics: { likes: 11 } })]);
+
+    expect(storedPosts[0].timestamp).toEqual(new Date('2025-08-01T10:30:00Z'));
+    expect(storedPosts[0].metrics.likes).toBe(11);
+  });
+
+  test('applies rows of the same post in order and counts each', async () => {
+    const result = await upsertPostMetrics([
+      importedPost(),
+      importedPost({ metrics: { likes: 12 } }),
+      importedPost({ metrics: { likes: 12 } }),
+    ]);
+
+    expect(result).toMatchObject({ inserted: 1, updated: 1, unchanged: 1 });
+    expect(storedPosts).toHaveLength(1);
+    expect(storedPosts[0].metrics.likes).toBe(12);
+    expect(storedSnapshots.map(snapshot => snapshot.metrics.likes)).toEqual([10, 12]);
+  });
+
+  test('keys posts on user, provider and provider post ID', async () => {
+    await upsertPostMetrics([importedPost()]);
+    const result = await upsertPostMetrics([
+      importedPost({ provider: 'tiktok' }),
+      importedPost({ userId: new mongoose.Types.ObjectId() }),
+    ]);
+
+    expect(result).toMatchObject({ inserted: 2, updated: 0, unchanged: 0 });
+    expect(storedPosts).toHaveLength(3);
+  });
+
+  test('reports invalid rows by index and stores the rest', async () => {
+    const result = await upsertPostMetrics([
+      importedPost({ provider: 'myspace' }),
+      importedPost({ providerPostId: 'post_2' }),
+    ]);
+
+    expect(result.inserted).toBe(1);
+    expect(result.errors).toEqual([{ index: 0, error: expect.stringContaining('provider'), code: 'validation' }]);
+    expect(storedPosts.map(post => post.providerPostId)).toEqual(['post_2']);
+  });
+
+  test('snapshots the previous engagement of posts stored before snapshots existed', async () => {
+    storedPosts.push({
+      ...importedPost(),
+      _id: new mongoose.Types.ObjectId(),
+      lastUpdated: new Date('2025-08-02T00:00:00Z'),
+    });
+
+    const result = await upsertPostMetrics([importedPost({ metrics: { likes: 40 } })]);
+
+    expect(result.updated).toBe(1);
+    expect(storedSnapshots.map(snapshot => [snapshot.metrics.likes, snapshot.capturedAt])).toEqual([
+      [40, expect.any(Date)],
+      [10, new Date('2025-08-02T00:00:00Z')],
+    ]);
+  });
+});
@@ -0,0 +1,111 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import RiskTerm from '../../models/RiskTerm.js';
+import RiskLexiconRevision from '../../models/RiskLexiconRevision.js';
+import { createRiskTerm, updateRiskTerm } from '../riskLexiconStore.js';
+
+const adminId = new mongoose.Types.ObjectId();
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+let saved;
+
+beforeEach(() => {
+  saved = [];
+  jest.spyOn(RiskTerm.prototype, 'save').mockImplementation(async function () {
+    saved.push({ entry: this, version: this.version });
+    return this;
+  });
+  jest.spyOn(RiskTerm, 'find').mockReturnValue({ lean: async () => [] });
+  jest.spyOn(RiskTerm, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  jest.spyOn(RiskTerm, 'replaceOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(RiskLexiconRevision, 'findOne').mockReturnValue({
+    sort: () => ({ select: () => ({ lean: async () => ({ version: 3 }) }) }),
+  });
+  jest.spyOn(RiskLexiconRevision, 'create').mockImplementation(async revision => ({ _id: new mongoose.Types.ObjectId(), ...revision }));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createRiskTerm', () => {
+  const fields = { term: 'hopeless', severity: 'medium', category: 'self-harm' };
+
+  test('records the entry with the version claimed for it', async () => {
+    const { entry, version } = await createRiskTerm(fields, adminId);
+
+    expect(version).toBe(4);
+    expect(entry.version).toBe(4);
+    expect(RiskLexiconRevision.create).toHaveBeenCalledWith(expect.objectContaining({
+      version: 4,
+      action: 'create',
+      termId: entry._id,
+      after: expect.objectContaining(fields),
+      changedBy: adminId,
+    }));
+    expect(saved.map(({ version }) => version)).toEqual([undefined, 4]);
+    expect(RiskTerm.deleteOne).not.toHaveBeenCalled();
+  });
+
+  test('removes the entry again when no version can be claimed for it', async () => {
+    RiskLexiconRevision.create.mockRejectedValue(duplicateKeyError());
+
+    await expect(createRiskTerm(fields, adminId)).rejects.toThrow('Could not record the risk lexicon change, please retry');
+
+    expect(RiskLexiconRevision.create).toHaveBeenCalledTimes(5);
+    expect(RiskTerm.deleteOne).toHaveBeenCalledWith({ _id: saved[0].entry._id });
+    expect(saved).toHaveLength(1);
+  });
+
+  test('reports the original error when the entry cannot be removed either', async () => {
+    RiskLexiconRevision.create.mockRejectedValue(new Error('connection lost'));
+    RiskTerm.deleteOne.mockRejectedValue(new Error('connection lost again'));
+
+    await expect(createRiskTerm(fields, adminId)).rejects.toThrow(/^connection lost$/);
+
+    expect(console.error).toHaveBeenCalledWith('Error undoing risk lexicon change:', expect.any(Error));
+  });
+});
+
+describe('updateRiskTerm', () => {
+  let existing;
+
+  beforeEach(() => {
+    existing = new RiskTerm({ term: 'hopeless', severity: 'medium', category: 'self-harm', version: 2 });
+    jest.spyOn(RiskTerm, 'findById').mockResolvedValue(existing);
+  });
+
+  test('records the change with the version claimed for it', async () => {
+    const { entry, version } = await updateRiskTerm(existing._id, { severity: 'high' }, adminId);
+
+    expect(version).toBe(4);
+    expect(entry.severity).toBe('high');
+    expect(RiskLexiconRevision.create).toHaveBeenCalledWith(expect.objectContaining({
+      version: 4,
+      action: 'update',
+      before: expect.objectContaining({ severity: 'medium' }),
+      after: expect.objectContaining({ severity: 'high' }),
+    }));
+    expect(RiskTerm.replaceOne).not.toHaveBeenCalled();
+  });
+
+  test('restores the entry when no version can be claimed for the change', async () => {
+    RiskLexiconRevision.create.mockRejectedValue(new Error('connection lost'));
+
+    await expect(updateRiskTerm(existing._id, { severity: 'high', isActive: false }, adminId)).rejects.toThrow('connection lost');
+
+    expect(RiskTerm.replaceOne).toHaveBeenCalledWith(
+      { _id: existing._id },
+      expect.objectContaining({ term: 'hopeless', severity: 'medium', isActive: true, version: 2 })
+    );
+  });
+
+  test('returns null for an unknown entry', async () => {
+    RiskTerm.findById.mockResolvedValue(null);
+
+    expect(await updateRiskTerm(new mongoose.Types.ObjectId(), { severity: 'high' }, adminId)).toBeNull();
+    expect(RiskLexiconRevision.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,351 @@
+import Alert from '../models/Alert.js';
+import User from '../models/User.js';
+import { composeRiskAlert, composeParentNotification } from './mailer.js';
+import { getGuardianContacts } from './guardianAccess.js';
+import { normalizePhoneNumber } from './notificationTransports.js';
+import { dispatchNotification } from './notificationDispatcher.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Alerts still pending this long after they were recorded were cut off while sending
+const SENDING_TIMEOUT = 15 * 60 * 1000;
+
+// Escalation rules, most severe first. A post or analysis fires the first rule whose
+// riskLevels contain its risk level. While a rule (or a more severe one) alerted the
+// user within `cooldown` ms, new alerts are recorded as suppressed instead of sent.
+// `notify` lists who is contacted on which channel; SMS go to User.phone, for guardians
+// to their account phone and User.parentPhone, and in-app notifications to the inbox of
+// the user and of guardians with an account. Guardians (linked guardian accounts and
+// the parent contact given at registration) are only notified for users under 18.
+// Messages follow each recipient's notification preferences (category 'risk' for the
+// user, 'guardian' for guardians), except for `critical` rules, which override them.
+export const ESCALATION_RULES = [
+  {
+    id: 'post-high-risk',
+    source: 'post',
+    riskLevels: ['high'],  // PostMetric risk.level
+    notify: [
+      { role: 'user', channel: 'email' },
+      { role: 'user', channel: 'sms' },
+      { role: 'guardian', channel: 'email' },
+      { role: 'guardian', channel: 'sms' },
+      { role: 'user', channel: 'inApp' },
+      { role: 'guardian', channel: 'inApp' },
+    ],
+    cooldown: 6 * HOUR,
+    critical: true,
+    message: 'Something you posted recently suggests you may be going through something really difficult. ' +
+      'We wanted to check in and make sure you know where to find support.',
+    guardianMessage: 'A recent post may indicate serious distress. We encourage you to check in with them today ' +
+      'and, if you are worried about their safety, to contact a mental health professional or emergency services.',
+  },
+  {
+    id: 'analysis-high-risk',
+    source: 'analysis',
+    riskLevels: ['high'],  // Analysis metrics.riskFactors.riskLevel
+    notify: [
+      { role: 'user', channel: 'email' },
+      { role: 'user', channel: 'sms' },
+      { role: 'guardian', channel: 'email' },
+      { role: 'guardian', channel: 'sms' },
+      { role: 'user', channel: 'inApp' },
+      { role: 'guardian', channel: 'inApp' },
+    ],
+    cooldown: 24 * HOUR,
+    critical: true,
+    message: 'Your latest analysis found posts that suggest you may be going through something really difficult. ' +
+      'We wanted to check in and make sure you know where to find support.',
+    guardianMessage: 'Their latest analysis found posts that may indicate serious distress. We encourage you to check in ' +
+      'with them soon and, if you are worried about their safety, to contact a mental health professional.',
+  },
+  {
+    id: 'analysis-elevated-risk',
+    source: 'analysis',
+    riskLevels: ['medium-high'],
+    notify: [
+      { role: 'user', channel: 'email' },
+      { role: 'guardian', channel: 'email' },
+      { role: 'user', channel: 'inApp' },
+      { role: 'guardian', channel: 'inApp' },
+    ],
+    cooldown: 72 * HOUR,
+    message: 'Your latest analysis found several posts that suggest you have been struggling lately. ' +
+      'It might help to talk to someone you trust.',
+    guardianMessage: 'Their latest analysis found several posts that suggest they have been struggling lately. ' +
+      'It may be a good time to check in with them.',
+  },
+  {
+    id: 'analysis-medium-risk',
+    source: 'analysis',
+    riskLevels: ['medium'],
+    notify: [
+      { role: 'user', channel: 'email' },
+      { role: 'user', channel: 'inApp' },
+    ],
+    cooldown: 7 * 24 * HOUR,
+    message: 'Your latest analysis found posts that suggest you may be feeling down. ' +
+      'Remember that it is okay to ask for help.',
+  },
+];
+
+/**
+ * Alert on a finished analysis if its risk level matches an escalation rule.
+ * An analysis whose risk examples all belong to earlier alerts is recorded as a
+ * duplicate instead of alerting again.
+ * @param {Object} analysis - Analysis with _id, userId and metrics.riskFactors
+ * @returns {Promise<Object|null>} The recorded alert, or null if no rule matched or it was already recorded
+ */
+export async function evaluateAnalysisAlerts(analysis) {
+  const { riskLevel, riskScore, examples = [] } = analysis.metrics?.riskFactors || {};
+  const rule = findRule('analysis', riskLevel);
+  if (!rule) return null;
+
+  const postIds = examples.map(example => example.id).filter(Boolean);
+  const alerted = await findAlertedPosts(postIds);
+  const isDuplicate = postIds.length > 0 && postIds.every(id => alerted.has(String(id)));
+
+  return raiseAlert({
+    userId: analysis.userId,
+    rule,
+    sourceIds: [analysis._id],
+    postIds,
+    riskLevel,
+    riskScore,
+    suppressedReason: isDuplicate ? 'duplicate' : null,
+  });
+}
+
+/**
+ * Alert on newly stored posts whose risk level matches an escalation rule.
+ * Posts matching the same rule share one alert; posts already part of an alert are ignored.
+ * @param {string|ObjectId} userId - Owner of the posts
+ * @param {Array} posts - Stored PostMetric documents (with _id and risk)
+ * @returns {Promise<Array>} The recorded alerts
+ */
+export async function evaluatePostAlerts(userId, posts) {
+  const postsByRule = new Map();
+
+  for (const post of posts) {
+    const rule = findRule('post', post.risk?.level);
+    if (!rule) continue;
+
+    if (!postsByRule.has(rule)) postsByRule.set(rule, []);
+    postsByRule.get(rule).push(post);
+  }
+
+  const alerts = [];
+
+  for (const [rule, rulePosts] of postsByRule) {
+    let newPosts = await withoutAlertedPosts(rulePosts);
+
+    while (newPosts.length > 0) {
+      const top = newPosts.reduce((max, post) => ((post.risk.score || 0) > (max.risk.score || 0) ? post : max));
+      const postIds = newPosts.map(post => post._id);
+
+      const alert = await raiseAlert({
+        userId,
+        rule,
+        sourceIds: postIds,
+        postIds,
+        riskLevel: top.risk.level,
+        riskScore: top.risk.score,
+      });
+      if (alert) {
+        alerts.push(alert);
+        break;
+      }
+
+      // Not recorded: another process alerted on some of these posts at the same time (the
+      // unique source index rejects this alert then), or the user is gone. Alert again on
+      // the posts the other alert did not cover.
+      const remaining = await withoutAlertedPosts(newPosts);
+      if (remaining.length === newPosts.length) break;
+      newPosts = remaining;
+    }
+  }
+
+  return alerts;
+}
+
+// First (most severe) rule for a source and risk level
+function findRule(source, riskLevel) {
+  return ESCALATION_RULES.find(rule => rule.source === source && rule.riskLevels.includes(riskLevel)) || null;
+}
+
+// IDs (as strings) of the given posts that already belong to an alert
+async function findAlertedPosts(postIds) {
+  if (postIds.length === 0) return new Set();
+
+  const alerted = await Alert.distinct('postIds', { postIds: { $in: postIds } });
+  return new Set(alerted.map(String));
+}
+
+// The posts that do not belong to an alert yet
+async function withoutAlertedPosts(posts) {
+  const alerted = await findAlertedPosts(posts.map(post => post._id));
+  return posts.filter(post => !alerted.has(String(post._id)));
+}
+
+// Whether the user got an alert from this rule or a more severe one within the rule's cooldown,
+// or one is being sent. Alerts cut off while sending told nobody, so they do not count.
+async function isInCooldown(userId, rule) {
+  const rules = ESCALATION_RULES.slice(0, ESCALATION_RULES.indexOf(rule) + 1).map(({ id }) => id);
+  const cooldownStart = Date.now() - rule.cooldown;
+
+  return Boolean(await Alert.exists({
+    userId,
+    rule: { $in: rules },
+    $or: [
+      { status: { $in: ['sent', 'partial'] }, createdAt: { $gte: new Date(cooldownStart) } },
+      { status: 'pending', createdAt: { $gte: new Date(Math.max(cooldownStart, Date.now() - SENDING_TIMEOUT)) } },
+    ],
+  }));
+}
+
+// Record an alert and notify its recipients unless it is suppressed
+async function raiseAlert({ userId, rule, sourceIds, postIds, riskLevel, riskScore, suppressedReason = null }) {
+  const user = await User.findById(userId).select('name email phone timezone isUnder18 parentEmail parentPhone').lean();
+  if (!user) return null;
+
+  if (!suppressedReason && await isInCooldown(userId, rule)) {
+    suppressedReason = 'cooldown';
+  }
+
+  let alert;
+  try {
+    // Recorded before sending: the unique source index stops a second process alerting on the same source
+    alert = await Alert.create({
+      userId,
+      rule: rule.id,
+      source: rule.source,
+      sourceIds,
+      postIds,
+      riskLevel,
+      riskScore,
+      message: rule.message,
+      status: suppressedReason ? 'suppressed' : 'pending',
+      suppressedReason: suppressedReason || undefined,
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  if (suppressedReason) return alert;
+
+  // Record what was sent even if sending stops on an error, so the alert never stays pending
+  const recipients = [];
+  try {
+    await notifyRecipients(user, rule, alert._id, recipients);
+  } finally {
+    alert.recipients = recipients;
+    alert.status = getDeliveryStatus(recipients);
+    if (alert.status === 'suppressed') alert.suppressedReason = 'preferences';
+    await alert.save();
+  }
+
+  return alert;
+}
+
+// Adds the result for each recipient to `recipients` as it is sent
+async function notifyRecipients(user, rule, alertId, recipients) {
+  const notifiesGuardians = user.isUnder18 && rule.notify.some(({ role }) => role === 'guardian');
+  const guardians = notifiesGuardians ? await getGuardianContacts(user) : null;
+
+  for (const { role, channel } of rule.notify) {
+    if (role === 'guardian' && !guardians) continue;
+
+    // Who is contacted, and the account whose preferences apply
+    const contacts = role === 'user' ? [{ user, email: user.email, phone: user.phone }] : guardians;
+    const reachable = contacts
+      .map(contact => ({ user: contact.user, address: getAddress(contact, channel) }))
+      .filter(contact => contact.address);
+
+    if (reachable.length === 0) {
+      const contact = { sms: 'phone number', email: 'email', inApp: 'account' }[channel];
+      recipients.push({ role, channel, status: 'skipped', error: `No ${role} ${contact} on file` });
+      continue;
+    }
+
+    for (const contact of reachable) {
+      recipients.push(await deliver({ role, channel, ...contact }, user, rule, alertId));
+    }
+  }
+}
+
+async function deliver({ role, channel, user: account, address }, user, rule, alertId) {
+  let message;
+
+  if (channel === 'sms') {
+    const to = normalizePhoneNumber(address);
+    if (!to) {
+      return { role, channel, address, status: 'skipped', error: 'Phone number is not in international format' };
+    }
+
+    address = to;
+    message = { text: composeSms(role, user, rule) };
+  } else if (channel === 'inApp') {
+    message = composeInApp(role, user, rule);
+  } else if (role === 'user') {
+    message = composeRiskAlert(user.name, rule.message);
+  } else {
+    message = composeParentNotification(user.name, rule.guardianMessage);
+  }
+
+  const result = await dispatchNotification({
+    user: account,
+    category: role === 'user' ? 'risk' : 'guardian',
+    channel,
+    to: address,
+    ...message,
+    critical: Boolean(rule.critical),
+    data: { alertId, rule: rule.id },
+    context: { alertId, rule: rule.id },
+  });
+
+  switch (result.status) {
+    case 'sent':
+      return { role, channel, address, status: 'sent', messageId: result.messageId, sentAt: new Date() };
+    case 'deferred':
+      return { role, channel, address, status: 'deferred', sendAfter: result.sendAfter };
+    case 'suppressed':
+      return { role, channel, address, status: 'suppressed', error: `Turned off in notification preferences (${result.reasons.join(', ')})` };
+    default:
+      return { role, channel, address, status: 'failed', error: result.error };
+  }
+}
+
+// Email address, phone number or (in-app) account ID of a contact { user, email, phone }
+function getAddress(contact, channel) {
+  if (channel === 'inApp') return contact.user ? String(contact.user._id) : null;
+  return channel === 'sms' ? contact.phone : contact.email;
+}
+
+function composeInApp(role, user, rule) {
+  return role === 'user'
+    ? { subject: 'We wanted to check in', text: rule.message, link: '/resources' }
+    : { subject: `About ${user.name}`, text: rule.guardianMessage, link: `/guardians/wards/${user._id}` };
+}
+
+// SMS carry the message only; details are in the app
+function composeSms(role, user, rule) {
+  return role === 'user'
+    ? `Social MH Analyzer: ${rule.message} If you are in danger, call your local emergency number.`
+    : `Social MH Analyzer, about ${user.name}: ${rule.guardianMessage}`;
+}
+
+// Deferred messages count as delivered: they are on their way
+function getDeliveryStatus(recipients) {
+  const delivered = recipients.filter(recipient => ['sent', 'deferred'].includes(recipient.status)).length;
+  const attempted = recipients.filter(recipient => !['skipped', 'suppressed'].includes(recipient.status)).length;
+
+  if (attempted === 0 && recipients.some(recipient => recipient.status === 'suppressed')) return 'suppressed';
+  if (delivered === 0) return 'failed';
+  return delivered === attempted ? 'sent' : 'partial';
+}
+
+export default {
+  ESCALATION_RULES,
+  evaluateAnalysisAlerts,
+  evaluatePostAlerts,
+};
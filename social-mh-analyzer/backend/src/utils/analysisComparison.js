@@ -0,0 +1,188 @@
+import Analysis from '../models/Analysis.js';
+import PostMetric from '../models/PostMetric.js';
+import { analyzeMetrics } from './analysisUtils.js';
+import { CURRENT_SCORING_VERSION } from './scoring.js';
+import { toScoringOverrides } from './scoringProfiles.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Metrics that are compared between two periods.
+// `range` metrics are bounded scores: their change is expressed in percent of the scale
+// so that small baselines (e.g. a sentiment of 0.01) do not produce huge percentages.
+// `relative` metrics are counts/averages: their change is relative to the baseline value.
+const COMPARED_METRICS = [
+  { metric: 'engagement.totalPosts', mode: 'relative' },
+  { metric: 'engagement.avgLikes', mode: 'relative' },
+  { metric: 'engagement.avgComments', mode: 'relative' },
+  { metric: 'engagement.engagementRate', mode: 'relative' },
+  { metric: 'sentiment.overallScore', mode: 'range', range: 2 },
+  { metric: 'sentiment.negative', mode: 'range', range: 100 },
+  { metric: 'mentalHealth.stressScore', mode: 'range', range: 100 },
+  { metric: 'mentalHealth.interestScore', mode: 'range', range: 100 },
+  { metric: 'riskFactors.total', mode: 'relative' },
+  { metric: 'riskFactors.highRisk', mode: 'relative' },
+];
+
+// Minimum absolute change (in percent) for each significance level
+const SIGNIFICANCE_THRESHOLDS = {
+  significant: 30,
+  moderate: 15,
+  slight: 5,
+};
+
+/**
+ * Classify the size of a percentage change
+ * @param {number} percentage - Change in percent
+ * @returns {string|null} 'slight', 'moderate', 'significant' or null if negligible
+ */
+export function classifyChange(percentage) {
+  const magnitude = Math.abs(percentage);
+  if (magnitude >= SIGNIFICANCE_THRESHOLDS.significant) return 'significant';
+  if (magnitude >= SIGNIFICANCE_THRESHOLDS.moderate) return 'moderate';
+  if (magnitude >= SIGNIFICANCE_THRESHOLDS.slight) return 'slight';
+  return null;
+}
+
+/**
+ * Diff the metrics of two periods
+ * @param {Object} baseline - Metrics of the earlier period (Analysis.metrics shape)
+ * @param {Object} current - Metrics of the later period (Analysis.metrics shape)
+ * @returns {Array} One entry per compared metric with the change of `current` relative to `baseline`
+ */
+export function diffMetrics(baseline = {}, current = {}) {
+  return COMPARED_METRICS.map(({ metric, mode, range }) => {
+    const previousValue = getPath(baseline, metric) || 0;
+    const currentValue = getPath(current, metric) || 0;
+    const delta = currentValue - previousValue;
+
+    let percentage;
+    if (mode === 'range') {
+      percentage = (delta / range) * 100;
+    } else if (previousValue === 0) {
+      percentage = currentValue === 0 ? 0 : 100;
+    } else {
+      percentage = (delta / Math.abs(previousValue)) * 100;
+    }
+
+    return {
+      metric,
+      previousValue,
+      currentValue,
+      change: delta > 0 ? 'increase' : delta < 0 ? 'decrease' : 'none',
+      percentage: Math.round(Math.abs(percentage) * 10) / 10,
+      significance: classifyChange(percentage),
+    };
+  });
+}
+
+/**
+ * Keep only the changes worth reporting, in the Analysis.summary.notableChanges shape
+ * @param {Array} changes - Output of diffMetrics
+ * @returns {Array} Notable changes
+ */
+export function toNotableChanges(changes) {
+  return changes
+    .filter(change => change.significance !== null)
+    .map(({ metric, change, percentage, significance }) => ({
+      metric,
+      change,
+      percentage,
+      significance,
+    }));
+}
+
+/**
+ * Find the baseline for an analysis and compute its notable changes.
+ * Uses the user's most recent completed analysis covering a comparable window
+ * (same time range, provider, length, scoring version and scoring profile revision,
+ * ending before this one starts); if there is none, analyzes the preceding window of
+ * equal length on the fly.
+ * @param {Object} analysis - Analysis document being completed
+ * @param {Object} metrics - Freshly computed metrics of that analysis
+ * @param {Object} [scoring] - How the metrics were scored
+ * @param {string} [scoring.scoringVersion=CURRENT_SCORING_VERSION] - Scoring algorithm version
+ * @param {Object} [scoring.profile] - ScoringProfile document the metrics were scored with
+ * @param {string} [scoring.timeZone='UTC'] - IANA time zone the metrics were computed in (User.timezone)
+ * @returns {Promise<Object>} { baseline, notableChanges }; baseline is null when there is nothing to compare to
+ */
+export async function comparePreviousPeriod(analysis, metrics, { scoringVersion = CURRENT_SCORING_VERSION, profile, timeZone = 'UTC' } = {}) {
+  const periodMs = analysis.endDate - analysis.startDate;
+
+  const previous = await findComparableAnalysis(analysis, periodMs, scoringVersion, profile);
+  if (previous) {
+    return {
+      baseline: {
+        analysisId: previous._id,
+        startDate: previous.startDate,
+        endDate: previous.endDate,
+      },
+      notableChanges: toNotableChanges(diffMetrics(previous.metrics, metrics)),
+    };
+  }
+
+  // No stored analysis to compare against: analyze the preceding window
+  const startDate = new Date(analysis.startDate.getTime() - periodMs);
+  const endDate = new Date(analysis.startDate);
+
+  const query = {
+    userId: analysis.userId,
+    timestamp: { $gte: startDate, $lt: endDate },
+  };
+
+  if (analysis.provider) {
+    query.provider = analysis.provider;
+  }
+
+  const previousMetrics = await PostMetric.find(query).sort({ timestamp: 1 });
+  if (previousMetrics.length === 0) {
+    return { baseline: null, notableChanges: [] };
+  }
+
+  const { summary, ...baselineMetrics } = await analyzeMetrics(previousMetrics, {
+    timeRange: analysis.timeRange,
+    startDate,
+    endDate,
+    timeZone,
+    scoringVersion,
+    scoringProfile: profile ? toScoringOverrides(profile) : undefined,
+  });
+
+  return {
+    baseline: { startDate, endDate },
+    notableChanges: toNotableChanges(diffMetrics(baselineMetrics, metrics)),
+  };
+}
+
+// Most recent finished analysis scored the same way whose window has the same length
+// and ends before this one starts
+async function findComparableAnalysis(analysis, periodMs, scoringVersion, profile) {
+  const candidates = await Analysis.find({
+    userId: analysis.userId,
+    _id: { $ne: analysis._id },
+    status: { $in: ['completed', 'partial'] },
+    timeRange: analysis.timeRange,
+    provider: analysis.provider || { $in: [null, ''] },
+    version: scoringVersion,
+    'scoringProfile.profileId': profile ? profile._id : null,
+    'scoringProfile.revision': profile ? profile.revision : null,
+    endDate: { $lte: new Date(analysis.startDate.getTime() + DAY_MS) },
+  })
+    .sort({ endDate: -1 })
+    .limit(5)
+    .lean();
+
+  return candidates.find(candidate =>
+    Math.abs((candidate.endDate - candidate.startDate) - periodMs) <= DAY_MS
+  ) || null;
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+export default {
+  classifyChange,
+  diffMetrics,
+  toNotableChanges,
+  comparePreviousPeriod,
+};
@@ -1,36 +1,52 @@
 import Sentiment from 'sentiment';
+import { SENTIMENT_LEXICONS } from '../data/sentimentLexicons.js';
+import { LANGUAGE_PROFILES } from '../data/languageProfiles.js';
+import { addEmojiSentiment } from './emojiAnalyzer.js';
+import { calculateInterestScore, calculateStressScore } from './scoring.js';
+import { scoreRisk } from './riskClassifier.js';
+import { getAnalysisLanguage } from './languageDetector.js';
+import { foldDiacritics } from './textUtils.js';
 
 const sentiment = new Sentiment();
 
-// Configuration for scoring
-const SCORE_WEIGHTS = {
-  likes: 0.4,
-  comments: 0.3,
-  shares: 0.2,
-  saves: 0.1,
-  watchTime: 0.2,
-};
+// English ships with the sentiment library; register the other languages.
+// A negation word flips the score of the next two words ("no estoy feliz"), in Hindi
+// also of the word before ("खुश नहीं").
+const SENTIMENT_NEGATION_WINDOW = 2;
+
+for (const [language, labels] of Object.entries(SENTIMENT_LEXICONS)) {
+  const { negations = [], negationFollows } = LANGUAGE_PROFILES[language];
 
-const STRESS_WEIGHTS = {
-  negativeSentiment: 0.6,
-  postFrequency: 0.2,
-  negativeWordDensity: 0.2,
+  sentiment.registerLanguage(language, {
+    labels: Object.fromEntries(Object.entries(labels).map(([word, score]) => [word.normalize('NFC'), score])),
+    scoringStrategy: {
+      apply(tokens, cursor, tokenScore) {
+        const preceding = tokens.slice(Math.max(0, cursor - SENTIMENT_NEGATION_WINDOW), cursor);
+        const negated = preceding.some(token => negations.includes(token)) ||
+          (negationFollows && negations.includes(tokens[cursor + 1]));
+        return negated ? -tokenScore : tokenScore;
+      },
+    },
+  });
+}
+
+// Risk levels at which a stored post gets risk flags / is marked as sensitive.
+// Low-level distress words ("lonely", "anxious") alone do not flag a post.
+const POST_RISK_LEVELS = {
+  flagged: ['medium', 'high'],
+  sensitive: ['high'],
 };
 
-const RISK_KEYWORDS = [
-  'suicide', 'kill myself', 'end my life', 'hopeless', 'don\'t want to live',
-  'depressed', 'anxious', 'overwhelmed', 'can\'t go on', 'tired of life',
-  'self-harm', 'self harm', 'cutting', 'suicidal', 'want to die',
-  'lonely', 'alone', 'nobody cares', 'no one cares', 'worthless',
-  'useless', 'failure', 'hate myself', 'disappointed in myself',
-];
+// Scoring lives in scoring.js; re-exported for existing callers
+export { calculateInterestScore, calculateStressScore };
 
 /**
- * Analyze sentiment of a text
+ * Analyze sentiment of a text, including the emojis it uses
  * @param {string} text - The text to analyze
+ * @param {string} [language='en'] - Language of the text (unsupported languages use English)
  * @returns {Object} Sentiment analysis result
  */
-export function analyzeSentiment(text) {
+export function analyzeSentiment(text, language) {
   if (!text || typeof text !== 'string') {
     return {
       score: 0,
@@ -39,103 +55,81 @@ export function analyzeSentiment(text) {
       words: [],
       positive: [],
       negative: [],
+      emojis: [],
     };
   }
   
-  return sentiment.analyze(text);
+  // Lexicons store words without accents; "।" ends Hindi sentences
+  const normalized = foldDiacritics(text).replace(/।/g, ' ');
+
+  return addEmojiSentiment(sentiment.analyze(normalized, { language: getAnalysisLanguage(language) }), text);
 }
 
 /**
- * Calculate interest score based on engagement metrics
- * @param {Object} metrics - Engagement metrics
- * @param {number} metrics.likes - Number of likes
- * @param {number} metrics.comments - Number of comments
- * @param {number} metrics.shares - Number of shares
- * @param {number} metrics.saves - Number of saves
- * @param {number} metrics.watchTime - Watch time in seconds (for video content)
- * @returns {number} Interest score (0-100)
+ * Per-post sentiment in the stored form (PostMetric.metrics.sentiment)
+ * @param {string} text - Post text
+ * @param {string} [language] - Detected language of the post (PostMetric.language)
+ * @returns {Object} { score (-1 to 1), comparative, tokens, positive, negative, emojis } where
+ *   positive/negative list the sentiment words and emojis as [{ word, score }] in AFINN units
  */
-export function calculateInterestScore({
-  likes = 0,
-  comments = 0,
-  shares = 0,
-  saves = 0,
-  watchTime = 0,
-}) {
-  // Normalize values (these caps can be adjusted based on your platform's average)
-  const normalizedLikes = Math.min(likes / 100, 1);
-  const normalizedComments = Math.min(comments / 10, 1);
-  const normalizedShares = Math.min(shares / 5, 1);
-  const normalizedSaves = Math.min(saves / 20, 1);
-  const normalizedWatchTime = Math.min(watchTime / 300, 1); // 5 minutes max
-
-  // Calculate weighted score
-  const score = (
-    normalizedLikes * SCORE_WEIGHTS.likes +
-    normalizedComments * SCORE_WEIGHTS.comments +
-    normalizedShares * SCORE_WEIGHTS.shares +
-    normalizedSaves * SCORE_WEIGHTS.saves +
-    normalizedWatchTime * SCORE_WEIGHTS.watchTime
-  ) * 100; // Convert to 0-100 scale
+export function analyzeStoredSentiment(text, language) {
+  const { comparative, tokens, calculation = [], emojis } = analyzeSentiment(text, language);
+  const words = calculation.map(entry => {
+    const [word, score] = Object.entries(entry)[0];
+    return { word, score };
+  });
 
-  // Ensure score is within bounds
-  return Math.min(Math.max(score, 0), 100);
+  return {
+    // AFINN comparative is the average word score (-5 to 5); squash it into -1..1
+    score: Math.round(Math.tanh(comparative) * 100) / 100,
+    comparative,
+    tokens,
+    positive: words.filter(({ score }) => score > 0),
+    negative: words.filter(({ score }) => score < 0),
+    emojis,
+  };
 }
 
 /**
- * Calculate stress score based on various factors
- * @param {Object} params - Parameters for stress calculation
- * @param {number} params.sentiment - Average sentiment score (-1 to 1)
- * @param {number} params.negativePercentage - Percentage of negative content
- * @param {number} params.postFrequency - Posts per day
- * @param {Array} [params.posts=[]] - Array of post texts for deeper analysis
- * @returns {number} Stress score (0-100)
+ * Read a sentiment value supplied by the client (CSV column or ingest field).
+ * Kept as metrics.clientSentiment for reference only; it is never used for scoring.
+ * @param {*} value - Number, numeric string, JSON string or object
+ * @returns {*} Parsed value, or undefined if there is none
  */
-export function calculateStressScore({
-  sentiment = 0,
-  negativePercentage = 0,
-  postFrequency = 0,
-  posts = [],
-}) {
-  // Normalize sentiment to 0-1 scale (0 = most negative, 1 = most positive)
-  const normalizedSentiment = (sentiment + 1) / 2; // Convert -1 to 1 range to 0-1
-  
-  // Calculate negative content score (0-1)
-  const negativeContentScore = negativePercentage / 100;
-  
-  // Calculate post frequency score (0-1)
-  // More than 10 posts per day is considered high frequency
-  const normalizedPostFrequency = Math.min(postFrequency / 10, 1);
-  
-  // Calculate risk keyword density if posts are provided
-  let riskKeywordDensity = 0;
-  if (posts.length > 0) {
-    const totalWords = posts.reduce((sum, post) => {
-      if (!post || typeof post !== 'string') return sum;
-      return sum + post.split(/\s+/).length;
-    }, 0);
-    
-    if (totalWords > 0) {
-      const riskWordCount = posts.reduce((sum, post) => {
-        if (!post || typeof post !== 'string') return sum;
-        const words = post.toLowerCase().split(/\s+/);
-        return sum + words.filter(word => RISK_KEYWORDS.includes(word)).length;
-      }, 0);
-      
-      riskKeywordDensity = Math.min(riskWordCount / totalWords, 1);
-    }
+export function parseClientSentiment(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value !== 'string') return value;
+
+  const trimmed = value.trim();
+  if (trimmed !== '' && !isNaN(Number(trimmed))) return { score: Number(trimmed) };
+
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return { raw: trimmed };
   }
-  
-  // Calculate stress score using weighted sum
-  const stressScore = (
-    (1 - normalizedSentiment) * STRESS_WEIGHTS.negativeSentiment +
-    negativeContentScore * STRESS_WEIGHTS.negativeWordDensity +
-    normalizedPostFrequency * STRESS_WEIGHTS.postFrequency +
-    riskKeywordDensity * 0.3 // Additional weight for risk keywords
-  ) * 100; // Convert to 0-100 scale
-  
-  // Ensure score is within bounds
-  return Math.min(Math.max(stressScore, 0), 100);
+}
+
+/**
+ * Risk fields stored on a PostMetric for its text
+ * @param {string} text - Post text
+ * @param {string} [language] - Detected language of the post (PostMetric.language)
+ * @returns {Object} { riskFlags, hasSensitiveContent, risk: { score, level, matches, lexiconVersion, scoredAt } }
+ */
+export function classifyPostRisk(text, language) {
+  const risk = scoreRisk(text, { language: getAnalysisLanguage(language) });
+
+  return {
+    riskFlags: POST_RISK_LEVELS.flagged.includes(risk.riskLevel) ? risk.categories : [],
+    hasSensitiveContent: POST_RISK_LEVELS.sensitive.includes(risk.riskLevel),
+    risk: {
+      score: risk.score,
+      level: risk.riskLevel,
+      matches: risk.matches,
+      lexiconVersion: risk.lexiconVersion,
+      scoredAt: new Date(),
+    },
+  };
 }
 
 /**
@@ -143,49 +137,29 @@ export function calculateStressScore({
  * @param {Object} post - Post data
  * @param {string} post.text - Post content
  * @param {string} [post.platform] - Platform the post is from
- * @returns {Object} Analysis result
+ * @returns {Object} Analysis result; `score` is the deterministic risk score (0-100)
+ *   and `riskBreakdown` explains how each matched term contributed to it
  */
 export function analyzePost(post) {
   if (!post || typeof post !== 'object') {
     return {
       score: 0,
       riskLevel: 'none',
-      riskFactors: [],
+      riskKeywords: [],
+      riskBreakdown: [],
       sentiment: { score: 0, comparative: 0 },
     };
   }
   
   const text = post.text || '';
   const sentiment = analyzeSentiment(text);
-  
-  // Check for risk keywords
-  const riskKeywords = RISK_KEYWORDS.filter(keyword => 
-    text.toLowerCase().includes(keyword)
-  );
-  
-  // Calculate risk level
-  let riskLevel = 'none';
-  const highRiskWords = ['suicide', 'kill myself', 'end my life', 'self-harm', 'self harm', 'suicidal'];
-  const mediumRiskWords = ['hopeless', 'want to die', 'tired of life', 'can\'t go on', 'depressed'];
-  
-  if (riskKeywords.some(kw => highRiskWords.includes(kw))) {
-    riskLevel = 'high';
-  } else if (riskKeywords.some(kw => mediumRiskWords.includes(kw))) {
-    riskLevel = 'medium';
-  } else if (riskKeywords.length > 0) {
-    riskLevel = 'low';
-  }
-  
-  // Calculate a risk score (0-100)
-  let riskScore = 0;
-  if (riskLevel === 'high') riskScore = 75 + (Math.random() * 25); // 75-100
-  else if (riskLevel === 'medium') riskScore = 40 + (Math.random() * 35); // 40-75
-  else if (riskLevel === 'low') riskScore = 10 + (Math.random() * 30); // 10-40
+  const risk = scoreRisk(text);
   
   return {
-    score: riskScore,
-    riskLevel,
-    riskKeywords,
+    score: risk.score,
+    riskLevel: risk.riskLevel,
+    riskKeywords: risk.matches,
+    riskBreakdown: risk.breakdown,
     sentiment: {
       score: sentiment.score,
       comparative: sentiment.comparative,
@@ -373,6 +347,9 @@ export function analyzePosts(posts) {
 
 export default {
   analyzeSentiment,
+  analyzeStoredSentiment,
+  parseClientSentiment,
+  classifyPostRisk,
   calculateInterestScore,
   calculateStressScore,
   analyzePost,
@@ -0,0 +1,338 @@
+import Analysis from '../models/Analysis.js';
+import PostMetric from '../models/PostMetric.js';
+import User from '../models/User.js';
+import { analyzeMetrics } from './analysisUtils.js';
+import { comparePreviousPeriod } from './analysisComparison.js';
+import { CURRENT_SCORING_VERSION } from './scoring.js';
+import { getScoringProfile, toScoringOverrides, snapshotScoringProfile } from './scoringProfiles.js';
+import { loadRiskLexicon } from './riskLexiconStore.js';
+import { evaluateAnalysisAlerts } from './alerting.js';
+import { dispatchNotification } from './notificationDispatcher.js';
+
+// Number of analyses the local worker runs at the same time
+const CONCURRENCY = parseInt(process.env.ANALYSIS_WORKER_CONCURRENCY) || 1;
+
+// Running analyses are marked alive, so other processes only restart those of a stopped process
+const HEARTBEAT_INTERVAL = 30 * 1000;   // How often running analyses are marked alive (ms)
+const STALE_AFTER = 5 * 60 * 1000;      // Analyses not marked alive for this long were cut off (ms)
+const SWEEP_INTERVAL = 5 * 60 * 1000;   // How often cut-off analyses are looked for (ms)
+
+const CANCELLED_MESSAGE = 'Analysis cancelled by user';
+
+// In-memory FIFO of analysis IDs waiting for the worker
+const queue = [];
+let activeJobs = 0;
+
+// IDs of the analyses this process is running
+const running = new Set();
+let heartbeatTimer = null;
+let sweepTimer = null;
+
+/**
+ * Add a pending analysis to the worker queue
+ * @param {string|ObjectId} analysisId - ID of an Analysis document in `pending` status
+ * @returns {number} Position of the analysis in the queue (1-based)
+ */
+export function enqueueAnalysis(analysisId) {
+  const id = analysisId.toString();
+
+  if (!queue.includes(id)) {
+    queue.push(id);
+  }
+
+  // Let the caller respond before the worker starts
+  setImmediate(drainQueue);
+
+  return queue.indexOf(id) + 1;
+}
+
+/**
+ * Cancel a pending or processing analysis
+ * @param {string|ObjectId} analysisId - Analysis ID
+ * @param {string|ObjectId} userId - Owner of the analysis
+ * @returns {Promise<Object|null>} The cancelled analysis, or null if it was not running
+ */
+export async function cancelAnalysis(analysisId, userId) {
+  const id = analysisId.toString();
+
+  // Conditional update so a job finishing at the same moment is never overwritten;
+  // the worker only saves results while the status is still `processing`
+  const analysis = await Analysis.findOneAndUpdate(
+    {
+      _id: id,
+      userId,
+      status: { $in: ['pending', 'processing'] },
+    },
+    {
+      status: 'failed',
+      cancelledAt: new Date(),
+      error: {
+        message: CANCELLED_MESSAGE,
+        timestamp: new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (analysis) {
+    const index = queue.indexOf(id);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+  }
+
+  return analysis;
+}
+
+/**
+ * Get the position of an analysis in the worker queue
+ * @param {string|ObjectId} analysisId - Analysis ID
+ * @returns {number|null} Position (1-based) or null if it is not queued
+ */
+export function getQueuePosition(analysisId) {
+  const index = queue.indexOf(analysisId.toString());
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Re-queue analyses left behind by a stopped server process, now and every SWEEP_INTERVAL.
+ * Jobs whose process stopped while they were `processing` (not marked alive for STALE_AFTER)
+ * are restarted from scratch; those other processes are running are left to them.
+ * @returns {Promise<number>} Number of analyses re-queued now
+ */
+export async function resumePendingAnalyses() {
+  await requeueStaleAnalyses();
+
+  const pending = await Analysis.find({ status: 'pending' })
+    .sort({ createdAt: 1 })
+    .select('_id')
+    .lean();
+
+  pending.forEach(analysis => enqueueAnalysis(analysis._id));
+
+  if (!sweepTimer) {
+    sweepTimer = setInterval(() => {
+      requeueStaleAnalyses()
+        .then(requeued => requeued.forEach(enqueueAnalysis))
+        .catch(error => {
+          console.error('Analysis sweeper failed:', error);
+        });
+    }, SWEEP_INTERVAL);
+
+    // Do not keep the process alive just for the sweeper
+    sweepTimer.unref();
+  }
+
+  return pending.length;
+}
+
+// Put analyses back to `pending` whose process stopped while running them; returns their IDs
+async function requeueStaleAnalyses() {
+  const staleBefore = new Date(Date.now() - STALE_AFTER);
+  const stale = {
+    status: 'processing',
+    $or: [
+      { heartbeatAt: { $lt: staleBefore } },
+      // Started before heartbeats were recorded
+      { heartbeatAt: { $exists: false }, startedAt: { $lt: staleBefore } },
+    ],
+  };
+
+  const interrupted = await Analysis.find(stale).select('_id').lean();
+
+  // Each one is checked again as it is reset, in case its process has just marked it alive
+  const requeued = [];
+  for (const { _id } of interrupted) {
+    const { modifiedCount } = await Analysis.updateOne(
+      { _id, ...stale },
+      { status: 'pending', $unset: { startedAt: 1, heartbeatAt: 1 } }
+    );
+    if (modifiedCount > 0) requeued.push(_id);
+  }
+  return requeued;
+}
+
+// Mark this process's running analyses alive
+function startHeartbeat() {
+  if (heartbeatTimer) return;
+
+  heartbeatTimer = setInterval(() => {
+    Analysis.updateMany(
+      { _id: { $in: [...running] }, status: 'processing' },
+      { heartbeatAt: new Date() }
+    ).catch(error => {
+      console.error('Error marking analyses alive:', error);
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  // Do not keep the process alive just for the heartbeat
+  heartbeatTimer.unref();
+}
+
+function stopHeartbeat() {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+}
+
+// Start as many jobs as the concurrency limit allows
+function drainQueue() {
+  while (activeJobs < CONCURRENCY && queue.length > 0) {
+    const analysisId = queue.shift();
+    activeJobs++;
+
+    processAnalysis(analysisId)
+      .catch(error => {
+        console.error(`Analysis worker crashed on ${analysisId}:`, error);
+      })
+      .finally(() => {
+        activeJobs--;
+        drainQueue();
+      });
+  }
+}
+
+// Run a single analysis job: pending -> processing -> completed/partial/failed
+async function processAnalysis(analysisId) {
+  // Claim the job; if it was cancelled while queued there is nothing to do
+  const analysis = await Analysis.findOneAndUpdate(
+    { _id: analysisId, status: 'pending' },
+    { status: 'processing', startedAt: new Date(), heartbeatAt: new Date() },
+    { new: true }
+  );
+
+  if (!analysis) {
+    return;
+  }
+
+  running.add(analysisId);
+  startHeartbeat();
+
+  try {
+    const query = {
+      userId: analysis.userId,
+      timestamp: {
+        $gte: analysis.startDate,
+        $lte: analysis.endDate,
+      },
+    };
+
+    if (analysis.provider) {
+      query.provider = analysis.provider;
+    }
+
+    const metrics = await PostMetric.find(query).sort({ timestamp: 1 });
+
+    if (metrics.length === 0) {
+      throw new Error('No metrics found for the specified time range');
+    }
+
+    // Skip documents without engagement data instead of failing the whole run
+    const validMetrics = metrics.filter(m => m.metrics && typeof m.metrics === 'object');
+    const skipped = metrics.length - validMetrics.length;
+
+    if (validMetrics.length === 0) {
+      throw new Error('None of the metrics in range could be analyzed');
+    }
+
+    const user = await User.findById(analysis.userId).select('timezone').lean();
+    const scoringVersion = CURRENT_SCORING_VERSION;
+    const profile = await getScoringProfile(analysis.userId);
+    const riskLexicon = await loadRiskLexicon();
+
+    const timeZone = user?.timezone || 'UTC';
+
+    const { summary, _cached, _processingTime, ...results } = await analyzeMetrics(validMetrics, {
+      timeRange: analysis.timeRange,
+      startDate: analysis.startDate,
+      endDate: analysis.endDate,
+      timeZone,
+      scoringVersion,
+      scoringProfile: toScoringOverrides(profile),
+    });
+
+    const { baseline, notableChanges } = await comparePreviousPeriod(analysis, results, { scoringVersion, profile, timeZone });
+
+    const update = {
+      status: skipped > 0 ? 'partial' : 'completed',
+      completedAt: new Date(),
+      version: scoringVersion,
+      scoringProfile: snapshotScoringProfile(profile, scoringVersion),
+      riskLexiconVersion: riskLexicon.version,
+      metrics: results,
+      summary: { ...summary, notableChanges },
+      baseline,
+      postMetrics: validMetrics.map(m => m._id),
+    };
+
+    if (skipped > 0) {
+      update.error = {
+        message: `${skipped} of ${metrics.length} posts were skipped because they had no metrics`,
+        timestamp: new Date(),
+      };
+    }
+
+    // Only write results if nobody cancelled the job in the meantime
+    const { modifiedCount } = await Analysis.updateOne({ _id: analysisId, status: 'processing' }, update);
+
+    if (modifiedCount > 0) {
+      await notifyAnalysisCompleted(user, analysis, update);
+      await sendAnalysisAlerts({ _id: analysis._id, userId: analysis.userId, metrics: results });
+    }
+  } catch (error) {
+    console.error(`Analysis ${analysisId} failed:`, error);
+
+    await Analysis.updateOne(
+      { _id: analysisId, status: 'processing' },
+      {
+        status: 'failed',
+        completedAt: new Date(),
+        error: {
+          message: error.message,
+          stack: error.stack,
+          timestamp: new Date(),
+        },
+      }
+    );
+  } finally {
+    running.delete(analysisId);
+    if (running.size === 0) stopHeartbeat();
+  }
+}
+
+// Tell the user in their inbox; like alerts, this never fails a completed analysis
+async function notifyAnalysisCompleted(user, analysis, update) {
+  if (!user) return;
+
+  try {
+    const period = [analysis.startDate, analysis.endDate].map(date => new Date(date).toISOString().slice(0, 10));
+    const text = `Your analysis of ${period[0]} to ${period[1]} is ready.`;
+
+    await dispatchNotification({
+      user,
+      category: 'analysis',
+      channel: 'inApp',
+      subject: 'Your analysis is ready',
+      text: update.error ? `${text} ${update.error.message}.` : text,
+      link: `/analysis/${analysis._id}`,
+      data: { analysisId: analysis._id, status: update.status },
+    });
+  } catch (error) {
+    console.error(`Notification for analysis ${analysis._id} failed:`, error);
+  }
+}
+
+// Alerting problems are logged; they never fail an analysis that completed
+async function sendAnalysisAlerts(analysis) {
+  try {
+    await evaluateAnalysisAlerts(analysis);
+  } catch (error) {
+    console.error(`Alerts for analysis ${analysis._id} failed:`, error);
+  }
+}
+
+export default {
+  enqueueAnalysis,
+  cancelAnalysis,
+  getQueuePosition,
+  resumePendingAnalyses,
+};
@@ -1,23 +1,16 @@
 // Helper functions for analyzing social media metrics
-const { performance } = require('perf_hooks');
-
-// Constants for score calculations
-const SCORE_WEIGHTS = {
-  LIKES: 0.4,
-  COMMENTS: 0.3,
-  SHARES: 0.2,
-  SAVES: 0.05,
-  WATCH_TIME: 0.05,
-  SENTIMENT: 0.3,
-  NEGATIVE: 0.5,
-  FREQUENCY: 0.2
-};
-
-// Risk level thresholds (in percentage)
-const RISK_THRESHOLDS = {
-  HIGH: 70,
-  MEDIUM: 40
-};
+import { performance } from 'perf_hooks';
+import { getWeekNumber, getWeekYear, getWeekStart, getOverlapDays } from './dateUtils.js';
+import { analyzeActivity, inferSleepPattern, getLocalParts, getZoneOffset } from './temporalPatterns.js';
+import { aggregateEmotions } from './emotionClassifier.js';
+import { extractTopics } from './topicExtractor.js';
+import { aggregateEmojiUsage } from './emojiAnalyzer.js';
+import { getScoringAlgorithm, CURRENT_SCORING_VERSION } from './scoring.js';
+import { scoreRisk, getRiskLexicon } from './riskClassifier.js';
+import { detectLanguage, getAnalysisLanguage, isSupportedLanguage } from './languageDetector.js';
+
+// Windows longer than this many days also get monthly trend buckets
+const MONTHLY_TREND_MIN_DAYS = 31;
 
 // Cache for frequently accessed data
 const analysisCache = new Map();
@@ -78,7 +71,11 @@ function generateCacheKey(metrics, options) {
   const optionsKey = JSON.stringify({
     timeRange: options.timeRange,
     startDate: options.startDate?.toISOString(),
-    endDate: options.endDate?.toISOString()
+    endDate: options.endDate?.toISOString(),
+    timeZone: options.timeZone,
+    scoringVersion: options.scoringVersion || CURRENT_SCORING_VERSION,
+    scoringProfile: options.scoringProfile,
+    riskLexiconVersion: getRiskLexicon().version
   });
   
   return `${metricsKey}|${optionsKey}`;
@@ -88,6 +85,8 @@ function generateCacheKey(metrics, options) {
  * Analyzes metrics and returns comprehensive analysis
  * @param {Array} metrics - Array of post metrics
  * @param {Object} options - Analysis options
+ * @param {string} [options.scoringVersion] - Scoring algorithm version, defaults to the current one
+ * @param {Object} [options.scoringProfile] - User scoring profile overrides (weights, baselines)
  * @returns {Promise<Object>} Analysis results
  * @throws {Error} If analysis fails
  */
@@ -132,7 +131,15 @@ export async function analyzeMetrics(metrics, options = {}) {
 
 // Helper function to process metrics (separated for better testability)
 async function processMetrics(metrics, options) {
-  const { timeRange = '30d', startDate, endDate } = options;
+  const {
+    timeRange = '30d',
+    startDate,
+    endDate,
+    timeZone = 'UTC',
+    scoringVersion = CURRENT_SCORING_VERSION,
+    scoringProfile
+  } = options;
+  const scoring = getScoringAlgorithm(scoringVersion, scoringProfile);
   
   // Calculate basic statistics using parallel processing
   const [
@@ -157,17 +164,38 @@ async function processMetrics(metrics, options) {
   // Calculate sentiment metrics
   const sentimentMetrics = calculateSentimentMetrics(metrics);
   
+  // Infer activity and sleep patterns in the user's time zone
+  const postFrequency = calculatePostFrequency(metrics, timeRange, startDate, endDate);
+  const { lateNight, ...activity } = analyzeActivity(metrics, {
+    timeZone,
+    dailyAveragePosts: postFrequency
+  });
+  const sleep = inferSleepPattern(metrics, { timeZone });
+  
+  // Content analysis
+  const emotions = aggregateEmotions(metrics);
+  const { topics, wordCount } = extractTopics(metrics, { scoring });
+  const emojiUsage = aggregateEmojiUsage(metrics);
+  const languages = summarizeLanguages(metrics);
+  
   // Calculate scores
-  const interestScore = calculateInterestScore(averages);
-  const stressScore = calculateStressScore({
+  const interestScore = scoring.calculateInterestScore({
+    likes: averages.avgLikes,
+    comments: averages.avgComments,
+    shares: averages.avgShares,
+    saves: averages.avgSaves,
+    watchTime: averages.avgWatchTime
+  });
+  const stressScore = scoring.calculateStressScore({
     sentiment: sentimentMetrics.avgSentiment,
     negativePercentage: sentimentMetrics.negative,
-    postFrequency: calculatePostFrequency(metrics, timeRange, startDate, endDate)
+    postFrequency,
+    lateNightStreak: lateNight.longestStreak
   });
   
   // Generate platform data and trends
   const platformData = generatePlatformData(metrics);
-  const { dailyTrends } = generateTrends(metrics, startDate, endDate);
+  const { dailyTrends, weeklyTrends, monthlyTrends } = generateTrends(metrics, startDate, endDate, scoring, timeZone);
   
   // Detect risk factors
   const riskFactors = detectRiskFactors(metrics);
@@ -178,7 +206,9 @@ async function processMetrics(metrics, options) {
     stressScore,
     riskFactors,
     platformData,
-    dailyTrends
+    dailyTrends,
+    lateNight,
+    topics
   });
   
   return {
@@ -194,6 +224,7 @@ async function processMetrics(metrics, options) {
     },
     sentiment: {
       ...sentimentMetrics,
+      overallScore: sentimentMetrics.avgSentiment,
       comparative: sentimentMetrics.avgSentiment * 5 // Scale to -5 to 5
     },
     mentalHealth: {
@@ -204,8 +235,11 @@ async function processMetrics(metrics, options) {
       socialSupport: calculateSocialSupport(totalComments)
     },
     riskFactors,
+    sleep,
+    activity: { ...activity, lateNight },
+    content: { emotions, topics, wordCount, emojiUsage, languages },
     byPlatform: platformData,
-    trends: { daily: dailyTrends, weekly: [] },
+    trends: { daily: dailyTrends, weekly: weeklyTrends, monthly: monthlyTrends },
     summary
   };
 }
@@ -296,22 +330,36 @@ function generatePlatformData(metrics) {
   }));
 }
 
-function generateTrends(metrics, startDate, endDate) {
+/**
+ * Builds daily, weekly (ISO week) and monthly trend buckets of the user's calendar
+ * @param {Array} metrics - Array of post metrics
+ * @param {Date} startDate - Start of the analysis window
+ * @param {Date} endDate - End of the analysis window
+ * @param {Object} scoring - Scoring algorithm (see scoring.getScoringAlgorithm)
+ * @param {string} [timeZone='UTC'] - IANA time zone whose days, weeks and months the buckets follow
+ * @returns {Object} { dailyTrends, weeklyTrends, monthlyTrends }; monthly buckets
+ * are only produced for windows longer than MONTHLY_TREND_MIN_DAYS (60d/90d ranges)
+ */
+function generateTrends(metrics, startDate, endDate, scoring, timeZone = 'UTC') {
   if (!startDate || !endDate) {
-    return { dailyTrends: [], weeklyTrends: [] };
+    return { dailyTrends: [], weeklyTrends: [], monthlyTrends: [] };
+  }
+  
+  // Posts by local calendar day (YYYY-MM-DD)
+  const metricsByDay = new Map();
+  for (const metric of metrics) {
+    const { dateKey } = getLocalParts(metric.timestamp, timeZone);
+    if (!metricsByDay.has(dateKey)) metricsByDay.set(dateKey, []);
+    metricsByDay.get(dateKey).push(metric);
   }
   
   const dailyTrends = [];
   const days = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
+  const [startYear, startMonth, startDay] = toCalendarDate(getLocalParts(startDate, timeZone).dateKey);
   
   for (let i = 0; i < days; i++) {
-    const currentDate = new Date(startDate);
-    currentDate.setDate(currentDate.getDate() + i);
-    
-    const dayMetrics = metrics.filter(m => {
-      const metricDate = new Date(m.timestamp);
-      return metricDate.toDateString() === currentDate.toDateString();
-    });
+    const date = new Date(Date.UTC(startYear, startMonth, startDay + i)).toISOString().split('T')[0];
+    const dayMetrics = metricsByDay.get(date) || [];
     
     if (dayMetrics.length > 0) {
       const daySentiment = dayMetrics.reduce(
@@ -319,7 +367,7 @@ function generateTrends(metrics, startDate, endDate) {
       ) / dayMetrics.length;
       
       dailyTrends.push({
-        date: currentDate.toISOString().split('T')[0],
+        date,
         postCount: dayMetrics.length,
         sentiment: daySentiment,
         engagement: {
@@ -331,11 +379,109 @@ function generateTrends(metrics, startDate, endDate) {
     }
   }
   
-  // Generate weekly trends (group by week)
-  const weeklyTrends = [];
-  // Implementation left as an exercise - similar to daily but group by week
+  // Group by ISO week; the dateUtils helpers read the local day from a server-time Date
+  const weeks = {};
+  for (const [dateKey, dayMetrics] of metricsByDay) {
+    const date = new Date(...toCalendarDate(dateKey));
+    const week = getWeekNumber(date);
+    const year = getWeekYear(date);
+    const key = `${year}-W${week.toString().padStart(2, '0')}`;
+    
+    if (!weeks[key]) {
+      const weekStart = getWeekStart(date);
+      const [weekYear, weekMonth, weekDay] = [weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate()];
+      weeks[key] = {
+        week,
+        year,
+        bucketStart: getLocalMidnight(weekYear, weekMonth, weekDay, timeZone),
+        bucketEnd: getLocalMidnight(weekYear, weekMonth, weekDay + 7, timeZone),
+        metrics: []
+      };
+    }
+    weeks[key].metrics.push(...dayMetrics);
+  }
+  
+  const weeklyTrends = Object.values(weeks)
+    .map(({ week, year, bucketStart, bucketEnd, metrics: weekMetrics }) => ({
+      week,
+      year,
+      ...summarizeTrendBucket(
+        weekMetrics,
+        getOverlapDays(bucketStart, bucketEnd, startDate, endDate),
+        scoring
+      )
+    }))
+    .sort((a, b) => (a.year - b.year) || (a.week - b.week));
+  
+  // Group by calendar month for longer windows
+  let monthlyTrends = [];
+  if (days > MONTHLY_TREND_MIN_DAYS) {
+    const months = {};
+    for (const [dateKey, dayMetrics] of metricsByDay) {
+      const [year, month] = toCalendarDate(dateKey);
+      const key = `${year}-${month}`;
+      
+      if (!months[key]) {
+        months[key] = {
+          month: month + 1,
+          year,
+          bucketStart: getLocalMidnight(year, month, 1, timeZone),
+          bucketEnd: getLocalMidnight(year, month + 1, 1, timeZone),
+          metrics: []
+        };
+      }
+      months[key].metrics.push(...dayMetrics);
+    }
+    
+    monthlyTrends = Object.values(months)
+      .map(({ month, year, bucketStart, bucketEnd, metrics: monthMetrics }) => ({
+        month,
+        year,
+        ...summarizeTrendBucket(
+          monthMetrics,
+          getOverlapDays(bucketStart, bucketEnd, startDate, endDate),
+          scoring
+        )
+      }))
+      .sort((a, b) => (a.year - b.year) || (a.month - b.month));
+  }
+  
+  return { dailyTrends, weeklyTrends, monthlyTrends };
+}
+
+// [year, monthIndex, day] of a YYYY-MM-DD date key
+function toCalendarDate(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return [year, month - 1, day];
+}
+
+// Moment a calendar day starts in a time zone (monthIndex and day may overflow, as in Date.UTC)
+function getLocalMidnight(year, monthIndex, day, timeZone) {
+  const wallClock = Date.UTC(year, monthIndex, day);
+  // Correct by the zone's offset, then again in case the first guess crossed a DST change
+  const guess = wallClock - getZoneOffset(wallClock, timeZone);
+  return new Date(wallClock - getZoneOffset(guess, timeZone));
+}
+
+/**
+ * Summarizes the posts of one trend bucket
+ * @param {Array} bucketMetrics - Post metrics in the bucket
+ * @param {number} days - Number of days the bucket covers inside the analysis window
+ * @param {Object} scoring - Scoring algorithm used for the stress score
+ * @returns {Object} Post count, average sentiment and stress score for the bucket
+ */
+function summarizeTrendBucket(bucketMetrics, days, scoring) {
+  const sentimentMetrics = calculateSentimentMetrics(bucketMetrics);
   
-  return { dailyTrends, weeklyTrends };
+  return {
+    postCount: bucketMetrics.length,
+    sentiment: sentimentMetrics.avgSentiment,
+    stressScore: scoring.calculateStressScore({
+      sentiment: sentimentMetrics.avgSentiment,
+      negativePercentage: sentimentMetrics.negative,
+      postFrequency: bucketMetrics.length / days
+    })
+  };
 }
 
 function calculateEngagementRate(likes, comments, shares, totalPosts) {
@@ -350,6 +496,46 @@ function calculateSocialSupport(comments) {
   return Math.min(100, Math.max(0, 50 + (comments * 0.1)));
 }
 
+/**
+ * Language coverage of the posts: which languages they are in and what share could be
+ * analysed with lexicons of their own language (the rest falls back to English)
+ * @param {Array} metrics - Array of post metrics
+ * @returns {Object} { postsWithText, supportedPosts, coverage (0-100), byLanguage: [{ language, count, share }] }
+ */
+function summarizeLanguages(metrics) {
+  const counts = {};
+  let postsWithText = 0;
+
+  for (const metric of metrics) {
+    if (!metric?.text) continue;
+    postsWithText++;
+    const language = getPostLanguage(metric);
+    counts[language] = (counts[language] || 0) + 1;
+  }
+
+  const supportedPosts = Object.entries(counts)
+    .filter(([language]) => isSupportedLanguage(language))
+    .reduce((sum, [, count]) => sum + count, 0);
+
+  return {
+    postsWithText,
+    supportedPosts,
+    coverage: postsWithText > 0 ? Math.round((supportedPosts / postsWithText) * 1000) / 10 : 0,
+    byLanguage: Object.entries(counts)
+      .map(([language, count]) => ({
+        language,
+        count,
+        share: Math.round((count / postsWithText) * 1000) / 10
+      }))
+      .sort((a, b) => b.count - a.count)
+  };
+}
+
+// Stored language, detected on the fly for posts imported before language detection
+function getPostLanguage(metric) {
+  return metric.language || detectLanguage(metric.text).language;
+}
+
 /**
  * Detects risk factors in post content
  * @param {Array} metrics - Array of post metrics
@@ -366,30 +552,6 @@ function detectRiskFactors(metrics) {
       examples: []
     };
   }
-    // Categorize risk keywords by severity
-  const RISK_KEYWORDS = {
-    high: [
-      'suicide', 'kill myself', 'end my life', 'suicidal',
-      'self-harm', 'self harm', 'cutting', 'want to die'
-    ],
-    medium: [
-      'hopeless', 'can\'t go on', 'tired of life',
-      'no reason to live', 'give up'
-    ],
-    low: [
-      'depressed', 'anxious', 'overwhelmed', 'lonely',
-      'alone', 'nobody cares', 'no one cares', 'worthless',
-      'useless', 'failure', 'hate myself', 'disappointed in myself'
-    ]
-  };
-
-  // Pre-compile regex patterns for better performance
-  const riskPatterns = {
-    high: new RegExp(`\\b(${RISK_KEYWORDS.high.join('|')})\\b`, 'gi'),
-    medium: new RegExp(`\\b(${RISK_KEYWORDS.medium.join('|')})\\b`, 'gi'),
-    low: new RegExp(`\\b(${RISK_KEYWORDS.low.join('|')})\\b`, 'gi')
-  };
-
   const riskPosts = [];
   const processedTexts = new Set(); // To avoid duplicate processing
   
@@ -400,57 +562,22 @@ function detectRiskFactors(metrics) {
         continue;
       }
 
-      const text = metric.text.toLowerCase();
-      const matches = {
-        high: [],
-        medium: [],
-        low: []
-      };
-
-      // Check for each risk level
-      let severity = 'none';
-      
-      // Check high risk patterns first
-      const highMatches = text.match(riskPatterns.high);
-      if (highMatches?.length) {
-        matches.high = [...new Set(highMatches)]; // Remove duplicates
-        severity = 'high';
-      }
-      
-      // Only check medium if no high risk found
-      if (severity === 'none') {
-        const mediumMatches = text.match(riskPatterns.medium);
-        if (mediumMatches?.length) {
-          matches.medium = [...new Set(mediumMatches)];
-          severity = 'medium';
-        }
-      }
-      
-      // Only check low if no higher risks found
-      if (severity === 'none') {
-        const lowMatches = text.match(riskPatterns.low);
-        if (lowMatches?.length) {
-          matches.low = [...new Set(lowMatches)];
-          severity = 'low';
-        }
-      }
+      const { score, riskLevel: severity, matches, breakdown } = scoreRisk(metric.text, {
+        language: getAnalysisLanguage(getPostLanguage(metric))
+      });
 
       if (severity !== 'none') {
-        const allMatches = [
-          ...matches.high,
-          ...matches.medium,
-          ...matches.low
-        ];
-        
         riskPosts.push({
           id: metric._id,
           text: metric.text.length > 200 
             ? `${metric.text.substring(0, 200)}...` 
             : metric.text,
           timestamp: metric.timestamp,
-          matches: allMatches,
+          matches,
           severity,
-          context: getContextAroundKeywords(metric.text, allMatches)
+          score,
+          breakdown,
+          context: getContextAroundKeywords(metric.text, matches)
         });
         
         processedTexts.add(metric.text);
@@ -489,9 +616,9 @@ function detectRiskFactors(metrics) {
       
       if (severityDiff !== 0) return severityDiff;
       
-      // Then by number of matches
-      const matchDiff = b.matches.length - a.matches.length;
-      if (matchDiff !== 0) return matchDiff;
+      // Then by risk score
+      const scoreDiff = b.score - a.score;
+      if (scoreDiff !== 0) return scoreDiff;
       
       // Finally by recency
       return new Date(b.timestamp) - new Date(a.timestamp);
@@ -637,9 +764,11 @@ function getContextAroundKeywords(text, keywords, contextWords = 10) {
  * @param {Object} params.riskFactors - Risk factors analysis
  * @param {Array} params.platformData - Platform-specific metrics
  * @param {Array} params.dailyTrends - Daily trend data
+ * @param {Object} [params.lateNight] - Late-night posting stats from analyzeActivity
+ * @param {Array} [params.topics] - Topics from extractTopics
  * @returns {Object} Summary object with key findings and recommendations
  */
-function generateSummary({ interestScore, stressScore, riskFactors, platformData, dailyTrends }) {
+function generateSummary({ interestScore, stressScore, riskFactors, platformData, dailyTrends, lateNight, topics = [] }) {
   const interestCategory = getInterestCategory(interestScore);
   const stressCategory = getStressCategory(stressScore);
   
@@ -682,6 +811,23 @@ function generateSummary({ interestScore, stressScore, riskFactors, platformData
     recommendations.push('Be mindful of your emotional well-being and consider talking to someone if you\'re feeling overwhelmed.');
   }
   
+  // Late-night posting
+  if (lateNight?.flagged) {
+    keyFindings.push(`You posted late at night (00:00-05:00) on ${lateNight.longestStreak} consecutive nights.`);
+    areasOfConcern.push('Late-night posting streaks');
+    recommendations.push('Try setting a screen curfew before bed - late-night scrolling can disrupt sleep and raise stress.');
+  }
+  
+  // Topics that carry noticeably more negative sentiment than the rest
+  const negativeTopic = topics
+    .filter(topic => topic.postCount >= 3 && topic.negativeSentimentRatio >= 1.5)
+    .sort((a, b) => b.negativeSentimentRatio - a.negativeSentimentRatio)[0];
+  
+  if (negativeTopic) {
+    keyFindings.push(`Posts about ${negativeTopic.name} carry ${negativeTopic.negativeSentimentRatio}x the negative sentiment of your other posts.`);
+    areasOfConcern.push(`Negative tone around ${negativeTopic.name}`);
+  }
+  
   // Platform-specific insights
   if (platformData.length > 0) {
     const topPlatform = platformData.reduce((max, platform) => 
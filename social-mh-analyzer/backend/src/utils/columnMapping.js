@@ -0,0 +1,382 @@
+import ImportMapping from '../models/ImportMapping.js';
+import { getLocalParts, getZoneOffset, isValidTimeZone } from './temporalPatterns.js';
+
+// Configuration of the CSV import preview
+export const MAPPING_CONFIG = {
+  previewRows: 10,                     // Rows shown when the request does not say
+  maxPreviewRows: 50,
+  delimiters: [',', ';', '\t', '|'],
+  defaultDateFormat: 'auto',
+};
+
+// Fields a CSV column can be mapped to, in the CSV upload layout, with the column names
+// they are guessed from (compared lowercase, without spaces, dashes and underscores).
+// userEmail is only read by admin bulk imports.
+export const IMPORT_FIELDS = {
+  userEmail: ['useremail', 'email', 'emailaddress', 'participantemail'],
+  provider: ['provider', 'platform', 'network', 'socialnetwork', 'channel'],
+  providerPostId: ['providerpostid', 'postid', 'id', 'tweetid', 'videoid', 'mediaid', 'contentid'],
+  timestamp: ['timestamp', 'date', 'datetime', 'time', 'createdat', 'created', 'postedat', 'posted', 'publishedat', 'published', 'publishdate', 'postdate'],
+  likes: ['likes', 'likecount', 'favorites', 'favoritecount', 'reactions', 'hearts'],
+  comments: ['comments', 'commentcount', 'replies', 'replycount'],
+  shares: ['shares', 'sharecount', 'retweets', 'retweetcount', 'reposts'],
+  saves: ['saves', 'savecount', 'bookmarks', 'saved'],
+  views: ['views', 'viewcount', 'impressions', 'plays', 'reach'],
+  watchTimeSeconds: ['watchtimeseconds', 'watchtime', 'watchtimes', 'watchtimesec', 'secondswatched'],
+  text: ['text', 'caption', 'content', 'message', 'body', 'description', 'posttext', 'tweet'],
+  sentiment: ['sentiment', 'sentimentscore'],
+  mediaType: ['mediatype', 'type', 'posttype', 'contenttype', 'format'],
+  mediaUrls: ['mediaurls', 'mediaurl', 'media', 'imageurl', 'images'],
+  url: ['url', 'link', 'permalink', 'posturl'],
+};
+
+// Date formats besides token patterns such as "DD/MM/YYYY HH:mm"
+export const NAMED_DATE_FORMATS = {
+  auto: 'ISO 8601, or any date JavaScript can read',
+  unix: 'Seconds since 1970-01-01 UTC',
+  unix_ms: 'Milliseconds since 1970-01-01 UTC',
+};
+
+// Tokens of date format patterns and the values they match
+const DATE_TOKENS = {
+  YYYY: { part: 'year', pattern: '\\d{4}' },
+  YY: { part: 'year', pattern: '\\d{2}' },
+  MM: { part: 'month', pattern: '\\d{1,2}' },
+  DD: { part: 'day', pattern: '\\d{1,2}' },
+  HH: { part: 'hour', pattern: '\\d{1,2}' },
+  hh: { part: 'hour12', pattern: '\\d{1,2}' },
+  mm: { part: 'minute', pattern: '\\d{2}' },
+  ss: { part: 'second', pattern: '\\d{2}' },
+  A: { part: 'meridiem', pattern: '[AaPp][Mm]' },
+};
+const DATE_TOKEN_PATTERN = /YYYY|YY|MM|DD|HH|hh|mm|ss|A/g;
+
+// Patterns tried when guessing the date format of a column
+const GUESSED_DATES = ['MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY', 'MM-DD-YYYY', 'YYYY/MM/DD', 'MM/DD/YY', 'DD/MM/YY'];
+const GUESSED_TIMES = ['', ' HH:mm', ' HH:mm:ss', ' hh:mm A', ' hh:mm:ss A'];
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+const compiledFormats = new Map();
+
+/**
+ * Guess the delimiter of a CSV from its first line
+ * @param {string} line - Header line
+ * @returns {string} One of MAPPING_CONFIG.delimiters, ',' when none appears
+ */
+export function guessDelimiter(line) {
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of MAPPING_CONFIG.delimiters) {
+    const count = line.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Guess which column holds each import field from the column names. Each column is used
+ * for at most one field; exact names win over synonyms.
+ * @param {Array<string>} columns - Header of the file
+ * @returns {Object} { field: column } for the fields a column was found for
+ */
+export function guessColumnMapping(columns) {
+  const mapping = {};
+  const used = new Set();
+  const normalized = columns.map(normalizeName);
+
+  for (const pass of ['exact', 'synonym']) {
+    for (const [field, names] of Object.entries(IMPORT_FIELDS)) {
+      if (mapping[field]) continue;
+
+      const candidates = pass === 'exact' ? [normalizeName(field)] : names;
+      const index = normalized.findIndex((name, i) => !used.has(i) && candidates.includes(name));
+      if (index !== -1) {
+        mapping[field] = columns[index];
+        used.add(index);
+      }
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Guess the format of a date column from sample values: the format that reads the most
+ * of them, so a few malformed values do not hide it
+ * @param {Array<string>} values - Values of the column
+ * @returns {Object} { dateFormat, ambiguous }; ambiguous when another format reads as
+ *   many values, but as different dates (e.g. 03/04/2025)
+ */
+export function guessDateFormat(values) {
+  const samples = values.map(value => String(value ?? '').trim()).filter(Boolean);
+  if (samples.length === 0) return { dateFormat: MAPPING_CONFIG.defaultDateFormat, ambiguous: false };
+
+  const count = (test) => samples.filter(test).length;
+  const isoCount = count(value => ISO_DATE.test(value) || /^\d{4}-\d{2}-\d{2}T.+(Z|[+-]\d{2}:?\d{2})$/.test(value));
+  const unixCount = count(value => /^\d{9,10}$/.test(value));
+  const unixMsCount = count(value => /^\d{12,13}$/.test(value));
+
+  let best = [];
+  let bestCount = Math.max(isoCount, unixCount, unixMsCount);
+  for (const date of GUESSED_DATES) {
+    for (const time of GUESSED_TIMES) {
+      const dateFormat = date + time;
+      const read = count(value => !isNaN(parseImportDate(value, { dateFormat })));
+      if (read > bestCount) {
+        best = [dateFormat];
+        bestCount = read;
+      } else if (read === bestCount && read > 0) {
+        best.push(dateFormat);
+      }
+    }
+  }
+
+  // On a tie the named formats win; no value read at all also ends up as 'auto'
+  const named = [[isoCount, 'auto'], [unixCount, 'unix'], [unixMsCount, 'unix_ms']]
+    .find(([read]) => read === bestCount);
+  if (named) return { dateFormat: named[1], ambiguous: false };
+
+  const [dateFormat] = best;
+  const readAs = (format) => samples.map(value => parseImportDate(value, { dateFormat: format }).getTime()).join();
+  return { dateFormat, ambiguous: best.some(format => readAs(format) !== readAs(dateFormat)) };
+}
+
+/**
+ * Check a date format: 'auto', 'unix', 'unix_ms', or a pattern of YYYY, YY, MM, DD, HH,
+ * hh, mm, ss and A (AM/PM), e.g. "DD/MM/YYYY HH:mm"
+ * @param {string} dateFormat - Format to check
+ * @returns {boolean} True if dates can be read with it
+ */
+export function isValidDateFormat(dateFormat) {
+  if (typeof dateFormat !== 'string' || dateFormat.trim() === '') return false;
+  if (NAMED_DATE_FORMATS[dateFormat]) return true;
+
+  const tokens = dateFormat.match(DATE_TOKEN_PATTERN) || [];
+  const parts = tokens.map(token => DATE_TOKENS[token].part);
+  const hasHour12 = parts.includes('hour12');
+  return parts.includes('year') && parts.includes('month') && parts.includes('day') &&
+    new Set(parts).size === parts.length &&
+    hasHour12 === parts.includes('meridiem') &&
+    !(hasHour12 && parts.includes('hour'));
+}
+
+/**
+ * Read an imported date. Dates without a UTC offset are read as wall-clock time in the
+ * time zone.
+ * @param {string} value - Date as written in the file
+ * @param {Object} [options]
+ * @param {string} [options.dateFormat='auto'] - See isValidDateFormat
+ * @param {string} [options.timezone] - IANA time zone; when not set, 'auto' reads dates
+ *   without an offset in the server's time zone and patterns read them as UTC
+ * @returns {Date} The date; an invalid Date when the value does not match the format
+ */
+export function parseImportDate(value, { dateFormat = 'auto', timezone } = {}) {
+  const text = String(value ?? '').trim();
+
+  if (dateFormat === 'unix' || dateFormat === 'unix_ms') {
+    if (!/^-?\d+(\.\d+)?$/.test(text)) return new Date(NaN);
+    return new Date(parseFloat(text) * (dateFormat === 'unix' ? 1000 : 1));
+  }
+
+  if (dateFormat === 'auto') {
+    const iso = text.match(ISO_DATE);
+    if (!iso || !timezone) return new Date(text);
+
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = iso;
+    return toZonedDate({ year, month, day, hour, minute, second }, timezone);
+  }
+
+  const { regex, parts } = compileDateFormat(dateFormat);
+  const match = text.match(regex);
+  if (!match) return new Date(NaN);
+
+  const fields = { hour: 0, minute: 0, second: 0 };
+  parts.forEach((part, i) => {
+    fields[part] = match[i + 1];
+  });
+
+  if (fields.year.length === 2) {
+    // Two-digit years: 00-69 are 2000-2069, 70-99 are 1970-1999
+    fields.year = Number(fields.year) + (Number(fields.year) < 70 ? 2000 : 1900);
+  }
+  if (fields.meridiem) {
+    const hour12 = Number(fields.hour12);
+    if (hour12 < 1 || hour12 > 12) return new Date(NaN);
+    fields.hour = (hour12 % 12) + (/^p/i.test(fields.meridiem) ? 12 : 0);
+  }
+
+  return toZonedDate(fields, timezone || 'UTC');
+}
+
+/**
+ * Check a column mapping against the header of a file
+ * @param {Object} mapping - { field: column }
+ * @param {Array<string>|null} columns - Header of the file; null to check the fields only
+ * @returns {Array<string>} Problems, empty if the mapping can be used
+ */
+export function validateColumnMapping(mapping, columns) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['Mapping must be an object of field: column'];
+  }
+
+  const problems = [];
+  const entries = Object.entries(mapping).filter(([, column]) => column !== null && column !== '');
+  if (entries.length === 0) {
+    problems.push('Map at least one column');
+  }
+
+  for (const [field, column] of entries) {
+    if (!IMPORT_FIELDS[field]) {
+      problems.push(`Unknown field "${field}"`);
+    } else if (typeof column !== 'string') {
+      problems.push(`Column of ${field} must be a column name`);
+    } else if (columns && !columns.includes(column)) {
+      problems.push(`Column "${column}" (mapped to ${field}) is not in the file`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Read a CSV row into the CSV upload layout using a column mapping; fields that are not
+ * mapped are left empty
+ * @param {Object} row - Row as read from the file
+ * @param {Object} mapping - { field: column }
+ * @returns {Object} { field: value }
+ */
+export function applyColumnMapping(row, mapping) {
+  const mapped = {};
+  for (const [field, column] of Object.entries(mapping)) {
+    if (IMPORT_FIELDS[field] && column) mapped[field] = row[column];
+  }
+  return mapped;
+}
+
+/**
+ * The saved mapping of a user that fits a file: the most recently used one whose mapped
+ * columns are all in the file's header
+ * @param {string|ObjectId} userId - Owner of the mappings
+ * @param {Array<string>} columns - Header of the file
+ * @returns {Promise<Object|null>} ImportMapping, or null if none fits
+ */
+export async function findMatchingMapping(userId, columns) {
+  const mappings = await ImportMapping.find({ userId }).sort({ lastUsedAt: -1, updatedAt: -1 }).lean();
+
+  return mappings.find(({ mapping }) => {
+    const mapped = Object.values(mapping || {}).filter(Boolean);
+    return mapped.length > 0 && mapped.every(column => columns.includes(column));
+  }) || null;
+}
+
+/**
+ * Suggest how to read a previewed CSV: the user's saved mapping that fits the file, or a
+ * mapping guessed from the column names, with the date format guessed from the rows
+ * @param {string|ObjectId} userId - Owner of the import
+ * @param {Array<string>} columns - Header of the file
+ * @param {Array<Object>} rows - First rows of the file
+ * @returns {Promise<Object>} { mapping, options: { dateFormat, timezone? },
+ *   dateFormatAmbiguous, savedMapping: { id, name } | null }
+ */
+export async function suggestColumnMapping(userId, columns, rows) {
+  const saved = await findMatchingMapping(userId, columns);
+  const mapping = saved ? saved.mapping : guessColumnMapping(columns);
+
+  const dateColumn = mapping.timestamp;
+  const guess = guessDateFormat(dateColumn ? rows.map(row => row[dateColumn]) : []);
+
+  const options = { dateFormat: guess.dateFormat };
+  if (saved?.options?.dateFormat) options.dateFormat = saved.options.dateFormat;
+  if (saved?.options?.timezone) options.timezone = saved.options.timezone;
+
+  return {
+    mapping,
+    options,
+    dateFormatAmbiguous: !saved?.options?.dateFormat && guess.ambiguous,
+    savedMapping: saved ? { id: saved._id, name: saved.name } : null,
+  };
+}
+
+/**
+ * Check the date format, time zone and delimiter of an import
+ * @param {Object} options - { dateFormat, timezone, delimiter }, each optional
+ * @returns {Array<string>} Problems, empty if the options can be used
+ */
+export function validateImportOptions({ dateFormat, timezone, delimiter } = {}) {
+  const problems = [];
+  if (dateFormat !== undefined && !isValidDateFormat(dateFormat)) {
+    problems.push(`Invalid date format "${dateFormat}"`);
+  }
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    problems.push(`Unknown time zone "${timezone}"`);
+  }
+  if (delimiter !== undefined && !MAPPING_CONFIG.delimiters.includes(delimiter)) {
+    problems.push(`Delimiter must be one of ${MAPPING_CONFIG.delimiters.map(d => JSON.stringify(d)).join(', ')}`);
+  }
+  return problems;
+}
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[\s_\-().]+/g, '');
+}
+
+function compileDateFormat(dateFormat) {
+  if (!compiledFormats.has(dateFormat)) {
+    const parts = [];
+    let source = '';
+    let last = 0;
+
+    for (const match of dateFormat.matchAll(DATE_TOKEN_PATTERN)) {
+      source += escapeRegExp(dateFormat.slice(last, match.index));
+      source += `(${DATE_TOKENS[match[0]].pattern})`;
+      parts.push(DATE_TOKENS[match[0]].part);
+      last = match.index + match[0].length;
+    }
+    source += escapeRegExp(dateFormat.slice(last));
+
+    compiledFormats.set(dateFormat, { regex: new RegExp(`^${source}$`), parts });
+  }
+  return compiledFormats.get(dateFormat);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The moment a wall-clock time happens in a time zone; an invalid Date for impossible
+// dates such as 31/02
+function toZonedDate(fields, timeZone) {
+  const [year, month, day, hour, minute, second] =
+    ['year', 'month', 'day', 'hour', 'minute', 'second'].map(part => Number(fields[part]));
+
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const check = new Date(wallClock);
+  if (isNaN(check) || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day ||
+      hour > 23 || minute > 59 || second > 59) {
+    return new Date(NaN);
+  }
+
+  // Correct by the zone's offset, then again in case the first guess crossed a DST change
+  let time = wallClock - getZoneOffset(wallClock, timeZone);
+  time = wallClock - getZoneOffset(time, timeZone);
+  return new Date(time);
+}
+
+export default {
+  MAPPING_CONFIG,
+  IMPORT_FIELDS,
+  NAMED_DATE_FORMATS,
+  guessDelimiter,
+  guessColumnMapping,
+  guessDateFormat,
+  isValidDateFormat,
+  parseImportDate,
+  validateColumnMapping,
+  applyColumnMapping,
+  findMatchingMapping,
+  suggestColumnMapping,
+  validateImportOptions,
+};
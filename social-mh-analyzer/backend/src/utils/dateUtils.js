@@ -0,0 +1,56 @@
+// Date helpers shared by the calendar routes and the analysis engine
+
+/**
+ * Get the ISO 8601 week number of a date
+ * @param {Date|string} date - Date to inspect
+ * @returns {number} Week number (1-53)
+ */
+export function getWeekNumber(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() + 3 - (d.getDay() + 6) % 7);
+  const week1 = new Date(d.getFullYear(), 0, 4);
+  return 1 + Math.round(((d - week1) / 86400000 - 3 + (week1.getDay() + 6) % 7) / 7);
+}
+
+/**
+ * Get the ISO 8601 week-numbering year of a date.
+ * Differs from the calendar year for the first and last days of some years
+ * (e.g. 2024-12-30 belongs to week 1 of 2025).
+ * @param {Date|string} date - Date to inspect
+ * @returns {number} ISO week year
+ */
+export function getWeekYear(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  // The Thursday of the week decides which year the week belongs to
+  d.setDate(d.getDate() + 3 - (d.getDay() + 6) % 7);
+  return d.getFullYear();
+}
+
+/**
+ * Get the Monday that starts the ISO week of a date
+ * @param {Date|string} date - Date to inspect
+ * @returns {Date} Start of the week at local midnight
+ */
+export function getWeekStart(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+  return d;
+}
+
+/**
+ * Count the days of a bucket [bucketStart, bucketEnd) that fall inside a range
+ * @param {Date} bucketStart - Inclusive bucket start
+ * @param {Date} bucketEnd - Exclusive bucket end
+ * @param {Date} rangeStart - Inclusive range start
+ * @param {Date} rangeEnd - Inclusive range end
+ * @returns {number} Overlapping days (at least 1)
+ */
+export function getOverlapDays(bucketStart, bucketEnd, rangeStart, rangeEnd) {
+  const start = Math.max(bucketStart.getTime(), new Date(rangeStart).getTime());
+  const end = Math.min(bucketEnd.getTime(), new Date(rangeEnd).getTime());
+  return Math.max(1, Math.ceil((end - start) / 86400000));
+}
+
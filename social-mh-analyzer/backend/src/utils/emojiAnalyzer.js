@@ -0,0 +1,113 @@
+import { EMOJI_SENTIMENT } from '../data/emojiSentiment.js';
+
+// Configuration for emoji analysis
+const EMOJI_CONFIG = {
+  maxUsageEntries: 15,
+  afinnScale: 5,  // Emoji sentiment (-1 to 1) expressed in AFINN word units (-5 to 5)
+};
+
+// A pictograph with optional variation selector / skin tone, ZWJ-joined sequences, or a flag
+const EMOJI_PATTERN = /(?:\p{Regional_Indicator}{2})|(?:\p{Extended_Pictographic}[\uFE0F\p{Emoji_Modifier}]*(?:\u200D\p{Extended_Pictographic}[\uFE0F\p{Emoji_Modifier}]*)*)/gu;
+const PRESENTATION_PATTERN = /[\uFE0F\p{Emoji_Modifier}]/gu;
+
+// Extended_Pictographic also covers these text symbols
+const IGNORED_SYMBOLS = new Set(['©', '®', '™']);
+
+/**
+ * Extract the emojis used in a text, in order of appearance
+ * @param {string} text - Post text
+ * @returns {Array<string>} Emojis without variation selectors and skin tones
+ */
+export function extractEmojis(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  return (text.match(EMOJI_PATTERN) || [])
+    .map(emoji => emoji.replace(PRESENTATION_PATTERN, ''))
+    .filter(emoji => emoji && !IGNORED_SYMBOLS.has(emoji));
+}
+
+/**
+ * Look up the sentiment of a single emoji. ZWJ sequences missing from the table
+ * fall back to their first pictograph (a heart on fire scores like a red heart).
+ * @param {string} emoji - Emoji as returned by extractEmojis
+ * @returns {number} Sentiment from -1 to 1 (0 for unknown emojis)
+ */
+export function getEmojiSentiment(emoji) {
+  if (emoji in EMOJI_SENTIMENT) return EMOJI_SENTIMENT[emoji];
+
+  const [first] = emoji.split('\u200D');
+  return EMOJI_SENTIMENT[first] ?? 0;
+}
+
+/**
+ * Score every emoji in a text
+ * @param {string} text - Post text
+ * @returns {Array} [{ emoji, sentiment }] in order of appearance
+ */
+export function scoreEmojis(text) {
+  return extractEmojis(text).map(emoji => ({
+    emoji,
+    sentiment: getEmojiSentiment(emoji),
+  }));
+}
+
+/**
+ * Add emoji sentiment to an AFINN sentiment result (see analysisEngine.analyzeSentiment).
+ * Each emoji counts like a sentiment word of the equivalent AFINN strength.
+ * @param {Object} result - Result of the sentiment library
+ * @param {string} text - The analyzed text
+ * @returns {Object} The result with adjusted score/comparative, emoji words (also in
+ *   `calculation`, in AFINN units) and an `emojis` list
+ */
+export function addEmojiSentiment(result, text) {
+  const emojis = scoreEmojis(text);
+  if (emojis.length === 0) return { ...result, emojis };
+
+  const emojiScore = emojis.reduce((sum, { sentiment }) => sum + sentiment * EMOJI_CONFIG.afinnScale, 0);
+  const score = Math.round((result.score + emojiScore) * 100) / 100;
+
+  return {
+    ...result,
+    score,
+    comparative: score / Math.max(result.tokens.length, emojis.length),
+    calculation: [
+      ...(result.calculation || []),
+      ...emojis.filter(e => e.sentiment !== 0).map(e => ({ [e.emoji]: e.sentiment * EMOJI_CONFIG.afinnScale })),
+    ],
+    positive: [...result.positive, ...emojis.filter(e => e.sentiment > 0).map(e => e.emoji)],
+    negative: [...result.negative, ...emojis.filter(e => e.sentiment < 0).map(e => e.emoji)],
+    emojis,
+  };
+}
+
+/**
+ * Aggregate emoji frequency across the posts of an analysis window
+ * @param {Array} metrics - Array of post metrics
+ * @returns {Array} [{ emoji, count, sentiment }] sorted by count, most used first
+ */
+export function aggregateEmojiUsage(metrics) {
+  const counts = {};
+
+  for (const metric of metrics) {
+    for (const emoji of extractEmojis(metric.text)) {
+      counts[emoji] = (counts[emoji] || 0) + 1;
+    }
+  }
+
+  return Object.entries(counts)
+    .map(([emoji, count]) => ({
+      emoji,
+      count,
+      sentiment: getEmojiSentiment(emoji),
+    }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, EMOJI_CONFIG.maxUsageEntries);
+}
+
+export default {
+  extractEmojis,
+  getEmojiSentiment,
+  scoreEmojis,
+  addEmojiSentiment,
+  aggregateEmojiUsage,
+};
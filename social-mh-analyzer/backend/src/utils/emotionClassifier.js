@@ -0,0 +1,88 @@
+import { EMOTIONS, EMOTION_LEXICON } from '../data/emotionLexicon.js';
+import { tokenize, getNegatedTokens } from './textUtils.js';
+
+/**
+ * Classify the emotions expressed in a text using the offline emotion lexicon.
+ * Negated words ("not happy") are ignored rather than flipped.
+ * @param {string} text - The text to classify
+ * @returns {Object} { emotions: [{ name, score }], dominant, matches }
+ *   where score is the share (0-100) of emotion words belonging to that emotion
+ */
+export function classifyEmotions(text) {
+  const tokens = tokenize(text);
+  const negated = getNegatedTokens(tokens);
+  const counts = {};
+  let matches = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const start = i;
+
+    // Two-word phrases ("cant wait", "looking forward") take precedence
+    const phrase = i + 1 < tokens.length ? `${tokens[i]} ${tokens[i + 1]}` : null;
+    let emotions = phrase ? EMOTION_LEXICON[phrase] : undefined;
+
+    if (emotions) {
+      i++;
+    } else {
+      emotions = EMOTION_LEXICON[tokens[i]];
+    }
+
+    if (!emotions || negated[start]) continue;
+
+    matches++;
+    for (const emotion of emotions) {
+      counts[emotion] = (counts[emotion] || 0) + 1;
+    }
+  }
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const emotions = Object.entries(counts)
+    .map(([name, count]) => ({
+      name,
+      score: Math.round((count / total) * 1000) / 10,
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    emotions,
+    dominant: emotions.length > 0 ? emotions[0].name : null,
+    matches,
+  };
+}
+
+/**
+ * Aggregate per-post emotions into the emotional mix of an analysis window.
+ * Uses the emotions stored on each PostMetric and classifies posts that have none yet.
+ * @param {Array} metrics - Array of post metrics
+ * @returns {Array} One { name, score } entry per emotion (0-100, summing to ~100), sorted by score
+ */
+export function aggregateEmotions(metrics) {
+  const totals = EMOTIONS.reduce((acc, emotion) => ({ ...acc, [emotion]: 0 }), {});
+  let emotionalPosts = 0;
+
+  for (const metric of metrics) {
+    let emotions = metric.metrics?.emotions;
+    if (!emotions || emotions.length === 0) {
+      emotions = classifyEmotions(metric.text).emotions;
+    }
+
+    if (emotions.length === 0) continue;
+
+    emotionalPosts++;
+    for (const { name, score } of emotions) {
+      if (name in totals) totals[name] += score;
+    }
+  }
+
+  return EMOTIONS
+    .map(name => ({
+      name,
+      score: emotionalPosts > 0 ? Math.round((totals[name] / emotionalPosts) * 10) / 10 : 0,
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+export default {
+  classifyEmotions,
+  aggregateEmotions,
+};
@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import Analysis from '../models/Analysis.js';
+import Alert from '../models/Alert.js';
+import GuardianLink from '../models/GuardianLink.js';
+
+// Configuration for guardian access to a minor's data
+export const GUARDIAN_CONFIG = {
+  inviteTtl: 7 * 24 * 60 * 60 * 1000,  // How long an invite can be accepted (ms)
+  viewAnalyses: 10,                     // Most recent analyses in the guardian view
+  viewAlerts: 20,                       // Most recent alerts in the guardian view
+};
+
+// What a minor can share with a guardian (see models/GuardianLink.js)
+export const GUARDIAN_SCOPES = GuardianLink.schema.path('scopes').caster.enumValues;
+
+// Emails every active guardian receives, whatever the scopes
+export const GUARDIAN_NOTIFICATIONS = ['risk-alerts', 'mood-alerts'];
+
+// Only these analysis fields are read for the guardian view
+const SHARED_ANALYSIS_FIELDS = [
+  'date',
+  'timeRange',
+  'startDate',
+  'endDate',
+  'metrics.mentalHealth',
+  'metrics.sentiment.overallScore',
+  'metrics.riskFactors.riskLevel',
+  'metrics.riskFactors.riskScore',
+].join(' ');
+
+const SHARED_ALERT_FIELDS = 'source rule riskLevel status createdAt';
+
+/**
+ * Create an invite token; only its hash is stored
+ * @returns {Object} { token, tokenHash }
+ */
+export function createInviteToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashInviteToken(token) };
+}
+
+/**
+ * Hash an invite token the way it is stored on GuardianLink
+ * @param {string} token - Token from the invite link
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Who to notify about a minor: guardians with an active link, and the parent/guardian
+ * email and phone given at registration
+ * @param {Object} minor - User with _id, isUnder18, parentEmail and parentPhone
+ * @returns {Promise<Array>} Contacts { user, email, phone } (none for adults). `user` is the
+ *   guardian account (_id, timezone) whose notification preferences apply, or null for the
+ *   registration contact. Phones are as stored, see notificationTransports.normalizePhoneNumber
+ */
+export async function getGuardianContacts(minor) {
+  if (!minor?.isUnder18) return [];
+
+  const links = await GuardianLink.find({ minorId: minor._id, status: 'active' })
+    .populate('guardianId', 'email phone timezone accountStatus')
+    .lean();
+
+  const contacts = links
+    .map(link => link.guardianId)
+    .filter(guardian => guardian?.accountStatus === 'active')
+    .map(guardian => ({ user: guardian, email: guardian.email, phone: guardian.phone }));
+
+  // The registration contact is left out where a linked guardian already has the address
+  const email = contacts.some(contact => contact.email === minor.parentEmail) ? null : minor.parentEmail;
+  const phone = contacts.some(contact => contact.phone === minor.parentPhone) ? null : minor.parentPhone;
+  if (email || phone) {
+    contacts.push({ user: null, email, phone });
+  }
+
+  return contacts;
+}
+
+/**
+ * Read-only, privacy-filtered view of a minor's data, limited to the given scopes.
+ * The same view is shown to the guardian and, on its "what is shared" page, to the minor.
+ * @param {Object} minor - User with _id and name
+ * @param {Array<string>} scopes - Shared scopes (see GUARDIAN_SCOPES)
+ * @returns {Promise<Object>} { minor, scopes, notifications, scores?, alerts?, generatedAt }
+ */
+export async function buildGuardianView(minor, scopes) {
+  const view = {
+    minor: { id: minor._id, name: minor.name },
+    scopes,
+    notifications: GUARDIAN_NOTIFICATIONS,
+  };
+
+  if (scopes.includes('scores')) {
+    const analyses = await Analysis.find({ userId: minor._id, status: { $in: ['completed', 'partial'] } })
+      .sort({ date: -1 })
+      .limit(GUARDIAN_CONFIG.viewAnalyses)
+      .select(SHARED_ANALYSIS_FIELDS)
+      .lean();
+
+    view.scores = analyses.map(({ _id, date, timeRange, startDate, endDate, metrics = {} }) => ({
+      id: _id,
+      date,
+      timeRange,
+      startDate,
+      endDate,
+      mentalHealth: metrics.mentalHealth,
+      sentimentScore: metrics.sentiment?.overallScore,
+      riskLevel: metrics.riskFactors?.riskLevel,
+      riskScore: metrics.riskFactors?.riskScore,
+    }));
+  }
+
+  if (scopes.includes('alerts')) {
+    const alerts = await Alert.find({ userId: minor._id, status: { $nin: ['pending', 'suppressed'] } })
+      .sort({ createdAt: -1 })
+      .limit(GUARDIAN_CONFIG.viewAlerts)
+      .select(SHARED_ALERT_FIELDS)
+      .lean();
+
+    view.alerts = alerts.map(({ _id, ...alert }) => ({ id: _id, ...alert }));
+  }
+
+  view.generatedAt = new Date();
+  return view;
+}
+
+export default {
+  GUARDIAN_CONFIG,
+  GUARDIAN_SCOPES,
+  GUARDIAN_NOTIFICATIONS,
+  createInviteToken,
+  hashInviteToken,
+  getGuardianContacts,
+  buildGuardianView,
+};
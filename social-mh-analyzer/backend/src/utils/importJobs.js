@@ -0,0 +1,557 @@
+import fs from 'fs';
+import csvParser from 'csv-parser';
+import ImportJob from '../models/ImportJob.js';
+import User from '../models/User.js';
+import PostMetric from '../models/PostMetric.js';
+import { classifyEmotions } from './emotionClassifier.js';
+import { analyzeStoredSentiment, parseClientSentiment, classifyPostRisk } from './analysisEngine.js';
+import { loadRiskLexicon } from './riskLexiconStore.js';
+import { detectLanguage } from './languageDetector.js';
+import { evaluatePostAlerts } from './alerting.js';
+import { upsertPostMetrics } from './postMetricStore.js';
+import { EXPORT_COLUMNS, readPlatformExport } from './platformExports.js';
+import { MAPPING_CONFIG, guessDelimiter, applyColumnMapping, parseImportDate } from './columnMapping.js';
+
+// Configuration of metrics file imports
+export const IMPORT_CONFIG = {
+  batchSize: 100,      // Rows stored (and progress saved) at a time
+  maxRowErrors: 1000,  // Rejected rows kept on the ImportJob (and in its rejected rows CSV)
+  previewTtl: 24 * 60 * 60 * 1000,  // How long an unconfirmed preview keeps its upload (ms)
+  sweepInterval: 15 * 60 * 1000,    // How often expired previews and stale imports are dropped (ms)
+  heartbeatInterval: 30 * 1000,     // How often a process marks its queued and running imports alive (ms)
+  staleAfter: 5 * 60 * 1000,        // Imports not marked alive for this long were cut off (ms)
+};
+
+const INTERRUPTED_MESSAGE = 'Import interrupted by a server restart; please upload the file again';
+const EXPIRED_MESSAGE = 'Preview expired before the import was confirmed; please upload the file again';
+
+let sweepTimer = null;
+let heartbeatTimer = null;
+
+// Imports queued or running in this process, marked alive every IMPORT_CONFIG.heartbeatInterval
+const activeJobs = new Set();
+
+// Platform exports are read into memory file by file, so one is read at a time
+let exportQueue = Promise.resolve();
+
+const PROVIDERS = PostMetric.schema.path('provider').enumValues;
+const MEDIA_TYPES = PostMetric.schema.path('mediaType').enumValues;
+const COUNT_FIELDS = ['likes', 'comments', 'shares', 'saves', 'views', 'watchTimeSeconds'];
+
+/**
+ * Start importing an uploaded metrics file in the background: a CSV in our layout or a
+ * platform export (see platformExports.detectImportFormat). The file is deleted when the
+ * import finishes.
+ * @param {Object} options
+ * @param {string|ObjectId} options.userId - Owner of the imported posts
+ * @param {string} options.filePath - Uploaded file
+ * @param {string} [options.fileName] - Name of the file as uploaded
+ * @param {string} [options.format='csv'] - 'csv' or one of platformExports.PLATFORM_FORMATS
+ * @param {boolean} [options.bulk=false] - Admin bulk import: each row is stored for the
+ *   user in its userEmail column instead of for userId
+ * @param {string} [options.delimiter=','] - Column delimiter of a CSV
+ * @returns {Promise<Object>} The ImportJob, in `pending` status
+ */
+export async function startImport({ userId, filePath, fileName, format = 'csv', bulk = false, delimiter = ',' }) {
+  const job = await ImportJob.create({
+    userId,
+    fileName,
+    format,
+    bulk,
+    options: format === 'csv' ? { delimiter } : undefined,
+    columns: format === 'csv' ? [] : EXPORT_COLUMNS,
+    heartbeatAt: new Date(),
+  });
+
+  queueImport(job, filePath);
+  return job;
+}
+
+/**
+ * First step of a mapped CSV import: read the header and the first rows of an uploaded
+ * CSV and keep the file until the import is confirmed (or IMPORT_CONFIG.previewTtl passes)
+ * @param {Object} options
+ * @param {string|ObjectId} options.userId - Owner of the import
+ * @param {string} options.filePath - Uploaded file
+ * @param {string} [options.fileName] - Name of the file as uploaded
+ * @param {string} [options.delimiter] - Column delimiter; guessed from the header when not set
+ * @param {number} [options.rows] - Rows to read (at most MAPPING_CONFIG.maxPreviewRows)
+ * @returns {Promise<Object>} { job, delimiter, columns, rows }; job is in `preview` status
+ */
+export async function startImportPreview({ userId, filePath, fileName, delimiter, rows = MAPPING_CONFIG.previewRows }) {
+  const preview = await previewCsv(filePath, { delimiter, rows });
+  const job = await ImportJob.create({
+    userId,
+    fileName,
+    format: 'csv',
+    status: 'preview',
+    columns: preview.columns,
+    options: { delimiter: preview.delimiter },
+    filePath,
+    expiresAt: new Date(Date.now() + IMPORT_CONFIG.previewTtl),
+  });
+
+  return { job, ...preview };
+}
+
+/**
+ * Second step of a mapped CSV import: start importing a previewed file with the
+ * confirmed mapping and options. The mapping is expected to be validated against the
+ * file's columns (read with options.delimiter).
+ * @param {Object} options
+ * @param {string|ObjectId} options.jobId - ImportJob in `preview` status
+ * @param {string|ObjectId} options.userId - Owner of the import
+ * @param {Object} options.mapping - { field: column }
+ * @param {Object} options.options - { dateFormat, timezone, delimiter }
+ * @param {Array<string>} options.columns - Header of the file read with the delimiter
+ * @param {boolean} [options.bulk=false] - Admin bulk import, see startImport
+ * @returns {Promise<Object|null>} The ImportJob, in `pending` status; null if it is not
+ *   (or no longer) a preview of the user
+ */
+export async function confirmImport({ jobId, userId, mapping, options, columns, bulk = false }) {
+  const job = await ImportJob.findOneAndUpdate(
+    { _id: jobId, userId, status: 'preview', expiresAt: { $gt: new Date() } },
+    { status: 'pending', mapping, options, columns, bulk, heartbeatAt: new Date(), $unset: { expiresAt: 1 } },
+    { new: true }
+  ).lean();
+  if (!job) return null;
+
+  queueImport(job, job.filePath);
+  return job;
+}
+
+/**
+ * Read the header and first rows of a CSV
+ * @param {string} filePath - CSV file
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Column delimiter; guessed from the header when not set
+ * @param {number} [options.rows] - Rows to read (at most MAPPING_CONFIG.maxPreviewRows)
+ * @returns {Promise<Object>} { delimiter, columns, rows }
+ */
+export async function previewCsv(filePath, { delimiter, rows = MAPPING_CONFIG.previewRows } = {}) {
+  if (!delimiter) {
+    const head = await readFirstLine(filePath);
+    delimiter = guessDelimiter(head);
+  }
+
+  const limit = Math.min(Math.max(rows, 0), MAPPING_CONFIG.maxPreviewRows);
+  const parser = createCsvParser(filePath, delimiter);
+  let columns = [];
+  parser.on('headers', headers => {
+    columns = headers;
+  });
+
+  const sample = [];
+  for await (const row of parser) {
+    if (sample.length >= limit) break;
+    sample.push(row);
+  }
+
+  return { delimiter, columns, rows: sample };
+}
+
+/**
+ * Drop previews that were not confirmed in time, with their uploads
+ * @returns {Promise<number>} Number of previews dropped
+ */
+export async function expireImportPreviews() {
+  const expired = await ImportJob.find({ status: 'preview', expiresAt: { $lte: new Date() } })
+    .select('filePath')
+    .lean();
+  if (expired.length === 0) return 0;
+
+  const { modifiedCount } = await ImportJob.updateMany(
+    { _id: { $in: expired.map(job => job._id) }, status: 'preview' },
+    { status: 'failed', error: EXPIRED_MESSAGE, completedAt: new Date(), $unset: { filePath: 1 } }
+  );
+  for (const { filePath } of expired) {
+    deleteUpload(filePath);
+  }
+  return modifiedCount;
+}
+
+/**
+ * Drop expired previews and fail imports cut off by a stopped server, now and every
+ * IMPORT_CONFIG.sweepInterval
+ * @returns {Promise<number>} Number of previews dropped now
+ */
+export async function startImportSweeper() {
+  const expired = await expireImportPreviews();
+
+  if (!sweepTimer) {
+    sweepTimer = setInterval(() => {
+      Promise.all([expireImportPreviews(), failInterruptedImports()]).catch(error => {
+        console.error('Import sweeper failed:', error);
+      });
+    }, IMPORT_CONFIG.sweepInterval);
+
+    // Do not keep the process alive just for the sweeper
+    sweepTimer.unref();
+  }
+
+  return expired;
+}
+
+/**
+ * Mark imports whose server process stopped as failed: those not marked alive for
+ * IMPORT_CONFIG.staleAfter. Their uploads are not kept, so they cannot be resumed.
+ * Imports other processes are running, and previews waiting for a mapping, are left alone.
+ * @returns {Promise<number>} Number of imports marked
+ */
+export async function failInterruptedImports() {
+  const staleBefore = new Date(Date.now() - IMPORT_CONFIG.staleAfter);
+  const stale = {
+    status: { $in: ['pending', 'processing'] },
+    $or: [
+      { heartbeatAt: { $lt: staleBefore } },
+      // Imports started before heartbeats were recorded
+      { heartbeatAt: { $exists: false }, updatedAt: { $lt: staleBefore } },
+    ],
+  };
+
+  const interrupted = await ImportJob.find(stale).select('filePath').lean();
+
+  // Each one is checked again as it is marked, in case its process has just marked it alive
+  let marked = 0;
+  for (const { _id, filePath } of interrupted) {
+    const { modifiedCount } = await ImportJob.updateOne(
+      { _id, ...stale },
+      { status: 'failed', error: INTERRUPTED_MESSAGE, completedAt: new Date(), $unset: { filePath: 1 } }
+    );
+    if (modifiedCount === 0) continue;
+
+    marked++;
+    deleteUpload(filePath);
+  }
+  return marked;
+}
+
+/**
+ * The rejected rows of an import as CSV: the file's own columns, so the rows can be
+ * fixed and uploaded again, followed by `line` and `error`
+ * @param {Object} job - ImportJob with columns and rowErrors
+ * @returns {string} CSV text
+ */
+export function buildRejectedRowsCsv(job) {
+  const columns = job.columns?.length ? job.columns : [...new Set(job.rowErrors.flatMap(row => Object.keys(row.data || {})))];
+  const lines = [[...columns, 'line', 'error']];
+
+  for (const { line, error, data = {} } of job.rowErrors) {
+    lines.push([...columns.map(column => data[column]), line, error]);
+  }
+
+  return lines.map(values => values.map(toCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+// Let the caller respond before the import starts
+function queueImport(job, filePath) {
+  const jobId = String(job._id);
+  activeJobs.add(jobId);
+  startHeartbeat();
+
+  const run = () => runImport(job, filePath)
+    .catch(error => {
+      console.error(`Import ${job._id} failed:`, error);
+    })
+    .finally(() => {
+      activeJobs.delete(jobId);
+      if (activeJobs.size === 0) stopHeartbeat();
+    });
+
+  if (job.format === 'csv') {
+    setImmediate(run);
+  } else {
+    exportQueue = exportQueue.then(run);
+  }
+}
+
+// Mark this process's imports alive, so failInterruptedImports in other processes leaves them alone
+function startHeartbeat() {
+  if (heartbeatTimer) return;
+
+  heartbeatTimer = setInterval(() => {
+    ImportJob.updateMany({ _id: { $in: [...activeJobs] } }, { heartbeatAt: new Date() }).catch(error => {
+      console.error('Error marking imports alive:', error);
+    });
+  }, IMPORT_CONFIG.heartbeatInterval);
+
+  // Do not keep the process alive just for the heartbeat
+  heartbeatTimer.unref();
+}
+
+function stopHeartbeat() {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+}
+
+async function runImport(job, filePath) {
+  const counts = { inserted: 0, updated: 0, unchanged: 0, rejected: 0 };
+  let processedRows = 0;
+  let storedErrors = 0;
+
+  // Save progress, and the rejected rows up to IMPORT_CONFIG.maxRowErrors
+  const saveProgress = async (rowErrors = []) => {
+    const kept = rowErrors.slice(0, Math.max(0, IMPORT_CONFIG.maxRowErrors - storedErrors));
+    storedErrors += kept.length;
+
+    const update = { $set: { processedRows, counts: { ...counts }, heartbeatAt: new Date() } };
+    if (kept.length > 0) update.$push = { rowErrors: { $each: kept } };
+    if (kept.length < rowErrors.length) update.$set.rowErrorsTruncated = true;
+
+    await ImportJob.updateOne({ _id: job._id }, update);
+  };
+
+  // Bulk imports: users by lowercased email, null for emails without an active account
+  const usersByEmail = new Map();
+
+  const storeBatch = async (batch) => {
+    const rowErrors = [];
+    const valid = [];
+
+    const records = batch.map(({ line, row }) => ({
+      line,
+      row,
+      fields: job.mapping ? applyColumnMapping(row, job.mapping) : row,
+    }));
+    if (job.bulk) {
+      await findUsersByEmail(records.map(({ fields }) => fields.userEmail), usersByEmail);
+    }
+
+    for (const { line, row, fields } of records) {
+      try {
+        const userId = job.bulk ? getRowUserId(fields, usersByEmail) : job.userId;
+        valid.push({ line, row, post: toPostMetric(fields, job, userId) });
+      } catch (error) {
+        rowErrors.push({ line, error: error.message, code: error.code || 'validation', data: row });
+      }
+    }
+
+    const stored = await upsertPostMetrics(valid.map(({ post }) => post));
+    stored.errors.forEach(({ index, error, code }) => {
+      rowErrors.push({ line: valid[index].line, error, code: String(code), data: valid[index].row });
+    });
+
+    // Alert on high-risk posts without holding up the import, per owner of the posts
+    const postsByUser = new Map();
+    for (const post of [...stored.insertedDocs, ...stored.updatedDocs]) {
+      const key = String(post.userId);
+      if (!postsByUser.has(key)) postsByUser.set(key, []);
+      postsByUser.get(key).push(post);
+    }
+    for (const [userId, posts] of postsByUser) {
+      evaluatePostAlerts(userId, posts).catch(error => {
+        console.error('Error sending post alerts:', error);
+      });
+    }
+
+    counts.inserted += stored.inserted;
+    counts.updated += stored.updated;
+    counts.unchanged += stored.unchanged;
+    counts.rejected += rowErrors.length;
+    processedRows += batch.length;
+
+    rowErrors.sort((a, b) => a.line - b.line);
+    await saveProgress(rowErrors);
+  };
+
+  try {
+    await ImportJob.updateOne({ _id: job._id }, { status: 'processing', startedAt: new Date(), heartbeatAt: new Date() });
+
+    // Pick up lexicon changes made in other processes before flagging posts
+    await loadRiskLexicon();
+
+    const records = job.format === 'csv'
+      ? readCsvRows(filePath, job)
+      : readPlatformExport(job.format, filePath);
+
+    // Reading waits while a batch is stored
+    let batch = [];
+    for await (const record of records) {
+      batch.push(record);
+
+      if (batch.length >= IMPORT_CONFIG.batchSize) {
+        await storeBatch(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await storeBatch(batch);
+    }
+
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { status: counts.rejected > 0 ? 'partial' : 'completed', completedAt: new Date() }
+    );
+  } catch (error) {
+    console.error(`Import ${job._id} failed:`, error);
+
+    // Rows stored before the failure stay stored and counted
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { status: 'failed', error: error.message, processedRows, counts, completedAt: new Date() }
+    );
+  } finally {
+    if (job.filePath) {
+      await ImportJob.updateOne({ _id: job._id }, { $unset: { filePath: 1 } }).catch(error => {
+        console.error(`Error updating import ${job._id}:`, error);
+      });
+    }
+    deleteUpload(filePath);
+  }
+}
+
+function deleteUpload(filePath) {
+  if (!filePath) return;
+  fs.unlink(filePath, (err) => {
+    if (err) console.error('Error deleting temp file:', err);
+  });
+}
+
+function createCsvParser(filePath, delimiter = ',') {
+  const source = fs.createReadStream(filePath);
+  const parser = source.pipe(csvParser({
+    separator: delimiter,
+    mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim(),
+  }));
+
+  // pipe() leaves the file open when the parser is destroyed before the end (a preview
+  // that stops after a few rows, or an import that fails)
+  parser.once('close', () => source.destroy());
+  return parser;
+}
+
+async function readFirstLine(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(64 * 1024);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    return buffer.subarray(0, bytesRead).toString('utf8').split(/\r?\n/, 1)[0];
+  } finally {
+    await handle.close();
+  }
+}
+
+// Rows of an uploaded CSV; line numbers assume one line per row (the header is line 1)
+async function* readCsvRows(filePath, job) {
+  const parser = createCsvParser(filePath, job.options?.delimiter || ',');
+  parser.on('headers', columns => {
+    ImportJob.updateOne({ _id: job._id }, { columns }).catch(error => {
+      console.error(`Error saving columns of import ${job._id}:`, error);
+    });
+  });
+
+  let line = 1;
+  for await (const row of parser) {
+    line++;
+    yield { line, row };
+  }
+}
+
+// Look up the accounts of the emails not looked up yet
+async function findUsersByEmail(emails, usersByEmail) {
+  const missing = [...new Set(emails.map(normalizeEmail).filter(Boolean))]
+    .filter(email => !usersByEmail.has(email));
+  if (missing.length === 0) return;
+
+  const users = await User.find({ email: { $in: missing }, accountStatus: 'active' }).select('_id email').lean();
+  for (const email of missing) usersByEmail.set(email, null);
+  for (const user of users) usersByEmail.set(user.email, user._id);
+}
+
+// Owner of a bulk import row; throws a row error for missing or unknown emails
+function getRowUserId(row, usersByEmail) {
+  const email = normalizeEmail(row.userEmail);
+  const userId = email ? usersByEmail.get(email) : null;
+  if (userId) return userId;
+
+  const error = new Error(email ? `Unknown user email "${row.userEmail.trim()}"` : 'userEmail is required for bulk imports');
+  error.code = email ? 'unknown_user' : 'validation';
+  throw error;
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// Map a CSV row (sample_data/sample_metrics.csv layout, after the job's column mapping)
+// to PostMetric fields of the user. Throws with every problem of the row; counts left
+// empty keep their stored value.
+function toPostMetric(row, job, userId) {
+  const problems = [];
+
+  const provider = (row.provider || 'manual').trim().toLowerCase();
+  if (!PROVIDERS.includes(provider)) {
+    problems.push(`Unknown provider "${row.provider}"`);
+  }
+
+  let timestamp;
+  if (row.timestamp?.trim()) {
+    const dateFormat = job.options?.dateFormat;
+    timestamp = parseImportDate(row.timestamp, { dateFormat, timezone: job.options?.timezone });
+    if (isNaN(timestamp)) {
+      problems.push(`Invalid timestamp "${row.timestamp}"${dateFormat && dateFormat !== 'auto' ? ` (expected ${dateFormat})` : ''}`);
+    }
+  }
+
+  const counts = {};
+  for (const field of COUNT_FIELDS) {
+    const value = row[field]?.trim();
+    if (!value) continue;
+
+    if (/^\d+$/.test(value)) {
+      counts[field] = parseInt(value, 10);
+    } else {
+      problems.push(`${field} must be a whole number, got "${row[field]}"`);
+    }
+  }
+
+  const mediaType = row.mediaType?.trim() || 'other';
+  if (!MEDIA_TYPES.includes(mediaType)) {
+    problems.push(`Unknown media type "${row.mediaType}"`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+
+  const { language, confidence } = detectLanguage(row.text);
+
+  return {
+    userId,
+    provider,
+    providerPostId: row.providerPostId?.trim() || `manual_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    timestamp,
+    metrics: {
+      ...counts,
+      sentiment: analyzeStoredSentiment(row.text, language),
+      clientSentiment: parseClientSentiment(row.sentiment),
+      emotions: classifyEmotions(row.text).emotions,
+    },
+    text: row.text || '',
+    language,
+    languageConfidence: confidence,
+    mediaUrls: row.mediaUrls ? row.mediaUrls.split(';').filter(url => url.trim() !== '') : [],
+    mediaType,
+    url: row.url?.trim() || undefined,
+    ...classifyPostRisk(row.text, language),
+    source: 'import',
+    sourceId: `import_${job._id}`,
+  };
+}
+
+function toCsvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default {
+  IMPORT_CONFIG,
+  startImport,
+  startImportPreview,
+  confirmImport,
+  previewCsv,
+  expireImportPreviews,
+  startImportSweeper,
+  failInterruptedImports,
+  buildRejectedRowsCsv,
+};
@@ -0,0 +1,82 @@
+import { EventEmitter } from 'events';
+import Notification from '../models/Notification.js';
+
+// Configuration of the in-app inbox
+export const INBOX_CONFIG = {
+  heartbeatInterval: 25 * 1000,  // Keeps idle live streams open through proxies (ms)
+};
+
+// Live inbox events of this server process, one event name per user ID
+const inboxEvents = new EventEmitter();
+inboxEvents.setMaxListeners(0);
+
+/**
+ * Store an in-app notification and push it to the user's open live streams
+ * @param {Object} notification
+ * @param {string|ObjectId} notification.userId - Recipient
+ * @param {string} notification.category - NotificationPreference category
+ * @param {string} notification.title - Title
+ * @param {string} [notification.message] - Body text
+ * @param {string} [notification.link] - App path to open
+ * @param {Object} [notification.data] - Related IDs
+ * @returns {Promise<Object>} The stored notification
+ */
+export async function createInboxNotification({ userId, category, title, message, link, data }) {
+  const notification = await Notification.create({ userId, category, title, message, link, data });
+
+  publishInboxEvent(userId, 'notification', describeNotification(notification));
+  return notification;
+}
+
+/**
+ * Mark notifications as read
+ * @param {string|ObjectId} userId - Owner
+ * @param {Array<string>|null} ids - Notification IDs, or null for all unread ones
+ * @returns {Promise<number>} Number of notifications marked
+ */
+export async function markInboxRead(userId, ids = null) {
+  const filter = { userId, readAt: null };
+  if (ids) filter._id = { $in: ids };
+
+  const readAt = new Date();
+  const { modifiedCount } = await Notification.updateMany(filter, { readAt });
+
+  if (modifiedCount > 0) {
+    publishInboxEvent(userId, 'read', ids ? { ids, readAt } : { all: true, readAt });
+  }
+  return modifiedCount;
+}
+
+/**
+ * Listen to a user's inbox events ('notification' and 'read')
+ * @param {string|ObjectId} userId - User ID
+ * @param {Function} listener - Called with (event, data)
+ * @returns {Function} Stops listening
+ */
+export function subscribeToInbox(userId, listener) {
+  const eventName = String(userId);
+  inboxEvents.on(eventName, listener);
+
+  return () => inboxEvents.off(eventName, listener);
+}
+
+/**
+ * Shape of a notification in API responses and live events
+ * @param {Object} notification - Notification document or plain object
+ * @returns {Object}
+ */
+export function describeNotification({ _id, category, title, message, link, data, readAt, createdAt }) {
+  return { id: _id, category, title, message, link, data, read: Boolean(readAt), readAt, createdAt };
+}
+
+function publishInboxEvent(userId, event, data) {
+  inboxEvents.emit(String(userId), event, data);
+}
+
+export default {
+  INBOX_CONFIG,
+  createInboxNotification,
+  markInboxRead,
+  subscribeToInbox,
+  describeNotification,
+};
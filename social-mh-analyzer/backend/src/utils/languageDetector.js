@@ -0,0 +1,100 @@
+import {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  UNDETERMINED_LANGUAGE,
+  LANGUAGE_PROFILES,
+} from '../data/languageProfiles.js';
+import { tokenize, foldDiacritics } from './textUtils.js';
+
+// Offline language detection for posts in the supported languages
+const DETECTION_CONFIG = {
+  scriptShare: 0.3,      // Share of letters in a language's own script that decides the language
+  characterWeight: 2,    // A language-specific letter counts like this many stopwords
+  latinShare: 0.5,       // Below this share of Latin letters the text is in an unsupported script
+  minConfidence: 0.4,    // Below this the language is reported as undetermined
+};
+
+const STOPWORDS = Object.fromEntries(
+  SUPPORTED_LANGUAGES.map(language => [language, new Set(LANGUAGE_PROFILES[language].stopwords)])
+);
+
+// Languages recognised by their own script
+const SCRIPT_LANGUAGES = SUPPORTED_LANGUAGES
+  .filter(language => LANGUAGE_PROFILES[language].script)
+  .map(language => ({ language, pattern: new RegExp(`\\p{Script=${LANGUAGE_PROFILES[language].script}}`, 'u') }));
+
+/**
+ * Detect the language of a post.
+ * Non-Latin scripts decide by themselves (Devanagari -> Hindi); Latin-script text is
+ * scored by the function words and language-specific letters of each supported
+ * language, so romanized Hindi is recognised as Hindi.
+ * @param {string} text - Post text
+ * @returns {Object} { language, confidence (0-1) } where language is one of
+ *   SUPPORTED_LANGUAGES, or 'und' when the text is too short or in another language
+ */
+export function detectLanguage(text) {
+  const undetermined = { language: UNDETERMINED_LANGUAGE, confidence: 0 };
+  if (!text || typeof text !== 'string') return undetermined;
+
+  const letters = text.match(/\p{L}/gu) || [];
+  if (letters.length === 0) return undetermined;
+
+  for (const { language, pattern } of SCRIPT_LANGUAGES) {
+    const share = letters.filter(letter => pattern.test(letter)).length / letters.length;
+    if (share >= DETECTION_CONFIG.scriptShare) {
+      return { language, confidence: round(share) };
+    }
+  }
+
+  // Mostly another non-Latin script (Arabic, CJK...): not a supported language
+  const latinShare = letters.filter(letter => /\p{Script=Latin}/u.test(letter)).length / letters.length;
+  if (latinShare < DETECTION_CONFIG.latinShare) return undetermined;
+
+  const lowered = text.toLowerCase();
+  const tokens = tokenize(foldDiacritics(text));
+  const scores = {};
+
+  for (const language of SUPPORTED_LANGUAGES) {
+    const { characters = [] } = LANGUAGE_PROFILES[language];
+    const stopwordHits = tokens.filter(token => STOPWORDS[language].has(token)).length;
+    const characterHits = characters.filter(character => lowered.includes(character)).length;
+    scores[language] = stopwordHits + characterHits * DETECTION_CONFIG.characterWeight;
+  }
+
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  if (total === 0) return undetermined;
+
+  // Ties go to the language listed first (English)
+  const [language, score] = Object.entries(scores).reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+  const confidence = round(score / total);
+
+  return confidence >= DETECTION_CONFIG.minConfidence ? { language, confidence } : undetermined;
+}
+
+/**
+ * Language whose lexicons are used to analyze a post
+ * @param {string} [language] - Detected language (PostMetric.language)
+ * @returns {string} The language if it is supported, otherwise English
+ */
+export function getAnalysisLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Check whether a post's language has its own lexicons
+ * @param {string} [language] - Detected language
+ * @returns {boolean}
+ */
+export function isSupportedLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default {
+  detectLanguage,
+  getAnalysisLanguage,
+  isSupportedLanguage,
+};
@@ -173,15 +173,13 @@ const sendWelcomeEmail = async (email, name) => {
 };
 
 /**
- * Send a notification to parents/guardians
- * @param {string} email - Parent/guardian's email
+ * Content of a notification to parents/guardians
  * @param {string} childName - Child's name
  * @param {string} message - Notification message
- * @returns {Promise<Object>} - Result of sending the email
+ * @returns {Object} - { subject, text, html }
  */
-const sendParentNotification = async (email, childName, message) => {
-  return sendEmail({
-    to: email,
+const composeParentNotification = (childName, message) => {
+  return {
     subject: `Important: Notification about ${childName}'s Social Media Activity`,
     text: `Dear Parent/Guardian,\n\nThis is an important notification regarding ${childName}'s social media activity.\n\n${message}\n\n` +
       `Please log in to your account for more details.\n\n` +
@@ -204,7 +202,93 @@ const sendParentNotification = async (email, childName, message) => {
         <p>Best regards,<br>The Social MH Analyzer Team</p>
       </div>
     `,
-  });
+  };
+};
+
+/**
+ * Send a notification to parents/guardians
+ * @param {string} email - Parent/guardian's email
+ * @param {string} childName - Child's name
+ * @param {string} message - Notification message
+ * @returns {Promise<Object>} - Result of sending the email
+ */
+const sendParentNotification = async (email, childName, message) => {
+  return sendEmail({ to: email, ...composeParentNotification(childName, message) });
+};
+
+/**
+ * Content of a risk alert to a user, pointing them to support resources
+ * @param {string} name - User's name
+ * @param {string} message - What was noticed
+ * @returns {Object} - { subject, text, html }
+ */
+const composeRiskAlert = (name, message) => {
+  const resourcesUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/resources`;
+
+  return {
+    subject: 'Checking in on you',
+    text: `Hi ${name},\n\n${message}\n\n` +
+      `If you're going through a hard time, consider reaching out to someone you trust or a mental health professional. ` +
+      `If you are in danger or thinking about ending your life, please call your local emergency number or a crisis line right away.\n\n` +
+      `Mental health resources: ${resourcesUrl}\n\n` +
+      `Best regards,\nThe Social MH Analyzer Team`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Checking in on you</h2>
+        <p>Hi ${name},</p>
+        <div style="background-color: #f8f9fa; padding: 15px; border-left: 4px solid #ffc107; margin: 15px 0;">
+          ${message.replace(/\n/g, '<br>')}
+        </div>
+        <p>If you're going through a hard time, consider reaching out to someone you trust or a mental health professional.</p>
+        <p><strong>If you are in danger or thinking about ending your life, please call your local emergency number or a crisis line right away.</strong></p>
+        <div style="margin: 25px 0;">
+          <a href="${resourcesUrl}" style="background-color: #3b82f6; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+            View Mental Health Resources
+          </a>
+        </div>
+        <p>You're not alone, and there are people who care about you.</p>
+        <p>Best regards,<br>The Social MH Analyzer Team</p>
+      </div>
+    `,
+  };
+};
+
+/**
+ * Content of an invite for a parent/guardian to link their account to a minor's account
+ * @param {string} childName - Name of the minor who sent the invite
+ * @param {string} token - Invite token
+ * @param {Date} expiresAt - When the invite expires
+ * @returns {Object} - { subject, text, html }
+ */
+const composeGuardianInvite = (childName, token, expiresAt) => {
+  const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/guardian/accept?token=${token}`;
+  const expires = expiresAt.toDateString();
+
+  return {
+    subject: `${childName} invited you to Social MH Analyzer as their guardian`,
+    text: `Dear Parent/Guardian,\n\n${childName} has invited you to link your account to theirs on Social MH Analyzer.\n\n` +
+      `As their guardian you will see their well-being scores and alerts, and receive an email when we notice signs of serious distress. ` +
+      `You will not see their posts or personal notes.\n\n` +
+      `Log in (or create an account with this email address) and accept the invite here:\n\n${acceptUrl}\n\n` +
+      `This invite expires on ${expires}.\n\n` +
+      `Best regards,\nThe Social MH Analyzer Team`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Guardian Invite</h2>
+        <p>Dear Parent/Guardian,</p>
+        <p>${childName} has invited you to link your account to theirs on Social MH Analyzer.</p>
+        <p>As their guardian you will see their well-being scores and alerts, and receive an email when we notice signs of serious distress. You will not see their posts or personal notes.</p>
+        <p>Log in (or create an account with this email address) and accept the invite:</p>
+        <div style="margin: 25px 0;">
+          <a href="${acceptUrl}" style="background-color: #3b82f6; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+            Accept Invite
+          </a>
+        </div>
+        <p>This invite expires on ${expires}.</p>
+        <p>Best regards,<br>The Social MH Analyzer Team</p>
+      </div>
+    `,
+  };
 };
 
 export {
@@ -212,4 +296,7 @@ export {
   sendPasswordResetEmail,
   sendWelcomeEmail,
   sendParentNotification,
+  composeParentNotification,
+  composeRiskAlert,
+  composeGuardianInvite,
 };
@@ -0,0 +1,360 @@
+import NotificationPreference from '../models/NotificationPreference.js';
+import NotificationOverride from '../models/NotificationOverride.js';
+import PendingNotification from '../models/PendingNotification.js';
+import User from '../models/User.js';
+import { sendNotification } from './notificationTransports.js';
+import { createInboxNotification } from './inbox.js';
+import { getLocalParts, isValidTimeZone } from './temporalPatterns.js';
+
+// Configuration of notification delivery
+const NOTIFICATION_CONFIG = {
+  flushInterval: 60 * 1000,      // How often the worker sends held and digest messages (ms)
+  flushBatch: 500,               // Most outbox messages handled per run
+  claimTimeout: 30 * 60 * 1000,  // Messages claimed longer ago were left by a stopped process (ms);
+                                 // well above the time a run takes to send flushBatch messages
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Messages the user asked for or needs for their account; preferences do not apply
+const TRANSACTIONAL_CATEGORIES = ['account'];
+
+let workerTimer = null;
+
+/**
+ * A user's notification preferences, or the defaults if they never saved any
+ * @param {string|ObjectId} userId - User ID
+ * @returns {Promise<Object>} Plain NotificationPreference object
+ */
+export async function getNotificationPreferences(userId) {
+  const preferences = await NotificationPreference.findOne({ userId }).lean();
+  return preferences || new NotificationPreference({ userId }).toObject();
+}
+
+/**
+ * Send a message according to the recipient's notification preferences.
+ * Disabled categories and channels suppress the message; quiet hours hold it until
+ * they end and digest delivery collects it for the next digest. Safety-critical
+ * messages are sent right away whatever the preferences, and every preference they
+ * override is logged (NotificationOverride). In-app notifications go to the inbox
+ * (see utils/inbox.js); quiet hours and digests do not hold them back.
+ * @param {Object} notification
+ * @param {Object} [notification.user] - Recipient account with _id and timezone; without one
+ *   (e.g. the parent contact given at registration) the message is sent right away
+ * @param {string} notification.category - 'account', or a NotificationPreference category
+ * @param {string} notification.channel - 'email', 'sms' or 'inApp'
+ * @param {string} [notification.to] - Email address or phone number (E.164); not used in-app
+ * @param {string} [notification.subject] - Subject (email), title (in-app)
+ * @param {string} notification.text - Plain text body
+ * @param {string} [notification.html] - HTML body (email)
+ * @param {string} [notification.link] - App path to open (in-app)
+ * @param {Object} [notification.data] - Related IDs (in-app)
+ * @param {boolean} [notification.critical=false] - Safety-critical message
+ * @param {Object} [notification.context] - Logged with overrides, e.g. { alertId, rule }
+ * @returns {Promise<Object>} { status: 'sent'|'failed'|'deferred'|'suppressed', messageId, error,
+ *   sendAfter, reasons }
+ */
+export async function dispatchNotification({
+  user,
+  category,
+  channel,
+  to,
+  subject,
+  text,
+  html,
+  link,
+  data,
+  critical = false,
+  context,
+}) {
+  const message = channel === 'inApp'
+    ? { channel, userId: user?._id, category, subject, text, link, data }
+    : { channel, to, subject, text, html };
+
+  if (!user || TRANSACTIONAL_CATEGORIES.includes(category)) {
+    return deliver(message);
+  }
+
+  const preferences = await getNotificationPreferences(user._id);
+  const timeZone = isValidTimeZone(user.timezone) ? user.timezone : 'UTC';
+  const now = new Date();
+
+  // Preferences that stop the message, and those that delay it
+  const blocked = [];
+  if (preferences.categories?.[category] === false) blocked.push('category');
+  if (preferences.channels?.[channel] === false) blocked.push('channel');
+
+  const delayed = [];
+  if (channel !== 'inApp') {
+    if (preferences.delivery === 'digest') delayed.push('digest');
+    if (isQuietTime(preferences.quietHours, timeZone, now)) delayed.push('quietHours');
+  }
+
+  if (critical) {
+    const overridden = [...blocked, ...delayed];
+    if (overridden.length > 0) {
+      await logOverride({ userId: user._id, category, channel, to, overridden, context });
+    }
+    return deliver(message);
+  }
+
+  if (blocked.length > 0) {
+    return { status: 'suppressed', reasons: blocked };
+  }
+
+  if (delayed.length > 0) {
+    const digest = delayed.includes('digest');
+    const sendAfter = nextDeliveryTime(preferences, timeZone, now);
+
+    await PendingNotification.create({ userId: user._id, category, ...message, digest, sendAfter });
+    return { status: 'deferred', sendAfter, reasons: delayed };
+  }
+
+  return deliver(message);
+}
+
+/**
+ * Send the held and digest messages that are due. Digest messages for the same
+ * recipient and channel are combined into one message. Preferences are checked again,
+ * so messages of a category or channel disabled in the meantime are dropped, and
+ * messages due in quiet hours set in the meantime are held until they end.
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<Object>} { sent, failed, suppressed, deferred } message counts
+ */
+export async function flushPendingNotifications(now = new Date()) {
+  const due = await PendingNotification.find({ status: 'pending', sendAfter: { $lte: now } })
+    .sort({ sendAfter: 1 })
+    .limit(NOTIFICATION_CONFIG.flushBatch)
+    .lean();
+
+  // Claim each message so another server process does not send it too
+  const groups = new Map();
+  for (const item of due) {
+    const { modifiedCount } = await PendingNotification.updateOne(
+      { _id: item._id, status: 'pending' },
+      { status: 'sending', claimedAt: new Date() }
+    );
+    if (modifiedCount === 0) continue;
+
+    const key = item.digest ? `${item.userId}:${item.channel}:${item.to}` : String(item._id);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+
+  const counts = { sent: 0, failed: 0, suppressed: 0, deferred: 0 };
+
+  for (const items of groups.values()) {
+    const preferences = await getNotificationPreferences(items[0].userId);
+    const isAllowed = item => preferences.categories?.[item.category] !== false &&
+      preferences.channels?.[item.channel] !== false;
+
+    const dropped = items.filter(item => !isAllowed(item));
+    const allowed = items.filter(isAllowed);
+
+    if (dropped.length > 0) {
+      await updateItems(dropped, { status: 'suppressed' });
+      counts.suppressed += dropped.length;
+    }
+    if (allowed.length === 0) continue;
+
+    if (preferences.quietHours?.enabled) {
+      const user = await User.findById(items[0].userId).select('timezone').lean();
+      const timeZone = isValidTimeZone(user?.timezone) ? user.timezone : 'UTC';
+
+      if (isQuietTime(preferences.quietHours, timeZone, now)) {
+        const sendAfter = nextLocalTime(preferences.quietHours.end, timeZone, now);
+        await updateItems(allowed, { status: 'pending', sendAfter, $unset: { claimedAt: 1 } });
+        counts.deferred += allowed.length;
+        continue;
+      }
+    }
+
+    const { channel, to, subject, text, html } = allowed[0];
+    const message = allowed.length === 1 ? { channel, to, subject, text, html } : composeDigest(allowed);
+    const result = await sendNotification(message);
+
+    if (result.success) {
+      await updateItems(allowed, { status: 'sent', messageId: result.messageId, sentAt: new Date() });
+      counts.sent += allowed.length;
+    } else {
+      await updateItems(allowed, { status: 'failed', error: result.error });
+      counts.failed += allowed.length;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Start sending held and digest messages every NOTIFICATION_CONFIG.flushInterval.
+ * Messages a stopped server process was sending are sent again once their claim times out;
+ * those other processes are still sending are left to them.
+ * @returns {Promise<number>} Number of messages put back in the outbox now
+ */
+export async function startNotificationWorker() {
+  const released = await releaseStaleClaims();
+
+  if (!workerTimer) {
+    workerTimer = setInterval(() => {
+      releaseStaleClaims()
+        .then(() => flushPendingNotifications())
+        .catch(error => {
+          console.error('Notification worker failed:', error);
+        });
+    }, NOTIFICATION_CONFIG.flushInterval);
+
+    // Do not keep the process alive just for the worker
+    workerTimer.unref();
+  }
+
+  return released;
+}
+
+// Put back in the outbox messages claimed more than NOTIFICATION_CONFIG.claimTimeout ago:
+// the process sending them stopped before it could record the result
+async function releaseStaleClaims() {
+  const claimedBefore = new Date(Date.now() - NOTIFICATION_CONFIG.claimTimeout);
+
+  const { modifiedCount } = await PendingNotification.updateMany(
+    {
+      status: 'sending',
+      $or: [
+        { claimedAt: { $lt: claimedBefore } },
+        // Claimed before claim times were recorded
+        { claimedAt: { $exists: false }, updatedAt: { $lt: claimedBefore } },
+      ],
+    },
+    { status: 'pending', $unset: { claimedAt: 1 } }
+  );
+  return modifiedCount;
+}
+
+async function deliver(message) {
+  if (message.channel === 'inApp') return deliverInApp(message);
+
+  const result = await sendNotification(message);
+
+  return result.success
+    ? { status: 'sent', messageId: result.messageId }
+    : { status: 'failed', error: result.error };
+}
+
+async function deliverInApp({ userId, category, subject, text, link, data }) {
+  if (!userId) {
+    return { status: 'failed', error: 'In-app notifications need a user account' };
+  }
+
+  try {
+    const notification = await createInboxNotification({ userId, category, title: subject, message: text, link, data });
+    return { status: 'sent', messageId: String(notification._id) };
+  } catch (error) {
+    console.error('Error creating in-app notification:', error);
+    return { status: 'failed', error: error.message };
+  }
+}
+
+// Logging problems never stop a safety-critical message
+async function logOverride({ userId, category, channel, to, overridden, context }) {
+  console.warn(`Safety-critical ${category} ${channel} to user ${userId} sent despite preferences: ${overridden.join(', ')}`);
+
+  try {
+    await NotificationOverride.create({ userId, category, channel, to, overridden, reason: 'safety-critical', context });
+  } catch (error) {
+    console.error('Error logging notification override:', error);
+  }
+}
+
+function updateItems(items, update) {
+  return PendingNotification.updateMany({ _id: { $in: items.map(item => item._id) } }, update);
+}
+
+function composeDigest(items) {
+  const { channel, to } = items[0];
+
+  if (channel === 'sms') {
+    return { channel, to, text: items.map(item => item.text).join('\n\n') };
+  }
+
+  return {
+    channel,
+    to,
+    subject: `Your Social MH Analyzer digest (${items.length} updates)`,
+    text: items.map(item => [item.subject, item.text].filter(Boolean).join('\n\n')).join('\n\n---\n\n'),
+    html: items.map(item => item.html || '').join('<hr style="margin: 30px 0;">'),
+  };
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether `date` falls in the quiet hours, which may span midnight (e.g. 22:00-07:00)
+ * @param {Object} quietHours - { enabled, start, end } with local times as HH:MM
+ * @param {string} timeZone - IANA time zone of the user
+ * @param {Date} date - Time to check
+ * @returns {boolean}
+ */
+export function isQuietTime(quietHours, timeZone, date) {
+  if (!quietHours?.enabled) return false;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const { minuteOfDay } = getLocalParts(date, timeZone);
+
+  return start <= end
+    ? minuteOfDay >= start && minuteOfDay < end
+    : minuteOfDay >= start || minuteOfDay < end;
+}
+
+/**
+ * When a held message may be sent: at the next digest time for digest delivery, right
+ * away otherwise; a time in quiet hours moves to the end of the quiet hours
+ * @param {Object} preferences - Plain NotificationPreference object
+ * @param {string} timeZone - IANA time zone of the user
+ * @param {Date} date - Time to start from
+ * @returns {Date}
+ */
+export function nextDeliveryTime(preferences, timeZone, date) {
+  const next = preferences.delivery === 'digest'
+    ? nextLocalTime(preferences.digestTime, timeZone, date)
+    : date;
+
+  return isQuietTime(preferences.quietHours, timeZone, next)
+    ? nextLocalTime(preferences.quietHours.end, timeZone, next)
+    : next;
+}
+
+/**
+ * Next moment the local clock shows `time`, from the start of the current minute.
+ * A time skipped by a DST change is reached as many minutes later as the clock jumped.
+ * @param {string} time - Local time as HH:MM
+ * @param {string} timeZone - IANA time zone of the user
+ * @param {Date} date - Time to start from
+ * @returns {Date}
+ */
+export function nextLocalTime(time, timeZone, date) {
+  const target = toMinutes(time);
+  const { minuteOfDay } = getLocalParts(date, timeZone);
+  const minutes = (target - minuteOfDay + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const startOfMinute = Math.floor(date.getTime() / 60000) * 60000;
+  const next = startOfMinute + minutes * 60000;
+
+  // A DST change in between moves the local clock; move back by the same amount
+  let shift = getLocalParts(next, timeZone).minuteOfDay - target;
+  if (shift > MINUTES_PER_DAY / 2) shift -= MINUTES_PER_DAY;
+  if (shift < -MINUTES_PER_DAY / 2) shift += MINUTES_PER_DAY;
+  const corrected = next - shift * 60000;
+
+  return shift !== 0 && corrected >= startOfMinute && getLocalParts(corrected, timeZone).minuteOfDay === target
+    ? new Date(corrected)
+    : new Date(next);
+}
+
+export default {
+  getNotificationPreferences,
+  dispatchNotification,
+  flushPendingNotifications,
+  startNotificationWorker,
+};
@@ -0,0 +1,227 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { sendEmail } from './mailer.js';
+
+// Load environment variables
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Configuration of the outbound notification transports
+const TRANSPORT_CONFIG = {
+  twilioApiUrl: process.env.TWILIO_API_URL || 'https://api.twilio.com/2010-04-01',  // Any Twilio-compatible API
+  outboxFile: process.env.NOTIFICATION_OUTBOX_FILE || path.join(__dirname, '..', '..', 'logs', 'notifications.jsonl'),
+  requestTimeout: 10 * 1000,  // SMS API request timeout (ms)
+};
+
+export const NOTIFICATION_CHANNELS = ['email', 'sms'];
+
+// Transport in use per channel, created on first use
+const transports = new Map();
+
+/**
+ * SMS through the Twilio Messages API (or a compatible API at TWILIO_API_URL)
+ * @param {Object} options
+ * @param {string} options.accountSid - Account SID
+ * @param {string} options.authToken - Auth token
+ * @param {string} options.from - Sender phone number (E.164)
+ * @param {string} [options.apiUrl] - API base URL
+ * @returns {Object} Transport
+ */
+export function createTwilioTransport({ accountSid, authToken, from, apiUrl = TRANSPORT_CONFIG.twilioApiUrl }) {
+  const credentials = Buffer.from(`${accountSid}:${authToken}`).toString('base64');
+
+  return {
+    name: 'twilio',
+    async send({ to, text }) {
+      try {
+        const response = await fetch(`${apiUrl}/Accounts/${accountSid}/Messages.json`, {
+          method: 'POST',
+          headers: {
+            Authorization: `Basic ${credentials}`,
+            'Content-Type': 'application/x-www-form-urlencoded',
+          },
+          body: new URLSearchParams({ To: to, From: from, Body: text }),
+          signal: AbortSignal.timeout(TRANSPORT_CONFIG.requestTimeout),
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+          return { success: false, error: data.message || `SMS API responded with ${response.status}` };
+        }
+        return { success: true, messageId: data.sid };
+      } catch (error) {
+        console.error('Error sending SMS:', error);
+        return { success: false, error: error.message };
+      }
+    },
+  };
+}
+
+/**
+ * Development/test stand-in that appends each message as a JSON line to a file
+ * @param {string} [filePath] - Outbox file (NOTIFICATION_OUTBOX_FILE, default logs/notifications.jsonl)
+ * @returns {Object} Transport
+ */
+export function createFileTransport(filePath = TRANSPORT_CONFIG.outboxFile) {
+  return {
+    name: 'file',
+    async send(message) {
+      try {
+        const messageId = `file-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(filePath, `${JSON.stringify({ messageId, ...message, sentAt: new Date() })}\n`);
+        return { success: true, messageId };
+      } catch (error) {
+        console.error('Error writing notification outbox:', error);
+        return { success: false, error: error.message };
+      }
+    },
+  };
+}
+
+/**
+ * Development stand-in that logs each message
+ * @returns {Object} Transport
+ */
+export function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`${message.channel.toUpperCase()} not sent - no ${message.channel} configuration`);
+      console.log('Message:', JSON.stringify(message, null, 2));
+      return { success: true, messageId: 'console-message-id' };
+    },
+  };
+}
+
+/**
+ * Stand-in for a channel that is not set up: every message fails, so alerts record it as
+ * not delivered instead of sent
+ * @param {string} reason - Why the channel cannot send, returned as the error
+ * @returns {Object} Transport
+ */
+export function createUnconfiguredTransport(reason) {
+  return {
+    name: 'unconfigured',
+    async send() {
+      return { success: false, error: reason };
+    },
+  };
+}
+
+// Email goes through mailer.js, which has its own development fallbacks
+const smtpTransport = {
+  name: 'smtp',
+  send: ({ to, subject, text, html }) => sendEmail({ to, subject, text, html }),
+};
+
+// Email always uses mailer.js. SMS use SMS_TRANSPORT (twilio, file or console) and
+// default to Twilio when TWILIO_ACCOUNT_SID is set. Without a working Twilio configuration
+// SMS are logged in development and fail everywhere else, so nobody counts them as sent.
+function createDefaultTransport(channel) {
+  if (channel === 'email') return smtpTransport;
+
+  const kind = process.env.SMS_TRANSPORT;
+  if (kind === 'file') return createFileTransport();
+  if (kind === 'console') return createConsoleTransport();
+
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER } = process.env;
+  let reason = 'SMS are not configured (set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER)';
+
+  if (kind === 'twilio' || (!kind && TWILIO_ACCOUNT_SID)) {
+    if (TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN && TWILIO_PHONE_NUMBER) {
+      return createTwilioTransport({
+        accountSid: TWILIO_ACCOUNT_SID,
+        authToken: TWILIO_AUTH_TOKEN,
+        from: TWILIO_PHONE_NUMBER,
+      });
+    }
+    reason = 'Twilio is not fully configured (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER)';
+  }
+
+  if (process.env.NODE_ENV === 'development') {
+    console.warn(`${reason}; SMS are logged instead`);
+    return createConsoleTransport();
+  }
+
+  console.warn(`${reason}; SMS will fail`);
+  return createUnconfiguredTransport(reason);
+}
+
+/**
+ * Replace the transport of a channel (e.g. a file transport in tests)
+ * @param {string} channel - One of NOTIFICATION_CHANNELS
+ * @param {Object|null} transport - { name, send(message) }, or null to go back to the configured one
+ */
+export function setTransport(channel, transport) {
+  if (!NOTIFICATION_CHANNELS.includes(channel)) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+
+  if (transport) {
+    transports.set(channel, transport);
+  } else {
+    transports.delete(channel);
+  }
+}
+
+/**
+ * Transport in use for a channel
+ * @param {string} channel - One of NOTIFICATION_CHANNELS
+ * @returns {Object} Transport
+ */
+export function getTransport(channel) {
+  if (!transports.has(channel)) {
+    transports.set(channel, createDefaultTransport(channel));
+  }
+  return transports.get(channel);
+}
+
+/**
+ * Send a message over a channel
+ * @param {Object} message
+ * @param {string} message.channel - One of NOTIFICATION_CHANNELS
+ * @param {string} message.to - Email address or phone number (E.164)
+ * @param {string} [message.subject] - Subject (email)
+ * @param {string} message.text - Plain text body (the whole SMS)
+ * @param {string} [message.html] - HTML body (email)
+ * @returns {Promise<Object>} { success, messageId, error, transport }
+ */
+export async function sendNotification({ channel, to, subject, text, html }) {
+  if (!NOTIFICATION_CHANNELS.includes(channel)) {
+    return { success: false, error: `Unknown notification channel: ${channel}` };
+  }
+
+  const transport = getTransport(channel);
+  const result = await transport.send({ channel, to, subject, text, html });
+
+  return { ...result, transport: transport.name };
+}
+
+/**
+ * Normalize a stored phone number to E.164 ("+1 (555) 010-9999" -> "+15550109999")
+ * @param {string} phone - Phone number with a country code
+ * @returns {string|null} The number, or null if it is not a valid international number
+ */
+export function normalizePhoneNumber(phone) {
+  if (!phone || typeof phone !== 'string') return null;
+
+  const number = phone.trim().replace(/^00/, '+').replace(/[\s().-]/g, '');
+  return /^\+[1-9]\d{7,14}$/.test(number) ? number : null;
+}
+
+export default {
+  NOTIFICATION_CHANNELS,
+  createTwilioTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createUnconfiguredTransport,
+  setTransport,
+  getTransport,
+  sendNotification,
+  normalizePhoneNumber,
+};
@@ -0,0 +1,275 @@
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import csvParser from 'csv-parser';
+import yauzl from 'yauzl';
+
+// Configuration for reading platform data-download archives
+const EXPORT_CONFIG = {
+  maxEntrySize: 25 * 1024 * 1024,   // Largest activity file read into memory (bytes, uncompressed);
+                                    // media in the archives is never read
+  sniffBytes: 64 * 1024,            // Start of a file read to recognise its format
+};
+
+// Platform exports are read into rows in the CSV upload layout (sample_data/sample_metrics.csv),
+// so they are validated, stored and reported like uploaded CSV rows
+export const EXPORT_COLUMNS = [
+  'provider', 'providerPostId', 'timestamp', 'likes', 'comments', 'shares', 'views',
+  'text', 'mediaType', 'mediaUrls', 'url',
+];
+
+// Files read from each platform's archive
+const ARCHIVE_ENTRIES = {
+  instagram: /(^|\/)content\/(posts_\d+|reels|stories)\.json$/i,      // Instagram "Download your information" (JSON)
+  twitter: /(^|\/)data\/tweets?(-part\d+)?\.js$/i,                    // X/Twitter archive
+  tiktok: /(^|\/)user_data(_tiktok)?\.json$/i,                        // TikTok "Download your data" (JSON)
+  youtube: /youtube[^/]*\/(.+\/)?video metadata\/videos\.csv$/i,      // Google Takeout, YouTube videos
+};
+
+export const PLATFORM_FORMATS = Object.keys(ARCHIVE_ENTRIES);
+
+/**
+ * Recognise an uploaded metrics file: a CSV in our layout, a platform archive (zip), or a
+ * single file taken out of one (tweets.js, user_data.json, posts_1.json, videos.csv)
+ * @param {string} filePath - Uploaded file
+ * @param {string} [fileName] - Name of the file as uploaded
+ * @returns {Promise<string|null>} 'csv', one of PLATFORM_FORMATS, or null if not recognised
+ */
+export async function detectImportFormat(filePath, fileName = filePath) {
+  const head = await readHead(filePath);
+
+  // Zip archives start with a local file header
+  if (head.subarray(0, 4).equals(Buffer.from('PK\x03\x04', 'latin1'))) {
+    const zipfile = await yauzl.openPromise(filePath);
+    try {
+      for await (const entry of zipfile.eachEntry()) {
+        const format = PLATFORM_FORMATS.find(name => ARCHIVE_ENTRIES[name].test(entry.fileName));
+        if (format) return format;
+      }
+      return null;
+    } finally {
+      zipfile.close();
+    }
+  }
+
+  const text = head.toString('utf8').replace(/^\uFEFF/, '');
+  const extension = path.extname(fileName).toLowerCase();
+
+  if (/^\s*window\.YTD\./.test(text)) return 'twitter';
+  if (extension === '.json' || /^\s*[[{]/.test(text)) {
+    if (/"(VideoList|Video|Post)"\s*:/.test(text)) return 'tiktok';
+    if (/"(creation_timestamp|ig_reels_media|ig_stories)"\s*:/.test(text)) return 'instagram';
+    return null;
+  }
+
+  const header = text.split(/\r?\n/, 1)[0];
+  if (/(^|,)"?Video ID"?(,|$)/.test(header)) return 'youtube';
+  return extension === '.csv' || header.includes(',') ? 'csv' : null;
+}
+
+/**
+ * Read the posts of a platform export as rows in EXPORT_COLUMNS layout. Rows are numbered
+ * by their position in the export. Content that is not the user's own (retweets) is skipped.
+ * @param {string} format - One of PLATFORM_FORMATS
+ * @param {string} filePath - Archive, or a single file out of one
+ * @returns {AsyncGenerator<Object>} { line, row }
+ */
+export async function* readPlatformExport(format, filePath) {
+  if (!PLATFORM_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  let line = 0;
+  for await (const { fileName, content } of readExportFiles(format, filePath)) {
+    for await (const row of PARSERS[format](content, fileName)) {
+      line++;
+      yield { line, row };
+    }
+  }
+}
+
+// The export's files: the matching entries of an archive, or the uploaded file itself
+async function* readExportFiles(format, filePath) {
+  const head = await readHead(filePath);
+  if (!head.subarray(0, 4).equals(Buffer.from('PK\x03\x04', 'latin1'))) {
+    const { size } = await fs.promises.stat(filePath);
+    if (size > EXPORT_CONFIG.maxEntrySize) {
+      throw new Error(`${path.basename(filePath)} is too large to import`);
+    }
+    yield { fileName: path.basename(filePath), content: await fs.promises.readFile(filePath) };
+    return;
+  }
+
+  const zipfile = await yauzl.openPromise(filePath);
+  try {
+    for await (const entry of zipfile.eachEntry()) {
+      if (!ARCHIVE_ENTRIES[format].test(entry.fileName)) continue;
+      if (entry.uncompressedSize > EXPORT_CONFIG.maxEntrySize) {
+        throw new Error(`${entry.fileName} is too large to import`);
+      }
+
+      // yauzl checks the declared size while reading, so a forged header cannot get past the limit
+      const stream = await zipfile.openReadStreamPromise(entry);
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+
+      yield { fileName: entry.fileName, content: Buffer.concat(chunks) };
+    }
+  } finally {
+    zipfile.close();
+  }
+}
+
+// Each parser turns one export file into rows
+const PARSERS = {
+  // posts_1.json: [{ media: [{ uri, creation_timestamp, title }], title?, creation_timestamp? }],
+  // reels.json: { ig_reels_media: [...] }, stories.json: { ig_stories: [{ uri, creation_timestamp, title }] }
+  async* instagram(content, fileName) {
+    const data = parseJson(content, fileName);
+    const kind = /reels/i.test(fileName) ? 'reel' : /stories/i.test(fileName) ? 'story' : 'post';
+    const items = Array.isArray(data) ? data : data.ig_reels_media || data.ig_stories || [];
+
+    for (const item of items) {
+      const media = item.media?.length ? item.media : [item];
+      const uri = media[0].uri || '';
+      const created = item.creation_timestamp || media[0].creation_timestamp;
+
+      let mediaType = kind;
+      if (kind === 'post') {
+        mediaType = media.length > 1 ? 'carousel' : /\.(mp4|mov)$/i.test(uri) ? 'video' : 'image';
+      }
+
+      yield toRow({
+        provider: 'instagram',
+        // The archive has no post IDs; media file names are stable between exports
+        providerPostId: uri ? `ig_${path.basename(uri, path.extname(uri))}` : '',
+        timestamp: created ? toIsoDate(created * 1000) : '',
+        text: fixMetaEncoding(item.title || media[0].title || ''),
+        mediaType,
+      });
+    }
+  },
+
+  // tweets.js: window.YTD.tweets.part0 = [{ tweet: { id_str, full_text, created_at, favorite_count, ... } }]
+  async* twitter(content, fileName) {
+    const script = content.toString('utf8').replace(/^\uFEFF/, '');
+    const items = parseJson(script.replace(/^\s*window\.YTD\.[\w.]+\s*=\s*/, ''), fileName);
+
+    for (const { tweet = {} } of items) {
+      const text = tweet.full_text || tweet.text || '';
+      if (/^RT @\w+:/.test(text)) continue;
+
+      const media = tweet.extended_entities?.media || tweet.entities?.media || [];
+      let mediaType = 'text';
+      if (media.length > 1) mediaType = 'carousel';
+      else if (media.length === 1) mediaType = media[0].type === 'photo' ? 'image' : 'video';
+
+      yield toRow({
+        provider: 'twitter',
+        providerPostId: tweet.id_str || tweet.id,
+        timestamp: tweet.created_at ? toIsoDate(tweet.created_at) : '',
+        likes: tweet.favorite_count,
+        shares: tweet.retweet_count,
+        text,
+        mediaType,
+        mediaUrls: media.map(item => item.media_url_https).filter(Boolean).join(';'),
+        url: tweet.id_str ? `https://x.com/i/web/status/${tweet.id_str}` : '',
+      });
+    }
+  },
+
+  // user_data.json: { Video: { Videos: { VideoList: [{ Date, Link, Likes, Title? }] } } }
+  // (newer exports: { Post: { Posts: { VideoList: [...] } } }); dates are UTC "YYYY-MM-DD HH:MM:SS"
+  async* tiktok(content, fileName) {
+    const data = parseJson(content, fileName);
+    const videos = data.Video?.Videos?.VideoList || data.Post?.Posts?.VideoList || [];
+
+    for (const video of videos) {
+      const link = video.Link || video.VideoLink || '';
+      const date = String(video.Date || '').trim();
+
+      yield toRow({
+        provider: 'tiktok',
+        providerPostId: link.match(/\/(\d{8,})/)?.[1] || '',
+        timestamp: date ? `${date.replace(' ', 'T')}Z` : '',
+        likes: video.Likes,
+        text: video.Title || video.Description || video.Desc || '',
+        mediaType: 'video',
+        url: link,
+      });
+    }
+  },
+
+  // Takeout videos.csv: "Video ID", "Video Title (Original)", "Video Description (Original)",
+  // "Video Publish Timestamp" / "Video Create Timestamp", ...
+  async* youtube(content) {
+    const parser = Readable.from([content]).pipe(csvParser({
+      mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim(),
+    }));
+
+    for await (const video of parser) {
+      const id = video['Video ID'];
+      const title = video['Video Title (Original)'] || video['Video Title'] || '';
+      const description = video['Video Description (Original)'] || video['Video Description'] || '';
+
+      yield toRow({
+        provider: 'youtube',
+        providerPostId: id,
+        timestamp: video['Video Publish Timestamp'] || video['Video Create Timestamp'] || '',
+        text: [title, description].filter(Boolean).join('\n\n'),
+        mediaType: 'video',
+        url: id ? `https://www.youtube.com/watch?v=${id}` : '',
+      });
+    }
+  },
+};
+
+// A row with every EXPORT_COLUMNS column, as strings like a parsed CSV row
+function toRow(fields) {
+  const row = {};
+  for (const column of EXPORT_COLUMNS) {
+    const value = fields[column];
+    row[column] = value === undefined || value === null ? '' : String(value).trim();
+  }
+  return row;
+}
+
+// Unparseable dates are passed on as they are, so the row is rejected with the value
+function toIsoDate(value) {
+  const date = new Date(value);
+  return isNaN(date) ? String(value) : date.toISOString();
+}
+
+function parseJson(content, fileName) {
+  try {
+    return JSON.parse(content.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`${fileName} is not valid JSON: ${error.message}`);
+  }
+}
+
+// Meta exports write UTF-8 text as one \u00XX escape per byte (so "caf\u00c3\u00a9" instead of "caf\u00e9")
+function fixMetaEncoding(text) {
+  if (!/[\u0080-\u00ff]/.test(text) || /[^\u0000-\u00ff]/.test(text)) return text;
+
+  const decoded = Buffer.from(text, 'latin1').toString('utf8');
+  return decoded.includes('\uFFFD') ? text : decoded;
+}
+
+async function readHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(EXPORT_CONFIG.sniffBytes);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+export default {
+  EXPORT_COLUMNS,
+  PLATFORM_FORMATS,
+  detectImportFormat,
+  readPlatformExport,
+};
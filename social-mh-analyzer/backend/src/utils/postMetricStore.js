@@ -0,0 +1,279 @@
+import PostMetric from '../models/PostMetric.js';
+import PostMetricSnapshot from '../models/PostMetricSnapshot.js';
+
+// Engagement counters kept in PostMetricSnapshot
+export const ENGAGEMENT_FIELDS = ['likes', 'comments', 'shares', 'saves', 'views', 'watchTimeSeconds'];
+
+// Identify a post; the unique { userId, provider, providerPostId } index backs them
+const KEY_FIELDS = ['userId', 'provider', 'providerPostId'];
+
+// Fields read from stored posts to compare a re-import against
+const COMPARED_FIELDS = 'userId provider providerPostId timestamp metrics text mediaUrls mediaType lastUpdated updatedAt';
+
+/**
+ * Store imported posts, keyed on { userId, provider, providerPostId }: new posts are
+ * inserted, posts already stored are updated when the import changes them, and identical
+ * re-imports are left alone. Rows are applied in order, so a post that appears twice ends
+ * up with the values of its last row. Posts without a timestamp get the import time when
+ * first stored and keep their timestamp when updated. A snapshot of the engagement
+ * (ENGAGEMENT_FIELDS) is stored for every new post and every engagement change.
+ * @param {Array<Object>} posts - PostMetric fields, one object per imported row
+ * @returns {Promise<Object>} { inserted, updated, unchanged } row counts, the stored
+ *   insertedDocs and updatedDocs (with _id and risk) and errors [{ index, error, code }]
+ *   for rows that could not be stored
+ */
+export async function upsertPostMetrics(posts) {
+  const result = { inserted: 0, updated: 0, unchanged: 0, insertedDocs: [], updatedDocs: [], errors: [] };
+  if (posts.length === 0) return result;
+
+  const rows = [];
+  posts.forEach((post, index) => {
+    const validationError = new PostMetric({ ...post, timestamp: post.timestamp ?? new Date() }).validateSync();
+    if (validationError) {
+      result.errors.push({ index, error: validationError.message, code: 'validation' });
+      return;
+    }
+    rows.push({ index, post: { ...post, provider: String(post.provider).toLowerCase() } });
+  });
+
+  const stored = await findStoredPosts(rows.map(row => row.post));
+
+  // Apply the rows in order to the latest known state of each post
+  const states = new Map();
+  for (const { index, post } of rows) {
+    const key = getPostKey(post);
+    let state = states.get(key);
+
+    if (!state) {
+      const existing = stored.get(key) || null;
+      // current: latest values; imported: what the rows set, written to a stored post
+      state = { existing, current: existing, imported: {}, changed: false, rows: [], snapshots: [] };
+      states.set(key, state);
+    }
+
+    if (!state.current) {
+      state.rows.push({ index, outcome: 'inserted' });
+      state.snapshots.push(captureEngagement(post, post.metrics));
+      state.current = { ...post, timestamp: post.timestamp ?? new Date() };
+      state.changed = true;
+      continue;
+    }
+
+    const engagementChanged = hasEngagementChanged(state.current, post);
+    if (!engagementChanged && !hasContentChanged(state.current, post)) {
+      state.rows.push({ index, outcome: 'unchanged' });
+      continue;
+    }
+
+    state.rows.push({ index, outcome: 'updated' });
+    if (engagementChanged) {
+      state.snapshots.push(captureEngagement(post, { ...state.current.metrics, ...post.metrics }));
+    }
+    state.current = {
+      ...post,
+      timestamp: post.timestamp ?? state.current.timestamp,
+      metrics: { ...state.current.metrics, ...post.metrics },
+    };
+    state.imported = { ...state.imported, ...post, metrics: { ...state.imported.metrics, ...post.metrics } };
+    state.changed = true;
+  }
+
+  const changed = [...states.values()].filter(state => state.changed);
+  const failed = new Map();  // state -> { error, code }
+
+  const stale = changed.filter(state => state.existing);
+  await insertNewPosts(changed.filter(state => !state.existing), failed);
+  await updateStoredPosts(stale, failed);
+
+  // Count rows, and collect what was stored for alerting and snapshots
+  const snapshots = [];
+  for (const state of states.values()) {
+    const failure = failed.get(state);
+
+    for (const { index, outcome } of state.rows) {
+      if (failure && (outcome !== 'unchanged' || !state.existing)) {
+        result.errors.push({ index, ...failure });
+      } else {
+        // A post another import stored first was updated rather than inserted
+        result[outcome === 'inserted' && state.existing ? 'updated' : outcome]++;
+      }
+    }
+
+    if (failure || !state.changed) continue;
+
+    const postMetricId = state.existing?._id || state.insertedDoc._id;
+    if (state.existing) {
+      result.updatedDocs.push({ ...state.current, _id: postMetricId });
+    } else {
+      result.insertedDocs.push(state.insertedDoc);
+    }
+    snapshots.push(...state.snapshots.map(snapshot => ({ ...snapshot, postMetricId })));
+  }
+
+  await storeSnapshots(snapshots, changed.filter(state => state.existing && !failed.has(state)));
+
+  result.errors.sort((a, b) => a.index - b.index);
+  return result;
+}
+
+/**
+ * Engagement history of a post, oldest first
+ * @param {string|ObjectId} postMetricId - PostMetric ID
+ * @returns {Promise<Array>} Snapshots { capturedAt, metrics, source }
+ */
+export async function getPostMetricHistory(postMetricId) {
+  return PostMetricSnapshot.find({ postMetricId })
+    .sort({ capturedAt: 1 })
+    .select('-_id capturedAt metrics source')
+    .lean();
+}
+
+function getPostKey(post) {
+  return KEY_FIELDS.map(field => String(post[field])).join(':');
+}
+
+// Stored posts matching the given posts' keys, by key
+async function findStoredPosts(posts) {
+  const groups = new Map();
+  for (const post of posts) {
+    const groupKey = `${post.userId}:${post.provider}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { userId: post.userId, provider: post.provider, providerPostId: { $in: [] } });
+    }
+    const ids = groups.get(groupKey).providerPostId.$in;
+    if (!ids.includes(String(post.providerPostId))) ids.push(String(post.providerPostId));
+  }
+  if (groups.size === 0) return new Map();
+
+  const stored = await PostMetric.find({ $or: [...groups.values()] }).select(COMPARED_FIELDS).lean();
+  return new Map(stored.map(post => [getPostKey(post), post]));
+}
+
+function hasEngagementChanged(current, post) {
+  return ENGAGEMENT_FIELDS.some(field =>
+    post.metrics?.[field] !== undefined && post.metrics[field] !== (current.metrics?.[field] ?? 0)
+  );
+}
+
+function hasContentChanged(current, post) {
+  return (post.text || '') !== (current.text || '') ||
+    (post.mediaType || 'other') !== (current.mediaType || 'other') ||
+    (post.mediaUrls || []).join('\n') !== (current.mediaUrls || []).join('\n') ||
+    (post.timestamp !== undefined && new Date(post.timestamp).getTime() !== new Date(current.timestamp).getTime());
+}
+
+function captureEngagement(post, metrics, capturedAt = new Date()) {
+  const engagement = {};
+  for (const field of ENGAGEMENT_FIELDS) {
+    engagement[field] = metrics?.[field] ?? 0;
+  }
+  return { userId: post.userId, capturedAt, metrics: engagement, source: post.source };
+}
+
+async function insertNewPosts(states, failed) {
+  if (states.length === 0) return;
+
+  try {
+    const inserted = await PostMetric.insertMany(states.map(state => state.current), { ordered: false });
+    inserted.forEach((doc, i) => {
+      states[i].insertedDoc = doc;
+    });
+  } catch (error) {
+    const writeErrors = error.writeErrors;
+    if (!writeErrors) throw error;
+
+    // Posts another import stored in the meantime are updated instead
+    const raced = [];
+    for (const writeError of writeErrors) {
+      const state = states[writeError.index];
+      if (writeError.code === 11000) {
+        raced.push(state);
+      } else {
+        failed.set(state, { error: writeError.errmsg, code: writeError.code });
+      }
+    }
+
+    const insertedByKey = new Map((error.insertedDocs || []).map(doc => [getPostKey(doc), doc]));
+    for (const state of states) {
+      state.insertedDoc = insertedByKey.get(getPostKey(state.current));
+    }
+
+    if (raced.length > 0) {
+      const stored = await findStoredPosts(raced.map(state => state.current));
+      for (const state of raced) {
+        state.existing = stored.get(getPostKey(state.current)) || null;
+        state.imported = state.current;
+        if (!state.existing) failed.set(state, { error: 'Post could not be stored', code: 11000 });
+      }
+      await updateStoredPosts(raced.filter(state => state.existing), failed);
+    }
+  }
+}
+
+async function updateStoredPosts(states, failed) {
+  if (states.length === 0) return;
+
+  const now = new Date();
+  const operations = states.map(state => ({
+    updateOne: {
+      filter: { _id: state.existing._id },
+      update: { $set: { ...toUpdateFields(state.imported), lastUpdated: now } },
+    },
+  }));
+
+  try {
+    await PostMetric.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+    for (const writeError of error.writeErrors) {
+      failed.set(states[writeError.index], { error: writeError.errmsg, code: writeError.code });
+    }
+  }
+}
+
+// Fields set on an updated post; metrics are set one by one so counters the import
+// does not have (e.g. platformSpecific) are kept
+function toUpdateFields(post) {
+  const fields = {};
+  for (const [field, value] of Object.entries(post)) {
+    if (value === undefined || KEY_FIELDS.includes(field) || ['_id', 'lastUpdated', 'updatedAt', 'createdAt'].includes(field)) continue;
+
+    if (field === 'metrics') {
+      for (const [metric, metricValue] of Object.entries(value || {})) {
+        fields[`metrics.${metric}`] = metricValue;
+      }
+    } else {
+      fields[field] = value;
+    }
+  }
+  return fields;
+}
+
+// Posts stored before snapshots existed get one of their previous engagement first, so
+// their growth starts from what was stored. Snapshot problems never fail an import.
+async function storeSnapshots(snapshots, updatedStates) {
+  try {
+    const grown = updatedStates.filter(state => state.snapshots.length > 0).map(state => state.existing);
+    if (grown.length > 0) {
+      const tracked = await PostMetricSnapshot.distinct('postMetricId', { postMetricId: { $in: grown.map(post => post._id) } });
+      const trackedIds = new Set(tracked.map(String));
+
+      for (const existing of grown.filter(post => !trackedIds.has(String(post._id)))) {
+        const capturedAt = existing.lastUpdated || existing.updatedAt || existing.timestamp;
+        snapshots.push({ ...captureEngagement(existing, existing.metrics, capturedAt), postMetricId: existing._id });
+      }
+    }
+
+    if (snapshots.length > 0) {
+      await PostMetricSnapshot.insertMany(snapshots, { ordered: false });
+    }
+  } catch (error) {
+    console.error('Error storing post metric snapshots:', error);
+  }
+}
+
+export default {
+  ENGAGEMENT_FIELDS,
+  upsertPostMetrics,
+  getPostMetricHistory,
+};
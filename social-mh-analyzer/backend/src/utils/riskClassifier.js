@@ -0,0 +1,348 @@
+import { RISK_LEXICON, RISK_IDIOMS } from '../data/riskLexicon.js';
+import { LANGUAGE_PROFILES, DEFAULT_LANGUAGE } from '../data/languageProfiles.js';
+import {
+  tokenize,
+  foldDiacritics,
+  splitSentences,
+  isNegation,
+  CONTRAST_WORDS,
+  NEGATION_SCOPE,
+} from './textUtils.js';
+
+// Deterministic risk model. The same text always gets the same score.
+const RISK_MODEL = {
+  severityPoints: { high: 60, medium: 40, low: 20 },
+  additionalMatchWeight: 0.25,   // Share of its points every further distinct term adds
+  negationMultiplier: 0.1,       // "I'm not depressed anymore" is no evidence on its own
+  firstPersonMultiplier: 1.25,   // "I want to die" vs. "the character wants to die"
+  firstPersonWindow: 4,          // Tokens before/after a term searched for first-person words
+};
+
+// Minimum score (0-100) for each risk level
+export const RISK_LEVEL_THRESHOLDS = {
+  high: 70,
+  medium: 40,
+  low: 10,
+};
+
+// Context words per language (see data/languageProfiles.js). English negations and
+// contrast words come from textUtils, which also handles contractions ("wouldnt").
+const LANGUAGE_RULES = Object.fromEntries(
+  Object.entries(LANGUAGE_PROFILES).map(([language, profile]) => [language, {
+    firstPerson: new Set(profile.firstPerson),
+    droppedSubjectStarts: new Set(profile.droppedSubjectStarts || []),
+    hedges: new Set(profile.hedges),
+    isNegation: profile.negations ? token => profile.negations.includes(token) : isNegation,
+    contrastWords: profile.contrastWords ? new Set(profile.contrastWords) : CONTRAST_WORDS,
+    negationFollows: Boolean(profile.negationFollows),
+  }])
+);
+
+// Leetspeak substitutions ("k1ll", "su1c1de", "d3ad")
+const LEET_MAP = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+export const DEFAULT_RISK_LANGUAGE = DEFAULT_LANGUAGE;
+
+/**
+ * Bring a lexicon term into the tokenized form the classifier matches against
+ * ("Can't go on" -> "cant go on", "self-harm" -> "self harm", "não" -> "nao")
+ * @param {string} term - Term as entered
+ * @returns {string} Normalized term
+ */
+export function normalizeRiskTerm(term) {
+  return tokenize(foldDiacritics(term)).join(' ');
+}
+
+/**
+ * Entries of the lexicon shipped with the code (data/riskLexicon.js), idioms included
+ * @returns {Array} [{ term, kind, language, severity, category, variant, firstPerson }]
+ */
+export function getBundledRiskEntries() {
+  return [
+    ...RISK_LEXICON.map(entry => ({ language: DEFAULT_RISK_LANGUAGE, ...entry })),
+    ...Object.entries(RISK_IDIOMS).flatMap(([language, idioms]) =>
+      idioms.map(term => ({ term, kind: 'idiom', language }))
+    ),
+  ];
+}
+
+/**
+ * Build a lexicon the classifier can match against
+ * @param {Array} entries - [{ term, kind, severity, category, language, variant, firstPerson }]
+ *   where kind is 'term' (default) or 'idiom'
+ * @param {Object} [options]
+ * @param {number|null} [options.version] - Lexicon version (see utils/riskLexiconStore.js)
+ * @returns {Object} { version, languages: { [language]: { terms, idioms } } }
+ */
+export function compileRiskLexicon(entries, { version = null } = {}) {
+  const grouped = {};
+
+  for (const entry of entries) {
+    const language = entry.language || DEFAULT_RISK_LANGUAGE;
+    if (!grouped[language]) grouped[language] = { terms: [], idioms: [] };
+    grouped[language][entry.kind === 'idiom' ? 'idioms' : 'terms'].push(entry);
+  }
+
+  const languages = {};
+  for (const [language, { terms, idioms }] of Object.entries(grouped)) {
+    languages[language] = { terms: indexPhrases(terms), idioms: indexPhrases(idioms) };
+  }
+
+  return { version, languages };
+}
+
+// Lexicon shipped with the code; used until one is loaded from the database
+const BUNDLED_LEXICON = compileRiskLexicon(getBundledRiskEntries());
+
+let activeLexicon = BUNDLED_LEXICON;
+
+/**
+ * Replace the lexicon used when none is passed explicitly
+ * @param {Object|null} lexicon - Result of compileRiskLexicon; null restores the bundled lexicon
+ */
+export function setRiskLexicon(lexicon) {
+  activeLexicon = lexicon || BUNDLED_LEXICON;
+}
+
+/**
+ * Get the lexicon currently used by default
+ * @returns {Object} Result of compileRiskLexicon (version is null for the bundled lexicon)
+ */
+export function getRiskLexicon() {
+  return activeLexicon;
+}
+
+/**
+ * Find the risk terms used in a text.
+ * Works sentence by sentence so negation and first-person context stay local, undoes
+ * leetspeak and accents, and ignores terms that are part of an idiom ("want to die laughing").
+ * @param {string} text - Post text
+ * @param {Object} [options]
+ * @param {Object} [options.lexicon] - Compiled lexicon, defaults to the active one
+ * @param {string} [options.language='en'] - Language of the text; its terms, idioms and
+ *   negation/first-person words are used (languages without rules use the English ones)
+ * @returns {Object} { matches, ignored } where matches are
+ *   [{ term, severity, category, variant, negated, firstPerson, obfuscated }] in order of
+ *   appearance and ignored lists [{ term, idiom }] terms dropped because of an idiom
+ */
+export function findRiskTerms(text, { lexicon = activeLexicon, language = DEFAULT_RISK_LANGUAGE } = {}) {
+  const matches = [];
+  const ignored = [];
+  const { terms, idioms } = lexicon.languages[language] || { terms: {}, idioms: {} };
+  const rules = LANGUAGE_RULES[language] || LANGUAGE_RULES[DEFAULT_RISK_LANGUAGE];
+
+  for (const sentence of splitSentences(normalizeSymbols(foldDiacritics(text)))) {
+    const raw = tokenize(sentence);
+    const tokens = raw.map(normalizeLeet);
+    const negated = getRiskNegation(tokens, rules);
+    const idiomAt = markIdioms(idioms, tokens);
+    const droppedSubject = rules.droppedSubjectStarts.has(tokens[0]);
+
+    for (let i = 0; i < tokens.length; i++) {
+      const entry = matchPhrase(terms, tokens, i);
+      if (!entry) continue;
+
+      const end = i + entry.tokens.length;
+      const idiom = idiomAt.slice(i, end).find(Boolean);
+
+      // "5 kms" is a distance, not an abbreviation of "kill myself"
+      const isMeasurement = entry.variant === 'abbreviation' && /^\d+$/.test(tokens[i - 1] || '');
+
+      if (idiom) {
+        ignored.push({ term: entry.term, idiom });
+      } else if (!isMeasurement) {
+        const window = tokens.slice(Math.max(0, i - RISK_MODEL.firstPersonWindow), end + RISK_MODEL.firstPersonWindow);
+
+        matches.push({
+          term: entry.term,
+          severity: entry.severity,
+          category: entry.category,
+          variant: entry.variant,
+          negated: rules.negationFollows ? isNegatedAfter(tokens, i, end, rules) : negated[i],
+          firstPerson: Boolean(entry.firstPerson) || droppedSubject || window.some(token => rules.firstPerson.has(token)),
+          obfuscated: raw.slice(i, end).some((token, offset) => token !== tokens[i + offset]),
+        });
+      }
+
+      i = end - 1;
+    }
+  }
+
+  return { matches, ignored };
+}
+
+/**
+ * Score the suicide/self-harm risk of a text with an explainable breakdown.
+ * The strongest term counts in full, every further distinct term adds a quarter of
+ * its points; negated terms are discounted and first-person context amplifies.
+ * @param {string} text - Post text
+ * @param {Object} [options] - { lexicon, language }, see findRiskTerms
+ * @returns {Object} { score (0-100), riskLevel, matches, categories, breakdown, ignored, lexiconVersion }
+ *   where breakdown lists each term's contribution and the reason for it, and ignored
+ *   lists terms that were not counted because they are part of an idiom
+ */
+export function scoreRisk(text, options = {}) {
+  const { matches, ignored } = findRiskTerms(text, options);
+
+  // Score each distinct term by its strongest occurrence
+  const byTerm = {};
+  for (const match of matches) {
+    const points = matchPoints(match);
+    if (!byTerm[match.term] || points > byTerm[match.term].points) {
+      byTerm[match.term] = { ...match, points };
+    }
+  }
+
+  const breakdown = Object.values(byTerm)
+    .sort((a, b) => b.points - a.points)
+    .map(({ term, severity, category, variant, negated, firstPerson, obfuscated, points }, rank) => {
+      const weight = rank === 0 ? 1 : RISK_MODEL.additionalMatchWeight;
+      const contribution = round(points * weight);
+      return {
+        term,
+        severity,
+        category,
+        negated,
+        firstPerson,
+        obfuscated,
+        basePoints: RISK_MODEL.severityPoints[severity],
+        points: contribution,
+        reason: describeContribution({ term, severity, variant, negated, firstPerson, obfuscated, rank, contribution }),
+      };
+    });
+
+  const score = round(Math.min(breakdown.reduce((sum, entry) => sum + entry.points, 0), 100));
+
+  return {
+    score,
+    riskLevel: getRiskLevel(score),
+    matches: breakdown.map(entry => entry.term),
+    categories: [...new Set(breakdown.filter(entry => !entry.negated).map(entry => entry.category))],
+    breakdown,
+    ignored: ignored.map(({ term, idiom }) => ({ term, reason: `part of the phrase "${idiom}"` })),
+    lexiconVersion: (options.lexicon || activeLexicon).version,
+  };
+}
+
+/**
+ * Map a risk score to a risk level
+ * @param {number} score - Risk score (0-100)
+ * @returns {string} 'high', 'medium', 'low' or 'none'
+ */
+export function getRiskLevel(score) {
+  if (score >= RISK_LEVEL_THRESHOLDS.high) return 'high';
+  if (score >= RISK_LEVEL_THRESHOLDS.medium) return 'medium';
+  if (score >= RISK_LEVEL_THRESHOLDS.low) return 'low';
+  return 'none';
+}
+
+function matchPoints({ severity, negated, firstPerson }) {
+  let points = RISK_MODEL.severityPoints[severity];
+  if (negated) points *= RISK_MODEL.negationMultiplier;
+  if (firstPerson) points *= RISK_MODEL.firstPersonMultiplier;
+  return points;
+}
+
+function describeContribution({ term, severity, variant, negated, firstPerson, obfuscated, rank, contribution }) {
+  const context = [
+    `${severity} severity`,
+    variant,
+    obfuscated && 'obfuscated spelling',
+    negated && 'negated',
+    firstPerson && 'first-person',
+    rank > 0 && 'additional term',
+  ].filter(Boolean).join(', ');
+
+  return `"${term}" (${context}): +${contribution}`;
+}
+
+// Phrases grouped by first token, longest phrases first
+function indexPhrases(entries) {
+  return entries.reduce((index, entry) => {
+    const tokens = entry.term.split(' ');
+    if (!index[tokens[0]]) index[tokens[0]] = [];
+    index[tokens[0]].push({ ...entry, tokens });
+    index[tokens[0]].sort((a, b) => b.tokens.length - a.tokens.length);
+    return index;
+  }, {});
+}
+
+function matchPhrase(index, tokens, start) {
+  return (index[tokens[start]] || []).find(candidate =>
+    candidate.tokens.every((token, offset) => tokens[start + offset] === token)
+  );
+}
+
+// idiom covering each token position (or null)
+function markIdioms(idioms, tokens) {
+  const idiomAt = new Array(tokens.length).fill(null);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const idiom = matchPhrase(idioms, tokens, i);
+    if (!idiom) continue;
+
+    idiomAt.fill(idiom.term, i, i + idiom.tokens.length);
+    i += idiom.tokens.length - 1;
+  }
+
+  return idiomAt;
+}
+
+// Like textUtils.getNegatedTokens, but hedges ("dont know if", "not sure") do not negate
+function getRiskNegation(tokens, rules) {
+  const negated = new Array(tokens.length).fill(false);
+  let remaining = 0;
+
+  tokens.forEach((token, index) => {
+    if (rules.contrastWords.has(token)) {
+      remaining = 0;
+    } else if (rules.isNegation(token)) {
+      remaining = rules.hedges.has(tokens[index + 1]) ? 0 : NEGATION_SCOPE;
+    } else if (remaining > 0) {
+      negated[index] = true;
+      remaining--;
+    }
+  });
+
+  return negated;
+}
+
+// For languages where negation follows the negated words ("उदास नहीं हूँ"):
+// a negation shortly after a term that does not contain one itself
+function isNegatedAfter(tokens, start, end, rules) {
+  if (tokens.slice(start, end).some(rules.isNegation)) return false;
+
+  for (const token of tokens.slice(end, end + NEGATION_SCOPE)) {
+    if (rules.contrastWords.has(token)) return false;
+    if (rules.isNegation(token)) return true;
+  }
+  return false;
+}
+
+// "@" and "$" next to letters are letters in disguise ("$uicide", "h@te myself")
+function normalizeSymbols(text) {
+  if (!text || typeof text !== 'string') return '';
+  return text.replace(/[@$](?=\p{L})|(?<=\p{L})[@$]/gu, symbol => LEET_MAP[symbol]);
+}
+
+function normalizeLeet(token) {
+  if (!/\d/.test(token) || !/\p{L}/u.test(token)) return token;
+  return token.replace(/[013457]/g, digit => LEET_MAP[digit]);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+export default {
+  RISK_LEVEL_THRESHOLDS,
+  DEFAULT_RISK_LANGUAGE,
+  normalizeRiskTerm,
+  getBundledRiskEntries,
+  compileRiskLexicon,
+  setRiskLexicon,
+  getRiskLexicon,
+  findRiskTerms,
+  scoreRisk,
+  getRiskLevel,
+};
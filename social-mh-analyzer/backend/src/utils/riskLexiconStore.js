@@ -0,0 +1,346 @@
+import RiskTerm from '../models/RiskTerm.js';
+import RiskLexiconRevision from '../models/RiskLexiconRevision.js';
+import PostMetric from '../models/PostMetric.js';
+import {
+  DEFAULT_RISK_LANGUAGE,
+  getBundledRiskEntries,
+  compileRiskLexicon,
+  setRiskLexicon,
+  getRiskLexicon,
+  normalizeRiskTerm,
+  scoreRisk,
+} from './riskClassifier.js';
+import { getAnalysisLanguage } from './languageDetector.js';
+
+// Configuration for the database-backed risk lexicon
+const LEXICON_CONFIG = {
+  refreshInterval: 60 * 1000,  // How often other processes' changes are picked up (ms)
+  dryRunPosts: 1000,           // Most recent posts re-classified by a dry run
+  dryRunExamples: 50,          // Reclassified posts listed in a dry-run response
+  versionAttempts: 5,          // Retries when two changes claim the same version
+};
+
+// Fields of a lexicon entry an admin can set
+export const RISK_TERM_FIELDS = ['term', 'kind', 'severity', 'category', 'language', 'variant', 'firstPerson', 'isActive'];
+
+const RISK_LEVELS = ['high', 'medium', 'low', 'none'];
+
+let lastChecked = 0;
+
+/**
+ * Current lexicon version (0 while the lexicon has not been seeded)
+ * @returns {Promise<number>}
+ */
+export async function getLexiconVersion() {
+  const latest = await RiskLexiconRevision.findOne()
+    .sort({ version: -1 })
+    .select('version')
+    .lean();
+  return latest?.version || 0;
+}
+
+/**
+ * Copy the bundled lexicon (data/riskLexicon.js) into the database: everything as
+ * version 1 into an empty database, later only languages that were never seeded
+ * @returns {Promise<number>} Number of entries inserted (0 if every language already exists)
+ */
+export async function seedRiskLexicon() {
+  const entries = getBundledRiskEntries();
+  const languages = [...new Set(entries.map(entry => entry.language))];
+
+  if (!(await RiskLexiconRevision.exists({}))) {
+    try {
+      // Version 1 is claimed first so only one process seeds
+      await RiskLexiconRevision.create({ version: 1, action: 'seed', languages, termCount: entries.length });
+    } catch (error) {
+      if (error.code === 11000) return 0;
+      throw error;
+    }
+
+    await RiskTerm.insertMany(entries.map(entry => ({ ...entry, version: 1 })));
+    return entries.length;
+  }
+
+  // Seeds from before multilingual lexicons have no languages and were English only
+  const seeds = await RiskLexiconRevision.find({ action: 'seed' }).select('languages').lean();
+  const seeded = new Set(seeds.flatMap(seed => (seed.languages?.length ? seed.languages : [DEFAULT_RISK_LANGUAGE])));
+  const missing = languages.filter(language => !seeded.has(language));
+  if (missing.length === 0) return 0;
+
+  const newEntries = entries.filter(entry => missing.includes(entry.language));
+  const revision = await recordRevision({ action: 'seed', languages: missing, termCount: newEntries.length });
+
+  try {
+    await RiskTerm.insertMany(newEntries.map(entry => ({ ...entry, version: revision.version })), { ordered: false });
+  } catch (error) {
+    // Entries an admin (or another process) already added are kept
+    if (error.code !== 11000) throw error;
+  }
+  return newEntries.length;
+}
+
+/**
+ * Load the active lexicon from the database into the risk classifier.
+ * Re-reads the entries only when the lexicon version changed; between checks the
+ * loaded lexicon is used for up to LEXICON_CONFIG.refreshInterval.
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Check the version now
+ * @returns {Promise<Object>} Compiled lexicon in use
+ */
+export async function loadRiskLexicon({ force = false } = {}) {
+  if (!force && Date.now() - lastChecked < LEXICON_CONFIG.refreshInterval) {
+    return getRiskLexicon();
+  }
+  lastChecked = Date.now();
+
+  const version = await getLexiconVersion();
+
+  // Not seeded yet: keep using the bundled lexicon
+  if (version === 0) {
+    setRiskLexicon(null);
+  } else if (version !== getRiskLexicon().version) {
+    const entries = await RiskTerm.find({ isActive: true }).lean();
+    setRiskLexicon(compileRiskLexicon(entries, { version }));
+  }
+
+  return getRiskLexicon();
+}
+
+/**
+ * Add an entry to the lexicon
+ * @param {Object} fields - Entry fields (see RISK_TERM_FIELDS)
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} { entry, version }
+ */
+export async function createRiskTerm(fields, userId) {
+  const entry = new RiskTerm({ ...pickFields(fields), createdBy: userId, updatedBy: userId });
+  await entry.save();
+
+  const revision = await recordRevisionOrUndo({
+    action: 'create',
+    termId: entry._id,
+    term: entry.term,
+    language: entry.language,
+    after: describeEntry(entry),
+    changedBy: userId,
+  }, () => RiskTerm.deleteOne({ _id: entry._id }));
+
+  return finishChange(entry, revision);
+}
+
+/**
+ * Change an entry of the lexicon
+ * @param {string} id - RiskTerm ID
+ * @param {Object} fields - Fields to change (see RISK_TERM_FIELDS)
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object|null>} { entry, version }, or null if the entry does not exist
+ */
+export async function updateRiskTerm(id, fields, userId) {
+  const entry = await RiskTerm.findById(id);
+  if (!entry) return null;
+
+  const original = entry.toObject();
+  const before = describeEntry(entry);
+  entry.set({ ...pickFields(fields), updatedBy: userId });
+  await entry.save();
+
+  const revision = await recordRevisionOrUndo({
+    action: 'update',
+    termId: entry._id,
+    term: entry.term,
+    language: entry.language,
+    before,
+    after: describeEntry(entry),
+    changedBy: userId,
+  }, () => RiskTerm.replaceOne({ _id: entry._id }, original));
+
+  return finishChange(entry, revision);
+}
+
+/**
+ * Remove an entry from the lexicon (use isActive: false to disable it instead)
+ * @param {string} id - RiskTerm ID
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object|null>} { entry, version }, or null if the entry does not exist
+ */
+export async function deleteRiskTerm(id, userId) {
+  const entry = await RiskTerm.findByIdAndDelete(id);
+  if (!entry) return null;
+
+  const revision = await recordRevision({
+    action: 'delete',
+    termId: entry._id,
+    term: entry.term,
+    language: entry.language,
+    before: describeEntry(entry),
+    changedBy: userId,
+  });
+
+  await loadRiskLexicon({ force: true });
+  return { entry, version: revision.version };
+}
+
+/**
+ * Show how a set of lexicon changes would re-classify a user's existing posts,
+ * without saving anything
+ * @param {string} userId - User whose posts are re-classified
+ * @param {Array} changes - [{ action: 'create', ...fields }, { action: 'update', id, ...fields },
+ *   { action: 'delete', id }]
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Most recent posts to re-classify
+ * @returns {Promise<Object|null>} { version, postsEvaluated, reclassified, scoreChanged, levels, posts },
+ *   or null if a change refers to an entry that does not exist
+ */
+export async function dryRunRiskLexicon(userId, changes, { limit = LEXICON_CONFIG.dryRunPosts } = {}) {
+  const current = await loadRiskLexicon({ force: true });
+  const entries = await RiskTerm.find({ isActive: true }).lean();
+
+  const candidateEntries = await applyChanges(entries, changes);
+  if (!candidateEntries) return null;
+
+  const candidate = compileRiskLexicon(candidateEntries);
+
+  const posts = await PostMetric.find({ userId, text: { $nin: [null, ''] } })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .select('text timestamp provider language')
+    .lean();
+
+  const levels = { before: countLevels(), after: countLevels() };
+  const differences = [];
+  let scoreChanged = 0;
+
+  for (const post of posts) {
+    const language = getAnalysisLanguage(post.language);
+    const before = summarizeRisk(scoreRisk(post.text, { lexicon: current, language }));
+    const after = summarizeRisk(scoreRisk(post.text, { lexicon: candidate, language }));
+
+    levels.before[before.riskLevel]++;
+    levels.after[after.riskLevel]++;
+
+    if (before.score !== after.score) scoreChanged++;
+
+    if (
+      before.riskLevel !== after.riskLevel ||
+      before.categories.join() !== after.categories.join() ||
+      before.matches.join() !== after.matches.join()
+    ) {
+      differences.push({
+        postId: post._id,
+        timestamp: post.timestamp,
+        provider: post.provider,
+        text: post.text,
+        before,
+        after,
+      });
+    }
+  }
+
+  // Biggest changes first
+  differences.sort((a, b) => Math.abs(b.after.score - b.before.score) - Math.abs(a.after.score - a.before.score));
+
+  return {
+    version: current.version,
+    postsEvaluated: posts.length,
+    reclassified: differences.filter(post => post.before.riskLevel !== post.after.riskLevel).length,
+    scoreChanged,
+    levels,
+    posts: differences.slice(0, LEXICON_CONFIG.dryRunExamples),
+  };
+}
+
+// Apply dry-run changes to plain entries; null if an ID is unknown
+async function applyChanges(entries, changes) {
+  const byId = new Map(entries.map(entry => [String(entry._id), entry]));
+
+  // Changes may refer to inactive entries, which are not in `entries`
+  const ids = changes.filter(change => change.id).map(change => String(change.id));
+  const missing = ids.filter(id => !byId.has(id));
+  if (missing.length > 0) {
+    const inactive = await RiskTerm.find({ _id: { $in: missing } }).lean();
+    if (inactive.length !== new Set(missing).size) return null;
+    inactive.forEach(entry => byId.set(String(entry._id), { ...entry, isActive: false }));
+  }
+
+  const added = [];
+  for (const { action, id, ...fields } of changes) {
+    const entry = pickFields(fields);
+    if (entry.term !== undefined) entry.term = normalizeRiskTerm(entry.term);
+
+    if (action === 'create') {
+      added.push({ kind: 'term', isActive: true, ...entry });
+    } else if (action === 'update') {
+      byId.set(String(id), { ...byId.get(String(id)), ...entry });
+    } else if (action === 'delete') {
+      byId.delete(String(id));
+    }
+  }
+
+  return [...byId.values(), ...added].filter(entry => entry.isActive !== false);
+}
+
+// Claim the next lexicon version for a change
+async function recordRevision(revision) {
+  for (let attempt = 0; attempt < LEXICON_CONFIG.versionAttempts; attempt++) {
+    const version = (await getLexiconVersion()) + 1;
+    try {
+      return await RiskLexiconRevision.create({ ...revision, version });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('Could not record the risk lexicon change, please retry');
+}
+
+// Claim a version for a change already saved, and undo the change if none can be claimed:
+// the entry is saved first so processes loading the lexicon in between still pick it up
+// with the new version, but it must not stay in the lexicon without a revision
+async function recordRevisionOrUndo(revision, undo) {
+  try {
+    return await recordRevision(revision);
+  } catch (error) {
+    try {
+      await undo();
+    } catch (undoError) {
+      console.error('Error undoing risk lexicon change:', undoError);
+    }
+    throw error;
+  }
+}
+
+// Set the version claimed for a saved change (only that field is written) and reload the lexicon
+async function finishChange(entry, revision) {
+  entry.version = revision.version;
+  await entry.save();
+  await loadRiskLexicon({ force: true });
+  return { entry, version: revision.version };
+}
+
+function pickFields(fields) {
+  return Object.fromEntries(
+    RISK_TERM_FIELDS.filter(key => fields[key] !== undefined).map(key => [key, fields[key]])
+  );
+}
+
+function describeEntry(entry) {
+  return pickFields(entry.toObject());
+}
+
+function summarizeRisk({ score, riskLevel, matches, categories }) {
+  return { score, riskLevel, matches, categories };
+}
+
+function countLevels() {
+  return Object.fromEntries(RISK_LEVELS.map(level => [level, 0]));
+}
+
+export default {
+  RISK_TERM_FIELDS,
+  getLexiconVersion,
+  seedRiskLexicon,
+  loadRiskLexicon,
+  createRiskTerm,
+  updateRiskTerm,
+  deleteRiskTerm,
+  dryRunRiskLexicon,
+};
@@ -0,0 +1,193 @@
+// Interest and stress scoring algorithms.
+// Every algorithm is registered under a version that is stamped into Analysis.version,
+// so scores are only ever compared with scores computed by the same formula.
+// Never change a registered algorithm: add a new version and point CURRENT_SCORING_VERSION at it.
+// A user's scoring profile (models/ScoringProfile.js) can override the interest caps
+// (baselines) and the weights of either score.
+
+const clamp = (value, min = 0, max = 100) => Math.min(Math.max(value, min), max);
+
+const SCORING_ALGORITHMS = {
+  // Formula of the original analysis routes
+  '1.0.0': {
+    name: 'linear-engagement',
+    interest: {
+      caps: { likes: 100, comments: 10, shares: 20, saves: 10, watchTime: 60 },
+      weights: { likes: 0.4, comments: 0.3, shares: 0.2, saves: 0.05, watchTime: 0.05 },
+    },
+    stress: {
+      caps: { postFrequency: 5 },
+      weights: { negativeSentiment: 0.3, negativeShare: 0.5, postFrequency: 0.2 },
+    },
+  },
+
+  // Adds late-night streaks and weighs sentiment over the share of negative posts
+  '2.0.0': {
+    name: 'weighted-wellbeing',
+    interest: {
+      caps: { likes: 100, comments: 10, shares: 5, saves: 20, watchTime: 300 },
+      weights: { likes: 0.35, comments: 0.25, shares: 0.2, saves: 0.1, watchTime: 0.1 },
+    },
+    stress: {
+      caps: { postFrequency: 10, lateNightStreak: 7 },
+      weights: { negativeSentiment: 0.5, negativeShare: 0.2, postFrequency: 0.15, lateNightStreak: 0.15 },
+    },
+  },
+};
+
+export const CURRENT_SCORING_VERSION = '2.0.0';
+
+/**
+ * Get a scoring algorithm by version, optionally tuned with a user's scoring profile
+ * @param {string} [version=CURRENT_SCORING_VERSION] - Registered algorithm version
+ * @param {Object} [profile] - { baselines, weights: { interest, stress } } overrides
+ * @returns {Object} { version, name, calculateInterestScore, calculateStressScore }
+ * @throws {Error} If the version is not registered
+ */
+export function getScoringAlgorithm(version = CURRENT_SCORING_VERSION, profile) {
+  const { name } = getAlgorithm(version);
+
+  return {
+    version,
+    name,
+    calculateInterestScore: input => calculateInterestScore(input, version, profile),
+    calculateStressScore: input => calculateStressScore(input, version, profile),
+  };
+}
+
+/**
+ * Get the caps and weights a version scores with once a profile is applied
+ * @param {string} [version=CURRENT_SCORING_VERSION] - Registered algorithm version
+ * @param {Object} [profile] - { baselines, weights: { interest, stress } } overrides
+ * @returns {Object} { interest: { caps, weights }, stress: { caps, weights } }
+ */
+export function getScoringParameters(version = CURRENT_SCORING_VERSION, profile) {
+  return getAlgorithm(version, profile);
+}
+
+/**
+ * List the registered scoring algorithms
+ * @returns {Array} [{ version, name, current }]
+ */
+export function listScoringAlgorithms() {
+  return Object.entries(SCORING_ALGORITHMS).map(([version, { name }]) => ({
+    version,
+    name,
+    current: version === CURRENT_SCORING_VERSION,
+  }));
+}
+
+/**
+ * Whether scores stamped with these versions can be compared with each other
+ * @param {string} a - Scoring version of the first result
+ * @param {string} b - Scoring version of the second result
+ * @returns {boolean}
+ */
+export function isComparableVersion(a, b) {
+  return Boolean(a) && a === b;
+}
+
+/**
+ * Calculate interest score based on average engagement per post
+ * @param {Object} metrics - Engagement metrics
+ * @param {number} metrics.likes - Number of likes
+ * @param {number} metrics.comments - Number of comments
+ * @param {number} metrics.shares - Number of shares
+ * @param {number} metrics.saves - Number of saves
+ * @param {number} metrics.watchTime - Watch time in seconds (for video content)
+ * @param {string} [version=CURRENT_SCORING_VERSION] - Scoring algorithm version
+ * @param {Object} [profile] - User scoring profile overrides
+ * @returns {number} Interest score (0-100)
+ */
+export function calculateInterestScore({
+  likes = 0,
+  comments = 0,
+  shares = 0,
+  saves = 0,
+  watchTime = 0,
+}, version = CURRENT_SCORING_VERSION, profile) {
+  const { caps, weights } = getAlgorithm(version, profile).interest;
+  const values = { likes, comments, shares, saves, watchTime };
+
+  const score = Object.entries(weights).reduce(
+    (sum, [key, weight]) => sum + Math.min(values[key] / caps[key], 1) * weight,
+    0
+  ) * 100;
+
+  return clamp(score);
+}
+
+/**
+ * Calculate stress score based on sentiment and posting behaviour
+ * @param {Object} params - Parameters for stress calculation
+ * @param {number} params.sentiment - Average sentiment score (-1 to 1)
+ * @param {number} params.negativePercentage - Percentage of negative posts (0-100)
+ * @param {number} params.postFrequency - Posts per day
+ * @param {number} [params.lateNightStreak=0] - Longest run of consecutive nights with late-night posts
+ * @param {string} [version=CURRENT_SCORING_VERSION] - Scoring algorithm version
+ * @param {Object} [profile] - User scoring profile overrides
+ * @returns {number} Stress score (0-100)
+ */
+export function calculateStressScore({
+  sentiment = 0,
+  negativePercentage = 0,
+  postFrequency = 0,
+  lateNightStreak = 0,
+}, version = CURRENT_SCORING_VERSION, profile) {
+  const { caps, weights } = getAlgorithm(version, profile).stress;
+
+  // Each factor normalized to 0-1
+  const factors = {
+    negativeSentiment: 1 - (clamp(sentiment, -1, 1) + 1) / 2,
+    negativeShare: clamp(negativePercentage) / 100,
+    postFrequency: Math.min(postFrequency / caps.postFrequency, 1),
+    lateNightStreak: caps.lateNightStreak ? Math.min(lateNightStreak / caps.lateNightStreak, 1) : 0,
+  };
+
+  const score = Object.entries(weights).reduce(
+    (sum, [factor, weight]) => sum + factors[factor] * weight,
+    0
+  ) * 100;
+
+  return clamp(score);
+}
+
+// Algorithm parameters with the profile's baselines and weights applied.
+// Only parameters the algorithm knows are overridden; unset values keep the defaults.
+function getAlgorithm(version, profile) {
+  const algorithm = SCORING_ALGORITHMS[version];
+  if (!algorithm) {
+    throw new Error(`Unknown scoring algorithm version: ${version}`);
+  }
+  if (!profile) return algorithm;
+
+  return {
+    ...algorithm,
+    interest: {
+      caps: applyOverrides(algorithm.interest.caps, profile.baselines),
+      weights: applyOverrides(algorithm.interest.weights, profile.weights?.interest),
+    },
+    stress: {
+      caps: algorithm.stress.caps,
+      weights: applyOverrides(algorithm.stress.weights, profile.weights?.stress),
+    },
+  };
+}
+
+function applyOverrides(defaults, overrides = {}) {
+  return Object.keys(defaults).reduce((result, key) => {
+    const value = overrides?.[key];
+    result[key] = typeof value === 'number' && Number.isFinite(value) ? value : defaults[key];
+    return result;
+  }, {});
+}
+
+export default {
+  CURRENT_SCORING_VERSION,
+  getScoringAlgorithm,
+  getScoringParameters,
+  listScoringAlgorithms,
+  isComparableVersion,
+  calculateInterestScore,
+  calculateStressScore,
+};
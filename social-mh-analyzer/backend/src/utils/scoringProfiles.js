@@ -0,0 +1,241 @@
+import ScoringProfile from '../models/ScoringProfile.js';
+import PostMetric from '../models/PostMetric.js';
+import { SocialConnection } from '../models/SocialConnection.js';
+import { getScoringParameters, isComparableVersion } from './scoring.js';
+
+// Configuration for deriving per-user normalisation baselines
+const PROFILE_CONFIG = {
+  historyPosts: 500,      // Most recent posts looked at
+  minHistoryPosts: 20,    // Fewer posts than this are not a reliable baseline
+  percentile: 90,         // Engagement at this percentile of the user's posts counts as full interest
+  // Expected per-post engagement as a share of followers (used when history is too short)
+  followerRates: {
+    likes: 0.05,
+    comments: 0.005,
+    shares: 0.002,
+    saves: 0.003,
+  },
+};
+
+const BASELINE_METRICS = {
+  likes: 'likes',
+  comments: 'comments',
+  shares: 'shares',
+  saves: 'saves',
+  watchTime: 'watchTimeSeconds',
+};
+
+export const BASELINE_SOURCES = ['auto', 'history', 'followers', 'default'];
+
+// Settings a user can change, mirroring models/ScoringProfile.js
+export const PROFILE_FIELDS = {
+  interestWeights: ['likes', 'comments', 'shares', 'saves', 'watchTime'],
+  stressWeights: ['negativeSentiment', 'negativeShare', 'postFrequency', 'lateNightStreak'],
+  baselines: Object.keys(BASELINE_METRICS),
+};
+
+/**
+ * Derive normalisation baselines for a user.
+ * 'auto' uses the user's post history when there is enough of it, then the follower
+ * count of their active social connections, then the algorithm defaults.
+ * @param {string} userId - User ID
+ * @param {string} [source='auto'] - One of BASELINE_SOURCES
+ * @returns {Promise<Object|null>} { baselineSource, baselines, baselineSampleSize },
+ *   or null if the requested source has no data for this user
+ */
+export async function deriveBaselines(userId, source = 'auto') {
+  if (source === 'auto' || source === 'history') {
+    const posts = await PostMetric.find({ userId })
+      .sort({ timestamp: -1 })
+      .limit(PROFILE_CONFIG.historyPosts)
+      .select('metrics')
+      .lean();
+
+    if (posts.length >= PROFILE_CONFIG.minHistoryPosts) {
+      const baselines = {};
+      for (const [key, field] of Object.entries(BASELINE_METRICS)) {
+        const value = percentile(posts.map(post => post.metrics?.[field] || 0), PROFILE_CONFIG.percentile);
+        // Metrics the user never gets (e.g. watch time without videos) keep the default
+        if (value > 0) baselines[key] = Math.max(value, 1);
+      }
+      return { baselineSource: 'history', baselines, baselineSampleSize: posts.length };
+    }
+
+    if (source === 'history') return null;
+  }
+
+  if (source === 'auto' || source === 'followers') {
+    const connections = await SocialConnection.find({ userId, isActive: true })
+      .select('meta.followers')
+      .lean();
+    const followers = connections.reduce((sum, connection) => sum + (connection.meta?.followers || 0), 0);
+
+    if (followers > 0) {
+      const baselines = {};
+      for (const [key, rate] of Object.entries(PROFILE_CONFIG.followerRates)) {
+        baselines[key] = Math.max(Math.round(followers * rate * 100) / 100, 1);
+      }
+      return { baselineSource: 'followers', baselines, baselineSampleSize: followers };
+    }
+
+    if (source === 'followers') return null;
+  }
+
+  return { baselineSource: 'default', baselines: {}, baselineSampleSize: 0 };
+}
+
+/**
+ * Get a user's scoring profile, creating it with auto-derived baselines on first use
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} ScoringProfile document
+ */
+export async function getScoringProfile(userId) {
+  const existing = await ScoringProfile.findOne({ userId });
+  if (existing) return existing;
+
+  const derived = await deriveBaselines(userId);
+
+  try {
+    return await ScoringProfile.create({
+      userId,
+      ...derived,
+      baselinesDerivedAt: new Date(),
+    });
+  } catch (error) {
+    // Created concurrently by another request
+    if (error.code === 11000) {
+      return ScoringProfile.findOne({ userId });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update the custom weights and/or baselines of a user's profile.
+ * Setting a value to null restores the algorithm default for it.
+ * @param {string} userId - User ID
+ * @param {Object} changes - { weights: { interest, stress }, baselines }
+ * @returns {Promise<Object>} Updated ScoringProfile document
+ */
+export async function updateScoringProfile(userId, { weights, baselines }) {
+  const profile = await getScoringProfile(userId);
+
+  for (const group of ['interest', 'stress']) {
+    for (const [key, value] of Object.entries(weights?.[group] || {})) {
+      profile.set(`weights.${group}.${key}`, value ?? undefined);
+    }
+  }
+
+  if (baselines) {
+    for (const [key, value] of Object.entries(baselines)) {
+      profile.set(`baselines.${key}`, value ?? undefined);
+    }
+    profile.baselineSource = 'custom';
+    profile.baselineSampleSize = undefined;
+    profile.baselinesDerivedAt = undefined;
+  }
+
+  profile.revision += 1;
+  return profile.save();
+}
+
+/**
+ * Reset a user's profile: drop custom weights and re-derive the baselines
+ * @param {string} userId - User ID
+ * @param {string} [source='auto'] - Baseline source, one of BASELINE_SOURCES
+ * @returns {Promise<Object|null>} Reset ScoringProfile document, or null if the source has no data
+ */
+export async function resetScoringProfile(userId, source = 'auto') {
+  const derived = await deriveBaselines(userId, source);
+  if (!derived) return null;
+
+  const profile = await getScoringProfile(userId);
+
+  profile.weights = undefined;
+  profile.baselines = derived.baselines;
+  profile.baselineSource = derived.baselineSource;
+  profile.baselineSampleSize = derived.baselineSampleSize;
+  profile.baselinesDerivedAt = new Date();
+  profile.revision += 1;
+
+  return profile.save();
+}
+
+/**
+ * Overrides to pass to the scoring module (getScoringAlgorithm / analyzeMetrics)
+ * @param {Object} profile - ScoringProfile document
+ * @returns {Object} { weights: { interest, stress }, baselines }
+ */
+export function toScoringOverrides(profile) {
+  const { weights = {}, baselines = {} } = profile.toObject();
+  return {
+    weights: { interest: weights.interest || {}, stress: weights.stress || {} },
+    baselines,
+  };
+}
+
+/**
+ * Record of the profile an analysis was scored with (Analysis.scoringProfile)
+ * @param {Object} profile - ScoringProfile document
+ * @param {string} scoringVersion - Scoring algorithm version
+ * @returns {Object} { profileId, revision, baselineSource, parameters }
+ */
+export function snapshotScoringProfile(profile, scoringVersion) {
+  const { interest, stress } = getScoringParameters(scoringVersion, toScoringOverrides(profile));
+  return {
+    profileId: profile._id,
+    revision: profile.revision,
+    baselineSource: profile.baselineSource,
+    parameters: { interest, stress },
+  };
+}
+
+/**
+ * Describe a profile for API responses, including the caps and weights it results in
+ * @param {Object} profile - ScoringProfile document
+ * @param {string} scoringVersion - Scoring algorithm version the parameters are shown for
+ * @returns {Object} Profile fields plus { scoringVersion, effective: { interest, stress } }
+ */
+export function describeScoringProfile(profile, scoringVersion) {
+  const { interest, stress } = getScoringParameters(scoringVersion, toScoringOverrides(profile));
+  return {
+    ...profile.toObject(),
+    scoringVersion,
+    effective: { interest, stress },
+  };
+}
+
+/**
+ * Whether two analyses were scored the same way (same algorithm and profile revision)
+ * @param {Object} a - Analysis
+ * @param {Object} b - Analysis
+ * @returns {boolean}
+ */
+export function isSameScoring(a, b) {
+  if (!isComparableVersion(a.version, b.version)) return false;
+
+  const profileA = a.scoringProfile || {};
+  const profileB = b.scoringProfile || {};
+  return String(profileA.profileId ?? '') === String(profileB.profileId ?? '') &&
+    (profileA.revision ?? null) === (profileB.revision ?? null);
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(Math.ceil((p / 100) * sorted.length) - 1, sorted.length - 1);
+  return sorted[Math.max(index, 0)];
+}
+
+export default {
+  BASELINE_SOURCES,
+  PROFILE_FIELDS,
+  deriveBaselines,
+  getScoringProfile,
+  updateScoringProfile,
+  resetScoringProfile,
+  toScoringOverrides,
+  snapshotScoringProfile,
+  describeScoringProfile,
+  isSameScoring,
+};
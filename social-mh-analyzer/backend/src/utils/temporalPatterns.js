@@ -0,0 +1,310 @@
+// Activity and sleep-pattern inference from post timestamps
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Configuration for sleep inference
+const SLEEP_CONFIG = {
+  minGapMinutes: 3 * 60,    // Shorter quiet periods are not treated as sleep
+  maxGapMinutes: 16 * 60,   // Longer gaps are more likely days off than sleep
+  nightStartHour: 22,       // The middle of a sleep gap must fall between
+  nightEndHour: 10,         //   22:00 and 10:00 local time
+  minNights: 3,             // Nights needed before reporting a sleep pattern
+  maxStdDevMinutes: 120,    // Std. deviation at which consistency drops to 0
+};
+
+// Posts in this local window count as late-night activity
+const LATE_NIGHT = {
+  startHour: 0,
+  endHour: 5,
+  streakThreshold: 3,       // Consecutive nights before the streak is flagged
+};
+
+// Width of the window reported as peakEngagementTime
+const PEAK_WINDOW_HOURS = 2;
+
+const formatterCache = new Map();
+
+/**
+ * Check whether a string is a valid IANA time zone
+ * @param {string} timeZone - Time zone name, e.g. "Europe/Madrid"
+ * @returns {boolean} True if the runtime knows the time zone
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the local calendar parts of a date in a time zone
+ * @param {Date|string} date - Date to convert
+ * @param {string} [timeZone='UTC'] - IANA time zone
+ * @returns {Object} { dateKey, weekday, hour, minute, minuteOfDay }
+ */
+export function getLocalParts(date, timeZone = 'UTC') {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  // Some runtimes format midnight as "24"
+  const hour = parseInt(parts.hour) % 24;
+  const minute = parseInt(parts.minute);
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: DAY_NAMES.indexOf(parts.weekday),
+    hour,
+    minute,
+    minuteOfDay: hour * 60 + minute,
+  };
+}
+
+/**
+ * Get how far a time zone is ahead of UTC at a moment
+ * @param {number} time - Moment in milliseconds since the epoch
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (negative west of UTC)
+ */
+export function getZoneOffset(time, timeZone) {
+  const { dateKey, hour, minute } = getLocalParts(time, timeZone);
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const minuteStart = time - (((time % 60000) + 60000) % 60000);
+  return Date.UTC(year, month - 1, day, hour, minute) - minuteStart;
+}
+
+/**
+ * Infer activity patterns from post timestamps
+ * @param {Array} metrics - Array of post metrics
+ * @param {Object} options - Options
+ * @param {string} [options.timeZone='UTC'] - User's time zone
+ * @param {number} [options.dailyAveragePosts] - Posts per day over the analysis window
+ * @returns {Object} Analysis.metrics.activity fields plus late-night posting stats
+ */
+export function analyzeActivity(metrics, { timeZone = 'UTC', dailyAveragePosts } = {}) {
+  const dayCounts = new Array(7).fill(0);
+  const hourCounts = new Array(24).fill(0);
+  const hourEngagement = new Array(24).fill(0);
+  const localDays = new Set();
+
+  for (const metric of metrics) {
+    if (!metric?.timestamp) continue;
+
+    const local = getLocalParts(metric.timestamp, timeZone);
+    const { likes = 0, comments = 0, shares = 0, saves = 0 } = metric.metrics || {};
+
+    dayCounts[local.weekday]++;
+    hourCounts[local.hour]++;
+    hourEngagement[local.hour] += likes + comments + shares + saves;
+    localDays.add(local.dateKey);
+  }
+
+  const totalPosts = hourCounts.reduce((sum, count) => sum + count, 0);
+  if (totalPosts === 0) {
+    return {
+      mostActiveDay: null,
+      mostActiveHour: null,
+      peakEngagementTime: null,
+      dailyAveragePosts: 0,
+      lateNight: detectLateNightStreaks([], timeZone),
+    };
+  }
+
+  const mostActiveDay = DAY_NAMES[indexOfMax(dayCounts)];
+  const mostActiveHour = indexOfMax(hourCounts);
+
+  // Window with the highest average engagement per post (wraps around midnight)
+  let peakStart = 0;
+  let peakAverage = -1;
+  for (let hour = 0; hour < 24; hour++) {
+    let posts = 0;
+    let engagement = 0;
+    for (let offset = 0; offset < PEAK_WINDOW_HOURS; offset++) {
+      posts += hourCounts[(hour + offset) % 24];
+      engagement += hourEngagement[(hour + offset) % 24];
+    }
+    const average = posts > 0 ? engagement / posts : -1;
+    if (average > peakAverage) {
+      peakAverage = average;
+      peakStart = hour;
+    }
+  }
+
+  return {
+    mostActiveDay,
+    mostActiveHour,
+    peakEngagementTime: `${formatMinutes(peakStart * 60)}-${formatMinutes(((peakStart + PEAK_WINDOW_HOURS) % 24) * 60)}`,
+    dailyAveragePosts: dailyAveragePosts ?? totalPosts / localDays.size,
+    lateNight: detectLateNightStreaks(metrics, timeZone),
+  };
+}
+
+/**
+ * Estimate sleep patterns from the nightly quiet window between posts.
+ * The last post before a long overnight gap is used as a proxy for going to sleep
+ * and the first post after it as a proxy for waking up, so the result is only
+ * meaningful for users who post (or are active) most days.
+ * @param {Array} metrics - Array of post metrics
+ * @param {Object} options - Options
+ * @param {string} [options.timeZone='UTC'] - User's time zone
+ * @returns {Object} Analysis.metrics.sleep fields (empty if there are too few nights)
+ */
+export function inferSleepPattern(metrics, { timeZone = 'UTC' } = {}) {
+  const timestamps = metrics
+    .filter(metric => metric?.timestamp)
+    .map(metric => new Date(metric.timestamp).getTime())
+    .sort((a, b) => a - b);
+
+  // Longest qualifying quiet gap per night
+  const nights = new Map();
+
+  for (let i = 1; i < timestamps.length; i++) {
+    const gapMinutes = (timestamps[i] - timestamps[i - 1]) / 60000;
+    if (gapMinutes < SLEEP_CONFIG.minGapMinutes || gapMinutes > SLEEP_CONFIG.maxGapMinutes) {
+      continue;
+    }
+
+    const midpoint = getLocalParts((timestamps[i] + timestamps[i - 1]) / 2, timeZone);
+    if (midpoint.hour < SLEEP_CONFIG.nightStartHour && midpoint.hour >= SLEEP_CONFIG.nightEndHour) {
+      continue;
+    }
+
+    // Attribute gaps to the evening they started in
+    const lastPost = getLocalParts(timestamps[i - 1], timeZone);
+    const nightKey = lastPost.hour >= 12
+      ? lastPost.dateKey
+      : getLocalParts(timestamps[i - 1] - MINUTES_PER_DAY * 60000, timeZone).dateKey;
+
+    const existing = nights.get(nightKey);
+    if (!existing || gapMinutes > existing.duration) {
+      nights.set(nightKey, {
+        sleep: lastPost.minuteOfDay,
+        wake: getLocalParts(timestamps[i], timeZone).minuteOfDay,
+        duration: gapMinutes,
+      });
+    }
+  }
+
+  if (nights.size < SLEEP_CONFIG.minNights) {
+    return {};
+  }
+
+  const gaps = [...nights.values()];
+
+  // Clock times are averaged relative to noon so 23:30 and 00:30 average to midnight
+  const sleepOffsets = gaps.map(gap => offsetFromNoon(gap.sleep));
+  const wakeOffsets = gaps.map(gap => offsetFromNoon(gap.wake));
+  const durations = gaps.map(gap => gap.duration);
+
+  const variability = (standardDeviation(sleepOffsets) + standardDeviation(wakeOffsets)) / 2;
+  const consistencyScore = Math.max(
+    0,
+    100 - (variability / SLEEP_CONFIG.maxStdDevMinutes) * 100
+  );
+
+  return {
+    avgSleepTime: formatMinutes(average(sleepOffsets) + 12 * 60),
+    avgWakeTime: formatMinutes(average(wakeOffsets) + 12 * 60),
+    avgSleepDuration: Math.round(average(durations)),
+    consistencyScore: Math.round(consistencyScore),
+  };
+}
+
+/**
+ * Find runs of consecutive nights with late-night posts
+ * @param {Array} metrics - Array of post metrics
+ * @param {string} [timeZone='UTC'] - User's time zone
+ * @returns {Object} { posts, nights, longestStreak, flagged }
+ */
+export function detectLateNightStreaks(metrics, timeZone = 'UTC') {
+  const lateNights = new Set();
+  let posts = 0;
+
+  for (const metric of metrics) {
+    if (!metric?.timestamp) continue;
+
+    const local = getLocalParts(metric.timestamp, timeZone);
+    if (local.hour >= LATE_NIGHT.startHour && local.hour < LATE_NIGHT.endHour) {
+      posts++;
+      lateNights.add(local.dateKey);
+    }
+  }
+
+  // Local dates are YYYY-MM-DD, so they can be walked as UTC calendar days
+  const days = [...lateNights].map(key => Date.UTC(...toDateArgs(key))).sort((a, b) => a - b);
+
+  let longestStreak = days.length > 0 ? 1 : 0;
+  let currentStreak = longestStreak;
+  for (let i = 1; i < days.length; i++) {
+    currentStreak = days[i] - days[i - 1] === MINUTES_PER_DAY * 60000 ? currentStreak + 1 : 1;
+    longestStreak = Math.max(longestStreak, currentStreak);
+  }
+
+  return {
+    posts,
+    nights: lateNights.size,
+    longestStreak,
+    flagged: longestStreak >= LATE_NIGHT.streakThreshold,
+  };
+}
+
+// Helper functions
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'long',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+function toDateArgs(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return [year, month - 1, day];
+}
+
+function indexOfMax(values) {
+  return values.reduce((best, value, index) => (value > values[best] ? index : best), 0);
+}
+
+function offsetFromNoon(minuteOfDay) {
+  return (minuteOfDay - 12 * 60 + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+}
+
+function formatMinutes(minutes) {
+  const normalized = ((Math.round(minutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = Math.floor(normalized / 60).toString().padStart(2, '0');
+  const mins = (normalized % 60).toString().padStart(2, '0');
+  return `${hours}:${mins}`;
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  const mean = average(values);
+  return Math.sqrt(average(values.map(value => (value - mean) ** 2)));
+}
+
+export default {
+  isValidTimeZone,
+  getLocalParts,
+  getZoneOffset,
+  analyzeActivity,
+  inferSleepPattern,
+  detectLateNightStreaks,
+};
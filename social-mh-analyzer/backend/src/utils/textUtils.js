@@ -0,0 +1,104 @@
+// Text helpers shared by the offline NLP modules (emotions, topics, risk)
+
+// Words that flip the meaning of the words that follow them
+export const NEGATION_WORDS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor',
+  'cannot', 'cant', 'dont', 'doesnt', 'didnt', 'isnt', 'arent', 'wasnt',
+  'werent', 'wont', 'wouldnt', 'shouldnt', 'couldnt', 'aint', 'hardly', 'without',
+]);
+
+// How many tokens after a negation word are considered negated
+export const NEGATION_SCOPE = 3;
+
+// Words that end the scope of a negation ("not great but happy")
+export const CONTRAST_WORDS = new Set(['but', 'although', 'though', 'however', 'yet', 'except']);
+
+/**
+ * Split a post into lowercase word tokens.
+ * Apostrophes are removed so "don't" becomes "dont", hashtags and mentions lose
+ * their prefix, URLs are dropped.
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+export function tokenize(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  return text
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{M}\p{N}]+/u)  // Marks belong to the word (Devanagari vowel signs)
+    .filter(Boolean);
+}
+
+/**
+ * Remove diacritics from Latin letters ("não" -> "nao", "depresión" -> "depresion")
+ * so posts match lexicons whether or not the writer typed the accents.
+ * Marks on other scripts (Devanagari vowel signs) are kept.
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+export function foldDiacritics(text) {
+  if (!text || typeof text !== 'string') return '';
+
+  return text
+    .normalize('NFD')
+    .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+    .normalize('NFC');
+}
+
+/**
+ * Check whether a token negates the words that follow it
+ * @param {string} token - Token from tokenize
+ * @returns {boolean} True for negation words and contractions like "dont"
+ */
+export function isNegation(token) {
+  // "havent", "shouldnt" ... but not "want", "plant", "event"
+  return NEGATION_WORDS.has(token) ||
+    /^(do|does|did|is|are|was|were|have|has|had|wo|would|should|could|must|need|ca)nt$/.test(token);
+}
+
+/**
+ * Split a text into sentences so negation and context do not leak across them
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Non-empty sentences
+ */
+export function splitSentences(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  return text
+    .replace(/https?:\/\/\S+/g, ' ')
+    .split(/[.!?;\n।]+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Mark which tokens fall inside the scope of a preceding negation word.
+ * The scope ends early at contrast words ("but", "although").
+ * @param {Array<string>} tokens - Output of tokenize
+ * @returns {Array<boolean>} True for tokens that are negated
+ */
+export function getNegatedTokens(tokens) {
+  const negated = new Array(tokens.length).fill(false);
+  let remaining = 0;
+
+  tokens.forEach((token, index) => {
+    if (CONTRAST_WORDS.has(token)) {
+      remaining = 0;
+      return;
+    }
+
+    if (isNegation(token)) {
+      remaining = NEGATION_SCOPE;
+      return;
+    }
+
+    if (remaining > 0) {
+      negated[index] = true;
+      remaining--;
+    }
+  });
+
+  return negated;
+}
@@ -0,0 +1,249 @@
+import { STOP_WORDS } from '../data/stopWords.js';
+import { tokenize } from './textUtils.js';
+import { getScoringAlgorithm } from './scoring.js';
+
+// Configuration for topic extraction
+const TOPIC_CONFIG = {
+  maxTopics: 10,
+  keywordsPerTopic: 5,
+  minTopicPosts: 2,         // Hashtags/keywords used in fewer posts are not topics
+  minCooccurrence: 2,       // Hashtags used together this often are merged into one topic
+  minTokenLength: 3,
+  negativeThreshold: -0.1,  // Posts below this sentiment count as negative
+};
+
+/**
+ * Extract hashtags from a post
+ * @param {string} text - Post text
+ * @returns {Array<string>} Unique lowercase hashtags including the leading '#'
+ */
+export function extractHashtags(text) {
+  if (!text || typeof text !== 'string') return [];
+  const matches = text.toLowerCase().match(/#[\p{L}\p{N}_]+/gu) || [];
+  return [...new Set(matches)];
+}
+
+/**
+ * Extract topics and word counts from the posts of an analysis window.
+ * Topics come from hashtag clusters (hashtags that are regularly used together)
+ * and, for posts without hashtags, from the TF-IDF keywords they share. Each topic
+ * carries the sentiment and stress of its posts so it can be compared with the rest.
+ * @param {Array} metrics - Array of post metrics
+ * @param {Object} [options]
+ * @param {Object} [options.scoring] - Scoring algorithm for topic stress, defaults to the current one
+ * @returns {Object} { topics, wordCount } in the Analysis.metrics.content shape
+ */
+export function extractTopics(metrics, { scoring = getScoringAlgorithm() } = {}) {
+  const posts = metrics.map(metric => {
+    const hashtags = extractHashtags(metric.text);
+    const tokens = tokenize(metric.text);
+    return {
+      hashtags,
+      tokens,
+      // Hashtag words are topics on their own, keep them out of the keywords
+      terms: tokens.filter(token =>
+        token.length >= TOPIC_CONFIG.minTokenLength &&
+        !STOP_WORDS.has(token) &&
+        !hashtags.includes(`#${token}`) &&
+        !/^\d+$/.test(token)
+      ),
+      sentiment: metric.metrics?.sentiment?.score || 0,
+    };
+  });
+
+  const totalWords = posts.reduce((sum, post) => sum + post.tokens.length, 0);
+  const wordCount = {
+    total: totalWords,
+    avgPerPost: posts.length > 0 ? Math.round((totalWords / posts.length) * 10) / 10 : 0,
+  };
+
+  if (posts.length === 0) {
+    return { topics: [], wordCount };
+  }
+
+  const termScores = scoreTerms(posts);
+
+  const groups = [
+    ...clusterHashtags(posts),
+    ...groupBySharedKeyword(posts, termScores),
+  ];
+
+  const topics = groups
+    .map(({ name, postIndexes, hashtags = [] }) => {
+      const inTopic = new Set(postIndexes);
+      const topicPosts = postIndexes.map(index => posts[index]);
+      const otherPosts = posts.filter((post, index) => !inTopic.has(index));
+
+      // Strongest TF-IDF terms of the topic's posts
+      const keywordScores = {};
+      postIndexes.forEach(index => {
+        for (const [term, score] of Object.entries(termScores[index])) {
+          keywordScores[term] = (keywordScores[term] || 0) + score;
+        }
+      });
+      const keywords = [
+        ...hashtags,
+        ...Object.entries(keywordScores)
+          .sort((a, b) => b[1] - a[1])
+          .map(([term]) => term)
+          .filter(term => term !== name),
+      ].slice(0, TOPIC_CONFIG.keywordsPerTopic);
+
+      const topicStats = summarizePosts(topicPosts, scoring);
+      const otherStats = summarizePosts(otherPosts, scoring);
+
+      return {
+        name,
+        score: Math.round((topicPosts.length / posts.length) * 1000) / 10,
+        keywords,
+        postCount: topicPosts.length,
+        sentiment: topicStats.sentiment,
+        negativeShare: topicStats.negativeShare,
+        stressScore: topicStats.stressScore,
+        // How much more often this topic's posts are negative than the other posts
+        negativeSentimentRatio: otherStats.negativeShare > 0
+          ? Math.round((topicStats.negativeShare / otherStats.negativeShare) * 10) / 10
+          : null,
+      };
+    })
+    .sort((a, b) => b.postCount - a.postCount)
+    .slice(0, TOPIC_CONFIG.maxTopics);
+
+  return { topics, wordCount };
+}
+
+// TF-IDF score of every term in every post
+function scoreTerms(posts) {
+  const documentFrequency = {};
+  posts.forEach(post => {
+    for (const term of new Set(post.terms)) {
+      documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+    }
+  });
+
+  return posts.map(post => {
+    const termCounts = {};
+    post.terms.forEach(term => {
+      termCounts[term] = (termCounts[term] || 0) + 1;
+    });
+
+    const scores = {};
+    for (const [term, count] of Object.entries(termCounts)) {
+      const tf = count / post.terms.length;
+      const idf = Math.log(posts.length / documentFrequency[term]) + 1;
+      scores[term] = tf * idf;
+    }
+    return scores;
+  });
+}
+
+// Group hashtags that are frequently used together (union-find over co-occurrences)
+function clusterHashtags(posts) {
+  const usage = {};
+  const cooccurrence = {};
+
+  posts.forEach(post => {
+    post.hashtags.forEach((tag, i) => {
+      usage[tag] = (usage[tag] || 0) + 1;
+      post.hashtags.slice(i + 1).forEach(other => {
+        const key = [tag, other].sort().join(' ');
+        cooccurrence[key] = (cooccurrence[key] || 0) + 1;
+      });
+    });
+  });
+
+  const parent = {};
+  const find = tag => {
+    while (parent[tag] !== tag) {
+      parent[tag] = parent[parent[tag]];
+      tag = parent[tag];
+    }
+    return tag;
+  };
+
+  const frequentTags = Object.keys(usage).filter(tag => usage[tag] >= TOPIC_CONFIG.minTopicPosts);
+  frequentTags.forEach(tag => { parent[tag] = tag; });
+
+  for (const [key, count] of Object.entries(cooccurrence)) {
+    const [a, b] = key.split(' ');
+    if (count >= TOPIC_CONFIG.minCooccurrence && a in parent && b in parent) {
+      parent[find(a)] = find(b);
+    }
+  }
+
+  const clusters = {};
+  frequentTags.forEach(tag => {
+    const root = find(tag);
+    if (!clusters[root]) clusters[root] = [];
+    clusters[root].push(tag);
+  });
+
+  return Object.values(clusters).map(tags => {
+    // Name the topic after its most used hashtag
+    tags.sort((a, b) => usage[b] - usage[a]);
+    return {
+      name: tags[0],
+      hashtags: tags.slice(1),
+      postIndexes: posts
+        .map((post, index) => (post.hashtags.some(tag => tags.includes(tag)) ? index : -1))
+        .filter(index => index !== -1),
+    };
+  });
+}
+
+// Group posts without hashtags under the strongest keywords they share
+function groupBySharedKeyword(posts, termScores) {
+  const candidates = {};
+
+  posts.forEach((post, index) => {
+    if (post.hashtags.length > 0) return;
+
+    for (const [term, score] of Object.entries(termScores[index])) {
+      if (!candidates[term]) candidates[term] = { score: 0, postIndexes: [] };
+      candidates[term].score += score;
+      candidates[term].postIndexes.push(index);
+    }
+  });
+
+  // Strongest shared keyword first; each post joins only one keyword topic
+  const assigned = new Set();
+  const groups = [];
+
+  Object.entries(candidates)
+    .filter(([, { postIndexes }]) => postIndexes.length >= TOPIC_CONFIG.minTopicPosts)
+    .sort((a, b) => b[1].score - a[1].score)
+    .forEach(([name, { postIndexes }]) => {
+      const unassigned = postIndexes.filter(index => !assigned.has(index));
+      if (unassigned.length < TOPIC_CONFIG.minTopicPosts) return;
+
+      unassigned.forEach(index => assigned.add(index));
+      groups.push({ name, postIndexes: unassigned });
+    });
+
+  return groups;
+}
+
+function summarizePosts(posts, scoring) {
+  if (posts.length === 0) {
+    return { sentiment: 0, negativeShare: 0, stressScore: 0 };
+  }
+
+  const sentiment = posts.reduce((sum, post) => sum + post.sentiment, 0) / posts.length;
+  const negativeShare = (posts.filter(post => post.sentiment < TOPIC_CONFIG.negativeThreshold).length / posts.length) * 100;
+
+  return {
+    sentiment: Math.round(sentiment * 100) / 100,
+    negativeShare: Math.round(negativeShare * 10) / 10,
+    // Content-only stress: posting frequency is a property of the user, not the topic
+    stressScore: Math.round(scoring.calculateStressScore({
+      sentiment,
+      negativePercentage: negativeShare,
+      postFrequency: 0,
+    }) * 10) / 10,
+  };
+}
+
+export default {
+  extractHashtags,
+  extractTopics,
+};